@@ -0,0 +1,278 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  Box,
+  Typography,
+  Table,
+  TableHead,
+  TableBody,
+  TableRow,
+  TableCell,
+  Card,
+  CardContent,
+  Grid,
+  Alert,
+  LinearProgress,
+  Button,
+  TextField
+} from '@mui/material';
+import WeeklyBarChart from './components/WeeklyBarChart.jsx';
+
+// Colors for stacked series, in stacking order
+const PALETTE = ['#1976d2', '#9c27b0', '#2e7d32', '#ed6c02', '#0288d1', '#d32f2f', '#757575'];
+
+// Models charted individually; the rest are stacked as "Other"
+const MAX_CHARTED_MODELS = 6;
+
+const TOOLS = [
+  { key: 'web', label: 'Web' },
+  { key: 'python', label: 'Python' },
+  { key: 'dalle', label: 'DALL·E' },
+  { key: 'canvas', label: 'Canvas' }
+];
+
+function ChartCard({ title, children }) {
+  return (
+    <Card>
+      <CardContent>
+        <Typography variant="h6" gutterBottom>{title}</Typography>
+        {children}
+      </CardContent>
+    </Card>
+  );
+}
+
+export default function AnalyticsPage() {
+  const [analytics, setAnalytics] = useState(null);
+  const [fromDate, setFromDate] = useState('');
+  const [toDate, setToDate] = useState('');
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  const loadAnalytics = useCallback(async (from, to) => {
+    setLoading(true);
+    setError(null);
+    try {
+      const params = new URLSearchParams();
+      if (from) params.set('from_date', from);
+      if (to) params.set('to_date', to);
+      const res = await fetch(`/api/analytics?${params}`);
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.error || 'Failed to fetch analytics');
+      setAnalytics(data);
+    } catch (err) {
+      console.error('Error fetching analytics:', err);
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadAnalytics('', '');
+  }, [loadAnalytics]);
+
+  const handleClear = () => {
+    setFromDate('');
+    setToDate('');
+    loadAnalytics('', '');
+  };
+
+  const weeks = analytics?.weekly || [];
+  const chartedModels = (analytics?.models || []).slice(0, MAX_CHARTED_MODELS).map(m => m.model);
+  const modelSeries = [
+    ...chartedModels.map((model, i) => ({
+      key: model,
+      label: model,
+      color: PALETTE[i],
+      value: week => week.models[model] || 0
+    })),
+    ...((analytics?.models || []).length > MAX_CHARTED_MODELS ? [{
+      key: '__other',
+      label: 'Other',
+      color: PALETTE[PALETTE.length - 1],
+      value: week => Object.entries(week.models)
+        .filter(([model]) => !chartedModels.includes(model))
+        .reduce((sum, [, count]) => sum + count, 0)
+    }] : [])
+  ];
+
+  return (
+    <Box sx={{ mt: 4, p: 2 }}>
+      <Typography variant="h5" gutterBottom>Archive Analytics</Typography>
+
+      {/* Date range */}
+      <Box sx={{ display: 'flex', flexWrap: 'wrap', gap: 2, alignItems: 'center', mb: 3 }}>
+        <TextField
+          label="From"
+          type="date"
+          size="small"
+          value={fromDate}
+          onChange={e => setFromDate(e.target.value)}
+          InputLabelProps={{ shrink: true }}
+        />
+        <TextField
+          label="To"
+          type="date"
+          size="small"
+          value={toDate}
+          onChange={e => setToDate(e.target.value)}
+          InputLabelProps={{ shrink: true }}
+        />
+        <Button variant="contained" onClick={() => loadAnalytics(fromDate, toDate)} disabled={loading}>
+          Apply
+        </Button>
+        <Button onClick={handleClear} disabled={loading || (!fromDate && !toDate)}>
+          Clear
+        </Button>
+      </Box>
+
+      {loading && <LinearProgress sx={{ mb: 2 }} />}
+      {error && <Alert severity="error" sx={{ mb: 2 }}>{error}</Alert>}
+
+      {analytics && (
+        <Grid container spacing={3}>
+          {/* Totals */}
+          <Grid item xs={12}>
+            <Card>
+              <CardContent>
+                <Grid container spacing={2}>
+                  {[
+                    ['Conversations', analytics.totals.conversations],
+                    ['Messages', analytics.totals.messages],
+                    ['Avg. Messages / Conversation', analytics.totals.avg_messages_per_conversation],
+                    ['User Words', analytics.totals.user_words],
+                    ['Assistant Words', analytics.totals.assistant_words]
+                  ].map(([label, value]) => (
+                    <Grid item xs={6} md key={label}>
+                      <Typography variant="subtitle2">{label}</Typography>
+                      <Typography variant="h4">{value.toLocaleString()}</Typography>
+                    </Grid>
+                  ))}
+                </Grid>
+              </CardContent>
+            </Card>
+          </Grid>
+
+          <Grid item xs={12} md={6}>
+            <ChartCard title="Conversations per Week">
+              <WeeklyBarChart
+                weeks={weeks}
+                series={[{ key: 'conversations', label: 'Conversations', color: PALETTE[0], value: week => week.conversations }]}
+              />
+            </ChartCard>
+          </Grid>
+
+          <Grid item xs={12} md={6}>
+            <ChartCard title="Messages per Week">
+              <WeeklyBarChart
+                weeks={weeks}
+                series={[
+                  { key: 'user', label: 'User', color: PALETTE[0], value: week => week.user_messages },
+                  { key: 'assistant', label: 'Assistant', color: PALETTE[1], value: week => week.assistant_messages },
+                  {
+                    key: 'other',
+                    label: 'Tool / System',
+                    color: PALETTE[PALETTE.length - 1],
+                    value: week => week.messages - week.user_messages - week.assistant_messages
+                  }
+                ]}
+              />
+            </ChartCard>
+          </Grid>
+
+          <Grid item xs={12} md={6}>
+            <ChartCard title="Model Adoption">
+              <WeeklyBarChart weeks={weeks} series={modelSeries} />
+            </ChartCard>
+          </Grid>
+
+          <Grid item xs={12} md={6}>
+            <ChartCard title="Words per Week">
+              <WeeklyBarChart
+                weeks={weeks}
+                series={[
+                  { key: 'user', label: 'User', color: PALETTE[0], value: week => week.user_words },
+                  { key: 'assistant', label: 'Assistant', color: PALETTE[1], value: week => week.assistant_words }
+                ]}
+              />
+            </ChartCard>
+          </Grid>
+
+          <Grid item xs={12} md={6}>
+            <ChartCard title="Tool Usage">
+              <WeeklyBarChart
+                weeks={weeks}
+                series={TOOLS.map((tool, i) => ({
+                  key: tool.key,
+                  label: `${tool.label} (${analytics.tools[tool.key].toLocaleString()})`,
+                  color: PALETTE[i + 2],
+                  value: week => week.tools[tool.key] || 0
+                }))}
+              />
+              {analytics.tools.other > 0 && (
+                <Typography variant="caption" color="text.secondary" component="div" sx={{ mt: 1 }}>
+                  Other tools: {Object.entries(analytics.tool_names)
+                    .filter(([name]) => !TOOLS.some(tool => tool.key === name))
+                    .map(([name, count]) => `${name} (${count})`)
+                    .join(', ')}
+                </Typography>
+              )}
+            </ChartCard>
+          </Grid>
+
+          <Grid item xs={12} md={6}>
+            <ChartCard title="Top Custom GPTs">
+              {analytics.gizmos.length === 0 ? (
+                <Typography variant="body2" color="text.secondary">No Custom GPTs used in this range</Typography>
+              ) : (
+                <Table size="small">
+                  <TableHead>
+                    <TableRow>
+                      <TableCell>Custom GPT</TableCell>
+                      <TableCell align="right">Conversations</TableCell>
+                      <TableCell align="right">Messages</TableCell>
+                    </TableRow>
+                  </TableHead>
+                  <TableBody>
+                    {analytics.gizmos.map(gizmo => (
+                      <TableRow key={gizmo.id}>
+                        <TableCell>{gizmo.name}</TableCell>
+                        <TableCell align="right">{gizmo.conversations}</TableCell>
+                        <TableCell align="right">{gizmo.messages}</TableCell>
+                      </TableRow>
+                    ))}
+                  </TableBody>
+                </Table>
+              )}
+            </ChartCard>
+          </Grid>
+
+          <Grid item xs={12}>
+            <ChartCard title="Models">
+              <Table size="small">
+                <TableHead>
+                  <TableRow>
+                    <TableCell>Model</TableCell>
+                    <TableCell align="right">Messages</TableCell>
+                    <TableCell>First Used (week of)</TableCell>
+                    <TableCell>Last Used (week of)</TableCell>
+                  </TableRow>
+                </TableHead>
+                <TableBody>
+                  {analytics.models.map(model => (
+                    <TableRow key={model.model}>
+                      <TableCell>{model.model}</TableCell>
+                      <TableCell align="right">{model.messages}</TableCell>
+                      <TableCell>{model.first_week}</TableCell>
+                      <TableCell>{model.last_week}</TableCell>
+                    </TableRow>
+                  ))}
+                </TableBody>
+              </Table>
+            </ChartCard>
+          </Grid>
+        </Grid>
+      )}
+    </Box>
+  );
+}
@@ -7,6 +7,7 @@ import ConversationSearchTable from './ConversationSearchTable.jsx';
 import ArchiveImportWizard from './ArchiveImportWizard.jsx';
 import MediaGallery from './MediaGallery.jsx';
 import ParserInfoPage from './ParserInfoPage.jsx';
+import AnalyticsPage from './AnalyticsPage.jsx';
 import ErrorBoundary from './components/ErrorBoundary.jsx';
 
 export default function App() {
@@ -111,6 +112,22 @@ export default function App() {
                 >
                   Parser Info
                 </Button>
+                <Button 
+                  color="inherit" 
+                  component={Link} 
+                  to="/analytics"
+                  sx={{ 
+                    ml: 2, 
+                    transition: 'color 0.4s ease',
+                    '&:hover': {
+                      color: 'rgba(255, 255, 240, 0.85)', // Soft off-white with slight yellow tint
+                      backgroundColor: 'transparent'
+                    }
+                  }}
+                  onClick={handleNavigation}
+                >
+                  Analytics
+                </Button>
                 <Button 
                   color="inherit" 
                   component={Link} 
@@ -179,6 +196,19 @@ export default function App() {
               >
                 <ListItemText primary="Parser Info" />
               </ListItem>
+              <ListItem 
+                component={Link} 
+                to="/analytics" 
+                onClick={handleNavigation}
+                sx={{
+                  transition: 'background-color 0.4s ease',
+                  '&:hover': {
+                    backgroundColor: 'rgba(25, 118, 210, 0.12)',
+                  }
+                }}
+              >
+                <ListItemText primary="Analytics" />
+              </ListItem>
               <ListItem 
                 component={Link} 
                 to="/import" 
@@ -212,6 +242,10 @@ export default function App() {
               path="/parser"
               element={<ParserInfoPage />}
             />
+            <Route
+              path="/analytics"
+              element={<AnalyticsPage />}
+            />
             <Route
               path="/import"
               element={<ArchiveImportWizard />}
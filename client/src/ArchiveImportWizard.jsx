@@ -1,5 +1,6 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useRef } from 'react';
 import ArchiveLocationSelector from './components/ArchiveLocationSelector';
+import ArchiveSourcesManager from './components/ArchiveSourcesManager';
 import {
   Box,
   Typography,
@@ -26,7 +27,8 @@ import {
   List,
   ListItem,
   ListItemText,
-  Collapse
+  Collapse,
+  Checkbox
 } from '@mui/material';
 
 // Using simple buttons instead of icon buttons to avoid dependency issues
@@ -41,6 +43,80 @@ const ExpandButton = ({ expanded, onClick }) => (
   </Button>
 );
 
+// Number of recent per-conversation events kept in the activity list
+const ACTIVITY_LIMIT = 100;
+
+const RUNNING_STATUSES = ['in_progress', 'paused'];
+
+// Format a number of seconds as "1h 02m", "3m 05s" or "12s"
+const formatDuration = (seconds) => {
+  const h = Math.floor(seconds / 3600);
+  const m = Math.floor((seconds % 3600) / 60);
+  const s = Math.floor(seconds % 60);
+  if (h > 0) return `${h}h ${String(m).padStart(2, '0')}m`;
+  if (m > 0) return `${m}m ${String(s).padStart(2, '0')}s`;
+  return `${s}s`;
+};
+
+// One line of the activity list for a per-conversation import event
+const FINISHED_ACTIONS = {
+  added: 'Added',
+  updated: 'Updated',
+  unchanged: 'Unchanged',
+  resumed: 'Already imported'
+};
+
+const describeImportEvent = (event) => {
+  const title = event.title || event.id;
+  switch (event.type) {
+    case 'started':
+      return { primary: `Importing "${title}"` };
+    case 'media_copied':
+      return { primary: `Copied ${event.mediaFiles} media file${event.mediaFiles !== 1 ? 's' : ''}`, secondary: event.id };
+    case 'finished':
+      return { primary: `${FINISHED_ACTIONS[event.action] || 'Added'} "${title}"` };
+    case 'failed':
+      return { primary: `Failed "${title}"`, secondary: event.error, failed: true };
+    default:
+      return { primary: title };
+  }
+};
+
+// Import filters that select every conversation (see server/src/import-filters.js)
+const DEFAULT_FILTERS = {
+  createdFrom: '',
+  createdTo: '',
+  updatedFrom: '',
+  updatedTo: '',
+  titleInclude: '',
+  titleExclude: '',
+  gizmoIds: '', // Comma-separated
+  models: '', // Comma-separated
+  archived: 'include',
+  minMessages: 0
+};
+
+// Redaction of personal information during import (see server/src/services/redactionService.js)
+const DEFAULT_REDACTION = {
+  enabled: false,
+  rules: ['email', 'phone', 'api_key', 'file_path'],
+  dictionary: true // Also replace the terms of the redaction dictionary
+};
+
+// Dictionary entries are edited one per line, as "term" or "term = LABEL"
+const dictionaryToText = (dictionary) => dictionary
+  .map(entry => entry.label && entry.label !== 'NAME' ? `${entry.term} = ${entry.label}` : entry.term)
+  .join('\n');
+
+const textToDictionary = (text) => text
+  .split('\n')
+  .map(line => line.trim())
+  .filter(Boolean)
+  .map(line => {
+    const [term, label] = line.split(/\s+=\s+/);
+    return label ? { term, label } : { term };
+  });
+
 const DEFAULT_CONFIG = {
   archiveType: 'openai',
   sourceDir: '',
@@ -51,7 +127,11 @@ const DEFAULT_CONFIG = {
   mediaFolder: 'media',
   useIsoDate: true,
   useMessageReferences: true, // New option to avoid message content duplication
-  skipFailedConversations: true // Skip failures and continue import
+  skipFailedConversations: true, // Skip failures and continue import
+  incremental: false, // Merge a newer export into the existing archive
+  mediaStore: false, // Keep media once per archive in the content-addressed media store
+  filters: DEFAULT_FILTERS, // Only import the conversations these select
+  redaction: DEFAULT_REDACTION // Replace personal information with placeholders
 };
 
 export default function ArchiveImportWizard() {
@@ -64,6 +144,15 @@ export default function ArchiveImportWizard() {
   const [importProgress, setImportProgress] = useState(null);
   const [previewTimeout, setPreviewTimeout] = useState(null); // To store the timeout ID
   const [failedDetailsOpen, setFailedDetailsOpen] = useState(false);
+  const [activity, setActivity] = useState([]); // Recent per-conversation events, newest first
+  const [activityOpen, setActivityOpen] = useState(false);
+  // Whether the progress shown belongs to an import followed since it started (or since the wizard opened)
+  const followingRef = useRef(false);
+  const [unfinishedImport, setUnfinishedImport] = useState(null); // Interrupted import into the output folder
+  const [importTypes, setImportTypes] = useState([{ type: 'openai', label: 'OpenAI / ChatGPT' }]);
+  const [redactionRules, setRedactionRules] = useState([]);
+  const [dictionaryText, setDictionaryText] = useState('');
+  const [dictionaryStatus, setDictionaryStatus] = useState(null); // saving, saved or null
 
   // Load saved config on mount
   useEffect(() => {
@@ -72,7 +161,13 @@ export default function ArchiveImportWizard() {
         const response = await fetch('/api/import/config');
         if (response.ok) {
           const savedConfig = await response.json();
-          setConfig(savedConfig);
+          // Fill in options added since the config was saved
+          setConfig({
+            ...DEFAULT_CONFIG,
+            ...savedConfig,
+            filters: { ...DEFAULT_FILTERS, ...savedConfig.filters },
+            redaction: { ...DEFAULT_REDACTION, ...savedConfig.redaction }
+          });
         }
       } catch (err) {
         console.error('Failed to load config:', err);
@@ -81,6 +176,35 @@ export default function ArchiveImportWizard() {
     };
     loadConfig();
     
+    // Load the archive types the server can import
+    const loadImportTypes = async () => {
+      try {
+        const response = await fetch('/api/import/types');
+        if (response.ok) {
+          const data = await response.json();
+          setImportTypes(data.types || []);
+        }
+      } catch (err) {
+        console.error('Failed to load import types:', err);
+      }
+    };
+    loadImportTypes();
+    
+    // Load the redaction rules and the user's redaction dictionary
+    const loadRedaction = async () => {
+      try {
+        const response = await fetch('/api/redaction');
+        if (response.ok) {
+          const data = await response.json();
+          setRedactionRules(data.rules || []);
+          setDictionaryText(dictionaryToText(data.dictionary || []));
+        }
+      } catch (err) {
+        console.error('Failed to load redaction settings:', err);
+      }
+    };
+    loadRedaction();
+    
     // Cleanup function for preview timeout
     return () => {
       if (previewTimeout) {
@@ -89,16 +213,111 @@ export default function ArchiveImportWizard() {
     };
   }, []);
 
+  // Follow import progress pushed by the server while the wizard is open
+  useEffect(() => {
+    const source = new EventSource('/api/import/events');
+    
+    source.addEventListener('status', (e) => {
+      const status = JSON.parse(e.data);
+      const running = RUNNING_STATUSES.includes(status.status);
+      // When the wizard opens, only pick up an import that is still running
+      if (!running && !followingRef.current) return;
+      
+      followingRef.current = running;
+      setImportProgress(status);
+      setIsLoading(running);
+      if (status.status === 'failed') {
+        setError(`Import failed: ${status.error || 'Unknown error'}`);
+      } else if (!running) {
+        setError(null); // Clear any previous errors
+      }
+    });
+    
+    source.addEventListener('conversation', (e) => {
+      const event = JSON.parse(e.data);
+      setActivity(prev => [event, ...prev].slice(0, ACTIVITY_LIMIT));
+    });
+    
+    // The browser reconnects by itself; the first status after reconnecting brings the view up to date
+    source.onerror = () => console.warn('Import progress stream interrupted, reconnecting...');
+    
+    return () => source.close();
+  }, []);
+
+  // Look for an interrupted import into the output archive that can be resumed
+  useEffect(() => {
+    if (isLoading || !config.outputDir || !config.archiveName) {
+      setUnfinishedImport(null);
+      return;
+    }
+    
+    let cancelled = false;
+    // Wait until the folder fields stop changing before asking the server
+    const timeout = setTimeout(async () => {
+      try {
+        const params = new URLSearchParams({ outputDir: config.outputDir, archiveName: config.archiveName });
+        const response = await fetch(`/api/import/journal?${params}`);
+        if (!response.ok) return;
+        const journal = await response.json();
+        if (!cancelled) setUnfinishedImport(journal.unfinished ? journal : null);
+      } catch (err) {
+        console.error('Failed to check for an unfinished import:', err);
+      }
+    }, 500);
+    
+    return () => {
+      cancelled = true;
+      clearTimeout(timeout);
+    };
+  }, [config.outputDir, config.archiveName, isLoading]);
+
   const handleChange = (e) => {
     const { name, value } = e.target;
     setConfig(prev => ({ ...prev, [name]: value }));
   };
 
+  const handleFilterChange = (e) => {
+    const { name, value } = e.target;
+    setConfig(prev => ({ ...prev, filters: { ...prev.filters, [name]: value } }));
+  };
+
   const handleSwitchChange = (e) => {
     const { name, checked } = e.target;
     setConfig(prev => ({ ...prev, [name]: checked }));
   };
 
+  const handleRedactionSwitchChange = (e) => {
+    const { name, checked } = e.target;
+    setConfig(prev => ({ ...prev, redaction: { ...prev.redaction, [name]: checked } }));
+  };
+
+  const handleRedactionRuleChange = (rule, checked) => {
+    setConfig(prev => {
+      const rules = (prev.redaction.rules || []).filter(name => name !== rule);
+      return { ...prev, redaction: { ...prev.redaction, rules: checked ? [...rules, rule] : rules } };
+    });
+  };
+
+  const handleSaveDictionary = async () => {
+    setDictionaryStatus('saving');
+    try {
+      const response = await fetch('/api/redaction/dictionary', {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ dictionary: textToDictionary(dictionaryText) })
+      });
+      const result = await response.json().catch(() => ({}));
+      if (!response.ok) {
+        throw new Error(result.error || `Server error: ${response.status}`);
+      }
+      setDictionaryText(dictionaryToText(result.dictionary || []));
+      setDictionaryStatus('saved');
+    } catch (err) {
+      setError(`Failed to save redaction dictionary: ${err.message}`);
+      setDictionaryStatus(null);
+    }
+  };
+
   const handlePreview = async () => {
     if (!config.sourceDir) {
       setError('Please provide a source directory');
@@ -128,7 +347,8 @@ export default function ArchiveImportWizard() {
       setPreviewTimeout(null);
       
       if (!response.ok) {
-        throw new Error(`Server error: ${response.status}`);
+        const result = await response.json().catch(() => ({}));
+        throw new Error(result.error || `Server error: ${response.status}`);
       }
       
       const previewData = await response.json();
@@ -171,6 +391,7 @@ export default function ArchiveImportWizard() {
     
     try {
       setIsLoading(true);
+      setActivity([]);
       const response = await fetch('/api/import/start', {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
@@ -178,11 +399,11 @@ export default function ArchiveImportWizard() {
       });
       
       if (!response.ok) {
-        throw new Error(`Server error: ${response.status}`);
+        const result = await response.json().catch(() => ({}));
+        throw new Error(result.error || `Server error: ${response.status}`);
       }
       
-      // Start polling for progress updates
-      pollImportProgress();
+      // Progress arrives over the import progress stream from here on
       setError(null);
     } catch (err) {
       setError(`Failed to start import: ${err.message}`);
@@ -190,54 +411,43 @@ export default function ArchiveImportWizard() {
     }
   };
 
-  const pollImportProgress = async () => {
-    let failedAttempts = 0;
-    const MAX_FAILED_ATTEMPTS = 3;
-    
-    const checkProgress = async () => {
-      try {
-        const response = await fetch('/api/import/status');
-        
-        if (!response.ok) {
-          failedAttempts++;
-          // Show error but keep trying unless we exceed max attempts
-          const errorMessage = `Server error: ${response.status}`;
-          console.error(errorMessage);
-          
-          if (failedAttempts >= MAX_FAILED_ATTEMPTS) {
-            throw new Error(errorMessage);
-          } else {
-            // For transient errors, keep polling but show warning
-            setError(`Warning: ${errorMessage} (retrying... ${failedAttempts}/${MAX_FAILED_ATTEMPTS})`);
-            setTimeout(checkProgress, 2000); // Slightly longer interval for retry
-            return;
-          }
-        }
-        
-        // Reset error counter on success
-        failedAttempts = 0;
-        
-        const status = await response.json();
-        setImportProgress(status);
-        
-        if (status.status === 'completed' || status.status === 'completed_with_errors') {
-          setIsLoading(false);
-          setError(null); // Clear any previous errors
-        } else if (status.status === 'failed') {
-          setIsLoading(false);
-          setError(`Import failed: ${status.error || 'Unknown error'}`);
-        } else {
-          // Continue polling
-          setTimeout(checkProgress, 1000);
-        }
-      } catch (err) {
-        console.error('Error polling status:', err);
-        setError(`Failed to get import status: ${err.message}`);
-        setIsLoading(false);
+  // Continue the interrupted import with the settings it was started with
+  const handleResumeImport = async () => {
+    try {
+      setIsLoading(true);
+      setActivity([]);
+      const response = await fetch('/api/import/start', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ outputDir: config.outputDir, archiveName: config.archiveName, resume: true })
+      });
+      
+      if (!response.ok) {
+        const result = await response.json().catch(() => ({}));
+        throw new Error(result.error || `Server error: ${response.status}`);
       }
-    };
-    
-    checkProgress();
+      
+      setConfig(prev => ({ ...prev, ...unfinishedImport.config }));
+      setUnfinishedImport(null);
+      setError(null);
+    } catch (err) {
+      setError(`Failed to resume import: ${err.message}`);
+      setIsLoading(false);
+    }
+  };
+
+  // Pause, resume or cancel the running import
+  const controlImport = async (action) => {
+    try {
+      const response = await fetch(`/api/import/${action}`, { method: 'POST' });
+      const result = await response.json();
+      if (!response.ok) {
+        throw new Error(result.error || `Server error: ${response.status}`);
+      }
+      setImportProgress(result.status);
+    } catch (err) {
+      setError(`Failed to ${action} import: ${err.message}`);
+    }
   };
 
   // Function to get severity based on import status
@@ -245,6 +455,7 @@ export default function ArchiveImportWizard() {
     if (status === 'completed') return 'success';
     if (status === 'completed_with_errors') return 'warning';
     if (status === 'failed') return 'error';
+    if (status === 'cancelled') return 'warning';
     return 'info';
   };
 
@@ -261,6 +472,10 @@ export default function ArchiveImportWizard() {
         return `Import failed: ${progress.error || 'Unknown error'}`;
       case 'in_progress':
         return `Import in progress: ${progress.progress}%`;
+      case 'paused':
+        return `Import paused at ${progress.progress}%`;
+      case 'cancelled':
+        return `Import cancelled after ${progress.processedConversations} conversations. Conversations already written were kept in the output folder.`;
       default:
         return 'Unknown status';
     }
@@ -325,9 +540,55 @@ export default function ArchiveImportWizard() {
     );
   };
 
+  // Render the most recent per-conversation events of the import
+  const renderActivity = () => {
+    if (activity.length === 0) return null;
+    
+    return (
+      <Box sx={{ mt: 2 }}>
+        <Box
+          sx={{ display: 'flex', alignItems: 'center', cursor: 'pointer', mb: 1 }}
+          onClick={() => setActivityOpen(!activityOpen)}
+        >
+          <Typography variant="body2" color="text.secondary">
+            Recent activity
+          </Typography>
+          <ExpandButton
+            expanded={activityOpen}
+            onClick={(e) => {
+              e.stopPropagation();
+              setActivityOpen(!activityOpen);
+            }}
+          />
+        </Box>
+        
+        <Collapse in={activityOpen}>
+          <Paper variant="outlined" sx={{ maxHeight: 200, overflow: 'auto', p: 1 }}>
+            <List dense disablePadding>
+              {activity.map((event, i) => {
+                const { primary, secondary, failed } = describeImportEvent(event);
+                return (
+                  <ListItem key={i} disableGutters>
+                    <ListItemText
+                      primary={primary}
+                      secondary={secondary}
+                      primaryTypographyProps={{ variant: 'caption' }}
+                      secondaryTypographyProps={{ variant: 'caption', color: failed ? 'error' : 'text.secondary' }}
+                    />
+                  </ListItem>
+                );
+              })}
+            </List>
+          </Paper>
+        </Collapse>
+      </Box>
+    );
+  };
+
   return (
     <Box sx={{ maxWidth: 800, mx: 'auto', my: 4 }}>
       <ArchiveLocationSelector />
+      <ArchiveSourcesManager />
       <Paper sx={{ p: 3 }}>
         <Typography variant="h4" gutterBottom>
           Archive Import Wizard
@@ -339,6 +600,22 @@ export default function ArchiveImportWizard() {
           </Alert>
         )}
         
+        {unfinishedImport && (
+          <Alert
+            severity="warning"
+            sx={{ mb: 3 }}
+            action={
+              <Button color="inherit" size="small" onClick={handleResumeImport} disabled={isLoading}>
+                Resume import
+              </Button>
+            }
+          >
+            An import into {unfinishedImport.outputBasePath} started {new Date(unfinishedImport.startedAt).toLocaleString()} did
+            not finish. {unfinishedImport.completedConversations} conversations were imported before it stopped;
+            resuming skips them. Starting a new import instead goes through every conversation again.
+          </Alert>
+        )}
+        
         {importProgress && (
           <Alert 
             severity={getAlertSeverity(importProgress.status)} 
@@ -346,16 +623,58 @@ export default function ArchiveImportWizard() {
           >
             {getStatusMessage(importProgress)}
             
-            {importProgress.status === 'in_progress' && (
+            {importProgress.incremental && (
+              <Typography variant="caption" color="text.secondary" sx={{ display: 'block', mt: 0.5 }}>
+                {importProgress.addedConversations} added, {importProgress.updatedConversations} updated, {importProgress.unchangedConversations} unchanged
+              </Typography>
+            )}
+            
+            {importProgress.filteredConversations > 0 && (
+              <Typography variant="caption" color="text.secondary" sx={{ display: 'block', mt: 0.5 }}>
+                {importProgress.filteredConversations} conversations left out by the import filters
+              </Typography>
+            )}
+            
+            {importProgress.redactedConversations > 0 && (
+              <Typography variant="caption" color="text.secondary" sx={{ display: 'block', mt: 0.5 }}>
+                {importProgress.redactedConversations} conversations redacted (see redaction_report.json in the archive)
+              </Typography>
+            )}
+            
+            {importProgress.resumedConversations > 0 && (
+              <Typography variant="caption" color="text.secondary" sx={{ display: 'block', mt: 0.5 }}>
+                Resumed: {importProgress.resumedConversations} conversations had already been imported
+              </Typography>
+            )}
+            
+            {RUNNING_STATUSES.includes(importProgress.status) && (
               <Box sx={{ width: '100%', mt: 1 }}>
                 <LinearProgress variant="determinate" value={importProgress.progress} />
                 <Typography variant="caption" color="text.secondary" sx={{ display: 'block', mt: 0.5 }}>
-                  Processed {importProgress.processedConversations} of {importProgress.totalConversations} conversations
+                  Processed {importProgress.processedConversations} of {importProgress.totalConversations} conversations found so far
+                  {importProgress.throughput > 0 && ` · ${importProgress.throughput.toFixed(1)} conversations/s`}
+                  {importProgress.etaSeconds !== null && importProgress.status === 'in_progress' &&
+                    ` · about ${formatDuration(importProgress.etaSeconds)} left`}
                 </Typography>
+                <Box sx={{ display: 'flex', gap: 1, mt: 1 }}>
+                  {importProgress.status === 'paused' ? (
+                    <Button size="small" variant="outlined" onClick={() => controlImport('resume')}>
+                      Resume
+                    </Button>
+                  ) : (
+                    <Button size="small" variant="outlined" onClick={() => controlImport('pause')}>
+                      Pause
+                    </Button>
+                  )}
+                  <Button size="small" variant="outlined" color="error" onClick={() => controlImport('cancel')}>
+                    Cancel
+                  </Button>
+                </Box>
               </Box>
             )}
             
             {renderFailedConversations()}
+            {renderActivity()}
           </Alert>
         )}
         
@@ -369,20 +688,26 @@ export default function ArchiveImportWizard() {
                 onChange={handleChange}
                 label="Archive Type"
               >
-                <MenuItem value="openai">OpenAI / ChatGPT</MenuItem>
-                <MenuItem value="anthropic" disabled>Anthropic / Claude (Coming Soon)</MenuItem>
+                {importTypes.map(importType => (
+                  <MenuItem key={importType.type} value={importType.type}>{importType.label}</MenuItem>
+                ))}
               </Select>
+              {importTypes.find(t => t.type === config.archiveType)?.description && (
+                <Typography variant="caption" color="text.secondary" sx={{ mt: 0.5, ml: 1.5 }}>
+                  {importTypes.find(t => t.type === config.archiveType).description}
+                </Typography>
+              )}
             </FormControl>
           </Grid>
           
           <Grid item xs={12}>
             <TextField
               fullWidth
-              label="Source Folder (unzipped export)"
+              label="Source (export .zip or unzipped folder)"
               name="sourceDir"
               value={config.sourceDir}
               onChange={handleChange}
-              helperText="Path to the unzipped export folder (e.g., /Users/you/Downloads/ChatGPT_export)"
+              helperText="Path to the export zip or the unzipped export folder (e.g., /Users/you/Downloads/ChatGPT_export.zip)"
             />
           </Grid>
           
@@ -433,6 +758,42 @@ export default function ArchiveImportWizard() {
             </Typography>
           </Grid>
           
+          <Grid item xs={12}>
+            <Tooltip title="Only rewrite conversations that changed since the last import into this archive">
+              <FormControlLabel
+                control={
+                  <Switch
+                    checked={config.incremental}
+                    onChange={handleSwitchChange}
+                    name="incremental"
+                  />
+                }
+                label="Incremental Import"
+              />
+            </Tooltip>
+            <Typography variant="caption" color="text.secondary" sx={{ display: 'block', ml: 2 }}>
+              Merge a newer export into the existing archive: new conversations are added, changed ones updated, unchanged ones skipped
+            </Typography>
+          </Grid>
+          
+          <Grid item xs={12}>
+            <Tooltip title="Keep each distinct media file once in the archive's media store instead of copying it into every conversation">
+              <FormControlLabel
+                control={
+                  <Switch
+                    checked={config.mediaStore}
+                    onChange={handleSwitchChange}
+                    name="mediaStore"
+                  />
+                }
+                label="Deduplicate Media"
+              />
+            </Tooltip>
+            <Typography variant="caption" color="text.secondary" sx={{ display: 'block', ml: 2 }}>
+              Files referenced from several conversations (the same upload or generated image) are stored once in .media_store
+            </Typography>
+          </Grid>
+          
           <Grid item xs={12}>
             <FormControlLabel
               control={
@@ -465,6 +826,184 @@ export default function ArchiveImportWizard() {
             </Typography>
           </Grid>
           
+          <Grid item xs={12}>
+            <Divider sx={{ my: 2 }} />
+            <Typography variant="h6" gutterBottom>
+              Import Filters
+            </Typography>
+            <Typography variant="caption" color="text.secondary" sx={{ display: 'block' }}>
+              Import only some conversations. Empty fields don't filter; Preview Structure shows how many conversations the filters select
+            </Typography>
+          </Grid>
+          
+          {[
+            ['createdFrom', 'Created From'],
+            ['createdTo', 'Created To'],
+            ['updatedFrom', 'Updated From'],
+            ['updatedTo', 'Updated To']
+          ].map(([name, label]) => (
+            <Grid item xs={6} sm={3} key={name}>
+              <TextField
+                fullWidth
+                type="date"
+                label={label}
+                name={name}
+                value={config.filters[name] || ''}
+                onChange={handleFilterChange}
+                InputLabelProps={{ shrink: true }}
+              />
+            </Grid>
+          ))}
+          
+          <Grid item xs={12} sm={6}>
+            <TextField
+              fullWidth
+              label="Title Matches"
+              name="titleInclude"
+              value={config.filters.titleInclude || ''}
+              onChange={handleFilterChange}
+              helperText="Regular expression, case-insensitive"
+            />
+          </Grid>
+          
+          <Grid item xs={12} sm={6}>
+            <TextField
+              fullWidth
+              label="Title Doesn't Match"
+              name="titleExclude"
+              value={config.filters.titleExclude || ''}
+              onChange={handleFilterChange}
+              helperText="Regular expression, case-insensitive"
+            />
+          </Grid>
+          
+          <Grid item xs={12} sm={6}>
+            <TextField
+              fullWidth
+              label="GPT IDs"
+              name="gizmoIds"
+              value={[].concat(config.filters.gizmoIds || []).join(', ')}
+              onChange={handleFilterChange}
+              helperText="Comma-separated, e.g. g-abc123"
+            />
+          </Grid>
+          
+          <Grid item xs={12} sm={6}>
+            <TextField
+              fullWidth
+              label="Models"
+              name="models"
+              value={[].concat(config.filters.models || []).join(', ')}
+              onChange={handleFilterChange}
+              helperText="Comma-separated model slugs, e.g. gpt-4o"
+            />
+          </Grid>
+          
+          <Grid item xs={12} sm={6}>
+            <FormControl fullWidth>
+              <InputLabel id="archived-filter-label">Archived Conversations</InputLabel>
+              <Select
+                labelId="archived-filter-label"
+                name="archived"
+                value={config.filters.archived || 'include'}
+                label="Archived Conversations"
+                onChange={handleFilterChange}
+              >
+                <MenuItem value="include">Include</MenuItem>
+                <MenuItem value="exclude">Leave out</MenuItem>
+                <MenuItem value="only">Only archived</MenuItem>
+              </Select>
+            </FormControl>
+          </Grid>
+          
+          <Grid item xs={12} sm={6}>
+            <TextField
+              fullWidth
+              type="number"
+              label="Minimum Messages"
+              name="minMessages"
+              value={config.filters.minMessages || 0}
+              onChange={handleFilterChange}
+              inputProps={{ min: 0 }}
+            />
+          </Grid>
+          
+          <Grid item xs={12}>
+            <Divider sx={{ my: 2 }} />
+            <Typography variant="h6" gutterBottom>
+              Redaction
+            </Typography>
+          </Grid>
+          
+          <Grid item xs={12}>
+            <Tooltip title="Replace personal information with placeholders such as [EMAIL_3f9a1c] before it is written to the archive">
+              <FormControlLabel
+                control={
+                  <Switch
+                    checked={!!config.redaction.enabled}
+                    onChange={handleRedactionSwitchChange}
+                    name="enabled"
+                  />
+                }
+                label="Redact Personal Information"
+              />
+            </Tooltip>
+            <Typography variant="caption" color="text.secondary" sx={{ display: 'block', ml: 2 }}>
+              For archives you want to share. The same value always gets the same placeholder; redaction_report.json lists what was replaced in each conversation. Media files are copied as they are
+            </Typography>
+          </Grid>
+          
+          <Grid item xs={12}>
+            <Collapse in={!!config.redaction.enabled}>
+              <Box sx={{ ml: 2 }}>
+                {redactionRules.map(rule => (
+                  <Box key={rule.name}>
+                    <FormControlLabel
+                      control={
+                        <Checkbox
+                          checked={(config.redaction.rules || []).includes(rule.name)}
+                          onChange={(e) => handleRedactionRuleChange(rule.name, e.target.checked)}
+                        />
+                      }
+                      label={rule.description}
+                    />
+                  </Box>
+                ))}
+                <FormControlLabel
+                  control={
+                    <Checkbox
+                      checked={config.redaction.dictionary !== false}
+                      onChange={handleRedactionSwitchChange}
+                      name="dictionary"
+                    />
+                  }
+                  label="Terms of the redaction dictionary"
+                />
+                <TextField
+                  fullWidth
+                  multiline
+                  minRows={3}
+                  label="Redaction Dictionary"
+                  value={dictionaryText}
+                  onChange={(e) => {
+                    setDictionaryText(e.target.value);
+                    setDictionaryStatus(null);
+                  }}
+                  helperText="Names and other terms to replace, one per line. Add = LABEL to choose the placeholder, e.g. Acme Corp = COMPANY"
+                  sx={{ mt: 1 }}
+                />
+                <Button
+                  size="small"
+                  onClick={handleSaveDictionary}
+                  disabled={dictionaryStatus === 'saving'}
+                  sx={{ mt: 1 }}
+                >
+                  {dictionaryStatus === 'saved' ? 'Dictionary Saved' : 'Save Dictionary'}
+                </Button>
+              </Box>
+            </Collapse>
+          </Grid>
+          
           <Grid item xs={12}>
             <Divider sx={{ my: 2 }} />
             <Typography variant="h6" gutterBottom>
@@ -570,6 +1109,13 @@ export default function ArchiveImportWizard() {
                   This is a generic preview. The actual structure may vary based on your archive.
                 </Alert>
               )}
+              {preview.filterSummary && (
+                <Alert severity={preview.filterSummary.matchingConversations > 0 ? 'info' : 'warning'} sx={{ mb: 2 }}>
+                  The import filters select {preview.filterSummary.matchingConversations} of
+                  {' '}{preview.filterSummary.totalConversations} conversations
+                  {preview.filterSummary.partial && ' (counted in the first part of the export only)'}.
+                </Alert>
+              )}
               {preview.folderStructure}
             </Box>
           ) : (
@@ -580,6 +1126,18 @@ export default function ArchiveImportWizard() {
         </DialogContent>
         <DialogActions>
           <Button onClick={() => setPreviewOpen(false)}>Close</Button>
+          {preview?.filterSummary && (
+            <Button
+              variant="contained"
+              onClick={() => {
+                setPreviewOpen(false);
+                handleImport();
+              }}
+              disabled={isLoading || !config.outputDir || preview.filterSummary.matchingConversations === 0}
+            >
+              Import {preview.filterSummary.matchingConversations} Conversations
+            </Button>
+          )}
         </DialogActions>
       </Dialog>
     </Box>
@@ -1,5 +1,6 @@
 import React, { useState, useEffect } from 'react';
-import { Box, Typography, Paper, Button, CircularProgress, Alert } from '@mui/material';
+import { Box, Typography, Paper, Button, CircularProgress, Alert, Chip } from '@mui/material';
+import Markdown from './Markdown.jsx';
 
 // Canvas node types and their renderers
 const NODE_RENDERERS = {
@@ -79,6 +80,11 @@ export default function CanvasRenderer({ canvasId, conversationFolder }) {
     );
   }
   
+  // Claude artifacts are imported as canvases holding a single document
+  if (canvasData.artifact) {
+    return <ArtifactView title={canvasData.title} artifact={canvasData.artifact} />;
+  }
+  
   // Get canvas dimensions
   const canvasDimensions = canvasData.dimensions || DEFAULT_CANVAS_DIMENSIONS;
   
@@ -125,6 +131,40 @@ export default function CanvasRenderer({ canvasId, conversationFolder }) {
   );
 }
 
+/**
+ * Artifact View - renders a Claude artifact (code, markdown, HTML, SVG...) as a document
+ */
+function ArtifactView({ title, artifact }) {
+  // Markdown artifacts are rendered; everything else is shown as highlighted source
+  const source = artifact.type === 'text/markdown'
+    ? artifact.content || ''
+    : '```' + (artifact.language || '') + '\n' + (artifact.content || '') + '\n```';
+  
+  return (
+    <Paper 
+      sx={{ 
+        overflow: 'auto',
+        mb: 2,
+        p: 2,
+        border: '1px solid #e0e0e0',
+        backgroundColor: '#fafafa'
+      }}
+    >
+      <Box sx={{ display: 'flex', alignItems: 'center', gap: 1, mb: 1 }}>
+        <Typography variant="subtitle1">
+          Artifact: {title || 'Untitled artifact'}
+        </Typography>
+        {artifact.versions > 1 && (
+          <Chip label={`${artifact.versions} versions`} size="small" variant="outlined" />
+        )}
+      </Box>
+      <Box sx={{ maxHeight: 500, overflow: 'auto', backgroundColor: '#ffffff', border: '1px solid #e0e0e0', p: 1 }}>
+        <Markdown>{source}</Markdown>
+      </Box>
+    </Paper>
+  );
+}
+
 /**
  * Canvas Node component - dispatches to the appropriate renderer
  */
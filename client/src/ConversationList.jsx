@@ -1,5 +1,5 @@
 import React, { useEffect, useState } from 'react';
-import { List, ListItem, ListItemText, Box, LinearProgress, Typography, Alert } from '@mui/material';
+import { List, ListItem, ListItemText, Box, LinearProgress, Typography, Alert, TextField, MenuItem } from '@mui/material';
 import { Link } from 'react-router-dom';
 import { fetchAPI } from './utils/fetchUtils';
 
@@ -7,12 +7,22 @@ export default function ConversationList() {
   const [conversations, setConversations] = useState([]);
   const [isLoading, setIsLoading] = useState(true);
   const [error, setError] = useState(null);
+  const [archives, setArchives] = useState([]);
+  const [source, setSource] = useState('');
+  
+  // Load the browsed archives for the archive filter
+  useEffect(() => {
+    fetchAPI('/api/archives')
+      .then(res => setArchives(res.archives || []))
+      .catch(err => console.error('Error loading archives:', err));
+  }, []);
   
   useEffect(() => {
     setIsLoading(true);
     setError(null);
     
-    fetchAPI('/api/conversations', {
+    const query = source ? `?source=${encodeURIComponent(source)}` : '';
+    fetchAPI(`/api/conversations${query}`, {
       maxRetries: 3,
       retryDelay: 1000
     })
@@ -25,7 +35,28 @@ export default function ConversationList() {
         setError(err.message || 'Failed to load conversations');
         setIsLoading(false);
       });
-  }, []);
+  }, [source]);
+  
+  // Only shown when more than one archive is being browsed
+  const archiveFilter = archives.length > 1 && (
+    <Box sx={{ p: 1 }}>
+      <TextField
+        select
+        size="small"
+        label="Archive"
+        value={source}
+        onChange={e => setSource(e.target.value)}
+        sx={{ minWidth: 200 }}
+      >
+        <MenuItem value="">All archives</MenuItem>
+        {archives.map(archive => (
+          <MenuItem key={archive.name} value={archive.name}>
+            {archive.name} ({archive.conversationCount})
+          </MenuItem>
+        ))}
+      </TextField>
+    </Box>
+  );
   
   // Display loading state
   if (isLoading) {
@@ -56,10 +87,13 @@ export default function ConversationList() {
   // Display empty state
   if (conversations.length === 0) {
     return (
-      <Box sx={{ p: 3, textAlign: 'center' }}>
-        <Typography variant="body1">
-          No conversations found
-        </Typography>
+      <Box>
+        {archiveFilter}
+        <Box sx={{ p: 3, textAlign: 'center' }}>
+          <Typography variant="body1">
+            No conversations found
+          </Typography>
+        </Box>
       </Box>
     );
   }
@@ -67,6 +101,7 @@ export default function ConversationList() {
   // Display conversation list
   return (
     <Box>
+      {archiveFilter}
       <List>
         {conversations.map(conv => (
           <ListItem 
@@ -87,6 +122,7 @@ export default function ConversationList() {
                   {conv.message_count ? ` (${conv.message_count} messages)` : ''}
                   {conv.gizmo_ids && conv.gizmo_ids.length > 0 ? ' | Gizmo(s): ' + conv.gizmo_ids.join(', ') : ''}
                   {conv.models && conv.models.length > 0 ? ' | Model(s): ' + conv.models.join(', ') : ''}
+                  {archives.length > 1 && conv.source ? ' | Archive: ' + conv.source : ''}
                 </React.Fragment>
               }
             />
@@ -3,50 +3,72 @@ import * as React from 'react';
 import { useEffect, useState, useRef, useMemo, useCallback } from 'react';
 import { List, ListItem, ListItemText, CircularProgress, Box, TextField, MenuItem, Button, Paper, Pagination, Typography } from '@mui/material';
 import { useNavigate } from 'react-router-dom';
+import SavedSearches from './components/SavedSearches';
+import { subscribeToArchiveEvents } from './utils/archiveEvents';
 
-// NOTE: For full-content search, this demo fetches all messages for each conversation on mount (can be slow for large archives)
-// Cache of all fetched conversations and messages to avoid re-fetching
+// Full-content search is served by the server-side index (/api/search); only the
+// conversation list itself is cached here to avoid re-fetching
 const cachedData = {
   conversations: [],
-  messagesByConv: {},
   initialized: false
 };
 
+// Debounce before an edited advanced query is sent to the server
+const QUERY_DEBOUNCE_MS = 500;
+
+const QUERY_PLACEHOLDER = 'e.g. model:gpt-4o gizmo:"Code Copilot" has:canvas role:user "exact phrase" -excluded after:2024-01-01 messages:>50';
+
+// Fetch every page of /api/conversations with the given extra query parameters
+async function fetchAllConversations(params = '', signal) {
+  let all = [];
+  let pageNum = 1;
+  let total = 0;
+  do {
+    const res = await fetch(`/api/conversations?page=${pageNum}&limit=100${params}`, { signal });
+    const data = await res.json();
+    if (!res.ok) throw new Error(data.error || 'Failed to fetch conversations');
+    all = all.concat(data.items || []);
+    total = data.total || 0;
+    pageNum++;
+  } while (all.length < total && total > 0);
+  return all;
+}
+
+// Render a search snippet with its highlight ranges in bold
+function HighlightedSnippet({ snippet, highlights }) {
+  const pieces = [];
+  let cursor = 0;
+  (highlights || []).forEach(([start, end], i) => {
+    if (start > cursor) pieces.push(snippet.slice(cursor, start));
+    pieces.push(<mark key={i} style={{ backgroundColor: '#fff59d', padding: 0 }}>{snippet.slice(start, end)}</mark>);
+    cursor = end;
+  });
+  pieces.push(snippet.slice(cursor));
+  return <>{pieces}</>;
+}
+
 export default function ConversationSearchTable({ search, perPage, setPerPage }) {
   const [conversations, setConversations] = useState(cachedData.conversations);
-  const [messagesByConv, setMessagesByConv] = useState(cachedData.messagesByConv); // {convId: [messages]}
+  const [searchResults, setSearchResults] = useState(null); // Ranked results from /api/search
+  const [searching, setSearching] = useState(false);
   const [loading, setLoading] = useState(!cachedData.initialized);
   const [error, setError] = useState(null);
   // States for date ranges
   const today = new Date().toISOString().split('T')[0];
   const [earliestDate, setEarliestDate] = useState('');
-  const [filters, setFilters] = useState({ dateFrom: '', dateTo: today });
+  const [filters, setFilters] = useState({ dateFrom: '', dateTo: today, source: '' });
   const [currentPage, setCurrentPage] = useState(1);
+  // Advanced query (server-side query language) and the conversations it matches
+  const [query, setQuery] = useState('');
+  const [queryResults, setQueryResults] = useState(null);
+  const [queryError, setQueryError] = useState(null);
+  const [querying, setQuerying] = useState(false);
   const navigate = useNavigate();
   const listContainerRef = useRef(null);
 
-  useEffect(() => {
-    // Only fetch if not already cached
-    if (cachedData.initialized) {
-      return;
-    }
-    
+  const loadConversations = useCallback(() => {
     setLoading(true);
-    // Fetch all pages of conversations
-    async function fetchAllConversations() {
-      let all = [];
-      let pageNum = 1;
-      let total = 0;
-      do {
-        const url = `/api/conversations?page=${pageNum}&limit=100`;
-        const res = await fetch(url);
-        if (!res.ok) throw new Error('Failed to fetch conversations');
-        const data = await res.json();
-        all = all.concat(data.items || []);
-        total = data.total || 0;
-        pageNum++;
-      } while (all.length < total && total > 0);
-      
+    fetchAllConversations().then(all => {
       // Find the earliest date in the conversations
       let earliest = new Date();
       all.forEach(c => {
@@ -67,48 +89,104 @@ export default function ConversationSearchTable({ search, perPage, setPerPage })
       
       setConversations(all);
       cachedData.conversations = all;
-      
-      // Fetch all messages for each conversation for full-content search - with rate limiting
-      const allMessages = {};
-      
-      // Process in smaller batches to avoid resource exhaustion
-      const batchSize = 10;
-      const delay = ms => new Promise(resolve => setTimeout(resolve, ms));
-      
-      for (let i = 0; i < all.length; i += batchSize) {
-        const batch = all.slice(i, i + batchSize);
-        
-        await Promise.all(batch.map(async c => {
-          try {
-            const res = await fetch(`/api/conversations/${c.id}`);
-            if (res.ok) {
-              const d = await res.json();
-              allMessages[c.id] = d.messages || [];
-            } else {
-              allMessages[c.id] = [];
-            }
-          } catch {
-            allMessages[c.id] = [];
-          }
-        }));
-        
-        // Add a small delay between batches to allow browser to breathe
-        if (i + batchSize < all.length) {
-          await delay(100);
-        }
-      }
-      
-      setMessagesByConv(allMessages);
-      cachedData.messagesByConv = allMessages;
       cachedData.initialized = true;
       setLoading(false);
-    }
-    fetchAllConversations().catch(e => {
+    }).catch(e => {
       setError(e.message);
       setLoading(false);
     });
   }, []);
 
+  useEffect(() => {
+    // Only fetch if not already cached
+    if (cachedData.initialized) {
+      return;
+    }
+    
+    loadConversations();
+  }, [loadConversations]);
+
+  // Keep the list in step with conversations added, changed or removed on disk
+  useEffect(() => subscribeToArchiveEvents({
+    onChange: changes => {
+      let updated = cachedData.conversations;
+      changes.forEach(change => {
+        updated = updated.filter(c => c.id !== change.id);
+        if (change.type !== 'removed') updated = [...updated, change.conversation];
+      });
+      cachedData.conversations = updated;
+      setConversations(updated);
+    },
+    onReindexed: loadConversations
+  }), [loadConversations]);
+
+  // Run the advanced query on the server when it changes (debounced)
+  useEffect(() => {
+    if (!query.trim()) {
+      setQueryResults(null);
+      setQueryError(null);
+      setQuerying(false);
+      return;
+    }
+
+    const controller = new AbortController();
+    setQuerying(true);
+    const timeoutId = setTimeout(() => {
+      fetchAllConversations(`&query=${encodeURIComponent(query)}`, controller.signal)
+        .then(items => {
+          setQueryResults(items);
+          setQueryError(null);
+          setCurrentPage(1);
+          setQuerying(false);
+        })
+        .catch(err => {
+          if (err.name === 'AbortError') return;
+          setQueryError(err.message);
+          setQuerying(false);
+        });
+    }, QUERY_DEBOUNCE_MS);
+
+    return () => {
+      clearTimeout(timeoutId);
+      controller.abort();
+    };
+  }, [query]);
+
+  // Query the full-text index when the search term changes (debounced)
+  useEffect(() => {
+    if (!search || !search.trim()) {
+      setSearchResults(null);
+      setSearching(false);
+      return;
+    }
+    
+    const controller = new AbortController();
+    setSearching(true);
+    const timeoutId = setTimeout(() => {
+      fetch(`/api/search?q=${encodeURIComponent(search)}&limit=500&max_hits=2`, { signal: controller.signal })
+        .then(res => {
+          if (!res.ok) throw new Error(`Search failed: ${res.status}`);
+          return res.json();
+        })
+        .then(data => {
+          setSearchResults(data.items || []);
+          setCurrentPage(1);
+          setSearching(false);
+        })
+        .catch(err => {
+          if (err.name === 'AbortError') return;
+          console.error('Error searching conversations:', err);
+          setSearchResults([]);
+          setSearching(false);
+        });
+    }, 300);
+    
+    return () => {
+      clearTimeout(timeoutId);
+      controller.abort();
+    };
+  }, [search]);
+
   // Format timestamp to ISO8601 date
   const formatTimestamp = (timestamp) => {
     if (!timestamp) return '';
@@ -117,8 +195,24 @@ export default function ConversationSearchTable({ search, perPage, setPerPage })
 
   const handleFilterChange = (key, value) => setFilters(f => ({ ...f, [key]: value }));
 
+  // Archives present in the index; the archive filter is only shown when browsing several
+  const sources = useMemo(() =>
+    Array.from(new Set(conversations.map(c => c.source).filter(Boolean))).sort(),
+    [conversations]
+  );
+
+  // Conversations the advanced query matches (null when there is no valid query)
+  const queryIds = useMemo(() => (queryResults ? new Set(queryResults.map(c => c.id)) : null), [queryResults]);
+
   // Use useMemo to cache filtered results when search or filters change
-  const filtered = useMemo(() => conversations.filter(c => {
+  const filtered = useMemo(() => (searchResults || conversations).filter(c => {
+    // Advanced query
+    if (queryIds && !queryIds.has(c.id)) return false;
+
+
+    // Archive filter
+    if (filters.source && c.source !== filters.source) return false;
+
     // Date filter
     const timestamp = c.create_time || 0;
     const created = new Date(timestamp * 1000); // Convert UNIX timestamp to Date
@@ -136,25 +230,17 @@ export default function ConversationSearchTable({ search, perPage, setPerPage })
       to.setHours(23, 59, 59, 999); // End of the day
       if (created > to) return false;
     }
-    // Media filter removed
-    // Search filter: match title/id or any message content
-    if (search) {
-      const s = search.toLowerCase();
-      const titleMatch = (c.title || c.id || '').toLowerCase().includes(s);
-      const msgMatch = (messagesByConv[c.id] || []).some(m => (m.content || '').toLowerCase().includes(s));
-      return titleMatch || msgMatch;
-    }
     return true;
-  }), [conversations, search, filters.dateFrom, filters.dateTo, messagesByConv]);
+  }), [conversations, searchResults, queryIds, filters.dateFrom, filters.dateTo, filters.source]);
 
   // Pagination logic - calculate these values unconditionally for React Hooks consistency
   const totalPages = Math.max(1, Math.ceil(filtered.length / perPage));
   const pageClamped = Math.max(1, Math.min(currentPage, totalPages));
   
-  // Sort by creation date (newest first) - always call useMemo
-  const sortedFiltered = useMemo(() => [...filtered].sort((a, b) => {
+  // Sort by creation date (newest first) unless showing ranked search results - always call useMemo
+  const sortedFiltered = useMemo(() => searchResults ? filtered : [...filtered].sort((a, b) => {
     return (b.create_time || 0) - (a.create_time || 0);
-  }), [filtered]);
+  }), [filtered, searchResults]);
   
   // Paginate the results - always call useMemo
   const paginated = useMemo(() => 
@@ -177,6 +263,21 @@ export default function ConversationSearchTable({ search, perPage, setPerPage })
     <Box>
       {/* Filters and Controls */}
       <Paper sx={{ p: 1, mb: 1 }}>
+        {/* Advanced query and saved searches */}
+        <Box sx={{ mb: 1 }}>
+          <TextField
+            fullWidth
+            size="small"
+            label="Query"
+            placeholder={QUERY_PLACEHOLDER}
+            value={query}
+            onChange={e => setQuery(e.target.value)}
+            error={Boolean(queryError)}
+            helperText={queryError || 'Fields: model: gizmo: title: tag: source: has: is:starred role: after: before: created: updated: messages: — combine with OR, -term and ( )'}
+            InputLabelProps={{ shrink: true }}
+          />
+          <SavedSearches query={query} onApply={setQuery} />
+        </Box>
         <Box sx={{ mb: 1 }}>
           {/* Date fields in a single row */}
           <Box sx={{ display: 'flex', mb: 1, gap: 2, alignItems: 'flex-start' }}>
@@ -209,11 +310,26 @@ export default function ConversationSearchTable({ search, perPage, setPerPage })
           <Box sx={{ display: 'flex', alignItems: 'center', gap: 2 }}>
             <Button variant="contained" size="small" onClick={() => {
               if (earliestDate) {
-                setFilters({ dateFrom: earliestDate, dateTo: today });
+                setFilters({ dateFrom: earliestDate, dateTo: today, source: '' });
               } else {
-                setFilters({ dateFrom: '', dateTo: today });
+                setFilters({ dateFrom: '', dateTo: today, source: '' });
               }
             }}>Clear</Button>
+            {sources.length > 1 && (
+              <TextField
+                select
+                size="small"
+                label="Archive"
+                value={filters.source}
+                onChange={e => handleFilterChange('source', e.target.value)}
+                sx={{ minWidth: 140 }}
+              >
+                <MenuItem value="">All archives</MenuItem>
+                {sources.map(source => (
+                  <MenuItem key={source} value={source}>{source}</MenuItem>
+                ))}
+              </TextField>
+            )}
             <Box sx={{ display: 'flex', flexDirection: 'column', ml: 'auto' }}>
             <Typography variant="body2" sx={{ mb: 0.25 }}>Items per page</Typography>
             <TextField
@@ -279,7 +395,9 @@ export default function ConversationSearchTable({ search, perPage, setPerPage })
         }}
         ref={listContainerRef}
       >
-        {filtered.length === 0 ? (
+        {searching || querying ? (
+          <Box sx={{ p: 2, textAlign: 'center' }}><CircularProgress size={24} /></Box>
+        ) : filtered.length === 0 ? (
           <Box sx={{ p: 2, color: 'gray', textAlign: 'center' }}>No conversations found.</Box>
         ) : (
           <List disablePadding>
@@ -303,6 +421,21 @@ export default function ConversationSearchTable({ search, perPage, setPerPage })
                       <span style={{ color: '#777', fontSize: '0.85em', marginLeft: '8px' }}>
                         ID: {conv.id.substring(0, 10)}...
                       </span>
+                      {sources.length > 1 && conv.source && (
+                        <span style={{ color: '#777', fontSize: '0.85em', marginLeft: '8px' }}>
+                          {conv.source}
+                        </span>
+                      )}
+                      {conv.hit_count > 0 && (
+                        <span style={{ color: '#777', fontSize: '0.85em', marginLeft: '8px' }}>
+                          {conv.hit_count} matching message{conv.hit_count !== 1 ? 's' : ''}
+                        </span>
+                      )}
+                      {(conv.hits || []).map(hit => (
+                        <Typography key={hit.message_id} component="span" variant="caption" sx={{ display: 'block', mt: 0.5 }}>
+                          <strong>{hit.role}:</strong> <HighlightedSnippet snippet={hit.snippet} highlights={hit.highlights} />
+                        </Typography>
+                      ))}
                     </>
                   } 
                 />
@@ -315,7 +448,7 @@ export default function ConversationSearchTable({ search, perPage, setPerPage })
       {/* Remove bottom pagination controls, only keep the top ones */}
       
       <Box sx={{ fontSize: 12, color: 'gray', mt: 1 }}>
-        Note: Conversations and messages are cached for fast search. If your archive is very large, initial load may take some time.
+        Note: Search covers every message in the archive and is ranked by relevance. The index is rebuilt in the background when the archive changes.
       </Box>
     </Box>
   );
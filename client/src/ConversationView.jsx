@@ -1,6 +1,7 @@
 import React, { useEffect, useState, useRef, useCallback, useMemo } from 'react';
 import { Box, Alert, Button, LinearProgress, Typography, CircularProgress } from '@mui/material';
-import { useParams } from 'react-router-dom';
+import { Toc as OutlineIcon } from '@mui/icons-material';
+import { useParams, useLocation } from 'react-router-dom';
 import GizmoNameEditor from './GizmoNameEditor';
 
 // Import utility functions
@@ -15,13 +16,20 @@ import MessageItem from './components/MessageItem';
 import SimpleMediaModal from './components/SimpleMediaModal';
 import MessageNavigationBar from './components/MessageNavigationBar';
 import PDFExportDialog from './components/PDFExportDialog';
+import SimilarConversations from './components/SimilarConversations';
+import ConversationOutline from './components/ConversationOutline';
+import { subscribeToArchiveEvents, changedOnDisk } from './utils/archiveEvents';
 
 // Import context
 import { MessageSelectionProvider, useMessageSelection } from './context/MessageSelectionContext';
 
+// Skip the browser's cached copy of a conversation that changed on disk
+const conversationFetchOptions = (id) => (changedOnDisk(id) ? { cache: 'reload' } : {});
+
 // Create a wrapper component that uses the selection context
 function ConversationViewContent() {
   const { id } = useParams();
+  const { hash } = useLocation();
   const selection = useMessageSelection();
   
   // Conversation state
@@ -48,12 +56,19 @@ function ConversationViewContent() {
   const [offset, setOffset] = useState(0);
   const BATCH_SIZE = 25; // Number of messages to load per batch
   
+  // Branch of the conversation tree being shown (null = the conversation's current_node)
+  const [branchNode, setBranchNode] = useState(null);
+  
   // Message navigation states
   const [currentMessageIndex, setCurrentMessageIndex] = useState(0);
   const [visibleMessageIndices, setVisibleMessageIndices] = useState([]);
   const messageRefs = useRef({});
   const [isNavigating, setIsNavigating] = useState(false);
   
+  // Outline sidebar, and the outline entry being jumped to while its batch loads
+  const [outlineOpen, setOutlineOpen] = useState(false);
+  const [jumpTarget, setJumpTarget] = useState(null);
+  
   // Gizmo editor state
   const [gizmoEditorOpen, setGizmoEditorOpen] = useState(false);
   const [currentGizmo, setCurrentGizmo] = useState({ id: '', name: '' });
@@ -181,6 +196,18 @@ function ConversationViewContent() {
     folderRef.current = data.folder || '';
   }, [data.folder]);
 
+  // Whether this conversation was 'updated' or 'removed' on disk while open
+  const [diskChange, setDiskChange] = useState(null);
+  useEffect(() => {
+    setDiskChange(null);
+    return subscribeToArchiveEvents({
+      onChange: changes => {
+        const change = changes.filter(c => c.id === id).pop();
+        if (change) setDiskChange(change.type === 'removed' ? 'removed' : 'updated');
+      }
+    });
+  }, [id]);
+
   // Fetch initial conversation data
   const fetchInitialData = useCallback(() => {
     setIsLoading(true);
@@ -188,7 +215,7 @@ function ConversationViewContent() {
     setOffset(0);
     
     // Initial fetch to get metadata and first batch of messages
-    fetch(`/api/conversations/${id}?offset=0&limit=${BATCH_SIZE}`)
+    fetch(`/api/conversations/${id}?offset=0&limit=${BATCH_SIZE}`, conversationFetchOptions(id))
       .then(res => {
         if (!res.ok) throw new Error(`API error: ${res.status}`);
         return res.json();
@@ -218,15 +245,20 @@ function ConversationViewContent() {
       });
   }, [id, BATCH_SIZE]);
   
-  // Load more messages function for infinite scrolling
-  const loadMoreMessages = useCallback((loadAll = false) => {
+  // Load more messages function for infinite scrolling. loadAll loads every remaining batch,
+  // throughPosition the batches up to the message at that position
+  const loadMoreMessages = useCallback((loadAll = false, throughPosition = null) => {
     if ((!hasMore && !loadAll) || loadingMore || isLoading) return;
     
     setLoadingMore(true);
     
-    // Calculate how many batches to load - either one batch or all remaining
-    const batchesToLoad = loadAll ? 
-      Math.ceil((data.total_messages - offset) / BATCH_SIZE) : 1;
+    // Calculate how many batches to load - one batch, the batches up to a message or all remaining
+    let batchesToLoad = 1;
+    if (throughPosition !== null) {
+      batchesToLoad = Math.max(1, Math.ceil((throughPosition + 1 - offset) / BATCH_SIZE));
+    } else if (loadAll) {
+      batchesToLoad = Math.ceil((data.total_messages - offset) / BATCH_SIZE);
+    }
     
     // Chain promises to load multiple batches in sequence if loadAll is true
     let currentOffset = offset;
@@ -234,7 +266,8 @@ function ConversationViewContent() {
     
     for (let i = 0; i < batchesToLoad; i++) {
       promiseChain = promiseChain.then(() => {
-        return fetch(`/api/conversations/${id}?offset=${currentOffset}&limit=${BATCH_SIZE}`)
+        const branchParam = branchNode ? `&branch=${encodeURIComponent(branchNode)}` : '';
+        return fetch(`/api/conversations/${id}?offset=${currentOffset}&limit=${BATCH_SIZE}${branchParam}`, conversationFetchOptions(id))
           .then(res => {
             if (!res.ok) throw new Error(`API error: ${res.status}`);
             return res.json();
@@ -265,7 +298,95 @@ function ConversationViewContent() {
       setLoadingMore(false);
     });
     
-  }, [id, offset, hasMore, loadingMore, isLoading, BATCH_SIZE, data.total_messages]);
+  }, [id, offset, hasMore, loadingMore, isLoading, BATCH_SIZE, data.total_messages, branchNode]);
+  
+  // Switch a forked message to its previous/next sibling and reload the thread below it
+  const handleSwitchBranch = useCallback((msg, direction) => {
+    const info = msg.branch;
+    if (!info || loadingMore) return;
+    
+    const siblingId = info.sibling_ids[info.index + direction];
+    if (!siblingId) return;
+    
+    // Reload at least up to the fork so the messages above it stay in place
+    const forkPosition = data.messages.findIndex(m => m.id === msg.id);
+    const limit = Math.max(BATCH_SIZE, forkPosition + BATCH_SIZE);
+    
+    setLoadingMore(true);
+    fetch(`/api/conversations/${id}?offset=0&limit=${limit}&branch=${encodeURIComponent(siblingId)}`, conversationFetchOptions(id))
+      .then(res => {
+        if (!res.ok) throw new Error(`API error: ${res.status}`);
+        return res.json();
+      })
+      .then(res => {
+        setBranchNode(siblingId);
+        setData(prevData => ({
+          ...prevData,
+          messages: res.messages,
+          total_messages: res.total_messages,
+          current_node: res.current_node
+        }));
+        setOffset(res.messages.length);
+        setHasMore(res.messages.length < res.total_messages);
+        setLoadingMore(false);
+      })
+      .catch(err => {
+        console.error('Error switching branch:', err);
+        setLoadingMore(false);
+      });
+  }, [id, data.messages, loadingMore, BATCH_SIZE]);
+  
+  // MessageItem is memoized on the message ID, so hand it a stable callback that
+  // always calls the latest branch handler
+  const switchBranchRef = useRef(handleSwitchBranch);
+  switchBranchRef.current = handleSwitchBranch;
+  const onSwitchBranch = useCallback((msg, direction) => switchBranchRef.current(msg, direction), []);
+  
+  // Scroll to a linked message (#message-<id>), loading the remaining batches until it shows up
+  const scrolledToHashRef = useRef(null);
+  useEffect(() => {
+    if (!hash.startsWith('#message-') || scrolledToHashRef.current === id + hash || isLoading) return;
+    
+    const targetIndex = filteredMessages.findIndex(m => `#message-${m.id}` === hash);
+    if (targetIndex !== -1) {
+      scrolledToHashRef.current = id + hash;
+      setCurrentMessageIndex(targetIndex);
+      // Give the message a moment to render before scrolling to it
+      setTimeout(() => {
+        messageRefs.current[targetIndex]?.scrollIntoView({ behavior: 'smooth', block: 'start' });
+      }, 100);
+    } else if (hasMore && !loadingMore) {
+      loadMoreMessages(true);
+    }
+  }, [id, hash, filteredMessages, hasMore, loadingMore, isLoading, loadMoreMessages]);
+  
+  // Jump to the message of an outline entry once its batch has loaded
+  useEffect(() => {
+    if (!jumpTarget || isLoading) return;
+    
+    const targetIndex = filteredMessages.findIndex(m => m.id === jumpTarget.id);
+    if (targetIndex !== -1) {
+      setJumpTarget(null);
+      setIsNavigating(true);
+      setCurrentMessageIndex(targetIndex);
+      // Give the message a moment to render before scrolling to it
+      setTimeout(() => {
+        messageRefs.current[targetIndex]?.scrollIntoView({ behavior: 'smooth', block: 'start' });
+        setTimeout(() => setIsNavigating(false), 500);
+      }, 100);
+    } else if (!hasMore || data.messages.some(m => m.id === jumpTarget.id)) {
+      // Not in this branch, or hidden with the tool messages
+      setJumpTarget(null);
+    } else if (!loadingMore) {
+      loadMoreMessages(false, jumpTarget.position);
+    }
+  }, [jumpTarget, filteredMessages, data.messages, hasMore, loadingMore, isLoading, loadMoreMessages]);
+  
+  // Position of the message being read among the conversation's messages, for the outline
+  const currentPosition = useMemo(() => {
+    const current = filteredMessages[currentMessageIndex];
+    return current ? data.messages.findIndex(m => m.id === current.id) : -1;
+  }, [filteredMessages, currentMessageIndex, data.messages]);
   
   // Navigation handler for moving between messages
   const handleNavigate = useCallback((direction) => {
@@ -352,6 +473,8 @@ function ConversationViewContent() {
     setExpandedCanvasId(null);
     setHasMore(true);
     setOffset(0);
+    setBranchNode(null);
+    setJumpTarget(null);
     
     // Reset navigation states
     setCurrentMessageIndex(0);
@@ -550,6 +673,29 @@ function ConversationViewContent() {
         logUnknownTypesWarning={logUnknownTypesWarning}
       />
       
+      {diskChange && (
+        <Alert
+          severity={diskChange === 'removed' ? 'warning' : 'info'}
+          sx={{ mb: 1 }}
+          action={diskChange === 'updated' && (
+            <Button
+              color="inherit"
+              size="small"
+              onClick={() => {
+                setDiskChange(null);
+                fetchInitialData();
+              }}
+            >
+              Reload
+            </Button>
+          )}
+        >
+          {diskChange === 'removed'
+            ? 'This conversation has been removed from the archive.'
+            : 'This conversation has changed on disk.'}
+        </Alert>
+      )}
+      
       {/* Controls */}
       <Box sx={{ display: 'flex', justifyContent: 'space-between', flexWrap: 'wrap', mb: 1 }}>
         <ConversationControls 
@@ -561,13 +707,24 @@ function ConversationViewContent() {
           messages={filteredMessages}
         />
         
-        <Box sx={{ display: 'flex', alignItems: 'center' }}>
+        <Box sx={{ display: 'flex', alignItems: 'center', gap: 2 }}>
+          <Button
+            size="small"
+            variant={outlineOpen ? 'contained' : 'outlined'}
+            startIcon={<OutlineIcon />}
+            onClick={() => setOutlineOpen(open => !open)}
+          >
+            Outline
+          </Button>
           <Typography variant="body2" color="text.secondary">
             {data.total_messages} total messages
           </Typography>
         </Box>
       </Box>
       
+      {/* Conversations close in meaning to this one (semantic index) */}
+      <SimilarConversations conversationId={id} />
+      
       {/* Gizmo Name Editor Dialog */}
       <GizmoNameEditor
         open={gizmoEditorOpen}
@@ -577,99 +734,115 @@ function ConversationViewContent() {
         onNameChange={handleGizmoNameChange}
       />
       
-      {/* Message list in scrollable container */}
-      <div
-        ref={scrollRef}
-        className="scroll-container"
-        style={{
-          flex: 1,
-          minHeight: 0,
-          height: 'calc(100vh - 260px)', // Make container slightly smaller to ensure all content is visible
-          maxHeight: 'calc(100vh - 260px)',
-          overflow: 'auto',
-          overscrollBehavior: 'contain',
-          paddingRight: '16px',
-          paddingLeft: '16px',
-          paddingTop: '0', // Reduced top padding to fit navigation bar
-          paddingBottom: '24px', // Extra bottom padding to ensure last item is fully visible
-          marginBottom: '8px', // Reduced margin
-          backgroundColor: '#f9f9f9',
-          borderRadius: '4px',
-          border: '1px solid #e0e0e0',
-          WebkitOverflowScrolling: 'touch',
-          position: 'relative', // For absolute positioning of loading indicator
-          display: 'flex',
-          flexDirection: 'column'
-        }}
-      >
-        {/* Message Navigation Bar */}
-        <MessageNavigationBar 
-          currentMessageIndex={currentMessageIndex}
-          totalMessages={filteredMessages.length}
-          onNavigate={handleNavigate}
-          disabled={isLoading || loadingMore}
-          sx={{ mb: 1 }}
-        />
-
-        {/* Loading indicator for initial load */}
-        {isLoading && initialLoad && (
-          <Box sx={{ p: 3, textAlign: 'center' }}>
-            <LinearProgress sx={{ mb: 2 }} />
-            <Typography variant="body1">Loading conversation...</Typography>
-          </Box>
+      <Box sx={{ display: 'flex', flex: 1, minHeight: 0 }}>
+        {/* Outline of the prompts and headings */}
+        {outlineOpen && (
+          <ConversationOutline
+            conversationId={id}
+            branchNode={branchNode}
+            reloadKey={`${data.current_node}-${data.total_messages}`}
+            currentPosition={currentPosition}
+            onJump={setJumpTarget}
+            onClose={() => setOutlineOpen(false)}
+          />
         )}
+      
+        {/* Message list in scrollable container */}
+        <div
+          ref={scrollRef}
+          className="scroll-container"
+          style={{
+            flex: 1,
+            minHeight: 0,
+            minWidth: 0, // Let long messages wrap instead of pushing the outline aside
+            height: 'calc(100vh - 260px)', // Make container slightly smaller to ensure all content is visible
+            maxHeight: 'calc(100vh - 260px)',
+            overflow: 'auto',
+            overscrollBehavior: 'contain',
+            paddingRight: '16px',
+            paddingLeft: '16px',
+            paddingTop: '0', // Reduced top padding to fit navigation bar
+            paddingBottom: '24px', // Extra bottom padding to ensure last item is fully visible
+            marginBottom: '8px', // Reduced margin
+            backgroundColor: '#f9f9f9',
+            borderRadius: '4px',
+            border: '1px solid #e0e0e0',
+            WebkitOverflowScrolling: 'touch',
+            position: 'relative', // For absolute positioning of loading indicator
+            display: 'flex',
+            flexDirection: 'column'
+          }}
+        >
+          {/* Message Navigation Bar */}
+          <MessageNavigationBar 
+            currentMessageIndex={currentMessageIndex}
+            totalMessages={filteredMessages.length}
+            onNavigate={handleNavigate}
+            disabled={isLoading || loadingMore}
+            sx={{ mb: 1 }}
+          />
+
+          {/* Loading indicator for initial load */}
+          {isLoading && initialLoad && (
+            <Box sx={{ p: 3, textAlign: 'center' }}>
+              <LinearProgress sx={{ mb: 2 }} />
+              <Typography variant="body1">Loading conversation...</Typography>
+            </Box>
+          )}
         
-        {/* Empty state */}
-        {filteredMessages.length === 0 && !isLoading && (
-          <Box sx={{ p: 3, textAlign: 'center' }}>
-            <Typography variant="body1">
-              This conversation is empty or contains no messages.
-            </Typography>
-          </Box>
-        )}
+          {/* Empty state */}
+          {filteredMessages.length === 0 && !isLoading && (
+            <Box sx={{ p: 3, textAlign: 'center' }}>
+              <Typography variant="body1">
+                This conversation is empty or contains no messages.
+              </Typography>
+            </Box>
+          )}
         
-        {/* Message Items */}
-        {filteredMessages.map((msg, index) => (
-          <div 
-            key={msg.id}
-            ref={el => messageRefs.current[index] = el}
-            data-message-index={index}
-          >
-            <MessageItem 
-              msg={msg}
-              getMediaPath={getMediaPath}
-              openGizmoEditor={openGizmoEditor}
-              conversationFolder={data.folder}
-              onMediaClick={handleOpenMediaModal}
-              isCurrent={index === currentMessageIndex}
-              messageIndex={index}
-              allMessages={filteredMessages}
-            />
-          </div>
-        ))}
+          {/* Message Items */}
+          {filteredMessages.map((msg, index) => (
+            <div 
+              key={msg.id}
+              ref={el => messageRefs.current[index] = el}
+              data-message-index={index}
+            >
+              <MessageItem 
+                msg={msg}
+                getMediaPath={getMediaPath}
+                openGizmoEditor={openGizmoEditor}
+                conversationFolder={data.folder}
+                onMediaClick={handleOpenMediaModal}
+                isCurrent={index === currentMessageIndex}
+                messageIndex={index}
+                allMessages={filteredMessages}
+                onSwitchBranch={onSwitchBranch}
+              />
+            </div>
+          ))}
+        
+          {/* Load more indicator */}
+          {hasMore && (
+            <Box sx={{ textAlign: 'center', p: 2 }}>
+              {loadingMore ? (
+                <CircularProgress size={24} sx={{ mt: 1 }} />
+              ) : (
+                <Typography variant="body2" color="text.secondary">
+                  Scroll down to load more messages
+                </Typography>
+              )}
+            </Box>
+          )}
         
-        {/* Load more indicator */}
-        {hasMore && (
-          <Box sx={{ textAlign: 'center', p: 2 }}>
-            {loadingMore ? (
-              <CircularProgress size={24} sx={{ mt: 1 }} />
-            ) : (
+          {/* End of messages indicator */}
+          {!hasMore && filteredMessages.length > 0 && (
+            <Box sx={{ textAlign: 'center', p: 2 }}>
               <Typography variant="body2" color="text.secondary">
-                Scroll down to load more messages
+                End of conversation
               </Typography>
-            )}
-          </Box>
-        )}
-        
-        {/* End of messages indicator */}
-        {!hasMore && filteredMessages.length > 0 && (
-          <Box sx={{ textAlign: 'center', p: 2 }}>
-            <Typography variant="body2" color="text.secondary">
-              End of conversation
-            </Typography>
-          </Box>
-        )}
-      </div>
+            </Box>
+          )}
+        </div>
+      </Box>
       
       {/* Media Modal */}
       <SimpleMediaModal 
@@ -1,4 +1,5 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useCallback } from 'react';
+import { Link as RouterLink } from 'react-router-dom';
 import { 
   Box, 
   Typography, 
@@ -14,33 +15,83 @@ import {
   Chip,
   Divider,
   Alert,
-  LinearProgress
+  LinearProgress,
+  Button,
+  Tabs,
+  Tab,
+  Link,
+  Collapse
 } from '@mui/material';
 
+// Sections of the coverage report, in display order
+const REPORT_CATEGORIES = [
+  { key: 'content_types', label: 'Content Types' },
+  { key: 'metadata_keys', label: 'Metadata Keys' },
+  { key: 'author_names', label: 'Author Names' },
+  { key: 'roles', label: 'Roles' },
+  { key: 'unknown_fields_by_name', label: 'Unknown Fields' },
+  { key: 'unknown_content_types', label: 'Unparsed Content Types' }
+];
+
 export default function ParserInfoPage() {
   const [stats, setStats] = useState(null);
+  const [report, setReport] = useState(null);
+  const [job, setJob] = useState(null);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
 
-  // Fetch parser statistics from the API
-  useEffect(() => {
-    setLoading(true);
-    fetch('/api/parser/stats')
-      .then(res => {
-        if (!res.ok) throw new Error('Failed to fetch parser statistics');
-        return res.json();
-      })
-      .then(data => {
-        setStats(data);
-        setLoading(false);
-      })
-      .catch(err => {
-        console.error('Error fetching parser stats:', err);
-        setError(err.message);
-        setLoading(false);
-      });
+  // Fetch the coverage report and parser statistics (from the report, or a sample without one)
+  const loadStats = useCallback(async () => {
+    try {
+      const [reportRes, statsRes] = await Promise.all([fetch('/api/parser/report'), fetch('/api/parser/stats')]);
+      if (!reportRes.ok || !statsRes.ok) throw new Error('Failed to fetch parser statistics');
+      
+      const reportData = await reportRes.json();
+      setReport(reportData.report);
+      setJob(reportData.job);
+      setStats(await statsRes.json());
+    } catch (err) {
+      console.error('Error fetching parser stats:', err);
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
   }, []);
 
+  useEffect(() => {
+    loadStats();
+  }, [loadStats]);
+
+  // Poll the report job while it runs, then reload the finished report
+  useEffect(() => {
+    if (job?.status !== 'running') return undefined;
+    
+    const interval = setInterval(async () => {
+      try {
+        const res = await fetch('/api/parser/report/status');
+        const status = await res.json();
+        setJob(status);
+        if (status.status !== 'running') {
+          loadStats();
+        }
+      } catch (err) {
+        console.error('Error polling parser report status:', err);
+      }
+    }, 1000);
+    return () => clearInterval(interval);
+  }, [job?.status, loadStats]);
+
+  const handleGenerateReport = async () => {
+    try {
+      const res = await fetch('/api/parser/report', { method: 'POST' });
+      const data = await res.json();
+      setJob(data.job);
+    } catch (err) {
+      console.error('Error starting parser report:', err);
+      setError(err.message);
+    }
+  };
+
   if (loading) {
     return (
       <Box sx={{ mt: 4, p: 2 }}>
@@ -99,6 +150,36 @@ export default function ParserInfoPage() {
     <Box sx={{ mt: 4, p: 2 }}>
       <Typography variant="h5" gutterBottom>Parser Statistics</Typography>
       
+      {/* Coverage report status */}
+      <Alert 
+        severity={report && !report.stale ? 'info' : 'warning'} 
+        sx={{ mb: 3 }}
+        action={
+          <Button color="inherit" size="small" onClick={handleGenerateReport} disabled={job?.status === 'running'}>
+            {report ? 'Regenerate' : 'Scan Whole Archive'}
+          </Button>
+        }
+      >
+        {report ? (
+          <>
+            Covers all {report.total_conversations} conversations ({report.total_messages} messages),
+            generated {new Date(report.generated_at).toLocaleString()}.
+            {report.stale && ' The archive has changed since, regenerate for current numbers.'}
+          </>
+        ) : (
+          <>Based on a sample of the first {stats.sample_size} conversations. Scan the whole archive for complete coverage.</>
+        )}
+        {job?.status === 'running' && (
+          <Box sx={{ mt: 1 }}>
+            <LinearProgress variant="determinate" value={job.progress} />
+            <Typography variant="caption">
+              Scanned {job.processedConversations} of {job.totalConversations} conversations
+            </Typography>
+          </Box>
+        )}
+        {job?.status === 'failed' && ` Report failed: ${job.error}`}
+      </Alert>
+      
       <Grid container spacing={3}>
         {/* Overall Stats */}
         <Grid item xs={12} md={6}>
@@ -264,7 +345,138 @@ export default function ParserInfoPage() {
             </CardContent>
           </Card>
         </Grid>
+        
+        {/* Whole-archive coverage details */}
+        {report && (
+          <Grid item xs={12}>
+            <ReportCategories report={report} />
+          </Grid>
+        )}
       </Grid>
     </Box>
   );
+}
+
+/**
+ * Coverage report sections as tabs: every key with counts and example messages
+ */
+function ReportCategories({ report }) {
+  const [tab, setTab] = useState(0);
+  const [expandedKey, setExpandedKey] = useState(null);
+  const category = REPORT_CATEGORIES[tab];
+  const entries = Object.entries(report[category.key] || {}).sort((a, b) => b[1].count - a[1].count);
+
+  return (
+    <Card>
+      <CardContent>
+        <Typography variant="h6" gutterBottom>Archive Coverage</Typography>
+        <Tabs 
+          value={tab} 
+          onChange={(e, value) => { setTab(value); setExpandedKey(null); }} 
+          variant="scrollable"
+          sx={{ mb: 2 }}
+        >
+          {REPORT_CATEGORIES.map(c => (
+            <Tab key={c.key} label={`${c.label} (${Object.keys(report[c.key] || {}).length})`} />
+          ))}
+        </Tabs>
+        
+        {entries.length === 0 ? (
+          <Typography variant="body2" color="text.secondary">
+            Nothing found in this category.
+          </Typography>
+        ) : (
+          <Table size="small">
+            <TableHead>
+              <TableRow>
+                <TableCell>Name</TableCell>
+                <TableCell align="right">Messages</TableCell>
+                <TableCell align="right">Conversations</TableCell>
+                <TableCell>Examples</TableCell>
+              </TableRow>
+            </TableHead>
+            <TableBody>
+              {entries.map(([key, entry]) => (
+                <React.Fragment key={key}>
+                  <TableRow 
+                    hover 
+                    sx={{ cursor: 'pointer' }}
+                    onClick={() => setExpandedKey(expandedKey === key ? null : key)}
+                  >
+                    <TableCell sx={{ fontFamily: 'monospace' }}>{key}</TableCell>
+                    <TableCell align="right">{entry.count}</TableCell>
+                    <TableCell align="right">{entry.conversation_count}</TableCell>
+                    <TableCell>
+                      <Box sx={{ display: 'flex', flexWrap: 'wrap', gap: 1 }}>
+                        {entry.examples.map(example => (
+                          <Link
+                            key={`${example.conversation_id}-${example.message_id}`}
+                            component={RouterLink}
+                            to={`/conversations/${example.conversation_id}#message-${example.message_id}`}
+                            onClick={(e) => e.stopPropagation()}
+                            variant="body2"
+                          >
+                            {example.title || 'Untitled'}
+                          </Link>
+                        ))}
+                      </Box>
+                    </TableCell>
+                  </TableRow>
+                  <TableRow>
+                    <TableCell colSpan={4} sx={{ py: 0, borderBottom: expandedKey === key ? undefined : 'none' }}>
+                      <Collapse in={expandedKey === key} unmountOnExit>
+                        <EntryConversations category={category.key} entryKey={key} />
+                      </Collapse>
+                    </TableCell>
+                  </TableRow>
+                </React.Fragment>
+              ))}
+            </TableBody>
+          </Table>
+        )}
+      </CardContent>
+    </Card>
+  );
+}
+
+/**
+ * Drill-down: the conversations that contain a report entry
+ */
+function EntryConversations({ category, entryKey }) {
+  const [data, setData] = useState(null);
+  const [limit, setLimit] = useState(50);
+
+  useEffect(() => {
+    const params = new URLSearchParams({ category, key: entryKey, limit });
+    fetch(`/api/parser/report/conversations?${params}`)
+      .then(res => res.json())
+      .then(setData)
+      .catch(err => console.error('Error loading conversations for report entry:', err));
+  }, [category, entryKey, limit]);
+
+  if (!data) {
+    return <LinearProgress sx={{ my: 1 }} />;
+  }
+
+  return (
+    <Box sx={{ py: 1 }}>
+      {(data.conversations || []).map(conv => (
+        <Box key={conv.id}>
+          <Link component={RouterLink} to={`/conversations/${conv.id}`} variant="body2">
+            {conv.title || 'Untitled'}
+          </Link>
+          {conv.source && (
+            <Typography component="span" variant="caption" color="text.secondary" sx={{ ml: 1 }}>
+              {conv.source}
+            </Typography>
+          )}
+        </Box>
+      ))}
+      {data.total > (data.conversations || []).length && (
+        <Button size="small" onClick={() => setLimit(limit + 50)}>
+          Show more ({data.total - data.conversations.length} remaining)
+        </Button>
+      )}
+    </Box>
+  );
 }
\ No newline at end of file
@@ -0,0 +1,164 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Box,
+  TextField,
+  Button,
+  Paper,
+  Typography,
+  Alert,
+  CircularProgress,
+  Chip,
+  List,
+  ListItem,
+  ListItemText,
+  IconButton
+} from '@mui/material';
+import DeleteIcon from '@mui/icons-material/Delete';
+
+/**
+ * ArchiveSourcesManager Component
+ * Registers additional archives that are browsed together with the current archive
+ */
+export default function ArchiveSourcesManager() {
+  const [archives, setArchives] = useState([]);
+  const [name, setName] = useState('');
+  const [archivePath, setArchivePath] = useState('');
+  const [isLoading, setIsLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  const loadArchives = async () => {
+    try {
+      const response = await fetch('/api/archives');
+      if (response.ok) {
+        const data = await response.json();
+        setArchives(data.archives || []);
+      }
+    } catch (err) {
+      console.error('Failed to load archives:', err);
+      setError('Failed to load archives');
+    }
+  };
+
+  // Load registered archives on mount
+  useEffect(() => {
+    loadArchives();
+  }, []);
+
+  const handleAdd = async () => {
+    try {
+      setIsLoading(true);
+      setError(null);
+
+      const response = await fetch('/api/archives', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ name, archivePath })
+      });
+
+      if (!response.ok) {
+        const errorData = await response.json();
+        throw new Error(errorData.error || 'Failed to add archive');
+      }
+
+      setName('');
+      setArchivePath('');
+      await loadArchives();
+    } catch (err) {
+      console.error('Error adding archive:', err);
+      setError(err.message || 'Failed to add archive');
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const handleRemove = async (archiveName) => {
+    try {
+      setIsLoading(true);
+      setError(null);
+
+      const response = await fetch(`/api/archives/${encodeURIComponent(archiveName)}`, { method: 'DELETE' });
+      if (!response.ok) {
+        const errorData = await response.json();
+        throw new Error(errorData.error || 'Failed to remove archive');
+      }
+
+      await loadArchives();
+    } catch (err) {
+      console.error('Error removing archive:', err);
+      setError(err.message || 'Failed to remove archive');
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  return (
+    <Paper sx={{ p: 3, mb: 3 }}>
+      <Typography variant="h5" gutterBottom>
+        Additional Archives
+      </Typography>
+
+      <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+        Browse several archives at once, e.g. separate OpenAI and Claude archives or one per person.
+        Conversations from every archive are merged into the list and can be filtered by archive.
+      </Typography>
+
+      {error && (
+        <Alert severity="error" sx={{ mb: 2 }}>
+          {error}
+        </Alert>
+      )}
+
+      <List dense sx={{ mb: 2 }}>
+        {archives.map(archive => (
+          <ListItem
+            key={archive.name}
+            secondaryAction={!archive.primary && (
+              <IconButton edge="end" onClick={() => handleRemove(archive.name)} disabled={isLoading}>
+                <DeleteIcon />
+              </IconButton>
+            )}
+          >
+            <ListItemText
+              primary={
+                <Box sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+                  {archive.name}
+                  {archive.primary && <Chip label="Current" size="small" color="primary" />}
+                </Box>
+              }
+              secondary={`${archive.path} · ${archive.conversationCount || 0} conversations`}
+            />
+          </ListItem>
+        ))}
+      </List>
+
+      <Box sx={{ display: 'flex', gap: 2, mb: 2 }}>
+        <TextField
+          label="Name"
+          value={name}
+          onChange={(e) => setName(e.target.value)}
+          placeholder="e.g., claude"
+          sx={{ width: 200 }}
+        />
+        <TextField
+          fullWidth
+          label="Archive Location"
+          value={archivePath}
+          onChange={(e) => setArchivePath(e.target.value)}
+          placeholder="e.g., /Users/username/claude_archive"
+        />
+      </Box>
+
+      <Box sx={{ display: 'flex', justifyContent: 'flex-end' }}>
+        <Button
+          variant="contained"
+          color="primary"
+          onClick={handleAdd}
+          disabled={isLoading || !archivePath}
+        >
+          {isLoading ? <CircularProgress size={24} sx={{ mr: 1 }} color="inherit" /> : null}
+          Add Archive
+        </Button>
+      </Box>
+    </Paper>
+  );
+}
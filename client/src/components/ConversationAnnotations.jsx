@@ -0,0 +1,137 @@
+import React, { useState, useEffect } from 'react';
+import { Box, Chip, IconButton, TextField, Tooltip, Typography } from '@mui/material';
+import StarIcon from '@mui/icons-material/Star';
+import StarBorderIcon from '@mui/icons-material/StarBorder';
+
+const EMPTY_ANNOTATIONS = { tags: [], starred: false, note: '' };
+
+/**
+ * ConversationAnnotations Component
+ * Star toggle, tags and a free-text note for a conversation, saved to the archive's sidecar file
+ */
+export default function ConversationAnnotations({ conversationId }) {
+  const [annotations, setAnnotations] = useState(EMPTY_ANNOTATIONS);
+  const [noteDraft, setNoteDraft] = useState('');
+  const [tagInput, setTagInput] = useState('');
+  const [error, setError] = useState(null);
+
+  // Load annotations whenever the conversation changes
+  useEffect(() => {
+    if (!conversationId) return;
+    let cancelled = false;
+
+    setAnnotations(EMPTY_ANNOTATIONS);
+    setNoteDraft('');
+    setTagInput('');
+    setError(null);
+
+    fetch(`/api/conversations/${conversationId}/tags`)
+      .then(res => res.ok ? res.json() : Promise.reject(new Error(`HTTP ${res.status}`)))
+      .then(result => {
+        if (cancelled) return;
+        setAnnotations(result);
+        setNoteDraft(result.note || '');
+      })
+      .catch(err => {
+        if (!cancelled) console.error('Error loading annotations:', err);
+      });
+
+    return () => { cancelled = true; };
+  }, [conversationId]);
+
+  // Send a partial update ({ tags, starred, note }) and keep the server's normalized result
+  const saveAnnotations = (patch) => {
+    setAnnotations(prev => ({ ...prev, ...patch }));
+
+    fetch(`/api/conversations/${conversationId}/tags`, {
+      method: 'PUT',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(patch)
+    })
+      .then(res => res.ok ? res.json() : Promise.reject(new Error(`HTTP ${res.status}`)))
+      .then(result => {
+        setAnnotations(result);
+        setError(null);
+      })
+      .catch(err => {
+        console.error('Error saving annotations:', err);
+        setError('Failed to save');
+      });
+  };
+
+  const handleAddTag = () => {
+    const tag = tagInput.trim();
+    if (!tag) return;
+    setTagInput('');
+    if (annotations.tags.some(t => t.toLowerCase() === tag.toLowerCase())) return;
+    saveAnnotations({ tags: [...annotations.tags, tag] });
+  };
+
+  const handleNoteBlur = () => {
+    if (noteDraft !== annotations.note) {
+      saveAnnotations({ note: noteDraft });
+    }
+  };
+
+  return (
+    <Box sx={{ mt: 0.5 }}>
+      <Box sx={{ display: 'flex', flexWrap: 'wrap', alignItems: 'center', gap: 0.5 }}>
+        <Tooltip title={annotations.starred ? 'Unstar conversation' : 'Star conversation'}>
+          <IconButton
+            size="small"
+            onClick={() => saveAnnotations({ starred: !annotations.starred })}
+            sx={{ color: annotations.starred ? '#f5b301' : 'text.secondary' }}
+          >
+            {annotations.starred ? <StarIcon fontSize="small" /> : <StarBorderIcon fontSize="small" />}
+          </IconButton>
+        </Tooltip>
+
+        {annotations.tags.map(tag => (
+          <Chip
+            key={tag}
+            label={tag}
+            size="small"
+            color="primary"
+            variant="outlined"
+            onDelete={() => saveAnnotations({ tags: annotations.tags.filter(t => t !== tag) })}
+          />
+        ))}
+
+        <TextField
+          size="small"
+          variant="standard"
+          placeholder="Add tag..."
+          value={tagInput}
+          onChange={(e) => setTagInput(e.target.value)}
+          onKeyDown={(e) => {
+            if (e.key === 'Enter' || e.key === ',') {
+              e.preventDefault();
+              handleAddTag();
+            }
+          }}
+          onBlur={handleAddTag}
+          sx={{ width: 110, ml: 0.5 }}
+        />
+
+        {error && (
+          <Typography variant="caption" color="error" sx={{ ml: 1 }}>
+            {error}
+          </Typography>
+        )}
+      </Box>
+
+      <TextField
+        fullWidth
+        multiline
+        size="small"
+        variant="standard"
+        placeholder="Notes..."
+        maxRows={4}
+        value={noteDraft}
+        onChange={(e) => setNoteDraft(e.target.value)}
+        onBlur={handleNoteBlur}
+        sx={{ mt: 0.5 }}
+      />
+    </Box>
+  );
+}
@@ -1,10 +1,11 @@
 import React from 'react';
 import { Box, Typography } from '@mui/material';
 import CanvasSummary from './CanvasSummary';
+import ConversationAnnotations from './ConversationAnnotations';
 
 /**
  * ConversationHeader Component
- * Displays the title, date, and metadata for a conversation
+ * Displays the title, date, and metadata for a conversation, plus its user tags, star and note
  */
 export default function ConversationHeader({ 
   data, 
@@ -50,6 +51,9 @@ export default function ConversationHeader({
         )}
       </Box>
       
+      {/* User tags, star and note */}
+      <ConversationAnnotations conversationId={data.id} />
+      
       {/* Log unknown types to console instead of showing in UI */}
       {data.unknown_types && logUnknownTypesWarning && logUnknownTypesWarning()}
       
@@ -0,0 +1,178 @@
+import React, { useState, useEffect, useMemo, useRef } from 'react';
+import {
+  Box,
+  CircularProgress,
+  IconButton,
+  InputAdornment,
+  List,
+  ListItemButton,
+  ListItemText,
+  TextField,
+  Tooltip,
+  Typography
+} from '@mui/material';
+import { Close as CloseIcon, Search as SearchIcon } from '@mui/icons-material';
+
+/**
+ * ConversationOutline Component
+ * Sidebar listing every user prompt and the headings of the assistant's answers. Clicking an
+ * entry jumps to its message; the entry of the message being read is highlighted.
+ */
+export default function ConversationOutline({
+  conversationId,
+  branchNode, // Branch being shown (null = the conversation's current_node)
+  reloadKey, // Changes when the conversation was reloaded
+  currentPosition, // Position of the message being read in the conversation, -1 if unknown
+  onJump, // Called with the entry that was clicked
+  onClose
+}) {
+  const [entries, setEntries] = useState(null);
+  const [error, setError] = useState(null);
+  const [filter, setFilter] = useState('');
+  const itemRefs = useRef({});
+
+  useEffect(() => {
+    let cancelled = false;
+    setEntries(null);
+    setError(null);
+
+    const branchParam = branchNode ? `?branch=${encodeURIComponent(branchNode)}` : '';
+    fetch(`/api/conversations/${conversationId}/outline${branchParam}`)
+      .then(async res => {
+        const result = await res.json();
+        if (!res.ok) throw new Error(result.error || `HTTP ${res.status}`);
+        if (!cancelled) setEntries(result.entries);
+      })
+      .catch(err => {
+        console.error('Error loading conversation outline:', err);
+        if (!cancelled) setError('Failed to load the outline');
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [conversationId, branchNode, reloadKey]);
+
+  // The entry of the message being read: the last one at or before it
+  const activeIndex = useMemo(() => {
+    if (!entries || currentPosition < 0) return -1;
+    let active = -1;
+    entries.forEach((entry, index) => {
+      if (entry.position <= currentPosition) active = index;
+    });
+    return active;
+  }, [entries, currentPosition]);
+
+  const visibleEntries = useMemo(() => {
+    if (!entries) return [];
+    const query = filter.trim().toLowerCase();
+    return entries
+      .map((entry, index) => ({ entry, index }))
+      .filter(({ entry }) => !query || entry.text.toLowerCase().includes(query));
+  }, [entries, filter]);
+
+  // Keep the highlighted entry in view as the conversation is scrolled
+  useEffect(() => {
+    itemRefs.current[activeIndex]?.scrollIntoView({ block: 'nearest' });
+  }, [activeIndex]);
+
+  const promptCount = entries ? entries.filter(entry => entry.type === 'prompt').length : 0;
+
+  return (
+    <Box sx={{
+      width: 280,
+      flexShrink: 0,
+      display: 'flex',
+      flexDirection: 'column',
+      height: 'calc(100vh - 260px)',
+      mr: 1,
+      border: '1px solid #e0e0e0',
+      borderRadius: '4px',
+      backgroundColor: '#fff'
+    }}>
+      <Box sx={{ display: 'flex', alignItems: 'center', px: 1.5, pt: 1 }}>
+        <Typography variant="subtitle2" sx={{ flex: 1 }}>
+          Outline
+        </Typography>
+        {entries && (
+          <Typography variant="caption" color="text.secondary" sx={{ mr: 0.5 }}>
+            {promptCount} prompts
+          </Typography>
+        )}
+        <Tooltip title="Hide outline">
+          <IconButton size="small" onClick={onClose} aria-label="Hide outline">
+            <CloseIcon fontSize="small" />
+          </IconButton>
+        </Tooltip>
+      </Box>
+
+      <Box sx={{ px: 1.5, py: 1 }}>
+        <TextField
+          size="small"
+          fullWidth
+          placeholder="Filter outline"
+          value={filter}
+          onChange={(e) => setFilter(e.target.value)}
+          InputProps={{
+            startAdornment: (
+              <InputAdornment position="start">
+                <SearchIcon fontSize="small" />
+              </InputAdornment>
+            )
+          }}
+        />
+      </Box>
+
+      <Box sx={{ flex: 1, minHeight: 0, overflow: 'auto' }}>
+        {error && (
+          <Typography variant="body2" color="error" sx={{ px: 1.5 }}>{error}</Typography>
+        )}
+
+        {entries === null && !error && (
+          <Box sx={{ textAlign: 'center', p: 2 }}>
+            <CircularProgress size={20} />
+          </Box>
+        )}
+
+        {entries && visibleEntries.length === 0 && (
+          <Typography variant="body2" color="text.secondary" sx={{ px: 1.5 }}>
+            {filter ? 'No entries match the filter.' : 'This conversation has no prompts or headings.'}
+          </Typography>
+        )}
+
+        <List dense disablePadding>
+          {visibleEntries.map(({ entry, index }) => (
+            <ListItemButton
+              key={`${entry.id}-${index}`}
+              ref={el => { itemRefs.current[index] = el; }}
+              selected={index === activeIndex}
+              onClick={() => onJump(entry)}
+              sx={{
+                py: 0.25,
+                pl: entry.type === 'heading' ? 2.5 + (entry.level - 1) : 1.5,
+                borderTop: entry.type === 'prompt' && index > 0 ? '1px solid #f0f0f0' : 'none'
+              }}
+            >
+              <ListItemText
+                primary={entry.text || '(no text)'}
+                primaryTypographyProps={{
+                  variant: 'body2',
+                  color: entry.type === 'heading' ? 'text.secondary' : 'text.primary',
+                  fontWeight: entry.type === 'prompt' ? 500 : 400,
+                  fontSize: entry.type === 'heading' ? '0.8rem' : undefined,
+                  noWrap: entry.type === 'heading',
+                  sx: entry.type === 'prompt' ? {
+                    display: '-webkit-box',
+                    WebkitLineClamp: 2,
+                    WebkitBoxOrient: 'vertical',
+                    overflow: 'hidden'
+                  } : undefined
+                }}
+              />
+            </ListItemButton>
+          ))}
+        </List>
+      </Box>
+    </Box>
+  );
+}
@@ -1,5 +1,7 @@
 import React, { memo, useState } from 'react';
 import { Box, Paper, Typography, Chip, Button, IconButton, Tooltip, Checkbox } from '@mui/material';
+import ChevronLeftIcon from '@mui/icons-material/ChevronLeft';
+import ChevronRightIcon from '@mui/icons-material/ChevronRight';
 import Markdown from '../Markdown.jsx';
 import ToolMessageRenderer from '../ToolMessageRenderer';
 import EnhancedToolMessageRenderer from '../EnhancedToolMessageRenderer';
@@ -20,7 +22,8 @@ function MessageItem({
   onMediaClick,
   isCurrent,
   messageIndex = 0, // Add message index for selection
-  allMessages = [] // Add all messages for selection context
+  allMessages = [], // Add all messages for selection context
+  onSwitchBranch // Called with (msg, -1 | 1) to show a sibling branch
 }) {
   // Safely get selection context with fallbacks
   let selection;
@@ -166,6 +169,37 @@ function MessageItem({
           </Typography>
         </Box>
         
+        {/* Branch switcher for edited prompts and regenerated answers */}
+        {msg.branch && onSwitchBranch && (
+          <Box sx={{ display: 'flex', alignItems: 'center', ml: 'auto' }}>
+            <IconButton
+              size="small"
+              disabled={msg.branch.index <= 0}
+              onClick={(e) => {
+                e.stopPropagation();
+                onSwitchBranch(msg, -1);
+              }}
+              aria-label="Previous branch"
+            >
+              <ChevronLeftIcon fontSize="small" />
+            </IconButton>
+            <Typography variant="caption" color="text.secondary">
+              {msg.branch.index + 1}/{msg.branch.count}
+            </Typography>
+            <IconButton
+              size="small"
+              disabled={msg.branch.index >= msg.branch.count - 1}
+              onClick={(e) => {
+                e.stopPropagation();
+                onSwitchBranch(msg, 1);
+              }}
+              aria-label="Next branch"
+            >
+              <ChevronRightIcon fontSize="small" />
+            </IconButton>
+          </Box>
+        )}
+        
         <Tooltip title={showRawJson ? "Show rendered message" : "View raw JSON"}>
           <Button 
             variant="text" 
@@ -0,0 +1,188 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Box,
+  Button,
+  Checkbox,
+  Chip,
+  Dialog,
+  DialogActions,
+  DialogContent,
+  DialogTitle,
+  Divider,
+  FormControlLabel,
+  IconButton,
+  ListItemText,
+  Menu,
+  MenuItem,
+  TextField,
+  Tooltip,
+  Typography
+} from '@mui/material';
+import PushPinIcon from '@mui/icons-material/PushPin';
+import PushPinOutlinedIcon from '@mui/icons-material/PushPinOutlined';
+import DeleteOutlineIcon from '@mui/icons-material/DeleteOutline';
+import BookmarkBorderIcon from '@mui/icons-material/BookmarkBorder';
+
+// Parse a JSON response, turning error responses into errors carrying the server's message
+const readJson = (res) => res.json().then(body => {
+  if (!res.ok) throw new Error(body.error || `HTTP ${res.status}`);
+  return body;
+});
+
+/**
+ * SavedSearches Component
+ * Pinned saved searches as chips, a menu of every saved search, and saving the current query
+ */
+export default function SavedSearches({ query, onApply }) {
+  const [searches, setSearches] = useState([]);
+  const [menuAnchor, setMenuAnchor] = useState(null);
+  const [dialogOpen, setDialogOpen] = useState(false);
+  const [name, setName] = useState('');
+  const [pinned, setPinned] = useState(true);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    fetch('/api/saved-searches')
+      .then(readJson)
+      .then(result => setSearches(result.items || []))
+      .catch(err => console.error('Error loading saved searches:', err));
+  }, []);
+
+  const updateSearch = (search, patch) => {
+    fetch(`/api/saved-searches/${search.id}`, {
+      method: 'PUT',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(patch)
+    })
+      .then(readJson)
+      .then(updated => setSearches(prev => prev.map(s => (s.id === updated.id ? updated : s))))
+      .catch(err => console.error('Error updating saved search:', err));
+  };
+
+  const deleteSearch = (search) => {
+    fetch(`/api/saved-searches/${search.id}`, { method: 'DELETE' })
+      .then(readJson)
+      .then(() => setSearches(prev => prev.filter(s => s.id !== search.id)))
+      .catch(err => console.error('Error deleting saved search:', err));
+  };
+
+  const openSaveDialog = () => {
+    setMenuAnchor(null);
+    setName('');
+    setPinned(true);
+    setError(null);
+    setDialogOpen(true);
+  };
+
+  const handleSave = () => {
+    fetch('/api/saved-searches', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ name, query, pinned })
+    })
+      .then(readJson)
+      .then(created => {
+        setSearches(prev => [...prev, created]);
+        setDialogOpen(false);
+      })
+      .catch(err => setError(err.message));
+  };
+
+  const pinnedSearches = searches.filter(s => s.pinned);
+
+  return (
+    <Box sx={{ display: 'flex', alignItems: 'center', flexWrap: 'wrap', gap: 0.5 }}>
+      {pinnedSearches.map(search => (
+        <Tooltip key={search.id} title={search.query}>
+          <Chip
+            label={search.name}
+            size="small"
+            color={search.query === query ? 'primary' : 'default'}
+            onClick={() => onApply(search.query)}
+            onDelete={() => updateSearch(search, { pinned: false })}
+            deleteIcon={<PushPinIcon />}
+          />
+        </Tooltip>
+      ))}
+
+      <Button
+        size="small"
+        startIcon={<BookmarkBorderIcon />}
+        onClick={e => setMenuAnchor(e.currentTarget)}
+      >
+        Saved
+      </Button>
+
+      <Menu anchorEl={menuAnchor} open={Boolean(menuAnchor)} onClose={() => setMenuAnchor(null)}>
+        <MenuItem onClick={openSaveDialog} disabled={!query.trim()}>
+          Save current query…
+        </MenuItem>
+        {searches.length > 0 && <Divider />}
+        {searches.map(search => (
+          <MenuItem
+            key={search.id}
+            onClick={() => {
+              setMenuAnchor(null);
+              onApply(search.query);
+            }}
+          >
+            <ListItemText primary={search.name} secondary={search.query} sx={{ mr: 1 }} />
+            <Tooltip title={search.pinned ? 'Unpin' : 'Pin above the list'}>
+              <IconButton
+                size="small"
+                onClick={e => {
+                  e.stopPropagation();
+                  updateSearch(search, { pinned: !search.pinned });
+                }}
+              >
+                {search.pinned ? <PushPinIcon fontSize="small" /> : <PushPinOutlinedIcon fontSize="small" />}
+              </IconButton>
+            </Tooltip>
+            <Tooltip title="Delete">
+              <IconButton
+                size="small"
+                onClick={e => {
+                  e.stopPropagation();
+                  deleteSearch(search);
+                }}
+              >
+                <DeleteOutlineIcon fontSize="small" />
+              </IconButton>
+            </Tooltip>
+          </MenuItem>
+        ))}
+      </Menu>
+
+      <Dialog open={dialogOpen} onClose={() => setDialogOpen(false)} maxWidth="xs" fullWidth>
+        <DialogTitle>Save search</DialogTitle>
+        <DialogContent>
+          <Typography variant="body2" color="text.secondary" sx={{ mb: 1, wordBreak: 'break-word' }}>
+            {query}
+          </Typography>
+          <TextField
+            autoFocus
+            fullWidth
+            size="small"
+            label="Name"
+            value={name}
+            onChange={e => setName(e.target.value)}
+            onKeyDown={e => {
+              if (e.key === 'Enter' && name.trim()) handleSave();
+            }}
+          />
+          <FormControlLabel
+            control={<Checkbox checked={pinned} onChange={e => setPinned(e.target.checked)} />}
+            label="Pin above the conversation list"
+          />
+          {error && (
+            <Typography variant="body2" color="error">{error}</Typography>
+          )}
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setDialogOpen(false)}>Cancel</Button>
+          <Button variant="contained" onClick={handleSave} disabled={!name.trim()}>Save</Button>
+        </DialogActions>
+      </Dialog>
+    </Box>
+  );
+}
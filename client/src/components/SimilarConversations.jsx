@@ -0,0 +1,183 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  Accordion,
+  AccordionSummary,
+  AccordionDetails,
+  Box,
+  Button,
+  Chip,
+  CircularProgress,
+  LinearProgress,
+  List,
+  ListItemButton,
+  ListItemText,
+  Typography
+} from '@mui/material';
+import ExpandMoreIcon from '@mui/icons-material/ExpandMore';
+import { useNavigate } from 'react-router-dom';
+
+// How often the semantic index status is polled while it is being built
+const POLL_INTERVAL_MS = 2000;
+
+const formatDate = (seconds) => (seconds ? new Date(seconds * 1000).toLocaleDateString() : '');
+
+/**
+ * SimilarConversations Component
+ * Collapsible panel listing the conversations closest in meaning to this one, from the
+ * semantic index. Offers to build the index when the archive doesn't have one yet. An index built
+ * without the embedding model only matches shared wording, and is labelled lexical.
+ */
+export default function SimilarConversations({ conversationId }) {
+  const navigate = useNavigate();
+  const [expanded, setExpanded] = useState(false);
+  const [items, setItems] = useState(null);
+  const [indexStatus, setIndexStatus] = useState(null);
+  const [notBuilt, setNotBuilt] = useState(false);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  const loadSimilar = useCallback(() => {
+    setLoading(true);
+    setError(null);
+
+    return fetch(`/api/conversations/${conversationId}/similar?limit=8`)
+      .then(async res => {
+        const result = await res.json();
+        if (res.status === 409) {
+          setNotBuilt(true);
+          setIndexStatus(result.index_status);
+          setItems(null);
+          return;
+        }
+        if (!res.ok) throw new Error(result.error || `HTTP ${res.status}`);
+        setNotBuilt(false);
+        setIndexStatus(result.index_status);
+        setItems(result.items);
+      })
+      .catch(err => {
+        console.error('Error loading similar conversations:', err);
+        setError('Failed to load similar conversations');
+      })
+      .finally(() => setLoading(false));
+  }, [conversationId]);
+
+  // Start over when another conversation is opened
+  useEffect(() => {
+    setItems(null);
+    setNotBuilt(false);
+    setError(null);
+  }, [conversationId]);
+
+  // Load lazily, the first time the panel is opened for this conversation
+  useEffect(() => {
+    if (expanded && items === null && !notBuilt && !loading && !error) {
+      loadSimilar();
+    }
+  }, [expanded, items, notBuilt, loading, error, loadSimilar]);
+
+  // While the index is being built, poll its progress and reload when it is ready
+  const building = indexStatus?.status === 'building';
+  useEffect(() => {
+    if (!expanded || !building) return;
+
+    const timer = setInterval(() => {
+      fetch('/api/search/semantic/status')
+        .then(res => res.json())
+        .then(status => {
+          setIndexStatus(status);
+          if (status.status !== 'building') loadSimilar();
+        })
+        .catch(err => console.error('Error checking semantic index status:', err));
+    }, POLL_INTERVAL_MS);
+
+    return () => clearInterval(timer);
+  }, [expanded, building, loadSimilar]);
+
+  const handleBuildIndex = () => {
+    setError(null);
+    fetch('/api/search/semantic/index', { method: 'POST' })
+      .then(res => (res.ok || res.status === 409 ? res.json() : Promise.reject(new Error(`HTTP ${res.status}`))))
+      .then(() => {
+        setNotBuilt(false);
+        setIndexStatus(prev => ({ ...prev, status: 'building', processedConversations: 0 }));
+      })
+      .catch(err => {
+        console.error('Error starting semantic index build:', err);
+        setError('Failed to start building the semantic index');
+      });
+  };
+
+  const lexical = indexStatus?.kind === 'lexical';
+
+  const progress = indexStatus?.totalConversations > 0
+    ? Math.round((indexStatus.processedConversations / indexStatus.totalConversations) * 100)
+    : 0;
+
+  return (
+    <Accordion
+      expanded={expanded}
+      onChange={(event, isExpanded) => setExpanded(isExpanded)}
+      disableGutters
+      sx={{ mb: 1 }}
+    >
+      <AccordionSummary expandIcon={<ExpandMoreIcon />}>
+        <Typography variant="subtitle2">Similar conversations</Typography>
+        {lexical && <Chip label="Lexical" size="small" sx={{ ml: 1 }} />}
+      </AccordionSummary>
+      <AccordionDetails sx={{ pt: 0 }}>
+        {error && (
+          <Typography variant="body2" color="error">{error}</Typography>
+        )}
+
+        {building && (
+          <Box sx={{ mb: 1 }}>
+            <Typography variant="body2" color="text.secondary">
+              Building semantic index… {indexStatus.processedConversations} / {indexStatus.totalConversations} conversations
+            </Typography>
+            <LinearProgress variant="determinate" value={progress} sx={{ mt: 0.5 }} />
+          </Box>
+        )}
+
+        {notBuilt && !building && (
+          <Box sx={{ display: 'flex', alignItems: 'center', gap: 2, flexWrap: 'wrap' }}>
+            <Typography variant="body2" color="text.secondary">
+              Finding similar conversations needs the semantic index. It is computed on this machine and kept up to date once built.
+            </Typography>
+            <Button size="small" variant="outlined" onClick={handleBuildIndex}>
+              Build semantic index
+            </Button>
+          </Box>
+        )}
+
+        {loading && items === null && !building && <CircularProgress size={20} />}
+
+        {items && items.length === 0 && !building && (
+          <Typography variant="body2" color="text.secondary">
+            No similar conversations found.
+          </Typography>
+        )}
+
+        {items && lexical && !building && (
+          <Typography variant="caption" color="text.secondary" component="p" sx={{ mb: 1 }}>
+            Matched on shared words and phrases only. Install @xenova/transformers in server/ and re-index the
+            archive to match conversations by meaning.
+          </Typography>
+        )}
+
+        {items && items.length > 0 && (
+          <List dense disablePadding>
+            {items.map(item => (
+              <ListItemButton key={item.id} onClick={() => navigate(`/conversations/${item.id}`)}>
+                <ListItemText
+                  primary={item.title || 'Untitled conversation'}
+                  secondary={formatDate(item.create_time)}
+                />
+                <Chip label={`${Math.round(item.score * 100)}%`} size="small" variant="outlined" />
+              </ListItemButton>
+            ))}
+          </List>
+        )}
+      </AccordionDetails>
+    </Accordion>
+  );
+}
@@ -100,8 +100,11 @@ function SimpleMediaRenderer({
         </Box>
       ) : (
         <Box sx={{ p: 1, border: '1px solid #eee', borderRadius: 1 }}>
+          {/* Other files (documents, attachment text) open in a new tab */}
           <Typography variant="caption">
-            {media.originalName || media.filename}
+            <a href={mediaSrc} target="_blank" rel="noopener noreferrer" onClick={(e) => e.stopPropagation()}>
+              {media.originalName || media.filename}
+            </a>
           </Typography>
         </Box>
       )}
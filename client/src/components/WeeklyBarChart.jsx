@@ -0,0 +1,63 @@
+import React from 'react';
+import { Box, Typography } from '@mui/material';
+
+const CHART_HEIGHT = 160;
+
+/**
+ * Stacked bar chart of a weekly series, drawn as plain SVG
+ * @param {Array} weeks - [{ week: 'YYYY-MM-DD', ... }]
+ * @param {Array} series - [{ key, label, color, value: (week) => number }], stacked bottom to top
+ */
+export default function WeeklyBarChart({ weeks, series }) {
+  if (!weeks || weeks.length === 0) {
+    return <Typography variant="body2" color="text.secondary">No activity in this range</Typography>;
+  }
+
+  const totals = weeks.map(week => series.reduce((sum, s) => sum + (s.value(week) || 0), 0));
+  const max = Math.max(1, ...totals);
+  const barWidth = 100 / weeks.length;
+
+  return (
+    <Box>
+      <svg width="100%" height={CHART_HEIGHT} viewBox={`0 0 100 ${CHART_HEIGHT}`} preserveAspectRatio="none">
+        {weeks.map((week, i) => {
+          let offset = 0;
+          return (
+            <g key={week.week}>
+              <title>{`Week of ${week.week}: ${series.map(s => `${s.label} ${s.value(week) || 0}`).join(', ')}`}</title>
+              {series.map(s => {
+                const height = ((s.value(week) || 0) / max) * CHART_HEIGHT;
+                offset += height;
+                return height > 0 ? (
+                  <rect
+                    key={s.key}
+                    x={i * barWidth + barWidth * 0.1}
+                    y={CHART_HEIGHT - offset}
+                    width={barWidth * 0.8}
+                    height={height}
+                    fill={s.color}
+                  />
+                ) : null;
+              })}
+            </g>
+          );
+        })}
+      </svg>
+      <Box sx={{ display: 'flex', justifyContent: 'space-between' }}>
+        <Typography variant="caption" color="text.secondary">{weeks[0].week}</Typography>
+        <Typography variant="caption" color="text.secondary">max {max.toLocaleString()} / week</Typography>
+        <Typography variant="caption" color="text.secondary">{weeks[weeks.length - 1].week}</Typography>
+      </Box>
+      {series.length > 1 && (
+        <Box sx={{ display: 'flex', flexWrap: 'wrap', gap: 2, mt: 1 }}>
+          {series.map(s => (
+            <Box key={s.key} sx={{ display: 'flex', alignItems: 'center', gap: 0.5 }}>
+              <Box sx={{ width: 12, height: 12, bgcolor: s.color, borderRadius: 0.5 }} />
+              <Typography variant="caption">{s.label}</Typography>
+            </Box>
+          ))}
+        </Box>
+      )}
+    </Box>
+  );
+}
@@ -0,0 +1,64 @@
+/**
+ * Live archive change events pushed by the server (/api/events, Server-Sent Events)
+ * One connection is shared by every subscriber and closed when the last one unsubscribes;
+ * the browser reconnects on its own if the server restarts.
+ */
+
+let eventSource = null;
+const subscribers = new Set();
+
+// Conversations that changed on disk since the page was loaded
+const changedIds = new Set();
+
+// Hand an event's payload to every subscriber with a handler for it
+function dispatch(handlerName, event, select = data => data) {
+  let data;
+  try {
+    data = select(JSON.parse(event.data));
+  } catch (err) {
+    console.error('Invalid archive event:', err);
+    return;
+  }
+  subscribers.forEach(handlers => {
+    if (handlers[handlerName]) handlers[handlerName](data);
+  });
+}
+
+/**
+ * Subscribe to archive changes
+ * @param {Object} handlers - Callbacks:
+ *   onChange(changes) - conversations [{ type: 'added'|'updated'|'removed', id, conversation }] changed on disk
+ *   onReindexed(info) - the whole index was rebuilt ({ conversationCount })
+ * @returns {Function} Unsubscribe function
+ */
+export function subscribeToArchiveEvents(handlers) {
+  subscribers.add(handlers);
+
+  if (!eventSource && typeof EventSource !== 'undefined') {
+    eventSource = new EventSource('/api/events');
+    eventSource.addEventListener('change', event => dispatch('onChange', event, data => {
+      const changes = data.changes || [];
+      changes.forEach(change => changedIds.add(change.id));
+      return changes;
+    }));
+    eventSource.addEventListener('reindexed', event => dispatch('onReindexed', event));
+  }
+
+  return () => {
+    subscribers.delete(handlers);
+    if (subscribers.size === 0 && eventSource) {
+      eventSource.close();
+      eventSource = null;
+    }
+  };
+}
+
+/**
+ * Whether a conversation changed on disk since the page was loaded, so responses
+ * the browser cached for it before may be stale
+ * @param {string} id - Conversation ID
+ * @returns {boolean}
+ */
+export function changedOnDisk(id) {
+  return changedIds.has(id);
+}
@@ -207,10 +207,20 @@ function extractChatGPTMessageContent(message) {
     segments = processedContent.segments;
   }
   else if (content.content_type === 'code') {
-    // Code block
+    // Code block; messages addressed to a tool are tool calls
     const language = content.language || '';
     const codeText = content.text || '';
-    textContent = '```' + language + '\n' + codeText + '\n```';
+    const toolCall = message.recipient && message.recipient !== 'all' ? `**Tool call: ${message.recipient}**\n\n` : '';
+    textContent = toolCall + '```' + language + '\n' + codeText + '\n```';
+  }
+  else if (content.content_type === 'thoughts' && Array.isArray(content.thoughts)) {
+    // Reasoning shown as a quote block under its summary
+    textContent = content.thoughts
+      .map(thought => {
+        const quoted = (thought.content || '').split('\n').map(line => '> ' + line).join('\n');
+        return `> **${thought.summary || 'Thinking'}**\n>\n${quoted}`;
+      })
+      .join('\n\n');
   }
 
   // Check for attachments in metadata
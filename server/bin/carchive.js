@@ -0,0 +1,111 @@
+#!/usr/bin/env node
+// carchive - import, index, search, export, verify, migrate and convert archives from the command line
+// Usage: carchive <command> [options]   (carchive help lists the commands)
+// Exits with 0 on success, 1 when the command finished with failures (failed conversations,
+// integrity issues, unknown IDs) and 2 on usage errors or when the command itself fails.
+const path = require('path');
+const { parseArgs } = require('util');
+
+// Options every command accepts
+const COMMON_OPTIONS = {
+  archive: { type: 'string', short: 'a' },
+  json: { type: 'boolean' },
+  quiet: { type: 'boolean', short: 'q' },
+  verbose: { type: 'boolean', short: 'v' },
+  help: { type: 'boolean', short: 'h' }
+};
+
+const COMMON_USAGE = [
+  'Common options:',
+  '  -a, --archive <dir>  Archive root (default: ARCHIVE_ROOT from server/.env, like the web UI)',
+  '      --json           Print the result as JSON on stdout',
+  '  -q, --quiet          Don\'t draw progress bars',
+  '  -v, --verbose        Show the services\' log output (on stderr)',
+  '  -h, --help           Show a command\'s usage'
+].join('\n');
+
+// The archive the server would show: ARCHIVE_ROOT from server/.env, resolved like index.js does
+function getDefaultArchiveRoot() {
+  try {
+    require('dotenv').config({ path: path.join(__dirname, '../.env') });
+  } catch (err) {
+    // No dotenv: fall back to the environment
+  }
+  return process.env.ARCHIVE_ROOT
+    ? path.resolve(__dirname, '..', process.env.ARCHIVE_ROOT)
+    : path.resolve(__dirname, '../../../exploded_archive_node');
+}
+
+function formatUsage(commands) {
+  const width = Math.max(...Object.keys(commands).map(name => name.length));
+  return [
+    'Usage: carchive <command> [options]',
+    '',
+    'Commands:',
+    ...Object.entries(commands).map(([name, command]) => `  ${name.padEnd(width)}  ${command.summary}`),
+    '',
+    COMMON_USAGE
+  ].join('\n');
+}
+
+async function main(argv) {
+  const [name, ...args] = argv;
+  const print = console.log.bind(console);
+  const printError = console.error.bind(console);
+
+  // The services log their progress with console.log; keep it off stdout, which carries the result
+  if (args.includes('--verbose') || args.includes('-v')) {
+    console.log = console.info = printError;
+  } else {
+    console.log = console.info = console.warn = () => {};
+  }
+
+  const commands = require('../src/cli/commands');
+
+  if (!name || ['help', '--help', '-h'].includes(name)) {
+    print(formatUsage(commands));
+    return 0;
+  }
+  const command = Object.prototype.hasOwnProperty.call(commands, name) ? commands[name] : null;
+  if (!command) {
+    printError(`Unknown command: ${name}\n\n${formatUsage(commands)}`);
+    return 2;
+  }
+
+  let parsed;
+  try {
+    parsed = parseArgs({ args, options: { ...COMMON_OPTIONS, ...command.options }, allowPositionals: true });
+  } catch (err) {
+    printError(`${err.message}\nUsage: ${command.usage}`);
+    return 2;
+  }
+  const { values, positionals } = parsed;
+  if (values.help) {
+    print(`Usage: ${command.usage}\n\n${COMMON_USAGE}`);
+    return 0;
+  }
+
+  const { createProgressBar } = require('../src/cli/progress');
+  const context = {
+    values,
+    positionals,
+    archiveRoot: values.archive ? path.resolve(values.archive) : getDefaultArchiveRoot(),
+    progress: label => createProgressBar(label, { enabled: !values.quiet })
+  };
+
+  try {
+    const { result, ok, lines } = await command.run(context);
+    print(values.json ? JSON.stringify(result, null, 2) : lines.join('\n'));
+    return ok ? 0 : 1;
+  } catch (err) {
+    if (values.json) {
+      print(JSON.stringify({ error: err.message }, null, 2));
+    }
+    printError(err.showUsage ? `${err.message}\nUsage: ${command.usage}` : `${name} failed: ${err.message}`);
+    return 2;
+  }
+}
+
+main(process.argv.slice(2)).then(code => {
+  process.exitCode = code;
+});
@@ -54,8 +54,14 @@ const mediaController = require('./src/controllers/mediaController');
 const canvasController = require('./src/controllers/canvasController');
 const gizmoController = require('./src/controllers/gizmoController');
 const parserController = require('./src/controllers/parserController');
+const analyticsController = require('./src/controllers/analyticsController');
+const semanticController = require('./src/controllers/semanticController');
+const savedSearchController = require('./src/controllers/savedSearchController');
 const archiveController = require('./src/controllers/archiveController');
 const pdfController = require('./src/controllers/pdfController');
+const exportController = require('./src/controllers/exportController');
+const eventsController = require('./src/controllers/eventsController');
+const redactionController = require('./src/controllers/redactionController');
 
 // Import services
 const archiveService = require('./src/services/archiveService');
@@ -84,7 +90,10 @@ const updateArchiveRoot = (newRoot) => {
   canvasController.setArchiveRoot(newRoot);
   gizmoController.setArchiveRoot(newRoot);
   parserController.setArchiveRoot(newRoot);
+  analyticsController.setArchiveRoot(newRoot);
+  semanticController.setArchiveRoot(newRoot);
   pdfController.setArchiveRoot(newRoot);
+  exportController.setArchiveRoot(newRoot);
   console.log(`Updated all controllers to use archive root: ${newRoot}`);
 };
 
@@ -107,23 +116,49 @@ app.use(express.json());
 // Apply rate limiter to API routes
 app.use('/api', rateLimit.limiter.bind(rateLimit));
 
+// Keep the index up to date as conversation folders change on disk (ARCHIVE_WATCH=false turns this off)
+if (process.env.ARCHIVE_WATCH !== 'false') {
+  archiveService.enableWatching();
+}
+
 // Initialize the archive index
 archiveService.refreshIndex(ARCHIVE_ROOT);
 
 // Import Wizard API routes
+app.get('/api/import/types', importController.getImportTypes);
 app.get('/api/import/config', importController.getConfig);
 app.post('/api/import/config', importController.saveConfig);
 app.post('/api/import/preview', importController.generatePreview);
 app.post('/api/import/start', importController.startImport);
 app.get('/api/import/status', importController.getStatus);
+app.get('/api/import/journal', importController.getJournal);
+app.get('/api/import/events', importController.getEvents);
+app.post('/api/import/pause', importController.pauseImport);
+app.post('/api/import/resume', importController.resumeImport);
+app.post('/api/import/cancel', importController.cancelImport);
 
 // Conversation API routes
 app.get('/api/conversations', conversationController.getConversations);
 app.get('/api/conversations/meta', conversationController.getConversationsMeta);
 app.get('/api/conversations/:id', conversationController.getConversationById);
+app.get('/api/conversations/:id/similar', semanticController.getSimilarConversations);
+app.get('/api/conversations/:id/outline', conversationController.getConversationOutline);
+app.get('/api/conversations/:id/tags', conversationController.getConversationTags);
+app.put('/api/conversations/:id/tags', conversationController.updateConversationTags);
+app.put('/api/conversations/:id/messages/:messageId/tags', conversationController.updateMessageTags);
+app.get('/api/tags', conversationController.getAllTags);
 app.get('/api/search', conversationController.searchConversations);
+app.get('/api/search/status', conversationController.getSearchIndexStatus);
+app.get('/api/search/semantic', semanticController.semanticSearch);
+app.get('/api/search/semantic/status', semanticController.getSemanticIndexStatus);
+app.post('/api/search/semantic/index', semanticController.buildSemanticIndex);
+app.get('/api/saved-searches', savedSearchController.getSavedSearches);
+app.post('/api/saved-searches', savedSearchController.createSavedSearch);
+app.put('/api/saved-searches/:id', savedSearchController.updateSavedSearch);
+app.delete('/api/saved-searches/:id', savedSearchController.deleteSavedSearch);
 app.get('/api/archive-info', conversationController.getArchiveInfo);
 app.post('/api/refresh-index', conversationController.refreshArchiveIndex);
+app.get('/api/events', eventsController.streamArchiveEvents);
 
 // Media API routes
 app.get('/api/media/:conv', mediaController.listMediaFiles);
@@ -143,11 +178,23 @@ app.post('/api/gizmos/:id/name', gizmoController.updateGizmoName);
 
 // Parser API routes
 app.get('/api/parser/stats', parserController.getParserStats);
+app.get('/api/parser/report', parserController.getParserReport);
+app.post('/api/parser/report', parserController.startParserReport);
+app.get('/api/parser/report/status', parserController.getParserReportStatus);
+app.get('/api/parser/report/conversations', parserController.getParserReportConversations);
+
+// Analytics API routes
+app.get('/api/analytics', analyticsController.getAnalytics);
 
 // Archive Management routes
 app.get('/api/archive-info', archiveController.getArchiveInfo);
 app.post('/api/set-archive-root', archiveController.setArchiveRoot);
 app.post('/api/open-folder-dialog', archiveController.openFolderDialog);
+app.get('/api/archives', archiveController.getArchives);
+app.post('/api/archives', archiveController.addArchive);
+app.delete('/api/archives/:name', archiveController.removeArchive);
+app.get('/api/archive/verify', archiveController.getVerifyStatus);
+app.post('/api/archive/verify', archiveController.verifyArchive);
 
 // PDF Export routes
 app.get('/api/pdf/options', pdfController.getExportOptions);
@@ -161,6 +208,14 @@ app.get('/api/pdf/test/:id', pdfController.testSimpleExport); // Add GET route f
 app.post('/api/pdf/debug/:id', pdfController.testDebugExport);
 app.get('/api/pdf/debug/:id', pdfController.testDebugExport); // Add GET route for debugging
 
+// Markdown / Obsidian vault and static site export routes
+app.post('/api/export/markdown', exportController.exportMarkdown);
+app.post('/api/export/site', exportController.exportSite);
+
+// Redaction rules and dictionary, for redacted imports and exports
+app.get('/api/redaction', redactionController.getRedactionSettings);
+app.put('/api/redaction/dictionary', redactionController.saveRedactionDictionary);
+
 // Serve static files from the React app
 app.use(express.static(path.join(__dirname, '../client/dist')));
 
@@ -0,0 +1,312 @@
+// Claude Content Converter - turns Claude content blocks into ChatGPT-style message parts
+// so thinking, tool calls, tool results, attachments and artifacts survive the import
+const fs = require('fs-extra');
+const path = require('path');
+
+// Tool name Claude uses for artifact create/update/rewrite calls
+const ARTIFACTS_TOOL = 'artifacts';
+
+// Extensions that can keep their name when an attachment's extracted text is saved
+const TEXT_EXTENSIONS = ['.txt', '.md', '.csv', '.json', '.xml', '.html', '.js', '.ts', '.py', '.yaml', '.yml', '.log'];
+
+// Languages used to display artifacts by MIME-like artifact type
+const ARTIFACT_LANGUAGES = {
+  'application/vnd.ant.react': 'jsx',
+  'application/vnd.ant.mermaid': 'mermaid',
+  'text/html': 'html',
+  'image/svg+xml': 'svg',
+  'text/markdown': 'markdown'
+};
+
+// Convert an ISO timestamp to UNIX seconds, falling back to the given value
+function toTimestamp(isoTime, fallback) {
+  const time = isoTime ? Math.floor(new Date(isoTime).getTime() / 1000) : NaN;
+  return isNaN(time) ? fallback : time;
+}
+
+// Flatten the content of a tool_result block into text
+function toolResultText(content) {
+  if (typeof content === 'string') return content;
+  if (!Array.isArray(content)) return content ? JSON.stringify(content, null, 2) : '';
+
+  return content
+    .map(item => {
+      if (typeof item === 'string') return item;
+      if (item.type === 'text') return item.text || '';
+      // Web search and knowledge results
+      if (item.type === 'knowledge') {
+        return [item.title, item.url, item.text].filter(Boolean).join('\n');
+      }
+      return JSON.stringify(item, null, 2);
+    })
+    .join('\n\n');
+}
+
+// Build a file-system friendly name for a saved attachment
+function attachmentFileName(fileName, messageIndex, attachmentIndex) {
+  const safeName = String(fileName || `attachment_${attachmentIndex}`)
+    .replace(/[\\/:*?"<>|]/g, '_')
+    .replace(/\s+/g, '_')
+    .substring(0, 100);
+  const hasTextExtension = TEXT_EXTENSIONS.includes(path.extname(safeName).toLowerCase());
+  // extracted_content is always text, even for PDFs and documents
+  return `claude_msg_${messageIndex}_${safeName}${hasTextExtension ? '' : '.txt'}`;
+}
+
+/**
+ * Save the extracted text of a Claude message's attachments into the media folder
+ * @param {Object} claudeMessage - Claude chat message
+ * @param {string} mediaFolderPath - Conversation media folder
+ * @param {number} messageIndex - Index of the message in the conversation
+ * @returns {Promise<Array>} ChatGPT-style metadata.attachments entries
+ */
+async function saveClaudeAttachments(claudeMessage, mediaFolderPath, messageIndex) {
+  const attachments = [];
+
+  for (let i = 0; i < (claudeMessage.attachments || []).length; i++) {
+    const attachment = claudeMessage.attachments[i];
+    if (!attachment || typeof attachment.extracted_content !== 'string') continue;
+
+    try {
+      const filename = attachmentFileName(attachment.file_name, messageIndex, i);
+      await fs.writeFile(path.join(mediaFolderPath, filename), attachment.extracted_content, 'utf8');
+      attachments.push({
+        id: filename,
+        name: attachment.file_name || filename,
+        mime_type: 'text/plain',
+        size: attachment.file_size || Buffer.byteLength(attachment.extracted_content),
+        original_file_type: attachment.file_type || null
+      });
+    } catch (error) {
+      console.warn(`Failed to save attachment ${attachment.file_name} of message ${messageIndex}:`, error.message);
+    }
+  }
+
+  return attachments;
+}
+
+/**
+ * Apply an artifacts tool call (create, update or rewrite) to the conversation's artifacts
+ * @param {Map} artifacts - Artifacts of the conversation so far, keyed by artifact ID
+ * @param {Object} input - Input of the artifacts tool_use block
+ * @param {string} canvasPrefix - Prefix that makes canvas IDs unique across conversations
+ * @returns {Object} The updated artifact
+ */
+function applyArtifactCommand(artifacts, input, canvasPrefix) {
+  const artifactId = input.id || `artifact_${artifacts.size + 1}`;
+  const existing = artifacts.get(artifactId);
+  let content = existing ? existing.content : '';
+
+  if (input.command === 'update' && existing && typeof input.old_str === 'string') {
+    content = content.replace(input.old_str, input.new_str || '');
+  } else if (typeof input.content === 'string') {
+    content = input.content;
+  }
+
+  const type = input.type || existing?.type || 'text/plain';
+  const artifact = {
+    id: artifactId,
+    canvas_id: existing ? existing.canvas_id : `${canvasPrefix}_${artifactId}`,
+    title: input.title || existing?.title || 'Untitled artifact',
+    type,
+    language: input.language || existing?.language || ARTIFACT_LANGUAGES[type] || '',
+    content,
+    versions: (existing?.versions || 0) + 1
+  };
+
+  artifacts.set(artifactId, artifact);
+  return artifact;
+}
+
+/**
+ * Write the conversation's artifacts as canvas files so they render like ChatGPT canvases
+ * @param {Map} artifacts - Artifacts keyed by artifact ID
+ * @param {string} convFolderPath - Conversation folder
+ * @returns {Promise<number>} Number of canvas files written
+ */
+async function writeArtifactCanvases(artifacts, convFolderPath) {
+  if (artifacts.size === 0) return 0;
+
+  const canvasDir = path.join(convFolderPath, 'canvas');
+  await fs.ensureDir(canvasDir);
+
+  for (const artifact of artifacts.values()) {
+    await fs.writeJson(path.join(canvasDir, `${artifact.canvas_id}.json`), {
+      id: artifact.canvas_id,
+      title: artifact.title,
+      source_format: 'claude',
+      artifact: {
+        id: artifact.id,
+        type: artifact.type,
+        language: artifact.language,
+        content: artifact.content,
+        versions: artifact.versions
+      },
+      nodes: []
+    }, { spaces: 2 });
+  }
+
+  return artifacts.size;
+}
+
+/**
+ * Convert a Claude chat message into one or more ChatGPT-style messages.
+ * Text blocks are merged into one message; thinking, tool calls and tool results each
+ * become their own message so the existing renderers can show them.
+ * @param {Object} claudeMessage - Claude chat message
+ * @param {number} messageIndex - Index of the message in the conversation
+ * @param {Object} context - { artifacts, toolNames, canvasPrefix, extractedMedia, attachments, fallbackText, role, createTime, updateTime }
+ * @returns {Array<Object>} Standardized messages in conversation order
+ */
+function convertClaudeMessage(claudeMessage, messageIndex, context) {
+  const baseId = claudeMessage.uuid || claudeMessage.id || `msg_${messageIndex}`;
+  const blocks = Array.isArray(claudeMessage.content) ? claudeMessage.content : [];
+  const messages = [];
+  let textBuffer = [];
+  let textTime = null;
+
+  const baseMetadata = {
+    source_format: 'claude',
+    original_sender: claudeMessage.sender
+  };
+
+  const push = (message, blockTime) => {
+    const id = messages.length === 0 ? baseId : `${baseId}_${messages.length}`;
+    messages.push({
+      id,
+      create_time: toTimestamp(blockTime, context.createTime),
+      update_time: context.updateTime,
+      ...message,
+      metadata: { ...baseMetadata, ...message.metadata }
+    });
+  };
+
+  const flushText = () => {
+    if (textBuffer.length === 0) return;
+    push({
+      author: { role: context.role },
+      content: { content_type: 'text', parts: [textBuffer.join('\n\n')] }
+    }, textTime);
+    textBuffer = [];
+    textTime = null;
+  };
+
+  for (const block of blocks) {
+    if (!block || typeof block !== 'object') continue;
+
+    switch (block.type) {
+      case 'text':
+        if (block.text) {
+          textBuffer.push(block.text);
+          textTime = textTime || block.start_timestamp;
+        }
+        break;
+
+      case 'thinking':
+        flushText();
+        push({
+          author: { role: context.role },
+          content: {
+            content_type: 'thoughts',
+            thoughts: [{
+              summary: block.summaries?.[block.summaries.length - 1]?.summary || 'Thinking',
+              content: block.thinking || ''
+            }]
+          }
+        }, block.start_timestamp);
+        break;
+
+      case 'tool_use': {
+        flushText();
+        const input = block.input || {};
+        if (block.id) context.toolNames.set(block.id, block.name);
+
+        if (block.name === ARTIFACTS_TOOL) {
+          const artifact = applyArtifactCommand(context.artifacts, input, context.canvasPrefix);
+          const action = input.command === 'create' || artifact.versions === 1 ? 'Created' : 'Updated';
+          push({
+            author: { role: context.role },
+            content: { content_type: 'text', parts: [`*${action} artifact: **${artifact.title}***`] },
+            metadata: { canvas_id: artifact.canvas_id, artifact_id: artifact.id, artifact_version: artifact.versions }
+          }, block.start_timestamp);
+        } else {
+          push({
+            author: { role: context.role },
+            recipient: block.name || 'tool',
+            content: { content_type: 'code', language: 'json', text: JSON.stringify(input, null, 2) },
+            metadata: { tool_use_id: block.id || null }
+          }, block.start_timestamp);
+        }
+        break;
+      }
+
+      case 'tool_result': {
+        flushText();
+        const toolName = block.name || context.toolNames.get(block.tool_use_id) || 'tool';
+        // Artifact results are only an acknowledgement ("OK"); the artifact itself is the canvas
+        if (toolName === ARTIFACTS_TOOL) break;
+
+        push({
+          author: { role: 'tool', name: toolName },
+          content: {
+            content_type: 'tool_result',
+            tool_call_id: block.tool_use_id || null,
+            result: toolResultText(block.content)
+          },
+          metadata: { is_error: !!block.is_error }
+        }, block.start_timestamp);
+        break;
+      }
+
+      default:
+        // Images are extracted separately; unknown blocks are kept for the parser report
+        if (block.type !== 'image' && block.type !== 'document') {
+          flushText();
+          push({
+            author: { role: context.role },
+            content: { content_type: block.type || 'unknown', claude_block: block }
+          }, block.start_timestamp);
+        }
+    }
+  }
+  flushText();
+
+  // Messages without content blocks (older exports) only have a text field
+  if (messages.length === 0) {
+    push({
+      author: { role: context.role },
+      content: { content_type: 'text', parts: [context.fallbackText] }
+    });
+  }
+
+  // Extracted images and attachments belong to the first text message of the turn
+  const main = messages.find(m => m.content.content_type === 'text') || messages[0];
+  if (context.extractedMedia && context.extractedMedia.length > 0) {
+    main.content = {
+      content_type: 'multimodal_text',
+      parts: [
+        ...main.content.parts || [],
+        ...context.extractedMedia.map(media => ({
+          content_type: 'image_asset_pointer',
+          asset_pointer: `file-service://${media.filename}`,
+          width: media.width,
+          height: media.height
+        }))
+      ]
+    };
+  }
+  if (context.attachments && context.attachments.length > 0) {
+    main.metadata.attachments = context.attachments;
+  }
+
+  return messages;
+}
+
+module.exports = {
+  ARTIFACTS_TOOL,
+  toolResultText,
+  saveClaudeAttachments,
+  applyArtifactCommand,
+  writeArtifactCanvases,
+  convertClaudeMessage
+};
@@ -3,6 +3,14 @@ const fs = require('fs-extra');
 const path = require('path');
 const { Transform, pipeline } = require('stream');
 const JSONStream = require('JSONStream');
+const incrementalImport = require('./incremental-import');
+const zipSource = require('./zip-source');
+const contentConverter = require('./claude-content-converter');
+const { createImportTracker } = require('./import-tracker');
+const mediaStoreService = require('./services/mediaStoreService');
+const importFilters = require('./import-filters');
+const redactionService = require('./services/redactionService');
+const importJournal = require('./import-journal');
 
 // Helper: Create a folder name from a pattern and Claude conversation object
 function formatClaudeFolderName(pattern, conversationObj) {
@@ -86,7 +94,7 @@ function extractClaudeMediaReferences(conversation) {
 }
 
 // Process a single Claude conversation
-async function processClaudeConversation(conversation, config, outputBasePath) {
+async function processClaudeConversation(conversation, config, outputBasePath, existingFolder = null, tracker = createImportTracker()) {
   return new Promise(async (resolve, reject) => {
     const timeoutId = setTimeout(() => {
       reject(new Error(`Timeout processing Claude conversation ${conversation.id || 'unknown'}`));
@@ -98,12 +106,13 @@ async function processClaudeConversation(conversation, config, outputBasePath) {
       
       // Format conversation folder name
       const conversationObj = {
-        uuid: conversation.id || `claude-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`,
+        uuid: conversation.uuid || conversation.id || `claude-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`,
         title: conversation.name || 'Untitled',
         date: conversation.created_at || conversation.updated_at || new Date().toISOString()
       };
       
-      const convFolderName = formatClaudeFolderName(config.conversationPattern, conversationObj);
+      // Keep the existing folder when an incremental import updates this conversation
+      const convFolderName = existingFolder || formatClaudeFolderName(config.conversationPattern, conversationObj);
       const convFolderPath = path.join(outputBasePath, convFolderName);
       
       // Create conversation folder
@@ -125,6 +134,7 @@ async function processClaudeConversation(conversation, config, outputBasePath) {
       );
       
       console.log(`Processed ${mediaFiles.size} media files for ${conversationObj.uuid}`);
+      let mediaCount = mediaFiles.size;
       
       // Update asset pointers in the conversation JSON if needed
       // (Claude format may be different from ChatGPT)
@@ -141,90 +151,91 @@ async function processClaudeConversation(conversation, config, outputBasePath) {
         
         // Convert to standardized format and create individual files
         const standardizedMessages = [];
+        const conversionContext = {
+          artifacts: new Map(),
+          toolNames: new Map(),
+          // Artifact IDs are only unique within a conversation, canvas IDs must be unique in the archive
+          canvasPrefix: `claude_${conversationObj.uuid}`
+        };
         
         for (let i = 0; i < claudeMessages.length; i++) {
           const claudeMessage = claudeMessages[i];
           
-          // Convert Claude message to ChatGPT-compatible format
-          const standardizedMessage = {
-            id: claudeMessage.uuid || claudeMessage.id || `msg_${i}`,
-            author: {
-              role: convertClaudeRole(claudeMessage.sender)
-            },
-            content: {
-              content_type: 'text',
-              parts: [extractClaudeMessageText(claudeMessage)]
-            },
-            create_time: convertClaudeTimestamp(claudeMessage.created_at),
-            update_time: convertClaudeTimestamp(claudeMessage.updated_at),
-            metadata: {
-              source_format: 'claude',
-              original_sender: claudeMessage.sender
-            }
-          };
-          
-          // Extract and handle base64 images if present
+          // Extract and handle base64 images and attachment text if present
           const extractedMedia = await extractBase64Media(claudeMessage, mediaFolderPath, i);
-          if (extractedMedia.length > 0) {
-            // Add media references to content
-            standardizedMessage.content.content_type = 'multimodal_text';
-            standardizedMessage.content.parts = [
-              extractClaudeMessageText(claudeMessage),
-              ...extractedMedia.map(media => ({
-                content_type: 'image_asset_pointer',
-                asset_pointer: `file-service://${media.filename}`,
-                width: media.width,
-                height: media.height
-              }))
-            ];
-          }
+          const attachments = await contentConverter.saveClaudeAttachments(claudeMessage, mediaFolderPath, i);
+          mediaCount += extractedMedia.length + attachments.length;
           
-          const messageId = standardizedMessage.id;
+          // Convert the Claude message to one or more ChatGPT-compatible messages
+          // (thinking, tool calls and tool results become separate messages)
+          const convertedMessages = contentConverter.convertClaudeMessage(claudeMessage, i, {
+            ...conversionContext,
+            role: convertClaudeRole(claudeMessage.sender),
+            createTime: convertClaudeTimestamp(claudeMessage.created_at),
+            updateTime: convertClaudeTimestamp(claudeMessage.updated_at),
+            fallbackText: extractClaudeMessageText(claudeMessage),
+            extractedMedia,
+            attachments
+          });
           
-          // Create message directory
-          const msgFolderPath = path.join(messagesDirPath, messageId);
-          await fs.ensureDir(msgFolderPath);
-          
-          if (config.useMessageReferences) {
-            // Save the standardized message to a separate file
-            await fs.writeJson(
-              path.join(msgFolderPath, 'message.json'),
-              standardizedMessage,
-              { spaces: 2 }
-            );
+          for (const standardizedMessage of convertedMessages) {
+            const messageId = standardizedMessage.id;
             
-            // Create reference for conversation JSON
-            standardizedMessages.push({
-              _reference: `messages/${messageId}/message.json`,
-              _summary: {
-                role: standardizedMessage.author.role,
-                content_type: standardizedMessage.content.content_type,
-                timestamp: standardizedMessage.create_time
-              }
-            });
-          } else {
-            // Traditional approach - save complete message
-            await fs.writeJson(
-              path.join(msgFolderPath, 'message.json'),
-              standardizedMessage,
-              { spaces: 2 }
-            );
+            // Create message directory
+            const msgFolderPath = path.join(messagesDirPath, messageId);
+            await fs.ensureDir(msgFolderPath);
             
-            standardizedMessages.push(standardizedMessage);
+            if (config.useMessageReferences) {
+              // Save the standardized message to a separate file (messages already in the archive are kept as-is)
+              const messageFilePath = path.join(msgFolderPath, 'message.json');
+              if (!existingFolder || !await fs.pathExists(messageFilePath)) {
+                await fs.writeJson(messageFilePath, standardizedMessage, { spaces: 2 });
+              }
+              
+              // Create reference for conversation JSON
+              standardizedMessages.push({
+                id: messageId,
+                message: {
+                  _reference: `messages/${messageId}/message.json`,
+                  _summary: {
+                    role: standardizedMessage.author.role,
+                    content_type: standardizedMessage.content.content_type,
+                    timestamp: standardizedMessage.create_time
+                  }
+                }
+              });
+            } else {
+              // Traditional approach - save complete message
+              await fs.writeJson(
+                path.join(msgFolderPath, 'message.json'),
+                standardizedMessage,
+                { spaces: 2 }
+              );
+              
+              standardizedMessages.push({ id: messageId, message: standardizedMessage });
+            }
           }
         }
         
+        // Artifacts are written as canvases, in their final version
+        const artifactCount = await contentConverter.writeArtifactCanvases(conversionContext.artifacts, convFolderPath);
+        if (artifactCount > 0) {
+          console.log(`Saved ${artifactCount} artifacts as canvases`);
+        }
+        
         // Update conversation JSON with standardized messages format
         conversationJson.mapping = {};
-        standardizedMessages.forEach((msg, index) => {
-          const msgId = msg._reference ? claudeMessages[index].uuid || `msg_${index}` : msg.id;
-          conversationJson.mapping[msgId] = {
-            id: msgId,
-            message: msg._reference ? msg : msg,
-            parent: index > 0 ? (claudeMessages[index-1].uuid || `msg_${index-1}`) : null,
-            children: index < standardizedMessages.length - 1 ? [claudeMessages[index+1].uuid || `msg_${index+1}`] : []
+        standardizedMessages.forEach(({ id, message }, index) => {
+          conversationJson.mapping[id] = {
+            id,
+            message,
+            parent: index > 0 ? standardizedMessages[index - 1].id : null,
+            children: index < standardizedMessages.length - 1 ? [standardizedMessages[index + 1].id] : []
           };
         });
+        if (standardizedMessages.length > 0) {
+          conversationJson.current_node = standardizedMessages[standardizedMessages.length - 1].id;
+        }
         
         // Remove the original chat_messages array
         delete conversationJson.chat_messages;
@@ -234,6 +245,8 @@ async function processClaudeConversation(conversation, config, outputBasePath) {
         console.log('No messages found in Claude conversation');
       }
       
+      tracker.mediaCopied(conversationObj.uuid, mediaCount);
+      
       // Write the final conversation JSON with proper ID field for indexing
       const finalConversation = {
         ...conversationJson,
@@ -245,7 +258,9 @@ async function processClaudeConversation(conversation, config, outputBasePath) {
         title: conversationJson.title || conversationJson.name || conversationObj.title,
         // Add create_time field for compatibility (convert from ISO string to timestamp)
         create_time: conversationJson.create_time || 
-                    (conversationJson.created_at ? new Date(conversationJson.created_at).getTime() / 1000 : null)
+                    (conversationJson.created_at ? new Date(conversationJson.created_at).getTime() / 1000 : null),
+        // Add update_time so incremental imports can detect changed conversations
+        update_time: conversationJson.update_time || incrementalImport.toUnixSeconds(conversationJson.updated_at)
       };
       
       await fs.writeJson(
@@ -254,6 +269,11 @@ async function processClaudeConversation(conversation, config, outputBasePath) {
         { spaces: 2 }
       );
       
+      // With the media store enabled, keep each distinct media file once per archive
+      if (config.mediaStore) {
+        await mediaStoreService.storeConversationMedia(outputBasePath, convFolderName);
+      }
+      
       clearTimeout(timeoutId);
       resolve(convFolderPath);
     } catch (err) {
@@ -329,6 +349,20 @@ async function processInlineMedia(mediaRef, conversation, mediaFolderPath, media
   }
 }
 
+// Unpack the files one conversation references from a zip export, from the places
+// processClaudeFileReference looks for them
+async function stageClaudeConversationMedia(source, conversation) {
+  const names = new Set();
+  for (const mediaRef of extractClaudeMediaReferences(conversation)) {
+    if (mediaRef.startsWith('inline_')) continue;
+    names.add(`files/${mediaRef}`);
+    names.add(`attachments/${mediaRef}`);
+    names.add(mediaRef);
+  }
+  if (names.size === 0) return;
+  await source.stageMedia(name => names.has(name));
+}
+
 // Process Claude file reference
 async function processClaudeFileReference(fileRef, sourceDir, mediaFolderPath, mediaFiles) {
   // Look for the file in common Claude archive locations
@@ -353,6 +387,7 @@ async function processClaudeFileReference(fileRef, sourceDir, mediaFolderPath, m
 }
 
 // Sample Claude conversations for preview
+// (accepts a file path or an already-open stream, e.g. an entry of an export zip)
 async function sampleClaudeConversations(filePath, maxCount = 5) {
   return new Promise((resolve, reject) => {
     const conversations = [];
@@ -362,7 +397,8 @@ async function sampleClaudeConversations(filePath, maxCount = 5) {
     }, 10000);
     
     try {
-      const readStream = fs.createReadStream(filePath, { encoding: 'utf8' });
+      const readStream = typeof filePath === 'string' ?
+        fs.createReadStream(filePath, { encoding: 'utf8' }) : filePath;
       const jsonStream = JSONStream.parse('*');
       
       jsonStream.on('data', (data) => {
@@ -401,20 +437,32 @@ async function generateClaudePreview(config) {
   try {
     const { sourceDir, archiveName, conversationPattern, preserveJson, mediaFolder, useMessageReferences } = config;
     
-    // Check if source directory exists
-    if (!await fs.pathExists(sourceDir)) {
-      throw new Error('Source directory does not exist');
-    }
+    // Check the source folder or zip for conversations.json (zips are sampled without unpacking)
+    const source = await zipSource.resolveImportSource(sourceDir, null, { extractMedia: false });
     
-    // Check for conversations.json in source directory
-    const conversationsPath = path.join(sourceDir, 'conversations.json');
-    if (!await fs.pathExists(conversationsPath)) {
-      throw new Error('conversations.json not found in source directory');
+    // Sample conversations; with import filters set, count what they select and sample from that
+    const matchesFilters = importFilters.createImportFilter(config.filters);
+    let sampleConvos;
+    let filterSummary = null;
+    if (matchesFilters) {
+      const { samples, ...counts } = await importFilters.countMatchingConversations(
+        importFilters.streamConversations(await source.createConversationsStream()),
+        matchesFilters,
+        3
+      );
+      sampleConvos = samples;
+      filterSummary = counts;
+      if (samples.length === 0) {
+        return {
+          folderStructure: `${archiveName}/\n  # The import filters select none of the ${counts.totalConversations} conversations`,
+          archiveType: 'claude',
+          filterSummary
+        };
+      }
+    } else {
+      sampleConvos = await sampleClaudeConversations(await source.createConversationsStream(), 3);
     }
     
-    // Sample conversations
-    const sampleConvos = await sampleClaudeConversations(conversationsPath, 3);
-    
     if (!sampleConvos || sampleConvos.length === 0) {
       throw new Error('No conversations found in conversations.json');
     }
@@ -427,7 +475,7 @@ async function generateClaudePreview(config) {
       const conversation = sampleConvos[i];
       
       const conversationObj = {
-        uuid: conversation.id || `claude-${i}`,
+        uuid: conversation.uuid || conversation.id || `claude-${i}`,
         title: conversation.name || 'Untitled',
         date: conversation.created_at || new Date().toISOString()
       };
@@ -462,7 +510,8 @@ async function generateClaudePreview(config) {
     
     return {
       folderStructure: structure.join('\n'),
-      archiveType: 'claude'
+      archiveType: 'claude',
+      filterSummary
     };
   } catch (err) {
     console.error('Error generating Claude preview:', err);
@@ -471,7 +520,9 @@ async function generateClaudePreview(config) {
 }
 
 // Main Claude archive import function
-async function importClaudeArchive(config) {
+// onProgress({ totalConversations, processedConversations, failedConversations }) is optional
+async function importClaudeArchive(config, onProgress, tracker = createImportTracker()) {
+  let source = null;
   try {
     const { sourceDir, outputDir, archiveName, skipFailedConversations } = config;
     
@@ -479,28 +530,43 @@ async function importClaudeArchive(config) {
     if (!sourceDir || !outputDir) {
       throw new Error('Source and output directories must be specified');
     }
-    
-    if (!await fs.pathExists(sourceDir)) {
-      throw new Error('Source directory does not exist');
-    }
-    
-    const conversationsPath = path.join(sourceDir, 'conversations.json');
-    if (!await fs.pathExists(conversationsPath)) {
-      throw new Error('conversations.json not found in source directory');
-    }
+    const matchesFilters = importFilters.createImportFilter(config.filters);
+    const redactor = await redactionService.createRedactor(config.redaction);
     
     // Create output directory
     const outputBasePath = path.join(outputDir, archiveName);
     await fs.ensureDir(outputBasePath);
     
+    // Accept an unzipped export folder or the export zip; zip media is unpacked next to the archive per conversation
+    source = await zipSource.resolveImportSource(
+      sourceDir,
+      path.join(outputDir, `.${archiveName}_zip_staging`)
+    );
+    const importConfig = { ...config, sourceDir: source.sourceDir };
+    
+    // For incremental imports, find out what the existing archive already contains
+    const existingConversations = config.incremental ?
+      await incrementalImport.loadExistingConversations(outputBasePath) : null;
+    const mergeCounts = { added: 0, updated: 0, unchanged: 0, resumed: 0, filtered: 0 };
+    
+    // Journal finished conversations so an interrupted import can pick up where it stopped
+    const journal = await importJournal.openJournal(outputBasePath, config);
+    
     // Process conversations using streaming
+    const readStream = await source.createConversationsStream();
+    
     return new Promise((resolve, reject) => {
-      const readStream = fs.createReadStream(conversationsPath, { encoding: 'utf8' });
       
       let totalConversations = 0;
       let processedConversations = 0;
       let failedConversations = [];
       
+      const reportProgress = () => {
+        if (onProgress) {
+          onProgress({ totalConversations, processedConversations, failedConversations });
+        }
+      };
+      
       console.log('Starting Claude conversation streaming...');
       
       const countStream = new Transform({
@@ -518,23 +584,92 @@ async function importClaudeArchive(config) {
       const processStream = new Transform({
         objectMode: true,
         async transform(conversation, encoding, callback) {
+          const conversationId = conversation.uuid || conversation.id;
+          let title = conversation.name || 'Untitled';
+          try {
+            // Wait here while the import is paused; stop the pipeline once it is cancelled
+            await tracker.checkpoint();
+          } catch (err) {
+            return callback(err);
+          }
+          
           try {
-            await processClaudeConversation(conversation, config, outputBasePath);
+            // Leave out conversations the import filters don't select
+            if (matchesFilters && !matchesFilters(conversation)) {
+              mergeCounts.filtered++;
+              processedConversations++;
+              reportProgress();
+              return callback();
+            }
+            
+            // Conversations the interrupted import already finished are left as they are
+            if (journal.completed.has(conversationId)) {
+              mergeCounts.resumed++;
+              processedConversations++;
+              tracker.conversationFinished(conversationId, title, 'resumed');
+              reportProgress();
+              return callback();
+            }
+            
+            // In incremental mode, skip conversations that haven't changed since the last import
+            let existingFolder = null;
+            if (existingConversations) {
+              const { action, folder } = incrementalImport.classifyConversation(
+                existingConversations,
+                conversationId,
+                conversation.updated_at
+              );
+              
+              if (action === 'skip') {
+                mergeCounts.unchanged++;
+                await journal.record(conversationId);
+                processedConversations++;
+                tracker.conversationFinished(conversationId, title, 'unchanged');
+                reportProgress();
+                return callback();
+              }
+              existingFolder = folder;
+            }
+            
+            // Personal information never reaches the archive, not even its folder names
+            if (redactor) {
+              conversation = redactor.redactConversation(conversation);
+              title = conversation.name || 'Untitled';
+            }
+            
+            tracker.conversationStarted(conversationId, title);
+            await stageClaudeConversationMedia(source, conversation);
+            try {
+              await processClaudeConversation(conversation, importConfig, outputBasePath, existingFolder, tracker);
+            } finally {
+              await source.releaseMedia();
+            }
+            await journal.record(conversationId);
+            if (existingFolder) {
+              mergeCounts.updated++;
+            } else {
+              mergeCounts.added++;
+            }
+            tracker.conversationFinished(conversationId, title, existingFolder ? 'updated' : 'added');
             processedConversations++;
             if (processedConversations % 25 === 0) {
               console.log(`Processed ${processedConversations}/${totalConversations} conversations...`);
             }
+            reportProgress();
             callback();
           } catch (err) {
             console.error(`Error processing conversation ${conversation.id}:`, err);
+            tracker.conversationFailed(conversationId, title, err.message);
             if (skipFailedConversations) {
               console.warn(`Skipping failed Claude conversation: ${conversation.id}`);
               failedConversations.push({
                 id: conversation.id,
                 name: conversation.name || 'Untitled',
+                title: conversation.name || 'Untitled',
                 error: err.message
               });
               processedConversations++;
+              reportProgress();
               callback();
             } else {
               callback(err);
@@ -545,19 +680,34 @@ async function importClaudeArchive(config) {
       
       pipeline(
         readStream,
+        tracker.countInput(source.conversationsSize),
         JSONStream.parse('*'),
         countStream,
         processStream,
         async (err) => {
           console.log('Pipeline completed. Error:', err, 'Processed:', processedConversations, 'Total:', totalConversations);
           
+          // Media has been copied into the archive, so unpacked zip files are no longer needed
+          await source.cleanup().catch(cleanupErr => console.error('Error removing zip staging folder:', cleanupErr));
+          
           if (err) {
-            console.error('Claude import pipeline error:', err);
+            if (err.name !== 'ImportCancelledError') console.error('Claude import pipeline error:', err);
             return reject(err);
           }
           
           try {
             console.log(`Claude import completed: ${processedConversations} conversations processed, ${failedConversations.length} failed`);
+            await journal.finish();
+            const redactionReport = redactor ? await redactionService.writeReport(outputBasePath, redactor) : null;
+            if (journal.resumed) {
+              console.log(`Resumed import: ${mergeCounts.resumed} conversations had already been imported`);
+            }
+            if (existingConversations) {
+              console.log(`Incremental import: ${mergeCounts.added} added, ${mergeCounts.updated} updated, ${mergeCounts.unchanged} unchanged`);
+            }
+            if (matchesFilters) {
+              console.log(`Import filters left out ${mergeCounts.filtered} of ${totalConversations} conversations`);
+            }
             
             // Write failed conversations report
             if (failedConversations.length > 0) {
@@ -576,7 +726,13 @@ async function importClaudeArchive(config) {
               outputBasePath,
               totalConversations,
               processedConversations,
-              failedConversations: failedConversations.length
+              failedConversations: failedConversations.length,
+              addedConversations: mergeCounts.added,
+              updatedConversations: mergeCounts.updated,
+              unchangedConversations: mergeCounts.unchanged,
+              resumedConversations: mergeCounts.resumed,
+              filteredConversations: mergeCounts.filtered,
+              redactedConversations: redactionReport ? redactionReport.conversationsRedacted : 0
             });
           } catch (finalError) {
             console.error('Error in final Claude import steps:', finalError);
@@ -586,6 +742,9 @@ async function importClaudeArchive(config) {
       );
     });
   } catch (err) {
+    if (source) {
+      await source.cleanup().catch(cleanupErr => console.error('Error removing zip staging folder:', cleanupErr));
+    }
     throw err;
   }
 }
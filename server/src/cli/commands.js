@@ -0,0 +1,535 @@
+// carchive CLI commands
+// Each command's run(context) resolves to { result, ok, lines }: the result printed with --json,
+// whether the command fully succeeded (it exits with 1 otherwise), and the human-readable output.
+const fs = require('fs-extra');
+const path = require('path');
+const { pathToFileURL } = require('url');
+const importController = require('../import-controller');
+const importRegistry = require('../import-registry');
+const importJournal = require('../import-journal');
+const archiveService = require('../services/archiveService');
+const annotationService = require('../services/annotationService');
+const searchService = require('../services/searchService');
+const queryService = require('../services/queryService');
+const integrityService = require('../services/integrityService');
+const mediaStoreService = require('../services/mediaStoreService');
+const markdownExportService = require('../services/markdownExportService');
+const siteExportService = require('../services/siteExportService');
+const redactionService = require('../services/redactionService');
+const sqliteArchiveService = require('../services/sqliteArchiveService');
+const archiveConverterService = require('../services/archiveConverterService');
+
+// Items listed per section of the human-readable output before the rest are summarized
+const MAX_LISTED = 20;
+
+/**
+ * Create an error for invalid command-line usage (the command's usage is printed with it)
+ * @param {string} message - What is wrong with the arguments
+ * @returns {Error} Error flagged with showUsage
+ */
+function usageError(message) {
+  const err = new Error(message);
+  err.showUsage = true;
+  return err;
+}
+
+// List items on indented lines, summarizing the rest after MAX_LISTED
+function listLines(items, describe) {
+  const lines = items.slice(0, MAX_LISTED).map(item => `  ${describe(item)}`);
+  if (items.length > MAX_LISTED) {
+    lines.push(`  ... ${items.length - MAX_LISTED} more (use --json for the full list)`);
+  }
+  return lines;
+}
+
+// Parse a positive integer option, falling back to a default
+function intOption(value, fallback) {
+  const parsed = parseInt(value, 10);
+  return parsed > 0 ? parsed : fallback;
+}
+
+/**
+ * Index the archive (and the archives registered with it, like the web UI does)
+ * and wait for the search index to catch up
+ * @param {Object} context - Command context
+ * @returns {Promise<Array>} The archive index
+ */
+async function loadArchive(context) {
+  if (!await fs.pathExists(context.archiveRoot)) {
+    throw new Error(`Archive root directory not found: ${context.archiveRoot}`);
+  }
+
+  const archiveIndex = await archiveService.refreshIndex(context.archiveRoot);
+
+  // refreshIndex updates the search index in the background
+  const bar = context.progress('Updating search index');
+  const timer = setInterval(() => {
+    const status = searchService.getSearchIndexStatus();
+    bar.update(status.processedConversations, status.totalConversations);
+  }, 200);
+  try {
+    await searchService.waitForSearchIndex();
+  } finally {
+    clearInterval(timer);
+    bar.finish();
+  }
+
+  return archiveIndex;
+}
+
+const importCommand = {
+  summary: 'Import an OpenAI, Claude, Gemini or JSONL export into an exploded archive',
+  usage: 'carchive import <export folder or zip> --output <dir> [--type openai|claude|gemini|jsonl] ' +
+    '[--name <archive name>] [--pattern <folder pattern>] [--incremental] [--resume] [--media-store] [--redact] [--fail-fast] [--config <wizard config file>]',
+  options: {
+    output: { type: 'string', short: 'o' },
+    type: { type: 'string', short: 't' },
+    name: { type: 'string' },
+    pattern: { type: 'string' },
+    incremental: { type: 'boolean' },
+    resume: { type: 'boolean' },
+    'media-store': { type: 'boolean' },
+    redact: { type: 'boolean' },
+    'fail-fast': { type: 'boolean' },
+    config: { type: 'string' }
+  },
+
+  async run({ values, positionals, progress }) {
+    // Start from the defaults (or a saved import wizard config); flags override either
+    const savedConfig = values.config ? await fs.readJson(path.resolve(values.config)) : {};
+    let config = { ...importController.DEFAULT_CONFIG, ...savedConfig };
+    if (positionals[0]) config.sourceDir = path.resolve(positionals[0]);
+    if (values.output) config.outputDir = path.resolve(values.output);
+    if (values.type) config.archiveType = values.type;
+    if (values.name) config.archiveName = values.name;
+    if (values.pattern) config.conversationPattern = values.pattern;
+    if (values.incremental) config.incremental = true;
+    if (values['fail-fast']) config.skipFailedConversations = false;
+    if (values['media-store']) config.mediaStore = true;
+    if (values.redact) config.redaction = { ...redactionService.DEFAULT_REDACTION, ...config.redaction, enabled: true };
+
+    if (values.resume) {
+      // Continue an interrupted import with the settings it was started with
+      if (!config.outputDir) throw usageError('--resume needs the --output of the interrupted import');
+      const journal = await importJournal.readJournal(path.join(config.outputDir, config.archiveName));
+      if (!journal) {
+        throw new Error(`There is no unfinished import in ${path.join(config.outputDir, config.archiveName)}`);
+      }
+      config = { ...importController.DEFAULT_CONFIG, ...journal.config, resume: true };
+    }
+
+    if (!config.sourceDir || !config.outputDir) {
+      throw usageError('An export to import and --output are required');
+    }
+    const importer = importRegistry.getImporter(config.archiveType);
+    if (!importer) {
+      const types = importRegistry.listImporters().map(i => i.type).join(', ');
+      throw usageError(`Unsupported archive type: ${config.archiveType} (supported: ${types})`);
+    }
+
+    const bar = progress(`Importing ${importer.label}`);
+    let failures = [];
+    const summary = await importer.importArchive(config, ({ totalConversations, processedConversations, failedConversations }) => {
+      bar.update(processedConversations, totalConversations);
+      failures = failedConversations || failures;
+    });
+    bar.finish();
+
+    const lines = [`Imported ${summary.processedConversations} of ${summary.totalConversations} conversations into ${summary.outputBasePath}`];
+    if (config.incremental) {
+      lines.push(`${summary.addedConversations} added, ${summary.updatedConversations} updated, ${summary.unchangedConversations} unchanged`);
+    }
+    if (summary.redactedConversations) {
+      lines.push(`${summary.redactedConversations} conversations redacted (see ${redactionService.REDACTION_REPORT_FILE})`);
+    }
+    if (summary.filteredConversations) {
+      lines.push(`${summary.filteredConversations} conversations left out by the import filters`);
+    }
+    if (summary.resumedConversations) {
+      lines.push(`${summary.resumedConversations} conversations had already been imported before the import was interrupted`);
+    }
+    if (failures.length > 0) {
+      lines.push(`${failures.length} conversations failed (see import_errors.json):`);
+      lines.push(...listLines(failures, f => `${f.id} ${f.title}: ${f.error}`));
+    }
+
+    return {
+      result: { archiveType: config.archiveType, ...summary, failures },
+      ok: summary.failedConversations === 0,
+      lines
+    };
+  }
+};
+
+const indexCommand = {
+  summary: 'Rebuild the conversation index and bring the search index up to date',
+  usage: 'carchive index [--archive <dir>]',
+  options: {},
+
+  async run(context) {
+    const archiveIndex = await loadArchive(context);
+    const searchIndex = searchService.getSearchIndexStatus();
+
+    const sources = {};
+    for (const conv of archiveIndex) {
+      sources[conv.source] = (sources[conv.source] || 0) + 1;
+    }
+
+    return {
+      result: { archiveRoot: context.archiveRoot, conversations: archiveIndex.length, sources, searchIndex },
+      ok: searchIndex.status !== 'failed',
+      lines: [
+        `Indexed ${archiveIndex.length} conversations`,
+        ...Object.entries(sources).map(([source, count]) => `  ${source}: ${count}`),
+        searchIndex.status === 'failed' ?
+          `Search index failed: ${searchIndex.error}` :
+          `Search index: ${searchIndex.indexedMessages} messages in ${searchIndex.indexedConversations} conversations`
+      ]
+    };
+  }
+};
+
+const searchCommand = {
+  summary: 'Full-text search across the archive',
+  usage: 'carchive search <query...> [--limit <n>] [--page <n>] [--max-hits <n>] [--archive <dir>]',
+  options: {
+    limit: { type: 'string', short: 'n' },
+    page: { type: 'string' },
+    'max-hits': { type: 'string' }
+  },
+
+  async run(context) {
+    const { values, positionals } = context;
+    const query = positionals.join(' ').trim();
+    if (!query) {
+      throw usageError('A search query is required');
+    }
+
+    await loadArchive(context);
+    await searchService.loadSearchIndex(context.archiveRoot);
+    const results = await searchService.search(query, {
+      page: intOption(values.page, 1),
+      perPage: intOption(values.limit, 10),
+      maxHits: intOption(values['max-hits'], 3),
+      findConversation: archiveService.findConversationById
+    });
+
+    const lines = [`${results.total} conversations match "${query}"`];
+    results.items.forEach((item, i) => {
+      const date = item.create_time ? new Date(item.create_time * 1000).toISOString().slice(0, 10) : 'unknown date';
+      lines.push(`${(results.page - 1) * results.per_page + i + 1}. ${item.title} (${date}) ${item.id}`);
+      for (const hit of item.hits) {
+        lines.push(`     ${hit.role}: ${hit.snippet.replace(/\s+/g, ' ')}`);
+      }
+    });
+
+    return { result: results, ok: true, lines };
+  }
+};
+
+// pdfService builds media URLs as `${mediaBaseUrl}/${folder}/${filename}`; this "folder" makes
+// them file:// URLs of the conversation's media folder, so PDFs render without a running server
+function pdfMediaFolder(conv, archiveRoot) {
+  const mediaPath = path.join(archiveService.getConversationRoot(conv, archiveRoot), conv.folder, 'media');
+  return pathToFileURL(mediaPath).pathname.slice(1);
+}
+
+// Export the selected conversations as one PDF (a single conversation, or several with a table of contents)
+async function exportPdf(conversations, context) {
+  // Loaded on demand: Puppeteer is only needed for PDF export
+  const pdfService = require('../services/pdfService');
+  const includeTools = Boolean(context.values['include-tools']);
+  const filter = {
+    includeToolMessages: includeTools,
+    includeSystemMessages: false,
+    roles: includeTools ? ['user', 'assistant', 'tool'] : ['user', 'assistant']
+  };
+
+  const bar = context.progress('Loading conversations');
+  const loaded = [];
+  try {
+    for (const conv of conversations) {
+      const result = await archiveService.loadConversationMessages(
+        conv.folder,
+        archiveService.getConversationRoot(conv, context.archiveRoot)
+      );
+      loaded.push({ conv, messages: result.messages });
+      bar.update(loaded.length, conversations.length);
+    }
+    bar.finish();
+
+    const pdfBuffer = loaded.length === 1 ?
+      await pdfService.generatePDF({
+        messages: loaded[0].messages,
+        title: loaded[0].conv.title || `Conversation ${loaded[0].conv.id}`,
+        filter,
+        mediaBaseUrl: 'file://',
+        conversationFolder: pdfMediaFolder(loaded[0].conv, context.archiveRoot)
+      }) :
+      await pdfService.generateMultiConversationPDF(loaded.map(({ conv, messages }) => ({
+        id: conv.id,
+        title: conv.title || `Conversation ${conv.id}`,
+        messages: pdfService.filterMessages(messages, filter),
+        folder: pdfMediaFolder(conv, context.archiveRoot),
+        createTime: conv.create_time
+      })), {
+        mediaBaseUrl: 'file://',
+        includeTableOfContents: true
+      });
+
+    const output = path.resolve(context.values.output);
+    await fs.outputFile(output, pdfBuffer);
+    return { output, exported: loaded.length, bytes: pdfBuffer.length, failed: [] };
+  } finally {
+    await pdfService.closeBrowser();
+  }
+}
+
+const exportCommand = {
+  summary: 'Export conversations as a PDF, a Markdown (Obsidian) vault or a static HTML site',
+  usage: 'carchive export <pdf|markdown|site> [conversation IDs...] --output <file or dir> ' +
+    '[--from-date <date>] [--to-date <date>] [--model <slug>] [--gizmo <id>] [--source <archive>] [--tag <tags>] [--starred] [--q <text>] [--query <query>] ' +
+    '[--title <site title>] [--include-tools] [--no-media] [--redact] [--archive <dir>]',
+  options: {
+    output: { type: 'string', short: 'o' },
+    'from-date': { type: 'string' },
+    'to-date': { type: 'string' },
+    model: { type: 'string' },
+    gizmo: { type: 'string' },
+    source: { type: 'string' },
+    tag: { type: 'string' },
+    starred: { type: 'boolean' },
+    q: { type: 'string' },
+    query: { type: 'string' },
+    title: { type: 'string' },
+    'include-tools': { type: 'boolean' },
+    'no-media': { type: 'boolean' },
+    redact: { type: 'boolean' }
+  },
+
+  async run(context) {
+    const { values, positionals } = context;
+    const [format, ...ids] = positionals;
+    if (!['pdf', 'markdown', 'site'].includes(format)) {
+      throw usageError('Choose an export format: pdf, markdown or site');
+    }
+    if (!values.output) {
+      throw usageError('--output is required');
+    }
+    if (values.redact && format === 'pdf') {
+      throw usageError('--redact works with markdown and site exports');
+    }
+
+    await loadArchive(context);
+
+    // Explicit conversation IDs, or the same filters (and query language) as /api/conversations
+    let conversations;
+    const missing = [];
+    if (ids.length > 0) {
+      conversations = ids.map(id => {
+        const conv = archiveService.findConversationById(id);
+        if (!conv) missing.push(id);
+        return conv;
+      }).filter(Boolean);
+    } else {
+      await annotationService.loadAnnotations(context.archiveRoot);
+      await searchService.loadSearchIndex(context.archiveRoot);
+      conversations = archiveService.filterConversations(archiveService.getArchiveIndex(), {
+        from_date: values['from-date'],
+        to_date: values['to-date'],
+        model: values.model,
+        gizmo: values.gizmo,
+        source: values.source,
+        tag: values.tag,
+        starred: values.starred ? 'true' : undefined,
+        q: values.q
+      });
+      if (values.query) {
+        conversations = await queryService.filterByQuery(conversations, values.query);
+      }
+    }
+    if (conversations.length === 0) {
+      throw new Error('No matching conversations found');
+    }
+
+    const includeMedia = !values['no-media'];
+    const redaction = values.redact ? { ...redactionService.DEFAULT_REDACTION, enabled: true } : null;
+    let summary;
+    if (format === 'pdf') {
+      summary = await exportPdf(conversations, context);
+    } else if (format === 'markdown') {
+      summary = await markdownExportService.exportConversationsToMarkdown(context.archiveRoot, conversations, {
+        outputDir: path.resolve(values.output),
+        includeMedia,
+        redaction
+      });
+    } else {
+      summary = await siteExportService.exportStaticSite(context.archiveRoot, conversations, {
+        outputDir: path.resolve(values.output),
+        title: values.title,
+        includeMedia,
+        redaction
+      });
+    }
+
+    const failed = summary.failed || [];
+    const lines = [`Exported ${summary.exported} conversations to ${summary.output || summary.outputDir}`];
+    if (summary.redaction) {
+      lines.push(`Redacted ${summary.redaction.conversationsRedacted} conversations (see ${redactionService.REDACTION_REPORT_FILE})`);
+    }
+    if (missing.length > 0) {
+      lines.push(`${missing.length} conversation IDs not found:`, ...listLines(missing, id => id));
+    }
+    if (failed.length > 0) {
+      lines.push(`${failed.length} conversations failed:`, ...listLines(failed, f => `${f.id}: ${f.error}`));
+    }
+
+    return {
+      result: { format, ...summary, missing },
+      ok: missing.length === 0 && failed.length === 0,
+      lines
+    };
+  }
+};
+
+// Describe one integrity issue on a single line
+function describeIssue(type, issue) {
+  switch (type) {
+    case 'dangling_references':
+    case 'missing_media':
+      return `${issue.folder}: message ${issue.message_id} -> ${issue.reference}`;
+    case 'unparsable_json':
+      return `${issue.path}: ${issue.error}`;
+    case 'duplicate_ids':
+      return `${issue.conversation_id}: ${issue.folders.join(', ')}`;
+    default:
+      return issue.path;
+  }
+}
+
+const verifyCommand = {
+  summary: 'Check the archive for dangling references, missing or orphan media, bad JSON and duplicate IDs',
+  usage: 'carchive verify [--archive <dir>] [--repair --export <original export folder or zip>]',
+  options: {
+    repair: { type: 'boolean' },
+    export: { type: 'string' }
+  },
+
+  async run({ values, archiveRoot, progress }) {
+    if (values.repair && !values.export) {
+      throw usageError('--repair needs the original export (--export)');
+    }
+
+    const bar = progress('Verifying');
+    const report = await integrityService.verifyArchive(archiveRoot, {
+      repair: Boolean(values.repair),
+      sourceDir: values.export && path.resolve(values.export),
+      onProgress: ({ totalConversations, processedConversations }) => bar.update(processedConversations, totalConversations)
+    });
+    bar.finish();
+
+    const lines = [`Checked ${report.total_conversations} conversations (${report.total_messages} messages) in ${report.archive_root}`];
+    if (report.repaired) {
+      lines.push(`Restored ${report.repaired.length} missing media files from the export`);
+    }
+    for (const type of integrityService.ISSUE_TYPES) {
+      const issues = report.issues[type];
+      if (issues.length === 0) continue;
+      lines.push('', `${type.replace(/_/g, ' ')} (${issues.length}):`, ...listLines(issues, issue => describeIssue(type, issue)));
+    }
+    lines.push('', report.ok ? 'No issues found' : 'Issues found');
+
+    return { result: report, ok: report.ok, lines };
+  }
+};
+
+const migrateMediaCommand = {
+  summary: 'Move conversation media into the archive\'s content-addressed media store, keeping duplicates once',
+  usage: 'carchive migrate-media [--archive <dir>]',
+  options: {},
+
+  async run({ archiveRoot, progress }) {
+    const bar = progress('Moving media into the media store');
+    const summary = await mediaStoreService.migrateArchive(archiveRoot, ({ totalConversations, processedConversations }) => {
+      bar.update(processedConversations, totalConversations);
+    });
+    bar.finish();
+
+    const megabytes = (summary.bytesSaved / (1024 * 1024)).toFixed(1);
+    const lines = [
+      `Moved the media of ${summary.conversations} conversations into ${path.join(archiveRoot, mediaStoreService.MEDIA_STORE_DIR)}`,
+      `${summary.stored} files stored, ${summary.deduplicated} duplicates removed (${megabytes} MB saved)`
+    ];
+    if (summary.failed.length > 0) {
+      lines.push(`${summary.failed.length} conversations failed:`, ...listLines(summary.failed, f => `${f.folder}: ${f.error}`));
+    }
+
+    return {
+      result: { archiveRoot, ...summary },
+      ok: summary.failed.length === 0,
+      lines
+    };
+  }
+};
+
+const convertCommand = {
+  summary: 'Convert an archive between the folder layout and a single-file SQLite archive',
+  usage: 'carchive convert --output <archive.sqlite or dir> [--link-media] [--archive <dir or archive.sqlite>]',
+  options: {
+    output: { type: 'string', short: 'o' },
+    'link-media': { type: 'boolean' }
+  },
+
+  async run({ archiveRoot, values, progress }) {
+    if (!values.output) {
+      throw usageError('--output is required');
+    }
+    const output = path.resolve(values.output);
+    const toSqlite = !sqliteArchiveService.isSqliteArchive(archiveRoot);
+    if (toSqlite && !sqliteArchiveService.SQLITE_ARCHIVE_PATTERN.test(output)) {
+      throw usageError('Converting a folder archive needs an --output ending in .sqlite, .sqlite3 or .db');
+    }
+    if (!toSqlite && values['link-media']) {
+      throw usageError('--link-media works when converting a folder archive to SQLite');
+    }
+
+    const bar = progress(toSqlite ? 'Converting to SQLite' : 'Converting to folders');
+    const onProgress = ({ totalConversations, processedConversations }) => {
+      bar.update(processedConversations, totalConversations);
+    };
+    const summary = toSqlite
+      ? await archiveConverterService.convertFoldersToSqlite(archiveRoot, output, { linkMedia: values['link-media'], onProgress })
+      : await archiveConverterService.convertSqliteToFolders(archiveRoot, output, { onProgress });
+    bar.finish();
+
+    const lines = [
+      `Converted ${summary.conversations} conversations (${summary.messages} message files) to ${output}`,
+      `${summary.mediaFiles} media files` +
+        (toSqlite ? (values['link-media'] ? ' linked' : `, ${summary.mediaBlobs} distinct ones stored`) : '') +
+        `, ${summary.otherFiles} other files`
+    ];
+    if (summary.missingMedia > 0) {
+      lines.push(`${summary.missingMedia} media files were missing and left out`);
+    }
+    const failed = summary.failed || [];
+    if (failed.length > 0) {
+      lines.push(`${failed.length} conversations failed:`, ...listLines(failed, f => `${f.folder}: ${f.error}`));
+    }
+
+    return {
+      result: { archiveRoot, output, format: toSqlite ? 'sqlite' : 'folders', ...summary },
+      ok: failed.length === 0,
+      lines
+    };
+  }
+};
+
+module.exports = {
+  import: importCommand,
+  index: indexCommand,
+  search: searchCommand,
+  export: exportCommand,
+  verify: verifyCommand,
+  'migrate-media': migrateMediaCommand,
+  convert: convertCommand
+};
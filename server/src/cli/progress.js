@@ -0,0 +1,54 @@
+// Progress bars for the carchive CLI, drawn on stderr so stdout stays free for results
+const BAR_WIDTH = 30;
+
+// Minimum time between redraws of an interactive bar
+const REDRAW_INTERVAL_MS = 100;
+
+/**
+ * Create a progress bar. On a terminal it redraws in place; otherwise (cron jobs, CI logs)
+ * it prints a line every 10% so the log stays readable.
+ * @param {string} label - Text shown before the bar
+ * @param {Object} options - { enabled: false to draw nothing, stream: defaults to stderr }
+ * @returns {Object} { update(done, total), finish(message) }
+ */
+function createProgressBar(label, options = {}) {
+  const { enabled = true, stream = process.stderr } = options;
+  const interactive = Boolean(stream.isTTY);
+  let lastDraw = 0;
+  let lastStep = -1;
+  let drawn = false;
+
+  return {
+    update(done, total) {
+      if (!enabled) return;
+      const percent = total > 0 ? Math.min(100, Math.floor((done / total) * 100)) : 0;
+
+      if (interactive) {
+        const now = Date.now();
+        if (now - lastDraw < REDRAW_INTERVAL_MS && done < total) return;
+        lastDraw = now;
+
+        const filled = Math.round((BAR_WIDTH * percent) / 100);
+        stream.write(`\r${label} [${'#'.repeat(filled)}${'-'.repeat(BAR_WIDTH - filled)}] ${percent}% ${done}/${total}`);
+        drawn = true;
+      } else if (Math.floor(percent / 10) > lastStep) {
+        lastStep = Math.floor(percent / 10);
+        stream.write(`${label}: ${percent}% (${done}/${total})\n`);
+      }
+    },
+
+    finish(message) {
+      if (!enabled) return;
+      if (drawn) {
+        stream.write('\r\x1b[K');
+      }
+      if (message) {
+        stream.write(`${message}\n`);
+      }
+    }
+  };
+}
+
+module.exports = {
+  createProgressBar
+};
@@ -0,0 +1,43 @@
+// Analytics Controller - usage statistics for the analytics dashboard
+const analyticsService = require('../services/analyticsService');
+
+// Get archive root from environment or config - will be injected in main server file
+let ARCHIVE_ROOT = '';
+
+/**
+ * Set the archive root directory
+ * @param {string} rootPath - Path to the archive root
+ */
+function setArchiveRoot(rootPath) {
+  if (rootPath !== ARCHIVE_ROOT) {
+    analyticsService.clearSummaries();
+  }
+  ARCHIVE_ROOT = rootPath;
+}
+
+/**
+ * Get analytics for the archive, optionally limited to a date range
+ * (from_date, to_date) and any of the conversation list filters
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function getAnalytics(req, res) {
+  try {
+    for (const key of ['from_date', 'to_date']) {
+      if (req.query[key] && isNaN(new Date(req.query[key]).getTime())) {
+        return res.status(400).json({ error: `Invalid ${key}: ${req.query[key]}` });
+      }
+    }
+
+    const analytics = await analyticsService.getAnalytics(ARCHIVE_ROOT, req.query);
+    res.json(analytics);
+  } catch (err) {
+    console.error('Error computing analytics:', err);
+    res.status(500).json({ error: 'Failed to compute analytics' });
+  }
+}
+
+module.exports = {
+  setArchiveRoot,
+  getAnalytics
+};
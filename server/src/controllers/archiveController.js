@@ -10,6 +10,10 @@ try {
   console.log('Electron not available, file dialog functionality will be disabled');
 }
 const dotenv = require('dotenv');
+const archiveService = require('../services/archiveService');
+const archiveRegistry = require('../services/archiveRegistry');
+const integrityService = require('../services/integrityService');
+const { archiveFs } = require('../services/sqliteArchiveService');
 
 // Path to .env file
 const ENV_FILE_PATH = path.resolve(__dirname, '../../.env');
@@ -35,7 +39,7 @@ const getArchiveRoot = () => {
   return archiveRoot;
 };
 
-// Check if a directory is a valid exploded archive
+// Check if a directory (or SQLite archive file) is a valid exploded archive
 const validateArchiveDirectory = async (directoryPath) => {
   try {
     // Check if the directory exists
@@ -47,7 +51,7 @@ const validateArchiveDirectory = async (directoryPath) => {
     }
     
     // Get directory listing
-    const items = await fs.readdir(directoryPath);
+    const items = await archiveFs.readdir(directoryPath);
     
     // Look for conversation folders (they should start with dates like "2024-" or be UUIDs)
     const conversationFolders = items.filter(item => {
@@ -55,8 +59,8 @@ const validateArchiveDirectory = async (directoryPath) => {
       if (/^\d{4}-\d{2}-\d{2}_/.test(item)) {
         return true;
       }
-      // Match UUID format folders
-      if (/^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(item)) {
+      // Match UUID format folders, including the import wizard's default {uuid}_{date}_{title}
+      if (/^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}(_|$)/i.test(item)) {
         return true;
       }
       return false;
@@ -73,7 +77,7 @@ const validateArchiveDirectory = async (directoryPath) => {
     let hasValidConversations = false;
     for (const folder of conversationFolders.slice(0, 5)) { // Check up to 5 folders
       const conversationJsonPath = path.join(directoryPath, folder, 'conversation.json');
-      if (await fs.pathExists(conversationJsonPath)) {
+      if (await archiveFs.pathExists(conversationJsonPath)) {
         hasValidConversations = true;
         break;
       }
@@ -189,6 +193,112 @@ module.exports = {
     }
   },
   
+  // List the archives browsed together: the primary archive plus registered ones
+  getArchives: async (req, res) => {
+    try {
+      const sources = await archiveRegistry.getArchiveSources();
+      const archiveIndex = archiveService.getArchiveIndex();
+      
+      res.json({
+        archives: sources.map(source => ({
+          ...source,
+          conversationCount: archiveIndex.filter(c => c.source === source.name).length
+        }))
+      });
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  },
+  
+  // Register an additional archive and merge it into the index
+  addArchive: async (req, res) => {
+    try {
+      const { name, archivePath } = req.body;
+      
+      if (!archivePath) {
+        return res.status(400).json({ error: 'Archive path is required' });
+      }
+      
+      const validation = await validateArchiveDirectory(archivePath);
+      if (!validation.valid) {
+        return res.status(400).json({ error: `Invalid archive directory: ${validation.reason}` });
+      }
+      
+      let archives;
+      try {
+        archives = await archiveRegistry.addArchive(name, archivePath);
+      } catch (error) {
+        return res.status(400).json({ error: error.message });
+      }
+      
+      await archiveService.refreshIndex(archiveRegistry.getPrimaryRoot());
+      
+      res.json({ success: true, archives });
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  },
+  
+  // Unregister an additional archive; its files are left untouched
+  removeArchive: async (req, res) => {
+    try {
+      const archives = await archiveRegistry.removeArchive(req.params.name);
+      if (!archives) {
+        return res.status(404).json({ error: 'Archive not found' });
+      }
+      
+      await archiveService.refreshIndex(archiveRegistry.getPrimaryRoot());
+      
+      res.json({ success: true, archives });
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  },
+  
+  // Start an integrity check of the current archive (or a registered one by `source`);
+  // with `repair` and `sourceDir`, missing media is copied back from the original export
+  verifyArchive: async (req, res) => {
+    try {
+      const { source, repair, sourceDir } = req.body || {};
+      
+      let archiveRoot = getArchiveRoot();
+      if (source) {
+        const match = (await archiveRegistry.getArchiveSources()).find(s => s.name === source);
+        if (!match) {
+          return res.status(404).json({ error: 'Archive not found' });
+        }
+        archiveRoot = match.path;
+      }
+      
+      if (repair && !sourceDir) {
+        return res.status(400).json({ error: 'sourceDir (the original export) is required to repair media' });
+      }
+      
+      if (!integrityService.startVerify(archiveRoot, { repair: Boolean(repair), sourceDir })) {
+        return res.status(409).json({
+          error: 'Archive verification already in progress',
+          job: integrityService.getJobStatus()
+        });
+      }
+      
+      res.json({ success: true, archiveRoot, job: integrityService.getJobStatus() });
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  },
+  
+  // Get the verify job status and the last report
+  getVerifyStatus: async (req, res) => {
+    try {
+      res.json({
+        job: integrityService.getJobStatus(),
+        report: integrityService.getLastReport()
+      });
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  },
+  
   // Open a folder dialog
   openFolderDialog: async (req, res) => {
     try {
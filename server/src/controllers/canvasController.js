@@ -1,5 +1,6 @@
 // Canvas Controller - Handles canvas-related API endpoints
 const canvasProcessor = require('../models/canvas-processor');
+const archiveRegistry = require('../services/archiveRegistry');
 
 // Get archive root from environment or config - will be injected in main server file
 let ARCHIVE_ROOT = '';
@@ -24,7 +25,12 @@ async function getCanvasById(req, res) {
       return res.status(400).json({ error: 'No canvas ID provided' });
     }
     
-    const canvasData = await canvasProcessor.findCanvasData(canvasId, ARCHIVE_ROOT);
+    // Canvases may be in any of the browsed archives; the primary archive is searched first
+    let canvasData = null;
+    for (const archiveRoot of archiveRegistry.getArchiveRoots(ARCHIVE_ROOT)) {
+      canvasData = await canvasProcessor.findCanvasData(canvasId, archiveRoot);
+      if (canvasData) break;
+    }
     
     if (!canvasData) {
       return res.status(404).json({ error: 'Canvas not found' });
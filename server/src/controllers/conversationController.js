@@ -3,14 +3,15 @@
  * @param {string} folder - Conversation folder
  * @param {string} archiveRoot - Archive root path
  * @param {number} retries - Number of retries (default: 2)
+ * @param {Object} options - Options passed through to archiveService.loadConversationMessages
  * @returns {Promise<Object>} Conversation messages
  */
-async function loadConversationWithRetry(folder, archiveRoot, retries = 2) {
+async function loadConversationWithRetry(folder, archiveRoot, retries = 2, options = {}) {
   let lastError = null;
   
   for (let attempt = 0; attempt <= retries; attempt++) {
     try {
-      return await archiveService.loadConversationMessages(folder, archiveRoot);
+      return await archiveService.loadConversationMessages(folder, archiveRoot, null, options);
     } catch (err) {
       lastError = err;
       console.error(`Error loading conversation (attempt ${attempt}):`, err);
@@ -25,9 +26,10 @@ async function loadConversationWithRetry(folder, archiveRoot, retries = 2) {
   // If we get here, all retries failed
   throw lastError;
 }// Conversation Controller - Handles conversation-related API endpoints
-const path = require('path');
-const fs = require('fs-extra');
 const archiveService = require('../services/archiveService');
+const searchService = require('../services/searchService');
+const annotationService = require('../services/annotationService');
+const queryService = require('../services/queryService');
 const gizmoResolver = require('../models/gizmo-resolver');
 
 /**
@@ -35,14 +37,15 @@ const gizmoResolver = require('../models/gizmo-resolver');
  * @param {string} folder - Conversation folder
  * @param {string} archiveRoot - Archive root path
  * @param {number} retries - Number of retries (default: 2)
+ * @param {Object} options - Options passed through to archiveService.loadConversationMessages
  * @returns {Promise<Object>} Conversation messages
  */
-async function loadConversationWithRetry(folder, archiveRoot, retries = 2) {
+async function loadConversationWithRetry(folder, archiveRoot, retries = 2, options = {}) {
   let lastError = null;
   
   for (let attempt = 0; attempt <= retries; attempt++) {
     try {
-      return await archiveService.loadConversationMessages(folder, archiveRoot);
+      return await archiveService.loadConversationMessages(folder, archiveRoot, null, options);
     } catch (err) {
       lastError = err;
       console.error(`Error loading conversation (attempt ${attempt}):`, err);
@@ -82,53 +85,28 @@ async function getConversations(req, res) {
     // Get current archive index
     const archiveIndex = archiveService.getArchiveIndex();
     
-    // Apply filters if provided
-    let filteredItems = [...archiveIndex];
-    
-    // Filter by model if specified
-    if (req.query.model) {
-      filteredItems = filteredItems.filter(c => 
-        c.models.some(model => model.includes(req.query.model))
-      );
-    }
-    
-    // Filter by gizmo/Custom GPT if specified
-    if (req.query.gizmo === 'true') {
-      filteredItems = filteredItems.filter(c => c.has_gizmo);
-    }
-    
-    // Filter by web search if specified
-    if (req.query.web_search === 'true') {
-      filteredItems = filteredItems.filter(c => c.has_web_search);
-    }
+    // Annotations are needed for the tag/starred filters and the list badges
+    await annotationService.loadAnnotations(ARCHIVE_ROOT);
     
-    // Filter by media content if specified
-    if (req.query.has_media === 'true') {
-      filteredItems = filteredItems.filter(c => c.has_media);
-    }
-    
-    // Filter by date range if specified
-    if (req.query.from_date) {
-      const fromTime = new Date(req.query.from_date).getTime() / 1000;
-      filteredItems = filteredItems.filter(c => c.create_time >= fromTime);
-    }
-    
-    if (req.query.to_date) {
-      const toTime = new Date(req.query.to_date).getTime() / 1000;
-      filteredItems = filteredItems.filter(c => c.create_time <= toTime);
-    }
-    
-    // Filter by search term if provided
-    if (req.query.q) {
-      const searchTerm = req.query.q.toLowerCase();
-      filteredItems = filteredItems.filter(c => 
-        c.title.toLowerCase().includes(searchTerm)
-      );
+    // Apply filters if provided
+    let filteredItems = archiveService.filterConversations(archiveIndex, req.query);
+    
+    // Advanced query (see queryService); its words and phrases are looked up in the full-text index
+    if (req.query.query) {
+      await searchService.loadSearchIndex(ARCHIVE_ROOT);
+      try {
+        filteredItems = await queryService.filterByQuery(filteredItems, req.query.query);
+      } catch (err) {
+        if (err.name !== 'QueryError') throw err;
+        return res.status(400).json({ error: err.message, position: err.position });
+      }
     }
     
     const total = filteredItems.length;
     const start = (page - 1) * per_page;
-    const pageItems = filteredItems.slice(start, start + per_page);
+    const pageItems = filteredItems
+      .slice(start, start + per_page)
+      .map(c => ({ ...c, ...annotationService.getAnnotationSummary(c.id) }));
     
     res.json({ 
       items: pageItems, 
@@ -262,6 +240,11 @@ const messageCache = {
   }
 };
 
+// Drop the cached pages of conversations that changed on disk
+archiveService.onArchiveEvent('change', changes => {
+  changes.forEach(change => messageCache.invalidate(change.id));
+});
+
 /**
  * Get detailed conversation with messages
  * @param {Object} req - Express request object
@@ -288,10 +271,13 @@ async function getConversationById(req, res) {
       limit = per_page;
     }
     
-    // Build cache key based on pagination style
-    const cacheKey = req.query.offset !== undefined ? 
+    // Branch of the conversation tree to display (defaults to current_node)
+    const branch = req.query.branch || null;
+    
+    // Build cache key based on pagination style and branch
+    const cacheKey = (req.query.offset !== undefined ? 
       `${req.params.id}_offset_${offset}_${limit}` : 
-      `${req.params.id}_page_${req.query.page || 1}_${limit}`;
+      `${req.params.id}_page_${req.query.page || 1}_${limit}`) + (branch ? `_branch_${branch}` : '');
     
     // Check cache first
     const cachedData = messageCache.cache.get(cacheKey);
@@ -306,7 +292,7 @@ async function getConversationById(req, res) {
     let result;
     try {
       // Use the retry function instead of direct call
-      result = await loadConversationWithRetry(conv.folder, ARCHIVE_ROOT, 3);
+      result = await loadConversationWithRetry(conv.folder, archiveService.getConversationRoot(conv, ARCHIVE_ROOT), 3, { branch });
     } catch (err) {
       console.error(`Failed to load conversation ${req.params.id} after retries:`, err);
       return res.status(500).json({ 
@@ -378,6 +364,7 @@ async function getConversationById(req, res) {
       has_media: conv.has_media,
       has_canvas: result.canvas_ids && result.canvas_ids.length > 0,
       canvas_ids: result.canvas_ids || [],
+      current_node: result.current_node,
       models: conv.models,
       total_messages,
       messages: pageMessages,
@@ -419,91 +406,52 @@ async function getConversationById(req, res) {
 }
 
 /**
- * Search across conversations
+ * Search across conversations using the persistent full-text index
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
  */
 async function searchConversations(req, res) {
   try {
-    const query = (req.query.q || '').toLowerCase();
+    const query = req.query.q || '';
     const page = Math.max(1, parseInt(req.query.page) || 1);
     const per_page = Math.max(1, parseInt(req.query.limit) || 10);
+    const max_hits = Math.max(0, parseInt(req.query.max_hits) || 3);
     
-    if (!query) {
+    if (!query.trim()) {
       return res.json({ items: [], total: 0, page, per_page });
     }
     
-    // Get current archive index
-    const archiveIndex = archiveService.getArchiveIndex();
-    
-    // First pass: find conversations by title
-    const titleMatches = archiveIndex.filter(conv => 
-      conv.title.toLowerCase().includes(query)
-    );
-    
-    // Second pass: search within conversation content (more intensive)
-    const contentMatches = [];
-    const alreadyMatchedIds = new Set(titleMatches.map(c => c.id));
-    
-    // Limit to first 100 conversations for performance
-    const conversationsToSearch = archiveIndex
-      .filter(c => !alreadyMatchedIds.has(c.id))
-      .slice(0, 100);
-    
-    for (const conv of conversationsToSearch) {
-      // Load full conversation JSON to search content
-      const jsonPath = path.join(ARCHIVE_ROOT, conv.folder, 'conversation.json');
-      const conversation = await fs.readJson(jsonPath);
-      
-      // Check if any message content contains the query
-      const hasMatch = Object.values(conversation.mapping || {}).some(messageObj => {
-        if (!messageObj.message || !messageObj.message.content) return false;
-        
-        // If it's a reference, check if we need to load the referenced message
-        if (messageObj.message._reference) {
-          // We'll skip these for now in the search to improve performance
-          return false;
-        }
-        
-        // Search in text content parts
-        if (messageObj.message.content.parts) {
-          return messageObj.message.content.parts.some(part => {
-            if (typeof part === 'string') {
-              return part.toLowerCase().includes(query);
-            }
-            return false;
-          });
-        }
-        return false;
-      });
-      
-      if (hasMatch) {
-        contentMatches.push(conv);
-      }
-      
-      // Limit search for performance
-      if (contentMatches.length >= 50) break;
-    }
-    
-    // Combine results, ensuring no duplicates
-    const allMatches = [...titleMatches];
-    for (const match of contentMatches) {
-      if (!alreadyMatchedIds.has(match.id)) {
-        allMatches.push(match);
-      }
-    }
+    // Make sure the persisted index for this archive is loaded (built in the background by refreshIndex)
+    await searchService.loadSearchIndex(ARCHIVE_ROOT);
     
-    const total = allMatches.length;
-    const start = (page - 1) * per_page;
-    const pageItems = allMatches.slice(start, start + per_page);
+    const results = await searchService.search(query, {
+      page,
+      perPage: per_page,
+      maxHits: max_hits,
+      findConversation: archiveService.findConversationById
+    });
     
-    res.json({ items: pageItems, total, page, per_page });
+    res.json(results);
   } catch (err) {
     console.error('Error searching conversations:', err);
     res.status(500).json({ error: 'Failed to search conversations' });
   }
 }
 
+/**
+ * Get the status of the full-text search index
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+function getSearchIndexStatus(req, res) {
+  try {
+    res.json(searchService.getSearchIndexStatus());
+  } catch (err) {
+    console.error('Error getting search index status:', err);
+    res.status(500).json({ error: 'Failed to get search index status' });
+  }
+}
+
 /**
  * Get information about the archive
  * @param {Object} req - Express request object
@@ -557,12 +505,122 @@ async function refreshArchiveIndex(req, res) {
   }
 }
 
+/**
+ * Get the outline of a conversation (its user prompts and the headings of the answers) for
+ * navigating long conversations
+ * @param {Object} req - Express request object; query.branch selects a branch like getConversationById
+ * @param {Object} res - Express response object
+ */
+async function getConversationOutline(req, res) {
+  try {
+    const conv = archiveService.findConversationById(req.params.id);
+    if (!conv) return res.status(404).json({ error: 'Conversation not found' });
+    
+    const result = await loadConversationWithRetry(conv.folder, archiveService.getConversationRoot(conv, ARCHIVE_ROOT), 3,
+      { branch: req.query.branch || null });
+    res.json({
+      id: conv.id,
+      total_messages: result.messages.length,
+      entries: archiveService.buildConversationOutline(result.messages)
+    });
+  } catch (err) {
+    console.error('Error getting conversation outline:', err);
+    res.status(500).json({ error: 'Failed to get conversation outline' });
+  }
+}
+
+/**
+ * Get the user tags, star and note of a conversation and its messages
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function getConversationTags(req, res) {
+  try {
+    const conv = archiveService.findConversationById(req.params.id);
+    if (!conv) return res.status(404).json({ error: 'Conversation not found' });
+    
+    res.json(await annotationService.getConversationAnnotations(ARCHIVE_ROOT, conv.id));
+  } catch (err) {
+    console.error('Error getting conversation tags:', err);
+    res.status(500).json({ error: 'Failed to get conversation tags' });
+  }
+}
+
+/**
+ * Update the user tags, star and/or note of a conversation
+ * @param {Object} req - Express request object with { tags, starred, note } body
+ * @param {Object} res - Express response object
+ */
+async function updateConversationTags(req, res) {
+  try {
+    const conv = archiveService.findConversationById(req.params.id);
+    if (!conv) return res.status(404).json({ error: 'Conversation not found' });
+    
+    const { tags, starred, note } = req.body || {};
+    const annotations = await annotationService.updateConversationAnnotations(
+      ARCHIVE_ROOT,
+      conv.id,
+      { tags, starred, note }
+    );
+    
+    res.json(annotations);
+  } catch (err) {
+    console.error('Error updating conversation tags:', err);
+    res.status(500).json({ error: 'Failed to update conversation tags' });
+  }
+}
+
+/**
+ * Update the user tags, star and/or note of a single message
+ * @param {Object} req - Express request object with { tags, starred, note } body
+ * @param {Object} res - Express response object
+ */
+async function updateMessageTags(req, res) {
+  try {
+    const conv = archiveService.findConversationById(req.params.id);
+    if (!conv) return res.status(404).json({ error: 'Conversation not found' });
+    
+    const { tags, starred, note } = req.body || {};
+    const annotations = await annotationService.updateMessageAnnotations(
+      ARCHIVE_ROOT,
+      conv.id,
+      req.params.messageId,
+      { tags, starred, note }
+    );
+    
+    res.json(annotations);
+  } catch (err) {
+    console.error('Error updating message tags:', err);
+    res.status(500).json({ error: 'Failed to update message tags' });
+  }
+}
+
+/**
+ * List all user tags with the number of conversations using each
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function getAllTags(req, res) {
+  try {
+    res.json({ tags: await annotationService.getAllTags(ARCHIVE_ROOT) });
+  } catch (err) {
+    console.error('Error listing tags:', err);
+    res.status(500).json({ error: 'Failed to list tags' });
+  }
+}
+
 module.exports = {
   setArchiveRoot,
   getConversations,
   getConversationsMeta,
   getConversationById,
+  getConversationOutline,
   searchConversations,
+  getSearchIndexStatus,
   getArchiveInfo,
-  refreshArchiveIndex
+  refreshArchiveIndex,
+  getConversationTags,
+  updateConversationTags,
+  updateMessageTags,
+  getAllTags
 };
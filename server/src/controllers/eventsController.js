@@ -0,0 +1,54 @@
+// Events Controller - pushes archive changes to the browser over Server-Sent Events
+const archiveService = require('../services/archiveService');
+const annotationService = require('../services/annotationService');
+const archiveWatcher = require('../services/archiveWatcher');
+
+// A comment line is sent this often so proxies don't close an idle stream
+const HEARTBEAT_MS = 30000;
+
+function sendEvent(res, event, data) {
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+/**
+ * Stream archive change events (text/event-stream):
+ *   ready     - { watching } once connected
+ *   change    - { changes: [{ type: 'added'|'updated'|'removed', id, conversation }] }, conversations
+ *               in the same shape as /api/conversations items
+ *   reindexed - { conversationCount } after the whole index was rebuilt
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+function streamArchiveEvents(req, res) {
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive'
+  });
+  res.flushHeaders();
+
+  sendEvent(res, 'ready', { watching: archiveWatcher.getWatcherStatus() });
+
+  const unsubscribeChange = archiveService.onArchiveEvent('change', changes => {
+    sendEvent(res, 'change', {
+      changes: changes.map(change => ({
+        ...change,
+        conversation: { ...change.conversation, ...annotationService.getAnnotationSummary(change.id) }
+      }))
+    });
+  });
+  const unsubscribeReindexed = archiveService.onArchiveEvent('reindexed', info => {
+    sendEvent(res, 'reindexed', info);
+  });
+  const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), HEARTBEAT_MS);
+
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    unsubscribeChange();
+    unsubscribeReindexed();
+  });
+}
+
+module.exports = {
+  streamArchiveEvents
+};
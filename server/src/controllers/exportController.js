@@ -0,0 +1,106 @@
+// Export Controller - Handles Markdown (Obsidian vault) and static site export endpoints
+const archiveService = require('../services/archiveService');
+const annotationService = require('../services/annotationService');
+const markdownExportService = require('../services/markdownExportService');
+const siteExportService = require('../services/siteExportService');
+
+// Get archive root from environment or config - will be injected in main server file
+let ARCHIVE_ROOT = '';
+
+/**
+ * Set the archive root directory
+ * @param {string} rootPath - Path to the archive root
+ */
+function setArchiveRoot(rootPath) {
+  ARCHIVE_ROOT = rootPath;
+}
+
+/**
+ * Pick the conversations to export: explicit IDs, or the same filters as /api/conversations
+ * @param {Object} body - Request body with conversationIds and/or filters
+ * @returns {Promise<Array>} Conversation metadata
+ */
+async function selectConversations(body) {
+  if (Array.isArray(body.conversationIds) && body.conversationIds.length > 0) {
+    return body.conversationIds
+      .map(id => archiveService.findConversationById(id))
+      .filter(Boolean);
+  }
+  await annotationService.loadAnnotations(ARCHIVE_ROOT);
+  return archiveService.filterConversations(archiveService.getArchiveIndex(), body.filters || {});
+}
+
+/**
+ * Export conversations as Markdown notes into a vault folder
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function exportMarkdown(req, res) {
+  try {
+    const { outputDir, attachmentsFolder, includeMedia, redaction } = req.body || {};
+    if (!outputDir) {
+      return res.status(400).json({ error: 'outputDir is required' });
+    }
+    
+    const conversations = await selectConversations(req.body);
+    if (conversations.length === 0) {
+      return res.status(404).json({ error: 'No matching conversations found' });
+    }
+    
+    const result = await markdownExportService.exportConversationsToMarkdown(ARCHIVE_ROOT, conversations, {
+      outputDir,
+      attachmentsFolder: attachmentsFolder || 'attachments',
+      includeMedia: includeMedia !== false,
+      redaction
+    });
+    
+    res.json(result);
+  } catch (err) {
+    if (err.name === 'ValidationError') {
+      return res.status(400).json({ error: err.message });
+    }
+    console.error('Error exporting Markdown:', err);
+    res.status(500).json({ error: 'Failed to export Markdown', details: err.message });
+  }
+}
+
+/**
+ * Export conversations as a static HTML site that works without the server
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function exportSite(req, res) {
+  try {
+    const { outputDir, title, includeMedia, redaction } = req.body || {};
+    if (!outputDir) {
+      return res.status(400).json({ error: 'outputDir is required' });
+    }
+    
+    const conversations = await selectConversations(req.body);
+    if (conversations.length === 0) {
+      return res.status(404).json({ error: 'No matching conversations found' });
+    }
+    
+    const result = await siteExportService.exportStaticSite(ARCHIVE_ROOT, conversations, {
+      outputDir,
+      title: title || 'Conversation Archive',
+      includeMedia: includeMedia !== false,
+      redaction
+    });
+    
+    res.json(result);
+  } catch (err) {
+    if (err.name === 'ValidationError') {
+      return res.status(400).json({ error: err.message });
+    }
+    console.error('Error exporting static site:', err);
+    res.status(500).json({ error: 'Failed to export static site', details: err.message });
+  }
+}
+
+module.exports = {
+  setArchiveRoot,
+  selectConversations,
+  exportMarkdown,
+  exportSite
+};
@@ -1,5 +1,6 @@
 // Gizmo Controller - Handles Custom GPT/Gizmo-related API endpoints
 const gizmoResolver = require('../models/gizmo-resolver');
+const archiveRegistry = require('../services/archiveRegistry');
 
 // Get archive root from environment or config - will be injected in main server file
 let ARCHIVE_ROOT = '';
@@ -62,7 +63,10 @@ async function saveGizmoMappings(req, res) {
  */
 async function getUnknownGizmos(req, res) {
   try {
-    const unknownGizmos = await gizmoResolver.generateUnknownGizmosTemplate(ARCHIVE_ROOT);
+    const unknownGizmos = {};
+    for (const archiveRoot of archiveRegistry.getArchiveRoots(ARCHIVE_ROOT)) {
+      Object.assign(unknownGizmos, await gizmoResolver.generateUnknownGizmosTemplate(archiveRoot));
+    }
     res.json(unknownGizmos);
   } catch (err) {
     console.error('Error generating unknown gizmos template:', err);
@@ -2,6 +2,7 @@
 const path = require('path');
 const fs = require('fs-extra');
 const archiveService = require('../services/archiveService');
+const mediaStoreService = require('../services/mediaStoreService');
 
 // Get archive root from environment or config - will be injected in main server file
 let ARCHIVE_ROOT = '';
@@ -14,6 +15,17 @@ function setArchiveRoot(rootPath) {
   ARCHIVE_ROOT = rootPath;
 }
 
+/**
+ * Get the root of whichever archive holds a conversation folder
+ * @param {string} folder - Conversation folder name
+ * @param {string} source - Optional archive source name, to disambiguate equal folder names
+ * @returns {string} Absolute path to the archive root
+ */
+function getArchiveRootOf(folder, source) {
+  const conv = archiveService.findConversationByFolder(folder, source);
+  return archiveService.getConversationRoot(conv, ARCHIVE_ROOT);
+}
+
 /**
  * List all media files in a conversation
  * @param {Object} req - Express request object
@@ -22,14 +34,8 @@ function setArchiveRoot(rootPath) {
 async function listMediaFiles(req, res) {
   try {
     const { conv } = req.params;
-    const mediaFolder = path.join(ARCHIVE_ROOT, conv, 'media');
-    
-    if (!await fs.pathExists(mediaFolder)) {
-      return res.json([]);
-    }
-    
-    const files = await fs.readdir(mediaFolder);
-    res.json(files);
+    const media = await mediaStoreService.listConversationMedia(getArchiveRootOf(conv, req.query.source), conv);
+    res.json(media.map(file => file.name));
   } catch (err) {
     console.error('Error listing media files:', err);
     res.status(500).json({ error: 'Failed to list media files' });
@@ -43,10 +49,16 @@ async function listMediaFiles(req, res) {
  */
 function serveMediaFile(req, res) {
   const { conv, filename } = req.params;
-  const filePath = path.join(ARCHIVE_ROOT, conv, 'media', filename);
   
-  fs.pathExists(filePath).then(exists => {
-    if (!exists) {
+  // Only plain names: an encoded path such as ..%2F..%2F.env must not leave the media folder
+  if (!mediaStoreService.isSafeMediaName(conv) || !mediaStoreService.isSafeMediaName(filename)) {
+    return res.status(400).send('Invalid media file name');
+  }
+  
+  // The file is in the conversation's media/ folder or, through its manifest, in the media store
+  const archiveRoot = getArchiveRootOf(conv, req.query.source);
+  mediaStoreService.resolveMediaFile(archiveRoot, conv, filename).then(filePath => {
+    if (!filePath) {
       res.status(404).send('Media file not found');
     } else {
       // Determine content type based on file extension
@@ -73,7 +85,13 @@ function serveMediaFile(req, res) {
       }
       
       res.setHeader('Content-Type', contentType);
-      res.sendFile(filePath);
+      if (mediaStoreService.isInMediaStore(archiveRoot, filePath)) {
+        // The media store is a dot-folder, which sendFile refuses by default
+        res.sendFile(filePath, { dotfiles: 'allow' });
+      } else {
+        // Anything else is served from its own folder, so only its name is checked for dotfiles
+        res.sendFile(path.basename(filePath), { root: path.dirname(filePath), dotfiles: 'deny' });
+      }
     }
   }).catch(e => {
     console.error('Error serving media file:', e);
@@ -105,19 +123,18 @@ async function getMediaGallery(req, res) {
       // Skip if we've reached the limit
       if (processedCount >= maxFilesToProcess) break;
       
-      const mediaFolder = path.join(ARCHIVE_ROOT, conv.folder, 'media');
-      if (!await fs.pathExists(mediaFolder)) continue;
+      const media = await mediaStoreService.listConversationMedia(
+        archiveService.getConversationRoot(conv, ARCHIVE_ROOT),
+        conv.folder
+      );
       
-      const files = await fs.readdir(mediaFolder);
-      
-      for (const file of files) {
+      for (const { name: file, path: filePath } of media) {
         // Skip if we've reached the limit
         if (processedCount >= maxFilesToProcess) break;
         processedCount++;
         
         try {
           // Get file info
-          const filePath = path.join(mediaFolder, file);
           const stats = await fs.stat(filePath);
           const fileExtension = path.extname(file).toLowerCase();
           
@@ -213,10 +230,11 @@ async function searchMediaFiles(req, res) {
     const matchingFiles = [];
     
     for (const conv of conversationsWithMedia) {
-      const mediaFolder = path.join(ARCHIVE_ROOT, conv.folder, 'media');
-      if (!await fs.pathExists(mediaFolder)) continue;
-      
-      const files = await fs.readdir(mediaFolder);
+      const media = await mediaStoreService.listConversationMedia(
+        archiveService.getConversationRoot(conv, ARCHIVE_ROOT),
+        conv.folder
+      );
+      const files = media.map(file => file.name);
       
       // Look for files that match the search ID
       const matches = files.filter(file => {
@@ -227,7 +245,7 @@ async function searchMediaFiles(req, res) {
       
       if (matches.length > 0) {
         for (const match of matches) {
-          const filePath = path.join(mediaFolder, match);
+          const filePath = media.find(file => file.name === match).path;
           const stats = await fs.stat(filePath);
           const fileExtension = path.extname(match).toLowerCase();
           
@@ -311,10 +329,11 @@ async function findMediaFileById(req, res) {
     const matchingFiles = [];
     
     for (const conv of conversationsWithMedia) {
-      const mediaFolder = path.join(ARCHIVE_ROOT, conv.folder, 'media');
-      if (!await fs.pathExists(mediaFolder)) continue;
-      
-      const files = await fs.readdir(mediaFolder);
+      const media = await mediaStoreService.listConversationMedia(
+        archiveService.getConversationRoot(conv, ARCHIVE_ROOT),
+        conv.folder
+      );
+      const files = media.map(file => file.name);
       
       // Look for exact file ID match or files that contain the ID
       const matches = files.filter(file => {
@@ -332,7 +351,7 @@ async function findMediaFileById(req, res) {
       
       if (matches.length > 0) {
         for (const match of matches) {
-          const filePath = path.join(mediaFolder, match);
+          const filePath = media.find(file => file.name === match).path;
           const stats = await fs.stat(filePath);
           const fileExtension = path.extname(match).toLowerCase();
           
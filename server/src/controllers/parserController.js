@@ -1,5 +1,6 @@
 // Parser Controller - Provides statistics about message parsing
 const archiveService = require('../services/archiveService');
+const parserReportService = require('../services/parserReportService');
 const { parseAnyMessage } = require('../parsers/parseAnyMessage');
 
 // Get archive root from environment or config - will be injected in main server file
@@ -20,6 +21,20 @@ function setArchiveRoot(rootPath) {
  */
 async function getParserStats(req, res) {
   try {
+    // Use the whole-archive report once it has been generated
+    const report = await parserReportService.loadReport(ARCHIVE_ROOT);
+    if (report) {
+      return res.json({
+        counts: report.counts,
+        unknown_fields: report.unknown_fields,
+        tool_types: report.tool_types,
+        models: report.models,
+        gizmos: report.gizmos,
+        total_processed: report.total_messages,
+        sample_size: report.total_conversations
+      });
+    }
+    
     // Get current archive index
     const archiveIndex = archiveService.getArchiveIndex();
     
@@ -50,7 +65,7 @@ async function getParserStats(req, res) {
     
     for (const conv of sampled) {
       // Load full conversation messages
-      const result = await archiveService.loadConversationMessages(conv.folder, ARCHIVE_ROOT);
+      const result = await archiveService.loadConversationMessages(conv.folder, archiveService.getConversationRoot(conv, ARCHIVE_ROOT), null, { allBranches: true });
       const messages = result.messages;
       
       // Update message counts
@@ -100,7 +115,98 @@ async function getParserStats(req, res) {
   }
 }
 
+/**
+ * Get the cached parser coverage report and the status of the report job
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function getParserReport(req, res) {
+  try {
+    const report = await parserReportService.loadReport(ARCHIVE_ROOT);
+    
+    res.json({
+      report: report ? parserReportService.summarizeReport(report) : null,
+      job: parserReportService.getJobStatus()
+    });
+  } catch (err) {
+    console.error('Error loading parser report:', err);
+    res.status(500).json({ error: 'Failed to load parser report' });
+  }
+}
+
+/**
+ * Start generating the parser coverage report in the background
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function startParserReport(req, res) {
+  try {
+    if (!parserReportService.startReport(ARCHIVE_ROOT)) {
+      return res.status(409).json({
+        error: 'Parser report already in progress',
+        job: parserReportService.getJobStatus()
+      });
+    }
+    
+    res.json({ message: 'Parser report started', job: parserReportService.getJobStatus() });
+  } catch (err) {
+    console.error('Error starting parser report:', err);
+    res.status(500).json({ error: 'Failed to start parser report' });
+  }
+}
+
+/**
+ * Get the status of the parser report job
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+function getParserReportStatus(req, res) {
+  res.json(parserReportService.getJobStatus());
+}
+
+/**
+ * List the conversations containing a report entry (e.g. a metadata key)
+ * @param {Object} req - Express request object (query: category, key, limit, offset)
+ * @param {Object} res - Express response object
+ */
+async function getParserReportConversations(req, res) {
+  try {
+    const { category, key } = req.query;
+    const limit = parseInt(req.query.limit) || 50;
+    const offset = parseInt(req.query.offset) || 0;
+    
+    const report = await parserReportService.loadReport(ARCHIVE_ROOT);
+    if (!report) {
+      return res.status(404).json({ error: 'Parser report has not been generated yet' });
+    }
+    
+    const conversations = parserReportService.getEntryConversations(report, category, key);
+    if (!conversations) {
+      return res.status(404).json({ error: `No ${category} entry named ${key}` });
+    }
+    
+    res.json({
+      category,
+      key,
+      total: conversations.length,
+      conversations: conversations.slice(offset, offset + limit).map(conv => ({
+        id: conv.id,
+        title: conv.title,
+        update_time: conv.update_time,
+        source: conv.source
+      }))
+    });
+  } catch (err) {
+    console.error('Error listing parser report conversations:', err);
+    res.status(500).json({ error: 'Failed to list conversations' });
+  }
+}
+
 module.exports = {
   setArchiveRoot,
-  getParserStats
+  getParserStats,
+  getParserReport,
+  startParserReport,
+  getParserReportStatus,
+  getParserReportConversations
 };
\ No newline at end of file
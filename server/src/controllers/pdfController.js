@@ -34,7 +34,7 @@ class PDFController {
       }
 
       // Load conversation data using archiveService
-      const result = await archiveService.loadConversationMessages(conv.folder, ARCHIVE_ROOT);
+      const result = await archiveService.loadConversationMessages(conv.folder, archiveService.getConversationRoot(conv, ARCHIVE_ROOT));
       const messages = result.messages;
 
       // Generate debug PDF without media
@@ -91,7 +91,7 @@ class PDFController {
       }
 
       // Load conversation data using archiveService
-      const result = await archiveService.loadConversationMessages(conv.folder, ARCHIVE_ROOT);
+      const result = await archiveService.loadConversationMessages(conv.folder, archiveService.getConversationRoot(conv, ARCHIVE_ROOT));
       const messages = result.messages;
 
       // Generate simple PDF without MathJax
@@ -147,7 +147,7 @@ class PDFController {
       }
 
       // Load conversation data using archiveService
-      const result = await archiveService.loadConversationMessages(conv.folder, ARCHIVE_ROOT);
+      const result = await archiveService.loadConversationMessages(conv.folder, archiveService.getConversationRoot(conv, ARCHIVE_ROOT));
       let messages = result.messages;
       
       // Filter messages if specific IDs or range specified
@@ -299,7 +299,7 @@ class PDFController {
       }
 
       // Load conversation data using archiveService
-      const result = await archiveService.loadConversationMessages(conv.folder, ARCHIVE_ROOT);
+      const result = await archiveService.loadConversationMessages(conv.folder, archiveService.getConversationRoot(conv, ARCHIVE_ROOT));
       const allMessages = result.messages;
       
       // Filter to specific message IDs
@@ -403,7 +403,7 @@ class PDFController {
       }
 
       // Load conversation data using archiveService
-      const result = await archiveService.loadConversationMessages(conv.folder, ARCHIVE_ROOT);
+      const result = await archiveService.loadConversationMessages(conv.folder, archiveService.getConversationRoot(conv, ARCHIVE_ROOT));
       let messages = result.messages;
       
       // Filter messages if specified
@@ -0,0 +1,43 @@
+// Redaction Controller - pattern rules and the user-editable dictionary used to redact archives
+const redactionService = require('../services/redactionService');
+
+/**
+ * Get the redaction rules, the defaults and the user's dictionary
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function getRedactionSettings(req, res) {
+  try {
+    res.json({
+      rules: redactionService.listRules(),
+      defaults: redactionService.DEFAULT_REDACTION,
+      dictionary: await redactionService.getDictionary()
+    });
+  } catch (err) {
+    console.error('Error loading redaction settings:', err);
+    res.status(500).json({ error: 'Failed to load redaction settings' });
+  }
+}
+
+/**
+ * Replace the redaction dictionary (body: { dictionary: [term or { term, label }] })
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function saveRedactionDictionary(req, res) {
+  try {
+    const dictionary = await redactionService.saveDictionary((req.body || {}).dictionary);
+    res.json({ dictionary });
+  } catch (err) {
+    if (err.name === 'ValidationError') {
+      return res.status(400).json({ error: err.message });
+    }
+    console.error('Error saving redaction dictionary:', err);
+    res.status(500).json({ error: 'Failed to save redaction dictionary' });
+  }
+}
+
+module.exports = {
+  getRedactionSettings,
+  saveRedactionDictionary
+};
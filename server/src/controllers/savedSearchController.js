@@ -0,0 +1,81 @@
+// Saved Search Controller - CRUD for the conversation list's saved (and pinned) queries
+const savedSearchService = require('../services/savedSearchService');
+
+// Send a 400 for invalid input (including unparsable queries), a 500 otherwise
+function sendError(res, err, action) {
+  if (err.name === 'QueryError') {
+    return res.status(400).json({ error: err.message, position: err.position });
+  }
+  if (err.name === 'ValidationError') {
+    return res.status(400).json({ error: err.message });
+  }
+  console.error(`Error ${action}:`, err);
+  res.status(500).json({ error: `Failed ${action}` });
+}
+
+/**
+ * List the saved searches
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function getSavedSearches(req, res) {
+  try {
+    res.json({ items: await savedSearchService.listSavedSearches() });
+  } catch (err) {
+    sendError(res, err, 'loading saved searches');
+  }
+}
+
+/**
+ * Save a search (body: { name, query, pinned })
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function createSavedSearch(req, res) {
+  try {
+    const search = await savedSearchService.createSavedSearch(req.body || {});
+    res.status(201).json(search);
+  } catch (err) {
+    sendError(res, err, 'saving search');
+  }
+}
+
+/**
+ * Update a saved search (body: any of { name, query, pinned })
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function updateSavedSearch(req, res) {
+  try {
+    const search = await savedSearchService.updateSavedSearch(req.params.id, req.body || {});
+    if (!search) {
+      return res.status(404).json({ error: 'Saved search not found' });
+    }
+    res.json(search);
+  } catch (err) {
+    sendError(res, err, 'updating saved search');
+  }
+}
+
+/**
+ * Delete a saved search
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function deleteSavedSearch(req, res) {
+  try {
+    if (!await savedSearchService.deleteSavedSearch(req.params.id)) {
+      return res.status(404).json({ error: 'Saved search not found' });
+    }
+    res.json({ success: true });
+  } catch (err) {
+    sendError(res, err, 'deleting saved search');
+  }
+}
+
+module.exports = {
+  getSavedSearches,
+  createSavedSearch,
+  updateSavedSearch,
+  deleteSavedSearch
+};
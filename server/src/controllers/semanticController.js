@@ -0,0 +1,121 @@
+// Semantic Controller - meaning-based search and similar conversations over the optional semantic index
+const archiveService = require('../services/archiveService');
+const semanticService = require('../services/semanticService');
+
+// Get archive root from environment or config - will be injected in main server file
+let ARCHIVE_ROOT = '';
+
+/**
+ * Set the archive root directory
+ * @param {string} rootPath - Path to the archive root
+ */
+function setArchiveRoot(rootPath) {
+  ARCHIVE_ROOT = rootPath;
+}
+
+// Load the archive's semantic index; false (after sending a 409) if it has never been built
+async function ensureSemanticIndex(res) {
+  await semanticService.loadSemanticIndex(ARCHIVE_ROOT);
+  const status = semanticService.getSemanticIndexStatus();
+  if (!status.built && status.status !== 'building') {
+    res.status(409).json({
+      error: 'The semantic index has not been built for this archive',
+      index_status: status
+    });
+    return false;
+  }
+  return true;
+}
+
+/**
+ * Rank messages by closeness in meaning to a query (q, limit)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function semanticSearch(req, res) {
+  try {
+    const query = req.query.q || '';
+    const limit = Math.min(100, Math.max(1, parseInt(req.query.limit) || 20));
+
+    if (!query.trim()) {
+      return res.status(400).json({ error: 'Query (q) is required' });
+    }
+    if (!await ensureSemanticIndex(res)) return;
+
+    const results = await semanticService.semanticSearch(query, {
+      limit,
+      findConversation: archiveService.findConversationById
+    });
+    res.json(results);
+  } catch (err) {
+    console.error('Error running semantic search:', err);
+    res.status(500).json({ error: 'Failed to run semantic search' });
+  }
+}
+
+/**
+ * Get the conversations most similar to a conversation (limit)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function getSimilarConversations(req, res) {
+  try {
+    const limit = Math.min(50, Math.max(1, parseInt(req.query.limit) || 8));
+    if (!await ensureSemanticIndex(res)) return;
+
+    const items = semanticService.findSimilarConversations(req.params.id, {
+      limit,
+      findConversation: archiveService.findConversationById
+    });
+    if (!items) {
+      // Not embedded (yet): no text, or the index is still being built
+      return res.json({ items: [], indexed: false, index_status: semanticService.getSemanticIndexStatus() });
+    }
+    res.json({ items, indexed: true, index_status: semanticService.getSemanticIndexStatus() });
+  } catch (err) {
+    console.error(`Error finding conversations similar to ${req.params.id}:`, err);
+    res.status(500).json({ error: 'Failed to find similar conversations' });
+  }
+}
+
+/**
+ * Build (or bring up to date) the semantic index; once built it is kept up to date on every refresh
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function buildSemanticIndex(req, res) {
+  try {
+    if (semanticService.getSemanticIndexStatus().status === 'building') {
+      return res.status(409).json({ error: 'The semantic index is already being built' });
+    }
+
+    semanticService.buildSemanticIndex(ARCHIVE_ROOT, archiveService.getArchiveIndex());
+    res.json({ message: 'Semantic index build started', index_status: semanticService.getSemanticIndexStatus() });
+  } catch (err) {
+    console.error('Error starting semantic index build:', err);
+    res.status(500).json({ error: 'Failed to start semantic index build' });
+  }
+}
+
+/**
+ * Get the status of the semantic index
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function getSemanticIndexStatus(req, res) {
+  try {
+    await semanticService.loadSemanticIndex(ARCHIVE_ROOT);
+    res.json(semanticService.getSemanticIndexStatus());
+  } catch (err) {
+    console.error('Error getting semantic index status:', err);
+    res.status(500).json({ error: 'Failed to get semantic index status' });
+  }
+}
+
+module.exports = {
+  setArchiveRoot,
+  semanticSearch,
+  getSimilarConversations,
+  buildSemanticIndex,
+  getSemanticIndexStatus
+};
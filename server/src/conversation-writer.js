@@ -0,0 +1,314 @@
+// Conversation Writer - shared output side of the pluggable importers
+// Writes linear (unbranched) conversations in the exploded archive layout used by every viewer:
+// <folder>/conversation.json + messages/<id>/message.json + media/
+const fs = require('fs-extra');
+const path = require('path');
+const crypto = require('crypto');
+const incrementalImport = require('./incremental-import');
+const { createImportTracker } = require('./import-tracker');
+const mediaStoreService = require('./services/mediaStoreService');
+const importFilters = require('./import-filters');
+const redactionService = require('./services/redactionService');
+const importJournal = require('./import-journal');
+
+// Attached files with these extensions are shown inline as images, everything else as a file
+const IMAGE_EXTENSIONS = ['.png', '.jpg', '.jpeg', '.gif', '.webp'];
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+/**
+ * Build a UUID-shaped ID that is stable across imports of the same export
+ * (so incremental imports recognise conversations from sources without IDs)
+ * @param {...string} parts - Values identifying the conversation or message
+ * @returns {string} UUID-formatted SHA-1 digest
+ */
+function stableUuid(...parts) {
+  const hex = crypto.createHash('sha1').update(parts.join('\u0000')).digest('hex');
+  return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-${hex.slice(12, 16)}-${hex.slice(16, 20)}-${hex.slice(20, 32)}`;
+}
+
+// Helper: Create a folder name from a pattern and { uuid, title, date } (date in UNIX seconds)
+function formatConversationFolderName(pattern, conversationObj) {
+  return pattern.replace(/\{([^}]+)\}/g, (match, key) => {
+    if (key === 'uuid' && conversationObj.uuid) {
+      // The archive validator recognises conversation folders by a leading UUID
+      return UUID_PATTERN.test(conversationObj.uuid) ? conversationObj.uuid : stableUuid(conversationObj.uuid);
+    }
+    if (key === 'title' && conversationObj.title) {
+      return conversationObj.title
+        .replace(/[\\/:*?"<>|]/g, '_') // Replace invalid characters
+        .replace(/\s+/g, '_')         // Replace spaces with underscores
+        .substring(0, 50);            // Limit length
+    }
+    if (key === 'date' && conversationObj.date) {
+      const date = new Date(conversationObj.date * 1000);
+      return isNaN(date.getTime()) ? 'unknown-date' : date.toISOString().slice(0, 19).replace(/:/g, '-').replace('T', '_');
+    }
+    return '';
+  });
+}
+
+// Copy a message's attached files into the media folder
+async function copyMessageFiles(files, mediaFolderPath, messageIndex) {
+  const images = [];
+  const attachments = [];
+
+  for (const file of files || []) {
+    if (!await fs.pathExists(file.sourcePath)) {
+      console.warn(`Attached file not found in export: ${file.sourcePath}`);
+      continue;
+    }
+
+    const safeName = (file.name || path.basename(file.sourcePath))
+      .replace(/[\\/:*?"<>|]/g, '_')
+      .replace(/\s+/g, '_');
+    const filename = `msg_${messageIndex}_${safeName}`;
+    await fs.copy(file.sourcePath, path.join(mediaFolderPath, filename));
+
+    if (IMAGE_EXTENSIONS.includes(path.extname(filename).toLowerCase())) {
+      images.push({ content_type: 'image_asset_pointer', asset_pointer: `file-service://${filename}` });
+    } else {
+      const { size } = await fs.stat(path.join(mediaFolderPath, filename));
+      attachments.push({ id: filename, name: file.name || path.basename(file.sourcePath), size });
+    }
+  }
+
+  return { images, attachments };
+}
+
+/**
+ * Write a linear conversation as an exploded conversation folder
+ * @param {Object} conversation - { id, title, create_time, update_time, source_format, messages }
+ *   where messages are [{ id, role, name, text, create_time, files: [{ sourcePath, name }], metadata }]
+ * @param {Object} config - Import config (conversationPattern, mediaFolder, useMessageReferences, mediaStore)
+ * @param {string} outputBasePath - Exploded archive folder
+ * @param {string|null} existingFolder - Folder to reuse when an incremental import updates the conversation
+ * @param {Object} tracker - Optional import tracker, told how many media files were copied
+ * @returns {Promise<string>} Path of the conversation folder
+ */
+async function writeLinearConversation(conversation, config, outputBasePath, existingFolder = null, tracker = createImportTracker()) {
+  const conversationObj = {
+    uuid: conversation.id,
+    title: conversation.title || 'Untitled',
+    date: conversation.create_time
+  };
+  const convFolderName = existingFolder || formatConversationFolderName(config.conversationPattern, conversationObj);
+  const convFolderPath = path.join(outputBasePath, convFolderName);
+
+  const mediaFolderPath = path.join(convFolderPath, config.mediaFolder);
+  const messagesDirPath = path.join(convFolderPath, 'messages');
+  await fs.ensureDir(mediaFolderPath);
+  await fs.ensureDir(messagesDirPath);
+
+  const mapping = {};
+  const messages = conversation.messages || [];
+  let mediaCount = 0;
+
+  for (let i = 0; i < messages.length; i++) {
+    const source = messages[i];
+    const { images, attachments } = await copyMessageFiles(source.files, mediaFolderPath, i);
+    mediaCount += images.length + attachments.length;
+
+    const message = {
+      id: source.id,
+      author: { role: source.role, name: source.name || null },
+      create_time: source.create_time || null,
+      update_time: null,
+      content: images.length > 0 ?
+        { content_type: 'multimodal_text', parts: [source.text || '', ...images] } :
+        { content_type: 'text', parts: [source.text || ''] },
+      metadata: {
+        source_format: conversation.source_format,
+        ...source.metadata,
+        ...(attachments.length > 0 ? { attachments } : {})
+      }
+    };
+
+    const msgFolderPath = path.join(messagesDirPath, message.id);
+    await fs.ensureDir(msgFolderPath);
+    await fs.writeJson(path.join(msgFolderPath, 'message.json'), message, { spaces: 2 });
+
+    mapping[message.id] = {
+      id: message.id,
+      message: config.useMessageReferences ? {
+        _reference: `messages/${message.id}/message.json`,
+        _summary: {
+          role: message.author.role,
+          content_type: message.content.content_type,
+          timestamp: message.create_time
+        }
+      } : message,
+      parent: i > 0 ? messages[i - 1].id : null,
+      children: i < messages.length - 1 ? [messages[i + 1].id] : []
+    };
+  }
+
+  tracker.mediaCopied(conversation.id, mediaCount);
+
+  await fs.writeJson(path.join(convFolderPath, 'conversation.json'), {
+    id: conversation.id,
+    conversation_id: conversation.id,
+    title: conversationObj.title,
+    create_time: conversation.create_time || null,
+    update_time: conversation.update_time || conversation.create_time || null,
+    source_format: conversation.source_format,
+    mapping,
+    current_node: messages.length > 0 ? messages[messages.length - 1].id : null
+  }, { spaces: 2 });
+
+  // With the media store enabled, keep each distinct media file once per archive
+  if (config.mediaStore) {
+    await mediaStoreService.storeConversationMedia(outputBasePath, convFolderName);
+  }
+
+  return convFolderPath;
+}
+
+/**
+ * Write every conversation of an import, honouring the import filters, redaction, incremental mode,
+ * resume (through the import journal) and skipFailedConversations
+ * @param {AsyncIterable|Iterable} conversations - Conversations in writeLinearConversation's format
+ * @param {Object} config - Import config
+ * @param {string} outputBasePath - Exploded archive folder
+ * @param {Function} onProgress - Optional callback({ totalConversations, processedConversations, failedConversations })
+ * @param {Object} tracker - Optional import tracker for per-conversation events, pause and cancel
+ * @returns {Promise<Object>} Import summary, in the same shape as importClaudeArchive's
+ */
+async function writeConversations(conversations, config, outputBasePath, onProgress, tracker = createImportTracker()) {
+  const matchesFilters = importFilters.createImportFilter(config.filters);
+  const redactor = await redactionService.createRedactor(config.redaction);
+  const existingConversations = config.incremental ?
+    await incrementalImport.loadExistingConversations(outputBasePath) : null;
+  const mergeCounts = { added: 0, updated: 0, unchanged: 0, resumed: 0, filtered: 0 };
+  const failedConversations = [];
+  let totalConversations = 0;
+  let processedConversations = 0;
+  if (Array.isArray(conversations)) {
+    tracker.setExpectedConversations(conversations.length);
+  }
+
+  // Journal finished conversations so an interrupted import can pick up where it stopped
+  const journal = await importJournal.openJournal(outputBasePath, config);
+
+  for await (let conversation of conversations) {
+    // Wait here while the import is paused; throws once it is cancelled
+    await tracker.checkpoint();
+    totalConversations++;
+    let title = conversation.title || 'Untitled';
+
+    try {
+      // Leave out conversations the import filters don't select
+      if (matchesFilters && !matchesFilters(conversation)) {
+        mergeCounts.filtered++;
+        continue;
+      }
+
+      // Conversations the interrupted import already finished are left as they are
+      if (journal.completed.has(conversation.id)) {
+        mergeCounts.resumed++;
+        tracker.conversationFinished(conversation.id, title, 'resumed');
+        continue;
+      }
+
+      // In incremental mode, skip conversations that haven't changed since the last import
+      let existingFolder = null;
+      if (existingConversations) {
+        const { action, folder } = incrementalImport.classifyConversation(
+          existingConversations,
+          conversation.id,
+          conversation.update_time
+        );
+
+        if (action === 'skip') {
+          mergeCounts.unchanged++;
+          await journal.record(conversation.id);
+          tracker.conversationFinished(conversation.id, title, 'unchanged');
+          continue;
+        }
+        existingFolder = folder;
+      }
+
+      // Rewrite updated conversations from scratch so removed messages don't linger
+      if (existingFolder) {
+        await fs.remove(path.join(outputBasePath, existingFolder, 'messages'));
+      }
+
+      // Personal information never reaches the archive, not even its folder names
+      if (redactor) {
+        conversation = redactor.redactConversation(conversation);
+        title = conversation.title || 'Untitled';
+      }
+
+      tracker.conversationStarted(conversation.id, title);
+      await writeLinearConversation(conversation, config, outputBasePath, existingFolder, tracker);
+      await journal.record(conversation.id);
+      if (existingFolder) {
+        mergeCounts.updated++;
+      } else {
+        mergeCounts.added++;
+      }
+      tracker.conversationFinished(conversation.id, title, existingFolder ? 'updated' : 'added');
+    } catch (err) {
+      tracker.conversationFailed(conversation.id, title, err.message);
+      if (!config.skipFailedConversations) {
+        throw err;
+      }
+      console.warn(`Skipping failed conversation: ${conversation.id}`, err);
+      failedConversations.push({
+        id: conversation.id,
+        title,
+        error: err.message
+      });
+    } finally {
+      processedConversations++;
+      if (onProgress) {
+        onProgress({ totalConversations, processedConversations, failedConversations });
+      }
+    }
+  }
+
+  await journal.finish();
+  if (journal.resumed) {
+    console.log(`Resumed import: ${mergeCounts.resumed} conversations had already been imported`);
+  }
+  if (existingConversations) {
+    console.log(`Incremental import: ${mergeCounts.added} added, ${mergeCounts.updated} updated, ${mergeCounts.unchanged} unchanged`);
+  }
+  if (matchesFilters) {
+    console.log(`Import filters left out ${mergeCounts.filtered} of ${totalConversations} conversations`);
+  }
+
+  const redactionReport = redactor ? await redactionService.writeReport(outputBasePath, redactor) : null;
+
+  if (failedConversations.length > 0) {
+    await fs.writeJson(
+      path.join(outputBasePath, 'import_errors.json'),
+      {
+        totalConversations,
+        successfulConversations: processedConversations - failedConversations.length,
+        failedConversations
+      },
+      { spaces: 2 }
+    );
+  }
+
+  return {
+    outputBasePath,
+    totalConversations,
+    processedConversations,
+    failedConversations: failedConversations.length,
+    addedConversations: mergeCounts.added,
+    updatedConversations: mergeCounts.updated,
+    unchangedConversations: mergeCounts.unchanged,
+    resumedConversations: mergeCounts.resumed,
+    filteredConversations: mergeCounts.filtered,
+    redactedConversations: redactionReport ? redactionReport.conversationsRedacted : 0
+  };
+}
+
+module.exports = {
+  stableUuid,
+  formatConversationFolderName,
+  writeLinearConversation,
+  writeConversations
+};
@@ -0,0 +1,261 @@
+// Gemini Archive Import Processor - imports the Gemini Apps activity from a Google Takeout export
+// Takeout has no conversations, only one activity entry per prompt, so prompts that follow each
+// other closely are grouped into conversations.
+const fs = require('fs-extra');
+const path = require('path');
+const JSONStream = require('JSONStream');
+const zipSource = require('./zip-source');
+const incrementalImport = require('./incremental-import');
+const conversationWriter = require('./conversation-writer');
+const importFilters = require('./import-filters');
+const { createImportTracker } = require('./import-tracker');
+
+// Locations of the activity file, from the Takeout root down to the Gemini Apps folder itself
+const ACTIVITY_FILE_CANDIDATES = [
+  'Takeout/My Activity/Gemini Apps/MyActivity.json',
+  'My Activity/Gemini Apps/MyActivity.json',
+  'Gemini Apps/MyActivity.json',
+  'MyActivity.json'
+];
+
+// Prompts less than this far apart belong to the same conversation
+const SESSION_GAP_SECONDS = 30 * 60;
+
+// Prompt entries are titled "Prompted <prompt text>"
+const PROMPT_PREFIX = /^Prompted\s+/;
+
+// Decode the HTML entities Takeout uses in responses
+function decodeEntities(text) {
+  return text
+    .replace(/&nbsp;/g, ' ')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;|&#x27;/g, "'")
+    .replace(/&#(\d+);/g, (match, code) => String.fromCodePoint(Number(code)))
+    .replace(/&#x([0-9a-f]+);/gi, (match, code) => String.fromCodePoint(parseInt(code, 16)))
+    .replace(/&amp;/g, '&');
+}
+
+/**
+ * Convert the HTML of a Gemini response to Markdown for the message renderers
+ * @param {string} html - Response HTML from the activity entry's safeHtmlItem
+ * @returns {string} Markdown text
+ */
+function htmlToMarkdown(html) {
+  const markdown = String(html || '')
+    .replace(/\r/g, '')
+    .replace(/<pre[^>]*>([\s\S]*?)<\/pre>/gi, (match, code) =>
+      `\n\n\`\`\`\n${code.replace(/<br\s*\/?>/gi, '\n').replace(/<[^>]+>/g, '').trim()}\n\`\`\`\n\n`)
+    .replace(/<h([1-6])[^>]*>([\s\S]*?)<\/h\1>/gi, (match, level, text) => `\n\n${'#'.repeat(Number(level))} ${text}\n\n`)
+    .replace(/<(strong|b)>([\s\S]*?)<\/\1>/gi, '**$2**')
+    .replace(/<(em|i)>([\s\S]*?)<\/\1>/gi, '*$2*')
+    .replace(/<code[^>]*>([\s\S]*?)<\/code>/gi, '`$1`')
+    .replace(/<a [^>]*href="([^"]*)"[^>]*>([\s\S]*?)<\/a>/gi, '[$2]($1)')
+    .replace(/<li[^>]*>/gi, '\n- ')
+    .replace(/<br\s*\/?>/gi, '\n')
+    .replace(/<\/(p|div|ul|ol|table|blockquote)>/gi, '\n\n')
+    .replace(/<\/tr>/gi, '\n')
+    .replace(/<[^>]+>/g, '');
+
+  return decodeEntities(markdown).replace(/\n{3,}/g, '\n\n').trim();
+}
+
+// Read every entry of MyActivity.json (an array of activity entries)
+async function readGeminiActivity(readStream) {
+  return new Promise((resolve, reject) => {
+    const entries = [];
+    const jsonStream = JSONStream.parse('*');
+
+    jsonStream.on('data', entry => entries.push(entry));
+    jsonStream.on('error', reject);
+    jsonStream.on('end', () => resolve(entries));
+    readStream.on('error', reject);
+
+    readStream.pipe(jsonStream);
+  });
+}
+
+/**
+ * Group prompt entries into conversations, oldest first
+ * @param {Array} entries - Activity entries from MyActivity.json
+ * @returns {Array<Array>} Sessions of [{ entry, time }]
+ */
+function groupGeminiSessions(entries) {
+  const turns = entries
+    .filter(entry => entry && (PROMPT_PREFIX.test(entry.title || '') || entry.safeHtmlItem))
+    .map(entry => ({ entry, time: incrementalImport.toUnixSeconds(entry.time) }))
+    .filter(turn => turn.time !== null)
+    .sort((a, b) => a.time - b.time);
+
+  const sessions = [];
+  for (const turn of turns) {
+    const current = sessions[sessions.length - 1];
+    if (current && turn.time - current[current.length - 1].time <= SESSION_GAP_SECONDS) {
+      current.push(turn);
+    } else {
+      sessions.push([turn]);
+    }
+  }
+  return sessions;
+}
+
+// Files attached to a prompt (and generated images) live next to MyActivity.json
+function geminiEntryFiles(entry, activityDir) {
+  const names = [...(entry.attachedFiles || []), ...(entry.imageFile ? [entry.imageFile] : [])];
+  return names.map(name => ({ sourcePath: path.join(activityDir, name), name }));
+}
+
+// Convert a session of activity entries into a linear conversation for the conversation writer
+function geminiSessionToConversation(session, activityDir) {
+  const first = session[0].entry;
+  const messages = [];
+
+  for (const { entry, time } of session) {
+    messages.push({
+      id: conversationWriter.stableUuid('gemini', entry.time, 'prompt'),
+      role: 'user',
+      text: (entry.title || '').replace(PROMPT_PREFIX, ''),
+      create_time: time,
+      files: geminiEntryFiles(entry, activityDir)
+    });
+
+    const html = (entry.safeHtmlItem || []).map(item => item.html || '').join('\n');
+    if (html) {
+      messages.push({
+        id: conversationWriter.stableUuid('gemini', entry.time, 'response'),
+        role: 'assistant',
+        text: htmlToMarkdown(html),
+        create_time: time,
+        metadata: { model_slug: 'gemini' }
+      });
+    }
+  }
+
+  const firstPrompt = messages[0].text.split('\n')[0];
+  return {
+    id: conversationWriter.stableUuid('gemini', first.time, first.title || ''),
+    title: firstPrompt.length > 60 ? `${firstPrompt.substring(0, 57)}...` : firstPrompt || 'Gemini conversation',
+    create_time: session[0].time,
+    update_time: session[session.length - 1].time,
+    source_format: 'gemini',
+    messages
+  };
+}
+
+// Generate preview for Gemini Takeout archive
+async function generateGeminiPreview(config) {
+  const { sourceDir, archiveName, conversationPattern, mediaFolder } = config;
+
+  // Zips are sampled without unpacking
+  const source = await zipSource.resolveImportSource(sourceDir, null, {
+    extractMedia: false,
+    conversationsFile: ACTIVITY_FILE_CANDIDATES
+  });
+  const sessions = groupGeminiSessions(await readGeminiActivity(await source.createConversationsStream()));
+
+  if (sessions.length === 0) {
+    throw new Error('No Gemini prompts found in MyActivity.json');
+  }
+
+  // With import filters set, preview only the conversations they select
+  const matchesFilters = importFilters.createImportFilter(config.filters);
+  const selected = matchesFilters ?
+    sessions.filter(session => matchesFilters(geminiSessionToConversation(session, ''))) : sessions;
+  const filterSummary = matchesFilters ?
+    { totalConversations: sessions.length, matchingConversations: selected.length, partial: false } : null;
+
+  const structure = [`${archiveName}/`];
+  selected.slice(0, 3).forEach((session, i) => {
+    const conversation = geminiSessionToConversation(session, '');
+    const convFolderName = conversationWriter.formatConversationFolderName(conversationPattern, {
+      uuid: conversation.id,
+      title: conversation.title,
+      date: conversation.create_time
+    });
+
+    structure.push(`  ${i + 1}. ${convFolderName}/`);
+    structure.push(`    conversation.json  # ${session.length} prompts grouped into one conversation`);
+    structure.push(`    messages/`);
+    structure.push(`      # ${conversation.messages.length} messages`);
+    if (session.some(turn => geminiEntryFiles(turn.entry, '').length > 0)) {
+      structure.push(`    ${mediaFolder}/`);
+    }
+  });
+  if (selected.length > 3) {
+    structure.push(`  ... (${selected.length - 3} more conversations)`);
+  }
+  if (selected.length === 0) {
+    structure.push(`  # The import filters select none of the ${sessions.length} conversations`);
+  }
+
+  return {
+    folderStructure: structure.join('\n'),
+    archiveType: 'gemini',
+    filterSummary
+  };
+}
+
+// Hand the conversations to the writer one at a time, unpacking each one's attached files from a zip export
+// just before it is written and removing them again once it has been
+async function* stageGeminiFiles(conversations, source) {
+  for (const conversation of conversations) {
+    const names = new Set(conversation.messages.flatMap(message => (message.files || []).map(file =>
+      path.relative(source.sourceDir, file.sourcePath).split(path.sep).join('/'))));
+    if (names.size > 0) await source.stageMedia(name => names.has(name));
+    try {
+      yield conversation;
+    } finally {
+      await source.releaseMedia();
+    }
+  }
+}
+
+// Main Gemini archive import function
+async function importGeminiArchive(config, onProgress, tracker = createImportTracker()) {
+  let source = null;
+  try {
+    const { sourceDir, outputDir, archiveName } = config;
+
+    if (!sourceDir || !outputDir) {
+      throw new Error('Source and output directories must be specified');
+    }
+
+    const outputBasePath = path.join(outputDir, archiveName);
+    await fs.ensureDir(outputBasePath);
+
+    // Accept the Takeout zip, the Takeout folder or the Gemini Apps folder
+    source = await zipSource.resolveImportSource(
+      sourceDir,
+      path.join(outputDir, `.${archiveName}_zip_staging`),
+      { conversationsFile: ACTIVITY_FILE_CANDIDATES }
+    );
+    const activityDir = path.join(source.sourceDir, path.dirname(source.conversationsFile));
+
+    // Entries must be sorted by time before they can be grouped, so the activity is read in full
+    const entries = await readGeminiActivity(await source.createConversationsStream());
+    const sessions = groupGeminiSessions(entries);
+    console.log(`Found ${entries.length} Gemini activity entries, grouped into ${sessions.length} conversations`);
+
+    tracker.setExpectedConversations(sessions.length);
+    return await conversationWriter.writeConversations(
+      stageGeminiFiles(sessions.map(session => geminiSessionToConversation(session, activityDir)), source),
+      config,
+      outputBasePath,
+      onProgress,
+      tracker
+    );
+  } finally {
+    // Attached files have been copied into the archive, so unpacked zip files are no longer needed
+    if (source) {
+      await source.cleanup().catch(cleanupErr => console.error('Error removing zip staging folder:', cleanupErr));
+    }
+  }
+}
+
+module.exports = {
+  generateGeminiPreview,
+  importGeminiArchive,
+  groupGeminiSessions,
+  htmlToMarkdown
+};
@@ -2,31 +2,67 @@
 const fs = require('fs-extra');
 const path = require('path');
 const os = require('os');
+const { EventEmitter } = require('events');
 const { Transform, pipeline } = require('stream');
 const JSONStream = require('JSONStream');
 const mediaProcessor = require('./media-processor');
+const incrementalImport = require('./incremental-import');
+const zipSource = require('./zip-source');
 const archiveController = require('./controllers/archiveController');
 const archiveService = require('./services/archiveService');
+const importRegistry = require('./import-registry');
+const claudeImportProcessor = require('./claude-import-processor');
+const geminiImportProcessor = require('./gemini-import-processor');
+const jsonlImportProcessor = require('./jsonl-import-processor');
+const { createImportTracker } = require('./import-tracker');
+const importJournal = require('./import-journal');
+const importFilters = require('./import-filters');
+const mediaStoreService = require('./services/mediaStoreService');
+const redactionService = require('./services/redactionService');
 
 // Store current import status
 let importStatus = {
-  status: 'idle', // idle, in_progress, completed, failed
+  status: 'idle', // idle, in_progress, paused, completed, completed_with_errors, failed, cancelled
   progress: 0,
   totalConversations: 0,
   processedConversations: 0,
   error: null,
   startTime: null,
   endTime: null,
-  failedConversations: [] // Track conversations that fail
+  failedConversations: [], // Track conversations that fail
+  incremental: false,
+  addedConversations: 0,
+  updatedConversations: 0,
+  unchangedConversations: 0,
+  resumedConversations: 0, // already imported by the interrupted import this one resumed
+  filteredConversations: 0, // left out by the import filters
+  redactedConversations: 0, // with personal information replaced by placeholders
+  throughput: 0, // conversations per second, not counting pauses
+  etaSeconds: null
 };
 
+// Tracker of the running import, through which it is paused, resumed or cancelled
+let currentTracker = null;
+
+// Emits 'status' (import status snapshots) and 'conversation' (per-conversation events)
+// for the import progress stream
+const importEvents = new EventEmitter();
+importEvents.setMaxListeners(0);
+
+// Status snapshots are pushed to the progress stream at most this often
+const STATUS_EVENT_INTERVAL_MS = 250;
+let lastStatusEventAt = 0;
+
+// A comment line is sent this often so proxies don't close an idle progress stream
+const HEARTBEAT_MS = 30000;
+
 // Config file path - user's home directory
 const CONFIG_PATH = path.join(os.homedir(), '.carchive_config.json');
 
 // Default configuration
 const DEFAULT_CONFIG = {
   archiveType: 'openai',
-  sourceDir: '',
+  sourceDir: '', // Unzipped export folder or the export .zip file
   outputDir: '',
   archiveName: 'exploded_archive',
   conversationPattern: '{uuid}_{date}_{title}',
@@ -34,7 +70,12 @@ const DEFAULT_CONFIG = {
   mediaFolder: 'media',
   useIsoDate: true,
   useMessageReferences: true, // New option for using message references instead of duplication
-  skipFailedConversations: true // Skip conversations that fail to process rather than stopping the import
+  skipFailedConversations: true, // Skip conversations that fail to process rather than stopping the import
+  incremental: false, // Merge into an existing archive, only rewriting conversations whose update_time changed
+  resume: false, // Continue an interrupted import, skipping the conversations its journal lists as done
+  mediaStore: false, // Keep media in the archive's content-addressed store instead of each conversation's media folder
+  filters: importFilters.DEFAULT_FILTERS, // Only import the conversations these select (dates, title, GPT, model, ...)
+  redaction: redactionService.DEFAULT_REDACTION // Replace emails, phone numbers, keys, paths and dictionary terms with placeholders
 };
 
 // Load config from file
@@ -115,32 +156,46 @@ async function generatePreview(config) {
   try {
     const { sourceDir, archiveName, conversationPattern, preserveJson, mediaFolder, useMessageReferences } = config;
     
-    // Check if source directory exists
-    if (!await fs.pathExists(sourceDir)) {
-      throw new Error('Source directory does not exist');
-    }
+    // Check the source folder or zip for conversations.json (zips are sampled without unpacking)
+    const source = await zipSource.resolveImportSource(sourceDir, null, { extractMedia: false });
     
-    // Check for conversations.json in source directory
-    const conversationsPath = path.join(sourceDir, 'conversations.json');
-    if (!await fs.pathExists(conversationsPath)) {
-      throw new Error('conversations.json not found in source directory');
+    // Pre-cache DALL-E generations and new format files for faster preview
+    if (!source.isZip) {
+      await mediaProcessor.initDalleGenerationsCache(sourceDir);
+      await mediaProcessor.initAudioFilesCache(sourceDir);
+      await mediaProcessor.initUserGenerationsCache(sourceDir);
     }
     
-    // Pre-cache DALL-E generations and new format files for faster preview
-    await mediaProcessor.initDalleGenerationsCache(sourceDir);
-    await mediaProcessor.initAudioFilesCache(sourceDir);
-    await mediaProcessor.initUserGenerationsCache(sourceDir);
+    // With import filters set, count what they select and preview conversations they let through
+    const matchesFilters = importFilters.createImportFilter(config.filters);
+    let filterSummary = null;
     
     // Sample up to 5 conversations for a more realistic preview
     let sampleConvos;
     try {
-      sampleConvos = await sampleConversations(conversationsPath, 5);
+      if (matchesFilters) {
+        const { samples, ...counts } = await importFilters.countMatchingConversations(
+          importFilters.streamConversations(await source.createConversationsStream()),
+          matchesFilters,
+          5
+        );
+        sampleConvos = samples;
+        filterSummary = counts;
+      } else {
+        sampleConvos = await sampleConversations(await source.createConversationsStream(), 5);
+      }
     } catch (err) {
       console.error('Error sampling conversations:', err);
       // Fallback to a simpler preview if there's an error
       return generateSimplePreview(config);
     }
     
+    if (filterSummary && filterSummary.matchingConversations === 0) {
+      return {
+        folderStructure: `${archiveName}/\n  # The import filters select none of the ${filterSummary.totalConversations} conversations`,
+        filterSummary
+      };
+    }
     if (!sampleConvos || sampleConvos.length === 0) {
       throw new Error('No conversations found in conversations.json');
     }
@@ -209,9 +264,11 @@ async function generatePreview(config) {
     
     // Return preview data
     return {
-      folderStructure: structure.join('\n')
+      folderStructure: structure.join('\n'),
+      filterSummary
     };
   } catch (err) {
+    if (err.name === 'ValidationError') throw err;
     console.error('Error generating preview:', err);
     
     // Return a simple generic preview
@@ -243,6 +300,7 @@ function generateSimplePreview(config) {
 }
 
 // Helper: Sample a specific number of conversations from a large JSON file
+// (accepts a file path or an already-open stream, e.g. an entry of an export zip)
 async function sampleConversations(filePath, maxCount = 5) {
   return new Promise((resolve, reject) => {
     const conversations = [];
@@ -253,7 +311,8 @@ async function sampleConversations(filePath, maxCount = 5) {
     }, 10000); // 10 second timeout
     
     try {
-      const readStream = fs.createReadStream(filePath, { encoding: 'utf8' });
+      const readStream = typeof filePath === 'string' ?
+        fs.createReadStream(filePath, { encoding: 'utf8' }) : filePath;
       const jsonStream = JSONStream.parse('*');
       
       jsonStream.on('data', (data) => {
@@ -299,7 +358,8 @@ async function sampleFirstConversation(filePath) {
 }
 
 // Process a single OpenAI conversation with timeout protection
-async function processOpenAIConversation(conversation, config, outputBasePath) {
+// existingFolder is set when an incremental import updates a conversation already in the archive
+async function processOpenAIConversation(conversation, config, outputBasePath, existingFolder = null, tracker = createImportTracker()) {
   return new Promise(async (resolve, reject) => {
     // Create a timeout promise to prevent hanging
     const timeoutId = setTimeout(() => {
@@ -313,7 +373,8 @@ async function processOpenAIConversation(conversation, config, outputBasePath) {
         title: conversation.title || 'Untitled',
         date: conversation.create_time
       };
-      const convFolderName = formatFolderName(config.conversationPattern, conversationObj);
+      // Keep the existing folder when updating so renamed conversations aren't duplicated
+      const convFolderName = existingFolder || formatFolderName(config.conversationPattern, conversationObj);
       const convFolderPath = path.join(outputBasePath, convFolderName);
       
       // Create conversation folder
@@ -336,6 +397,7 @@ async function processOpenAIConversation(conversation, config, outputBasePath) {
       );
       
       console.log(`Processed ${mediaFiles.size} media files for ${conversationObj.uuid}`);
+      tracker.mediaCopied(conversationObj.uuid, mediaFiles.size);
       
       // Update asset pointers in the conversation JSON
       const updatedConversation = mediaProcessor.updateAssetPointers(conversationJson, mediaFiles);
@@ -361,12 +423,11 @@ async function processOpenAIConversation(conversation, config, outputBasePath) {
             const msgFolderPath = path.join(messagesDirPath, id);
             await fs.ensureDir(msgFolderPath);
             
-            // Save the message to a separate file
-            await fs.writeJson(
-              path.join(msgFolderPath, 'message.json'),
-              message.message,
-              { spaces: 2 }
-            );
+            // Save the message to a separate file (messages already in the archive are kept as-is)
+            const messageFilePath = path.join(msgFolderPath, 'message.json');
+            if (!existingFolder || !await fs.pathExists(messageFilePath)) {
+              await fs.writeJson(messageFilePath, message.message, { spaces: 2 });
+            }
             
             // Replace message content with a reference in the conversation JSON
             // Store the path relative to the conversation.json
@@ -409,6 +470,11 @@ async function processOpenAIConversation(conversation, config, outputBasePath) {
         { spaces: 2 }
       );
       
+      // With the media store enabled, keep each distinct media file once per archive
+      if (config.mediaStore) {
+        await mediaStoreService.storeConversationMedia(outputBasePath, convFolderName);
+      }
+      
       clearTimeout(timeoutId);
       resolve(convFolderPath);
     } catch (err) {
@@ -419,8 +485,63 @@ async function processOpenAIConversation(conversation, config, outputBasePath) {
   });
 }
 
+// Point the archive root at a newly imported archive and refresh the index
+async function activateImportedArchive(outputBasePath) {
+  try {
+    console.log(`Updating archive root to: ${outputBasePath}`);
+    
+    // Update the environment variable and .env file
+    const dotenv = require('dotenv');
+    const envFilePath = path.resolve(__dirname, '../.env');
+    
+    // Read existing .env file if it exists
+    let envContent = '';
+    if (await fs.pathExists(envFilePath)) {
+      envContent = await fs.readFile(envFilePath, 'utf8');
+    }
+    
+    // Parse existing .env content
+    const envConfig = dotenv.parse(envContent);
+    
+    // Update ARCHIVE_ROOT
+    envConfig.ARCHIVE_ROOT = outputBasePath;
+    
+    // Convert back to .env format
+    const newEnvContent = Object.entries(envConfig)
+      .map(([key, value]) => `${key}=${value}`)
+      .join('\n');
+    
+    // Write back to .env file
+    await fs.writeFile(envFilePath, newEnvContent);
+    
+    // Update process.env
+    process.env.ARCHIVE_ROOT = outputBasePath;
+    
+    // Refresh the archive index with the new location
+    console.log('Refreshing archive index with new location...');
+    await archiveService.refreshIndex(outputBasePath);
+    
+    console.log('Successfully updated archive root and refreshed index');
+  } catch (archiveUpdateError) {
+    console.error('Failed to update archive root automatically:', archiveUpdateError);
+    // Don't fail the import because of this
+  }
+}
+
+// Unpack the media one conversation references from a zip export, keeping the export's
+// layout (dalle-generations/, user-*/, <id>/audio/, files/) so the media processor finds it
+async function stageConversationMedia(source, conversation) {
+  if (!source.isZip) return;
+  const references = safeExtractMediaReferences(conversation);
+  if (references.length === 0) return;
+  await source.stageMedia(name => references.some(reference => mediaProcessor.isMediaEntryFor(name, reference)));
+  // The media processor's file lists describe whatever was staged before
+  mediaProcessor.resetCaches();
+}
+
 // Run the full OpenAI archive import/explode process
-async function importOpenAIArchive(config) {
+async function importOpenAIArchive(config, onProgress, tracker = createImportTracker()) {
+  let source = null;
   try {
     const { sourceDir, outputDir, archiveName, skipFailedConversations } = config;
     
@@ -428,48 +549,53 @@ async function importOpenAIArchive(config) {
     if (!sourceDir || !outputDir) {
       throw new Error('Source and output directories must be specified');
     }
-    
-    // Check if source directory exists
-    if (!await fs.pathExists(sourceDir)) {
-      throw new Error('Source directory does not exist');
-    }
-    
-    // Check for conversations.json in source directory
-    const conversationsPath = path.join(sourceDir, 'conversations.json');
-    if (!await fs.pathExists(conversationsPath)) {
-      throw new Error('conversations.json not found in source directory');
-    }
+    const matchesFilters = importFilters.createImportFilter(config.filters);
+    const redactor = await redactionService.createRedactor(config.redaction);
     
     // Create output directory and exploded archive folder
     const outputBasePath = path.join(outputDir, archiveName);
     await fs.ensureDir(outputBasePath);
     
+    // Accept an unzipped export folder or the export zip; zip media is unpacked next to the archive per conversation
+    source = await zipSource.resolveImportSource(
+      sourceDir,
+      path.join(outputDir, `.${archiveName}_zip_staging`)
+    );
+    const importConfig = { ...config, sourceDir: source.sourceDir };
+    
+    // For incremental imports, find out what the existing archive already contains
+    const existingConversations = config.incremental ?
+      await incrementalImport.loadExistingConversations(outputBasePath) : null;
+    
+    // Journal finished conversations so an interrupted import can pick up where it stopped
+    const journal = await importJournal.openJournal(outputBasePath, config);
+    
     // Initialize DALL-E generation cache for better performance
-    await mediaProcessor.initDalleGenerationsCache(sourceDir);
-    await mediaProcessor.initAudioFilesCache(sourceDir);
-    await mediaProcessor.initUserGenerationsCache(sourceDir);
+    // (cached file lists from an earlier import describe a different export)
+    mediaProcessor.resetCaches();
+    await mediaProcessor.initDalleGenerationsCache(source.sourceDir);
+    await mediaProcessor.initAudioFilesCache(source.sourceDir);
+    await mediaProcessor.initUserGenerationsCache(source.sourceDir);
     
-    // Update status to in_progress
-    importStatus = {
-      status: 'in_progress',
-      progress: 0,
-      totalConversations: 0,
-      processedConversations: 0,
-      error: null,
-      startTime: new Date().toISOString(),
-      endTime: null,
-      failedConversations: []
-    };
+    // Read conversations.json from the folder or straight out of the zip
+    const readStream = await source.createConversationsStream();
     
     // Process the conversations file using streaming to handle large files
     return new Promise((resolve, reject) => {
-      // Create read stream for the conversations.json file
-      const readStream = fs.createReadStream(conversationsPath, { encoding: 'utf8' });
-      
+
       // Count total conversations for progress reporting
       let totalConversations = 0;
       let processedConversations = 0;
-      let failedConversations = [];
+      const failedConversations = [];
+      const mergeCounts = { added: 0, updated: 0, unchanged: 0, resumed: 0, filtered: 0 };
+      
+      // Count a conversation as processed and report progress
+      const markProcessed = () => {
+        processedConversations++;
+        if (onProgress) {
+          onProgress({ totalConversations, processedConversations, failedConversations });
+        }
+      };
       
       // Create pipeline to process the JSON
       const countStream = new Transform({
@@ -485,87 +611,93 @@ async function importOpenAIArchive(config) {
       const processStream = new Transform({
         objectMode: true,
         async transform(conversation, encoding, callback) {
+          const conversationId = conversation.id || conversation.conversation_id;
+          let title = conversation.title || 'Untitled';
           try {
-            // Update the total count immediately for more accurate progress reporting
-            importStatus.totalConversations = totalConversations;
-            
-            // Process the conversation with timeout protection
-            await processOpenAIConversation(conversation, config, outputBasePath)
-              .then(() => {
-                // Update progress
-                processedConversations++;
-                const progress = Math.round((processedConversations / totalConversations) * 100);
-                
-                // Update status
-                importStatus = {
-                  ...importStatus,
-                  totalConversations,
-                  processedConversations,
-                  progress: Math.min(progress, 99), // Don't show 100% until fully complete
-                  failedConversations
-                };
-                
-                callback();
-              })
-              .catch(err => {
-                if (skipFailedConversations) {
-                  console.warn(`Skipping failed conversation: ${conversation.id || conversation.conversation_id}`, err);
-                  
-                  // Add to failed conversations list
-                  failedConversations.push({
-                    id: conversation.id || conversation.conversation_id,
-                    title: conversation.title || 'Untitled',
-                    error: err.message
-                  });
-                  
-                  // Still count this conversation as processed for progress reporting
-                  processedConversations++;
-                  const progress = Math.round((processedConversations / totalConversations) * 100);
-                  
-                  // Update status
-                  importStatus = {
-                    ...importStatus,
-                    totalConversations,
-                    processedConversations,
-                    progress: Math.min(progress, 99),
-                    failedConversations
-                  };
-                  
-                  callback(); // Continue to next conversation
-                } else {
-                  // Don't skip, propagate the error
-                  callback(err);
-                }
-              });
+            // Wait here while the import is paused; stop the pipeline once it is cancelled
+            await tracker.checkpoint();
           } catch (err) {
-            // For any uncaught errors, decide whether to skip or abort
-            if (skipFailedConversations) {
-              console.warn(`Skipping failed conversation (uncaught): ${conversation.id || conversation.conversation_id}`, err);
-              
-              // Add to failed conversations list
-              failedConversations.push({
-                id: conversation.id || conversation.conversation_id,
-                title: conversation.title || 'Untitled',
-                error: err.message
-              });
-              
-              // Still count this conversation as processed for progress reporting
-              processedConversations++;
-              const progress = Math.round((processedConversations / totalConversations) * 100);
-              
-              // Update status
-              importStatus = {
-                ...importStatus,
-                totalConversations,
-                processedConversations,
-                progress: Math.min(progress, 99),
-                failedConversations
-              };
+            return callback(err);
+          }
+          
+          try {
+            // Leave out conversations the import filters don't select
+            if (matchesFilters && !matchesFilters(conversation)) {
+              mergeCounts.filtered++;
+              markProcessed();
+              return callback();
+            }
+            
+            // Conversations the interrupted import already finished are left as they are
+            if (journal.completed.has(conversationId)) {
+              mergeCounts.resumed++;
+              tracker.conversationFinished(conversationId, title, 'resumed');
+              markProcessed();
+              return callback();
+            }
+            
+            // In incremental mode, skip conversations that haven't changed since the last import
+            let existingFolder = null;
+            if (existingConversations) {
+              const { action, folder } = incrementalImport.classifyConversation(
+                existingConversations,
+                conversationId,
+                conversation.update_time
+              );
               
-              callback(); // Continue to next conversation
+              if (action === 'skip') {
+                mergeCounts.unchanged++;
+                await journal.record(conversationId);
+                tracker.conversationFinished(conversationId, title, 'unchanged');
+                markProcessed();
+                return callback();
+              }
+              existingFolder = folder;
+            }
+            
+            // Personal information never reaches the archive, not even its folder names
+            if (redactor) {
+              conversation = redactor.redactConversation(conversation);
+              title = conversation.title || 'Untitled';
+            }
+            
+            // Process the conversation with timeout protection
+            tracker.conversationStarted(conversationId, title);
+            await stageConversationMedia(source, conversation);
+            try {
+              await processOpenAIConversation(conversation, importConfig, outputBasePath, existingFolder, tracker);
+            } finally {
+              await source.releaseMedia();
+            }
+            
+            await journal.record(conversationId);
+            
+            // Track what the import did with this conversation
+            if (existingFolder) {
+              mergeCounts.updated++;
             } else {
-              callback(err);
+              mergeCounts.added++;
             }
+            tracker.conversationFinished(conversationId, title, existingFolder ? 'updated' : 'added');
+            markProcessed();
+            callback();
+          } catch (err) {
+            tracker.conversationFailed(conversationId, title, err.message);
+            if (!skipFailedConversations) {
+              // Don't skip, propagate the error
+              return callback(err);
+            }
+            
+            console.warn(`Skipping failed conversation: ${conversationId}`, err);
+            failedConversations.push({
+              id: conversationId,
+              title,
+              error: err.message
+            });
+            
+            // Still count this conversation as processed for progress reporting
+            markProcessed();
+            callback(); // Continue to next conversation
           }
         }
       });
@@ -573,36 +705,34 @@ async function importOpenAIArchive(config) {
       // Set up stream pipeline with better error handling
       pipeline(
         readStream,
+        tracker.countInput(source.conversationsSize),
         JSONStream.parse('*'),
         countStream,
         processStream,
         async (err) => {
+          // Media has been copied into the archive, so unpacked zip files are no longer needed
+          await source.cleanup().catch(cleanupErr => console.error('Error removing zip staging folder:', cleanupErr));
+          
           if (err) {
-            console.error('Pipeline error:', err);
-            importStatus = {
-              ...importStatus,
-              status: 'failed',
-              error: err.message,
-              endTime: new Date().toISOString(),
-              failedConversations
-            };
+            if (err.name !== 'ImportCancelledError') console.error('Pipeline error:', err);
             return reject(err);
           }
           
           try {
-            const hasFailures = failedConversations.length > 0;
-            
-            // Mark as completed
-            importStatus = {
-              ...importStatus,
-              status: hasFailures ? 'completed_with_errors' : 'completed',
-              progress: 100,
-              endTime: new Date().toISOString(),
-              failedConversations
-            };
+            await journal.finish();
+            const redactionReport = redactor ? await redactionService.writeReport(outputBasePath, redactor) : null;
+            if (matchesFilters) {
+              console.log(`Import filters left out ${mergeCounts.filtered} of ${totalConversations} conversations`);
+            }
+            if (journal.resumed) {
+              console.log(`Resumed import: ${mergeCounts.resumed} conversations had already been imported`);
+            }
+            if (existingConversations) {
+              console.log(`Incremental import: ${mergeCounts.added} added, ${mergeCounts.updated} updated, ${mergeCounts.unchanged} unchanged`);
+            }
             
             // Write a report of failed conversations if any
-            if (hasFailures) {
+            if (failedConversations.length > 0) {
               await fs.writeJson(
                 path.join(outputBasePath, 'import_errors.json'),
                 {
@@ -616,76 +746,214 @@ async function importOpenAIArchive(config) {
               console.warn(`Import completed with ${failedConversations.length} failed conversations. See import_errors.json for details.`);
             }
             
-            // Automatically update the archive root to point to the newly imported archive
-            try {
-              console.log(`Updating archive root to: ${outputBasePath}`);
-              
-              // Update the environment variable and .env file
-              const dotenv = require('dotenv');
-              const envFilePath = path.resolve(__dirname, '../.env');
-              
-              // Read existing .env file if it exists
-              let envContent = '';
-              if (await fs.pathExists(envFilePath)) {
-                envContent = await fs.readFile(envFilePath, 'utf8');
-              }
-              
-              // Parse existing .env content
-              const envConfig = dotenv.parse(envContent);
-              
-              // Update ARCHIVE_ROOT
-              envConfig.ARCHIVE_ROOT = outputBasePath;
-              
-              // Convert back to .env format
-              const newEnvContent = Object.entries(envConfig)
-                .map(([key, value]) => `${key}=${value}`)
-                .join('\n');
-              
-              // Write back to .env file
-              await fs.writeFile(envFilePath, newEnvContent);
-              
-              // Update process.env
-              process.env.ARCHIVE_ROOT = outputBasePath;
-              
-              // Refresh the archive index with the new location
-              console.log('Refreshing archive index with new location...');
-              await archiveService.refreshIndex(outputBasePath);
-              
-              console.log('Successfully updated archive root and refreshed index');
-            } catch (archiveUpdateError) {
-              console.error('Failed to update archive root automatically:', archiveUpdateError);
-              // Don't fail the import because of this
-            }
-            
-            resolve(outputBasePath);
+            resolve({
+              outputBasePath,
+              totalConversations,
+              processedConversations,
+              failedConversations: failedConversations.length,
+              addedConversations: mergeCounts.added,
+              updatedConversations: mergeCounts.updated,
+              unchangedConversations: mergeCounts.unchanged,
+              resumedConversations: mergeCounts.resumed,
+              filteredConversations: mergeCounts.filtered,
+              redactedConversations: redactionReport ? redactionReport.conversationsRedacted : 0
+            });
           } catch (finalError) {
             console.error('Error finalizing import:', finalError);
-            importStatus = {
-              ...importStatus,
-              status: 'failed',
-              error: finalError.message,
-              endTime: new Date().toISOString(),
-              failedConversations
-            };
             reject(finalError);
           }
         }
       );
     });
   } catch (err) {
-    // Update status on error
+    if (source) {
+      await source.cleanup().catch(cleanupErr => console.error('Error removing zip staging folder:', cleanupErr));
+    }
+    throw err;
+  }
+}
+
+// Copy of the import status that is safe to send to the client
+function getSafeStatus() {
+  // Create a safe copy of the status to prevent any potential circular reference issues
+  const safeStatus = {
+    status: importStatus.status || 'idle',
+    progress: importStatus.progress || 0,
+    totalConversations: importStatus.totalConversations || 0,
+    processedConversations: importStatus.processedConversations || 0,
+    error: importStatus.error || null,
+    startTime: importStatus.startTime || null,
+    endTime: importStatus.endTime || null,
+    failedConversations: importStatus.failedConversations || [],
+    incremental: !!importStatus.incremental,
+    addedConversations: importStatus.addedConversations || 0,
+    updatedConversations: importStatus.updatedConversations || 0,
+    unchangedConversations: importStatus.unchangedConversations || 0,
+    resumedConversations: importStatus.resumedConversations || 0,
+    filteredConversations: importStatus.filteredConversations || 0,
+    redactedConversations: importStatus.redactedConversations || 0,
+    throughput: importStatus.throughput || 0,
+    etaSeconds: importStatus.etaSeconds ?? null
+  };
+  
+  // If there are too many failed conversations, limit the number returned to the client
+  if (safeStatus.failedConversations.length > 50) {
+    safeStatus.failedConversations = safeStatus.failedConversations.slice(0, 50);
+    safeStatus.failedConversationsTruncated = true;
+  }
+  
+  return safeStatus;
+}
+
+// Push the import status to the progress stream; progress updates are throttled
+function publishStatus(force = false) {
+  const now = Date.now();
+  if (!force && now - lastStatusEventAt < STATUS_EVENT_INTERVAL_MS) return;
+  lastStatusEventAt = now;
+  importEvents.emit('status', getSafeStatus());
+}
+
+// Run a registered importer, tracking its progress in importStatus
+async function runImporter(importer, config) {
+  importStatus = {
+    status: 'in_progress',
+    progress: 0,
+    totalConversations: 0,
+    processedConversations: 0,
+    error: null,
+    startTime: new Date().toISOString(),
+    endTime: null,
+    failedConversations: [],
+    incremental: !!config.incremental,
+    addedConversations: 0,
+    updatedConversations: 0,
+    unchangedConversations: 0,
+    resumedConversations: 0,
+    filteredConversations: 0,
+    redactedConversations: 0,
+    throughput: 0,
+    etaSeconds: null
+  };
+  const tracker = createImportTracker(event => importEvents.emit('conversation', event));
+  currentTracker = tracker;
+  publishStatus(true);
+  
+  try {
+    const summary = await importer.importArchive(config, ({ totalConversations, processedConversations, failedConversations }) => {
+      // Streamed exports only know their conversation count at the end, so progress and ETA
+      // come from the share of the export read so far when the importer reports it
+      const elapsed = tracker.getActiveSeconds();
+      const fraction = tracker.estimateFraction(processedConversations);
+      const done = fraction !== null ? fraction : processedConversations / Math.max(totalConversations, 1);
+      importStatus = {
+        ...importStatus,
+        totalConversations,
+        processedConversations,
+        progress: Math.min(Math.round(done * 100), 99),
+        failedConversations: failedConversations || importStatus.failedConversations,
+        throughput: elapsed > 0 ? processedConversations / elapsed : 0,
+        etaSeconds: fraction > 0 && fraction < 1 ? Math.round(elapsed * (1 - fraction) / fraction) : null
+      };
+      publishStatus();
+    }, tracker);
+    
+    importStatus = {
+      ...importStatus,
+      status: summary.failedConversations > 0 ? 'completed_with_errors' : 'completed',
+      progress: 100,
+      totalConversations: summary.totalConversations,
+      processedConversations: summary.processedConversations,
+      addedConversations: summary.addedConversations || 0,
+      updatedConversations: summary.updatedConversations || 0,
+      unchangedConversations: summary.unchangedConversations || 0,
+      resumedConversations: summary.resumedConversations || 0,
+      filteredConversations: summary.filteredConversations || 0,
+      redactedConversations: summary.redactedConversations || 0,
+      etaSeconds: null,
+      endTime: new Date().toISOString()
+    };
+    
+    await activateImportedArchive(summary.outputBasePath);
+    return summary.outputBasePath;
+  } catch (err) {
+    if (err.name === 'ImportCancelledError') {
+      // Conversations written before the cancel stay on disk; the current archive is left as it was
+      console.log(`Import cancelled after ${importStatus.processedConversations} conversations`);
+      importStatus = {
+        ...importStatus,
+        status: 'cancelled',
+        etaSeconds: null,
+        endTime: new Date().toISOString()
+      };
+      return null;
+    }
     importStatus = {
       ...importStatus,
       status: 'failed',
       error: err.message,
+      etaSeconds: null,
       endTime: new Date().toISOString()
     };
     throw err;
+  } finally {
+    currentTracker = null;
+    publishStatus(true);
+  }
+}
+
+// Pause, resume or cancel the running import through its tracker
+function controlImport(res, action) {
+  if (!currentTracker || !currentTracker[action]()) {
+    return res.status(409).json({ error: `There is no import to ${action}`, status: getSafeStatus() });
+  }
+  
+  if (action === 'pause') {
+    importStatus = { ...importStatus, status: 'paused', etaSeconds: null };
+  } else if (action === 'resume') {
+    importStatus = { ...importStatus, status: 'in_progress' };
   }
+  // A cancelled import stops before its next conversation, and runImporter records it then
+  console.log(`Import ${action} requested`);
+  publishStatus(true);
+  res.json({ success: true, status: getSafeStatus() });
 }
 
+// Importers available in the import wizard
+importRegistry.registerImporter('openai', {
+  label: 'OpenAI / ChatGPT',
+  description: 'ChatGPT data export (conversations.json and media files)',
+  generatePreview,
+  importArchive: importOpenAIArchive
+});
+importRegistry.registerImporter('claude', {
+  label: 'Anthropic / Claude',
+  description: 'Claude data export (conversations.json)',
+  generatePreview: claudeImportProcessor.generateClaudePreview,
+  importArchive: claudeImportProcessor.importClaudeArchive
+});
+importRegistry.registerImporter('gemini', {
+  label: 'Google Gemini (Takeout)',
+  description: 'Google Takeout zip or folder with "My Activity/Gemini Apps/MyActivity.json"',
+  generatePreview: geminiImportProcessor.generateGeminiPreview,
+  importArchive: geminiImportProcessor.importGeminiArchive
+});
+importRegistry.registerImporter('jsonl', {
+  label: 'Generic JSONL',
+  description: 'A .jsonl file, or a folder of them, with one conversation or one message per line',
+  generatePreview: jsonlImportProcessor.generateJsonlPreview,
+  importArchive: jsonlImportProcessor.importJsonlArchive
+});
+
 // Express route handlers
 module.exports = {
+  // Import settings used when the saved config doesn't set them (also the carchive CLI's defaults)
+  DEFAULT_CONFIG,
+
+  // List the archive types that can be imported
+  getImportTypes: (req, res) => {
+    res.json({ types: importRegistry.listImporters() });
+  },
+  
   // Get saved configuration
   getConfig: async (req, res) => {
     try {
@@ -711,9 +979,17 @@ module.exports = {
   generatePreview: async (req, res) => {
     try {
       const config = { ...DEFAULT_CONFIG, ...req.body };
-      const preview = await generatePreview(config);
+      const importer = importRegistry.getImporter(config.archiveType);
+      if (!importer) {
+        return res.status(400).json({ error: `Unsupported archive type: ${config.archiveType}` });
+      }
+      
+      const preview = await importer.generatePreview(config);
       res.json(preview);
     } catch (err) {
+      if (err.name === 'ValidationError') {
+        return res.status(400).json({ error: err.message });
+      }
       res.status(500).json({ error: err.message });
     }
   },
@@ -722,17 +998,40 @@ module.exports = {
   startImport: async (req, res) => {
     try {
       // Check if import is already in progress
-      if (importStatus.status === 'in_progress') {
+      if (currentTracker) {
         return res.status(409).json({ 
           error: 'Import already in progress', 
           status: importStatus 
         });
       }
       
-      const config = { ...DEFAULT_CONFIG, ...req.body };
+      let config = { ...DEFAULT_CONFIG, ...req.body };
+      if (config.resume) {
+        // A resumed import runs with the settings the interrupted one was started with
+        const journal = config.outputDir ?
+          await importJournal.readJournal(path.join(config.outputDir, config.archiveName)) : null;
+        if (!journal) {
+          return res.status(404).json({ error: 'There is no unfinished import to resume' });
+        }
+        config = { ...DEFAULT_CONFIG, ...journal.config, resume: true };
+      }
+      
+      const importer = importRegistry.getImporter(config.archiveType);
+      if (!importer) {
+        return res.status(400).json({ error: `Unsupported archive type: ${config.archiveType}` });
+      }
+      
+      // Reject invalid filters and redaction rules now rather than in the background import
+      try {
+        importFilters.createImportFilter(config.filters);
+        await redactionService.createRedactor(config.redaction);
+      } catch (err) {
+        if (err.name !== 'ValidationError') throw err;
+        return res.status(400).json({ error: err.message });
+      }
       
       // Start the import process asynchronously
-      importOpenAIArchive(config).catch(err => {
+      runImporter(importer, config).catch(err => {
         console.error('Import failed:', err);
         // Status is already updated in the function
       });
@@ -747,28 +1046,39 @@ module.exports = {
     }
   },
   
-  // Get current import status
-  getStatus: (req, res) => {
+  // Look for an import into the given output archive that was interrupted before it completed
+  getJournal: async (req, res) => {
     try {
-      // Create a safe copy of the status to prevent any potential circular reference issues
-      const safeStatus = {
-        status: importStatus.status || 'idle',
-        progress: importStatus.progress || 0,
-        totalConversations: importStatus.totalConversations || 0,
-        processedConversations: importStatus.processedConversations || 0,
-        error: importStatus.error || null,
-        startTime: importStatus.startTime || null,
-        endTime: importStatus.endTime || null,
-        failedConversations: importStatus.failedConversations || []
-      };
+      const { outputDir, archiveName } = req.query;
+      if (!outputDir || !archiveName) {
+        return res.status(400).json({ error: 'outputDir and archiveName are required' });
+      }
       
-      // If there are too many failed conversations, limit the number returned to the client
-      if (safeStatus.failedConversations.length > 50) {
-        safeStatus.failedConversations = safeStatus.failedConversations.slice(0, 50);
-        safeStatus.failedConversationsTruncated = true;
+      const outputBasePath = path.join(outputDir, archiveName);
+      const journal = await importJournal.readJournal(outputBasePath);
+      // The running import's own journal is not an unfinished one
+      if (!journal || currentTracker) {
+        return res.json({ unfinished: false });
       }
       
-      res.json(safeStatus);
+      res.json({
+        unfinished: true,
+        outputBasePath,
+        config: journal.config,
+        startedAt: journal.startedAt,
+        updatedAt: journal.updatedAt,
+        completedConversations: journal.completed.size
+      });
+    } catch (err) {
+      console.error('Error reading import journal:', err);
+      res.status(500).json({ error: 'Failed to read import journal' });
+    }
+  },
+  
+  // Get current import status
+  getStatus: (req, res) => {
+    try {
+      res.json(getSafeStatus());
     } catch (err) {
       console.error('Error getting import status:', err);
       res.status(500).json({ 
@@ -776,5 +1086,41 @@ module.exports = {
         status: 'unknown' 
       });
     }
-  }
-};
\ No newline at end of file
+  },
+  
+  // Stream import progress as Server-Sent Events: 'status' snapshots (sent on connect, then
+  // as the import progresses) and a 'conversation' event per conversation started, media copied,
+  // finished or failed
+  getEvents: (req, res) => {
+    res.set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      'Connection': 'keep-alive'
+    });
+    res.flushHeaders();
+    
+    const send = (event, data) => res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    const onStatus = status => send('status', status);
+    const onConversation = event => send('conversation', event);
+    
+    send('status', getSafeStatus());
+    importEvents.on('status', onStatus);
+    importEvents.on('conversation', onConversation);
+    const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), HEARTBEAT_MS);
+    
+    req.on('close', () => {
+      clearInterval(heartbeat);
+      importEvents.off('status', onStatus);
+      importEvents.off('conversation', onConversation);
+    });
+  },
+  
+  // Pause the running import before its next conversation
+  pauseImport: (req, res) => controlImport(res, 'pause'),
+  
+  // Resume a paused import
+  resumeImport: (req, res) => controlImport(res, 'resume'),
+  
+  // Cancel the running (or paused) import; conversations already written are kept
+  cancelImport: (req, res) => controlImport(res, 'cancel')
+};
@@ -0,0 +1,194 @@
+// Import Filters - select which conversations of an export an import writes
+// Works on OpenAI conversations (mapping), Claude conversations (chat_messages) and the
+// linear conversations of the Gemini and JSONL importers (messages).
+const { PassThrough, pipeline } = require('stream');
+const JSONStream = require('JSONStream');
+const incrementalImport = require('./incremental-import');
+
+// Filters the import wizard starts from; every one of them lets all conversations through
+const DEFAULT_FILTERS = {
+  createdFrom: '', // YYYY-MM-DD; "to" dates include the whole day
+  createdTo: '',
+  updatedFrom: '',
+  updatedTo: '',
+  titleInclude: '', // Regular expressions, matched case-insensitively
+  titleExclude: '',
+  gizmoIds: [], // Only conversations with one of these GPTs
+  models: [], // Only conversations using one of these model slugs
+  archived: 'include', // include, exclude or only (ChatGPT's archived conversations)
+  minMessages: 0
+};
+
+const ARCHIVED_MODES = ['include', 'exclude', 'only'];
+
+// Preview counting stops after this long so a huge export doesn't time out the wizard
+const PREVIEW_COUNT_TIMEOUT_MS = 20000;
+
+function validationError(message) {
+  const err = new Error(message);
+  err.name = 'ValidationError';
+  return err;
+}
+
+// Parse a filter date to UNIX seconds; "to" dates given as a plain day extend to its end
+function parseFilterDate(value, field, endOfDay) {
+  if (!value) return null;
+  const time = new Date(value).getTime();
+  if (isNaN(time)) {
+    throw validationError(`Invalid date for ${field}: ${value}`);
+  }
+  const seconds = time / 1000;
+  return endOfDay && /^\d{4}-\d{2}-\d{2}$/.test(value) ? seconds + 86400 - 0.001 : seconds;
+}
+
+function parseFilterPattern(value, field) {
+  if (!value) return null;
+  try {
+    return new RegExp(value, 'i');
+  } catch (err) {
+    throw validationError(`Invalid pattern for ${field}: ${err.message}`);
+  }
+}
+
+// Accept lists as arrays or comma-separated strings
+function parseFilterList(value) {
+  const items = Array.isArray(value) ? value : String(value || '').split(',');
+  return items.map(item => String(item).trim()).filter(Boolean);
+}
+
+// Messages of a conversation in any of the supported shapes
+function getMessages(conversation) {
+  if (conversation.mapping) {
+    return Object.values(conversation.mapping).map(node => node && node.message).filter(Boolean);
+  }
+  return conversation.chat_messages || conversation.messages || [];
+}
+
+function getMessageCount(conversation) {
+  return getMessages(conversation).filter(message => message.author?.role !== 'system').length;
+}
+
+function getGizmoIds(conversation) {
+  const ids = new Set();
+  if (conversation.gizmo_id) ids.add(conversation.gizmo_id);
+  for (const message of getMessages(conversation)) {
+    if (message.metadata?.gizmo_id) ids.add(message.metadata.gizmo_id);
+  }
+  return ids;
+}
+
+function getModels(conversation) {
+  const models = new Set();
+  if (conversation.default_model_slug) models.add(conversation.default_model_slug);
+  if (conversation.model) models.add(conversation.model);
+  for (const message of getMessages(conversation)) {
+    if (message.metadata?.model_slug) models.add(message.metadata.model_slug);
+  }
+  return models;
+}
+
+/**
+ * Build the predicate for a set of import filters
+ * @param {Object} filters - Import filters (see DEFAULT_FILTERS); missing fields don't filter
+ * @returns {Function|null} conversation => boolean, or null if the filters let everything through
+ * @throws {Error} ValidationError for an invalid date, pattern or archived mode
+ */
+function createImportFilter(filters) {
+  if (!filters) return null;
+
+  const createdFrom = parseFilterDate(filters.createdFrom, 'createdFrom', false);
+  const createdTo = parseFilterDate(filters.createdTo, 'createdTo', true);
+  const updatedFrom = parseFilterDate(filters.updatedFrom, 'updatedFrom', false);
+  const updatedTo = parseFilterDate(filters.updatedTo, 'updatedTo', true);
+  const titleInclude = parseFilterPattern(filters.titleInclude, 'titleInclude');
+  const titleExclude = parseFilterPattern(filters.titleExclude, 'titleExclude');
+  const gizmoIds = parseFilterList(filters.gizmoIds);
+  const models = parseFilterList(filters.models);
+  const archived = filters.archived || 'include';
+  const minMessages = parseInt(filters.minMessages, 10) || 0;
+
+  if (!ARCHIVED_MODES.includes(archived)) {
+    throw validationError(`Invalid archived filter: ${archived} (use ${ARCHIVED_MODES.join(', ')})`);
+  }
+
+  const active = createdFrom !== null || createdTo !== null || updatedFrom !== null || updatedTo !== null ||
+    titleInclude || titleExclude || gizmoIds.length > 0 || models.length > 0 ||
+    archived !== 'include' || minMessages > 0;
+  if (!active) return null;
+
+  return conversation => {
+    const created = incrementalImport.toUnixSeconds(conversation.create_time ?? conversation.created_at);
+    const updated = incrementalImport.toUnixSeconds(conversation.update_time ?? conversation.updated_at) ?? created;
+    // Conversations without a date can't be placed in a range, so a date filter leaves them out
+    if (createdFrom !== null && !(created >= createdFrom)) return false;
+    if (createdTo !== null && !(created <= createdTo)) return false;
+    if (updatedFrom !== null && !(updated >= updatedFrom)) return false;
+    if (updatedTo !== null && !(updated <= updatedTo)) return false;
+
+    const title = conversation.title || conversation.name || '';
+    if (titleInclude && !titleInclude.test(title)) return false;
+    if (titleExclude && titleExclude.test(title)) return false;
+
+    if (archived === 'exclude' && conversation.is_archived) return false;
+    if (archived === 'only' && !conversation.is_archived) return false;
+
+    if (gizmoIds.length > 0) {
+      const conversationGizmos = getGizmoIds(conversation);
+      if (!gizmoIds.some(id => conversationGizmos.has(id))) return false;
+    }
+    if (models.length > 0) {
+      const conversationModels = getModels(conversation);
+      if (!models.some(model => conversationModels.has(model))) return false;
+    }
+
+    return minMessages === 0 || getMessageCount(conversation) >= minMessages;
+  };
+}
+
+/**
+ * Read the conversations of a conversations.json stream one at a time
+ * @param {Readable} readStream - conversations.json content
+ * @returns {Readable} Object stream of conversations; destroying it closes the file
+ */
+function streamConversations(readStream) {
+  const conversations = new PassThrough({ objectMode: true });
+  // Stopping early (the preview has seen enough) is not an error worth logging
+  pipeline(readStream, JSONStream.parse('*'), conversations, err => {
+    if (err && err.code !== 'ERR_STREAM_PREMATURE_CLOSE') console.error('Error reading conversations:', err.message);
+  });
+  return conversations;
+}
+
+/**
+ * Count how many conversations of an export pass the filters, keeping the first few that do
+ * for the preview
+ * @param {AsyncIterable|Iterable} conversations - The export's conversations
+ * @param {Function} filter - Predicate from createImportFilter
+ * @param {number} sampleCount - Matching conversations to keep
+ * @returns {Promise<Object>} { totalConversations, matchingConversations, samples, partial },
+ *   partial when counting stopped early on a very large export
+ */
+async function countMatchingConversations(conversations, filter, sampleCount) {
+  const deadline = Date.now() + PREVIEW_COUNT_TIMEOUT_MS;
+  const result = { totalConversations: 0, matchingConversations: 0, samples: [], partial: false };
+
+  for await (const conversation of conversations) {
+    result.totalConversations++;
+    if (filter(conversation)) {
+      result.matchingConversations++;
+      if (result.samples.length < sampleCount) result.samples.push(conversation);
+    }
+    if (Date.now() > deadline) {
+      result.partial = true;
+      break;
+    }
+  }
+  return result;
+}
+
+module.exports = {
+  DEFAULT_FILTERS,
+  createImportFilter,
+  streamConversations,
+  countMatchingConversations
+};
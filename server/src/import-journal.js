@@ -0,0 +1,107 @@
+// Import Journal - records the conversations an import has finished so an interrupted
+// import can be resumed instead of starting over
+const fs = require('fs-extra');
+const path = require('path');
+
+// Kept in the output archive while an import runs and removed once it completes, so a
+// journal found there belongs to an import that was interrupted or cancelled.
+// One JSON object per line: a header with the import config, then { id } per conversation.
+const JOURNAL_FILE = '.import_journal.jsonl';
+
+function getJournalPath(outputBasePath) {
+  return path.join(outputBasePath, JOURNAL_FILE);
+}
+
+/**
+ * Read the journal of an unfinished import
+ * @param {string} outputBasePath - Output archive folder
+ * @returns {Promise<Object|null>} { config, startedAt, updatedAt, completed: Set of conversation IDs },
+ *   or null if no unfinished import left a journal there
+ */
+async function readJournal(outputBasePath) {
+  const journalPath = getJournalPath(outputBasePath);
+  let content;
+  let stats;
+  try {
+    [content, stats] = await Promise.all([fs.readFile(journalPath, 'utf8'), fs.stat(journalPath)]);
+  } catch (err) {
+    if (err.code === 'ENOENT') return null;
+    throw err;
+  }
+
+  let header = null;
+  const completed = new Set();
+  for (const line of content.split('\n')) {
+    if (!line.trim()) continue;
+    let record;
+    try {
+      record = JSON.parse(line);
+    } catch (err) {
+      // The server stopped halfway through writing this line
+      continue;
+    }
+    if (record.config) {
+      header = record;
+    } else if (record.id) {
+      completed.add(record.id);
+    }
+  }
+
+  if (!header) return null;
+  return {
+    config: header.config,
+    startedAt: header.started_at,
+    updatedAt: stats.mtime.toISOString(),
+    completed
+  };
+}
+
+/**
+ * Open the journal for an import: start a new one, or pick up the journal of the
+ * interrupted import when config.resume is set
+ * @param {string} outputBasePath - Output archive folder
+ * @param {Object} config - Import configuration
+ * @returns {Promise<Object>} { completed, resumed, record(id), finish() }
+ */
+async function openJournal(outputBasePath, config) {
+  const journalPath = getJournalPath(outputBasePath);
+  let completed = new Set();
+
+  if (config.resume) {
+    const previous = await readJournal(outputBasePath);
+    if (!previous) {
+      throw new Error(`There is no unfinished import to resume in ${outputBasePath}`);
+    }
+    completed = previous.completed;
+    console.log(`Resuming import: ${completed.size} conversations were already imported`);
+  } else {
+    const { resume, ...journalConfig } = config;
+    await fs.writeFile(journalPath, JSON.stringify({
+      started_at: new Date().toISOString(),
+      config: journalConfig
+    }) + '\n');
+  }
+
+  return {
+    completed,
+    resumed: !!config.resume,
+
+    // Record a finished conversation; appended straight away so it survives a crash
+    async record(id) {
+      if (!id || completed.has(id)) return;
+      completed.add(id);
+      await fs.appendFile(journalPath, JSON.stringify({ id }) + '\n');
+    },
+
+    // The import completed, so there is nothing left to resume
+    async finish() {
+      await fs.remove(journalPath);
+    }
+  };
+}
+
+module.exports = {
+  JOURNAL_FILE,
+  readJournal,
+  openJournal
+};
@@ -0,0 +1,43 @@
+// Import Registry - pluggable importers for the export formats the import wizard accepts
+// Every importer produces the same exploded layout (conversation.json + messages/ + media/),
+// so the viewers don't need to know where an archive came from.
+const importers = new Map();
+
+/**
+ * Register an importer for an archive type
+ * @param {string} type - Value of the import config's archiveType
+ * @param {Object} importer - {
+ *   label, description,
+ *   generatePreview(config) -> Promise<{ folderStructure, archiveType }>,
+ *   importArchive(config, onProgress) -> Promise<summary> (see importClaudeArchive)
+ * }
+ */
+function registerImporter(type, importer) {
+  if (typeof importer.generatePreview !== 'function' || typeof importer.importArchive !== 'function') {
+    throw new Error(`Importer "${type}" must implement generatePreview and importArchive`);
+  }
+  importers.set(type, { type, ...importer });
+}
+
+/**
+ * Get the importer registered for an archive type
+ * @param {string} type - Archive type
+ * @returns {Object|null} The importer, or null if the type is not supported
+ */
+function getImporter(type) {
+  return importers.get(type) || null;
+}
+
+/**
+ * List the registered importers for the import wizard
+ * @returns {Array} [{ type, label, description }]
+ */
+function listImporters() {
+  return Array.from(importers.values()).map(({ type, label, description }) => ({ type, label, description }));
+}
+
+module.exports = {
+  registerImporter,
+  getImporter,
+  listImporters
+};
@@ -0,0 +1,126 @@
+// Import tracker - per-conversation progress events and pause/cancel for a running import.
+// Importers take one as an optional last argument; without it they create an idle one.
+const { Transform } = require('stream');
+
+/**
+ * Create a tracker for one import
+ * @param {Function} onEvent - Optional callback(event) for every conversation event:
+ *   { type: 'started'|'media_copied'|'finished'|'failed', id, title, mediaFiles, action, error }
+ * @returns {Object} Tracker
+ */
+function createImportTracker(onEvent = () => {}) {
+  const startedAt = Date.now();
+  let state = 'running'; // running, paused, cancelled
+  let pausedAt = null;
+  let pausedMs = 0;
+  let resumeWaiters = [];
+  const input = { bytesRead: 0, totalBytes: 0 };
+  let expectedConversations = 0;
+
+  const wakeWaiters = () => {
+    resumeWaiters.forEach(resolve => resolve());
+    resumeWaiters = [];
+  };
+
+  return {
+    getState: () => state,
+
+    /**
+     * Wait while the import is paused. Importers call this before each conversation.
+     * @throws {Error} ImportCancelledError once the import has been cancelled
+     */
+    async checkpoint() {
+      while (state === 'paused') {
+        await new Promise(resolve => resumeWaiters.push(resolve));
+      }
+      if (state === 'cancelled') {
+        const err = new Error('Import cancelled');
+        err.name = 'ImportCancelledError';
+        throw err;
+      }
+    },
+
+    // Each returns false if the import is not in a state it applies to
+    pause() {
+      if (state !== 'running') return false;
+      state = 'paused';
+      pausedAt = Date.now();
+      return true;
+    },
+    resume() {
+      if (state !== 'paused') return false;
+      pausedMs += Date.now() - pausedAt;
+      pausedAt = null;
+      state = 'running';
+      wakeWaiters();
+      return true;
+    },
+    cancel() {
+      if (state === 'cancelled') return false;
+      if (pausedAt) pausedMs += Date.now() - pausedAt;
+      pausedAt = null;
+      state = 'cancelled';
+      wakeWaiters();
+      return true;
+    },
+
+    // Seconds spent importing so far, not counting pauses
+    getActiveSeconds() {
+      const paused = pausedMs + (pausedAt ? Date.now() - pausedAt : 0);
+      return Math.max(0, (Date.now() - startedAt - paused) / 1000);
+    },
+
+    /**
+     * Estimate how much of the import is done: from the bytes of the export file read so far
+     * (streamed exports, where the conversation count is only known at the end) or from the
+     * expected number of conversations
+     * @param {number} processedConversations - Conversations processed so far
+     * @returns {number|null} Fraction between 0 and 1, or null if the importer reports neither
+     */
+    estimateFraction(processedConversations) {
+      if (input.totalBytes > 0) return Math.min(1, input.bytesRead / input.totalBytes);
+      if (expectedConversations > 0) return Math.min(1, processedConversations / expectedConversations);
+      return null;
+    },
+
+    // For importers that know up front how many conversations they will write
+    setExpectedConversations(count) {
+      expectedConversations = count;
+    },
+
+    /**
+     * A pass-through stream counting the bytes of the export file as the importer reads it
+     * @param {number} totalBytes - Size of the export file
+     * @returns {Transform}
+     */
+    countInput(totalBytes) {
+      input.totalBytes = totalBytes || 0;
+      input.bytesRead = 0;
+      return new Transform({
+        transform(chunk, encoding, callback) {
+          input.bytesRead += typeof chunk === 'string' ? Buffer.byteLength(chunk) : chunk.length;
+          callback(null, chunk);
+        }
+      });
+    },
+
+    conversationStarted(id, title) {
+      onEvent({ type: 'started', id, title });
+    },
+    mediaCopied(id, mediaFiles) {
+      if (mediaFiles > 0) onEvent({ type: 'media_copied', id, mediaFiles });
+    },
+    // action: 'added', 'updated', 'unchanged' (skipped by an incremental import) or
+    // 'resumed' (already imported before the import that was resumed was interrupted)
+    conversationFinished(id, title, action) {
+      onEvent({ type: 'finished', id, title, action });
+    },
+    conversationFailed(id, title, error) {
+      onEvent({ type: 'failed', id, title, error });
+    }
+  };
+}
+
+module.exports = {
+  createImportTracker
+};
@@ -0,0 +1,69 @@
+// Incremental Import - merge a newer export into an existing exploded archive
+const fs = require('fs-extra');
+const path = require('path');
+
+// Convert an update timestamp to UNIX seconds (OpenAI uses seconds, Claude uses ISO strings)
+function toUnixSeconds(value) {
+  if (value === undefined || value === null || value === '') return null;
+  if (typeof value === 'number') {
+    // Treat very large numbers as milliseconds
+    return value > 1e11 ? value / 1000 : value;
+  }
+  const time = new Date(value).getTime();
+  return isNaN(time) ? null : time / 1000;
+}
+
+// Scan an existing exploded archive and map conversation ID -> { folder, update_time }
+async function loadExistingConversations(outputBasePath) {
+  const existing = new Map();
+
+  if (!await fs.pathExists(outputBasePath)) {
+    return existing;
+  }
+
+  const entries = await fs.readdir(outputBasePath, { withFileTypes: true });
+  for (const entry of entries) {
+    if (!entry.isDirectory()) continue;
+
+    const jsonPath = path.join(outputBasePath, entry.name, 'conversation.json');
+    if (!await fs.pathExists(jsonPath)) continue;
+
+    try {
+      const conversation = await fs.readJson(jsonPath);
+      const id = conversation.id || conversation.conversation_id || conversation.uuid;
+      if (!id) continue;
+
+      existing.set(id, {
+        folder: entry.name,
+        update_time: toUnixSeconds(conversation.update_time || conversation.updated_at)
+      });
+    } catch (err) {
+      // An unreadable conversation is treated as missing so it gets rewritten
+      console.warn(`Skipping unreadable conversation in existing archive: ${entry.name}`, err.message);
+    }
+  }
+
+  console.log(`Found ${existing.size} conversations in existing archive ${outputBasePath}`);
+  return existing;
+}
+
+// Decide what to do with an incoming conversation: 'add', 'update' or 'skip'
+function classifyConversation(existing, id, updateTime) {
+  const previous = id ? existing.get(id) : null;
+  if (!previous) {
+    return { action: 'add', folder: null };
+  }
+
+  const incoming = toUnixSeconds(updateTime);
+  if (incoming !== null && previous.update_time !== null && incoming <= previous.update_time) {
+    return { action: 'skip', folder: previous.folder };
+  }
+
+  return { action: 'update', folder: previous.folder };
+}
+
+module.exports = {
+  toUnixSeconds,
+  loadExistingConversations,
+  classifyConversation
+};
@@ -0,0 +1,237 @@
+// JSONL Archive Import Processor - imports chats from generic JSON Lines files
+// Each line is either a whole conversation ({ id, title, messages: [...] }, also OpenAI fine-tuning
+// files and ShareGPT's { conversations: [{ from, value }] }) or a single message
+// ({ conversation_id, role, content, timestamp }) grouped into conversations by conversation_id.
+const fs = require('fs-extra');
+const path = require('path');
+const readline = require('readline');
+const incrementalImport = require('./incremental-import');
+const conversationWriter = require('./conversation-writer');
+const importFilters = require('./import-filters');
+
+const JSONL_EXTENSIONS = ['.jsonl', '.ndjson'];
+
+// Roles used by common chat formats, mapped to the archive's roles
+const ROLE_MAP = {
+  human: 'user',
+  user: 'user',
+  assistant: 'assistant',
+  ai: 'assistant',
+  bot: 'assistant',
+  gpt: 'assistant',
+  model: 'assistant',
+  system: 'system',
+  tool: 'tool',
+  function: 'tool'
+};
+
+// List the JSONL files of a source: a single file or the files directly inside a folder
+async function listJsonlFiles(sourceDir) {
+  if (!sourceDir || !await fs.pathExists(sourceDir)) {
+    throw new Error('Source file or directory does not exist');
+  }
+
+  const stats = await fs.stat(sourceDir);
+  const files = stats.isDirectory() ?
+    (await fs.readdir(sourceDir)).sort().map(name => path.join(sourceDir, name)) :
+    [sourceDir];
+
+  const jsonlFiles = files.filter(file => JSONL_EXTENSIONS.includes(path.extname(file).toLowerCase()));
+  if (jsonlFiles.length === 0) {
+    throw new Error('No .jsonl files found in source');
+  }
+  return jsonlFiles;
+}
+
+// Flatten the content of a message (string, content parts or { parts }) into text
+function contentText(content) {
+  if (content === undefined || content === null) return '';
+  if (typeof content === 'string') return content;
+  if (Array.isArray(content)) {
+    return content
+      .map(part => {
+        if (typeof part === 'string') return part;
+        if (typeof part.text === 'string') return part.text;
+        if (part.type === 'image_url' || part.type === 'image') return '[Image]';
+        return JSON.stringify(part, null, 2);
+      })
+      .join('\n\n');
+  }
+  if (Array.isArray(content.parts)) return contentText(content.parts);
+  if (typeof content.text === 'string') return content.text;
+  return JSON.stringify(content, null, 2);
+}
+
+// Convert a JSONL message record to the conversation writer's message format
+function convertJsonlMessage(record, conversationId, index) {
+  const rawRole = record.role || record.author?.role || record.sender || record.from || 'user';
+  let text = contentText(record.content ?? record.text ?? record.value ?? record.message);
+
+  // OpenAI-style tool calls carry no content of their own
+  if (!text && Array.isArray(record.tool_calls)) {
+    text = '```json\n' + JSON.stringify(record.tool_calls, null, 2) + '\n```';
+  }
+
+  return {
+    id: conversationWriter.stableUuid('jsonl', conversationId, String(index)),
+    role: ROLE_MAP[String(rawRole).toLowerCase()] || String(rawRole),
+    name: record.name,
+    text,
+    create_time: incrementalImport.toUnixSeconds(record.create_time ?? record.created_at ?? record.timestamp ?? record.time),
+    metadata: {
+      ...(record.id ? { original_id: String(record.id) } : {}),
+      ...(record.model ? { model_slug: record.model } : {})
+    }
+  };
+}
+
+// Title a conversation after its first user message when the source has no title
+function defaultTitle(messages) {
+  const firstUser = messages.find(m => m.role === 'user') || messages[0];
+  const firstLine = (firstUser?.text || '').split('\n')[0].trim();
+  return firstLine.length > 60 ? `${firstLine.substring(0, 57)}...` : firstLine || 'Untitled';
+}
+
+// Build a conversation from its messages and whatever conversation fields the source provides
+function buildConversation(id, fields, rawMessages) {
+  const messages = rawMessages.map((record, i) => convertJsonlMessage(record, id, i));
+  const times = messages.map(m => m.create_time).filter(time => time !== null);
+
+  return {
+    id,
+    title: fields.title || fields.name || defaultTitle(messages),
+    create_time: incrementalImport.toUnixSeconds(fields.create_time ?? fields.created_at) ?? (times.length ? Math.min(...times) : null),
+    update_time: incrementalImport.toUnixSeconds(fields.update_time ?? fields.updated_at) ?? (times.length ? Math.max(...times) : null),
+    source_format: 'jsonl',
+    messages
+  };
+}
+
+/**
+ * Read conversations from JSONL files. Conversation lines are yielded as they are read;
+ * message lines are collected and yielded, grouped, once every file has been read.
+ * @param {Array<string>} files - JSONL files
+ * @returns {AsyncGenerator<Object>} Conversations in the conversation writer's format
+ */
+async function* readJsonlConversations(files) {
+  const grouped = new Map();
+
+  for (const file of files) {
+    const fileName = path.basename(file);
+    const lines = readline.createInterface({
+      input: fs.createReadStream(file, { encoding: 'utf8' }),
+      crlfDelay: Infinity
+    });
+
+    let lineNumber = 0;
+    for await (const line of lines) {
+      lineNumber++;
+      if (!line.trim()) continue;
+
+      let record;
+      try {
+        record = JSON.parse(line);
+      } catch (err) {
+        console.warn(`Skipping invalid JSON on line ${lineNumber} of ${fileName}`);
+        continue;
+      }
+
+      const messages = record.messages || record.conversations;
+      if (Array.isArray(messages)) {
+        const id = String(record.id || record.conversation_id || record.uuid ||
+          conversationWriter.stableUuid('jsonl', fileName, String(lineNumber)));
+        yield buildConversation(id, record, messages);
+        continue;
+      }
+
+      // A single message; lines without a conversation ID form one conversation per file
+      const key = String(record.conversation_id || record.session_id || record.thread_id ||
+        conversationWriter.stableUuid('jsonl', fileName));
+      if (!grouped.has(key)) {
+        grouped.set(key, { fields: {}, messages: [] });
+      }
+      const group = grouped.get(key);
+      group.fields.title = group.fields.title || record.conversation_title || record.title;
+      group.messages.push(record);
+    }
+  }
+
+  for (const [id, group] of grouped) {
+    yield buildConversation(id, group.fields, group.messages);
+  }
+}
+
+// Generate preview for JSONL import
+async function generateJsonlPreview(config) {
+  const { sourceDir, archiveName, conversationPattern } = config;
+  const files = await listJsonlFiles(sourceDir);
+
+  // With import filters set, count what they select and sample from that
+  const matchesFilters = importFilters.createImportFilter(config.filters);
+  let samples = [];
+  let filterSummary = null;
+  if (matchesFilters) {
+    const { samples: matching, ...counts } = await importFilters.countMatchingConversations(
+      readJsonlConversations(files),
+      matchesFilters,
+      3
+    );
+    samples = matching;
+    filterSummary = counts;
+  } else {
+    for await (const conversation of readJsonlConversations(files)) {
+      samples.push(conversation);
+      if (samples.length >= 3) break;
+    }
+  }
+
+  if (samples.length === 0 && !filterSummary) {
+    throw new Error('No conversations found in JSONL files');
+  }
+
+  const structure = [`${archiveName}/`];
+  samples.forEach((conversation, i) => {
+    const convFolderName = conversationWriter.formatConversationFolderName(conversationPattern, {
+      uuid: conversation.id,
+      title: conversation.title,
+      date: conversation.create_time
+    });
+    structure.push(`  ${i + 1}. ${convFolderName}/`);
+    structure.push(`    conversation.json`);
+    structure.push(`    messages/`);
+    structure.push(`      # ${conversation.messages.length} messages`);
+  });
+  structure.push(`  # from ${files.length} JSONL file${files.length === 1 ? '' : 's'}`);
+  if (filterSummary && samples.length === 0) {
+    structure.push(`  # The import filters select none of the ${filterSummary.totalConversations} conversations`);
+  }
+
+  return {
+    folderStructure: structure.join('\n'),
+    archiveType: 'jsonl',
+    filterSummary
+  };
+}
+
+// Main JSONL import function
+async function importJsonlArchive(config, onProgress, tracker) {
+  const { sourceDir, outputDir, archiveName } = config;
+
+  if (!sourceDir || !outputDir) {
+    throw new Error('Source and output directories must be specified');
+  }
+
+  const files = await listJsonlFiles(sourceDir);
+  console.log(`Importing ${files.length} JSONL files`);
+
+  const outputBasePath = path.join(outputDir, archiveName);
+  await fs.ensureDir(outputBasePath);
+
+  return conversationWriter.writeConversations(readJsonlConversations(files), config, outputBasePath, onProgress, tracker);
+}
+
+module.exports = {
+  generateJsonlPreview,
+  importJsonlArchive,
+  readJsonlConversations
+};
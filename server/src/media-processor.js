@@ -64,6 +64,21 @@ let allFilesCache = null;
 let audioFilesCache = null;
 let userGenerationsCache = null;
 
+// Forget the cached file lists (they describe the export they were first built from)
+function resetCaches() {
+  dalleGenerationCache = null;
+  filesDirectoryCache = null;
+  allFilesCache = null;
+  audioFilesCache = null;
+  userGenerationsCache = null;
+}
+
+// Whether an export entry (path relative to the export root) may hold the media for a file ID:
+// every lookup matches the ID against file names, whichever folder the file sits in
+function isMediaEntryFor(name, fileId) {
+  return path.posix.basename(name).includes(fileId);
+}
+
 // Extract file ID from an asset pointer string
 function extractFileId(assetPointer) {
   if (!assetPointer || typeof assetPointer !== 'string') {
@@ -929,8 +944,13 @@ async function processMediaFile(sourceDir, fileId, mediaDir) {
         }
       }
       
-      // Copy the file with the proper extension
+      // Copy the file with the proper extension, unless an identical copy is already there
+      // (re-imports into an existing archive only need to add new media)
       const destPath = path.join(mediaDir, destFileName);
+      if (await fs.pathExists(destPath) &&
+          (await fs.stat(destPath)).size === (await fs.stat(file.path)).size) {
+        return destFileName;
+      }
       await fs.copy(file.path, destPath);
       console.log(`Copied file to ${destPath}`);
       return destFileName;
@@ -1109,6 +1129,8 @@ module.exports = {
   initAllFilesCache,
   initAudioFilesCache,
   initUserGenerationsCache,
+  resetCaches,
+  isMediaEntryFor,
   findFileInTopLevelByPartialId,
   extractMarkdown
 };
\ No newline at end of file
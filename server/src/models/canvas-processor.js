@@ -1,6 +1,6 @@
 // Canvas processor for handling Canvas structures in ChatGPT archives
-const fs = require('fs-extra');
 const path = require('path');
+const { archiveFs } = require('../services/sqliteArchiveService');
 
 /**
  * Extract canvas IDs from conversation or messages
@@ -64,8 +64,8 @@ async function findCanvasData(canvasId, archiveRoot) {
     
     // Try each possible path
     for (const canvasPath of possiblePaths) {
-      if (await fs.pathExists(canvasPath)) {
-        const canvasData = await fs.readJson(canvasPath);
+      if (await archiveFs.pathExists(canvasPath)) {
+        const canvasData = await archiveFs.readJson(canvasPath);
         return processCanvasData(canvasData);
       }
     }
@@ -136,18 +136,20 @@ async function findCanvasInConversations(canvasId, archiveRoot) {
   
   try {
     // Get all conversation directories
-    const allDirs = await fs.readdir(archiveRoot);
+    const allDirs = await archiveFs.readdir(archiveRoot);
     
     // Filter for conversation directories
-    const convDirs = allDirs.filter(dir => {
-      const jsonPath = path.join(archiveRoot, dir, 'conversation.json');
-      return fs.existsSync(jsonPath);
-    });
+    const convDirs = [];
+    for (const dir of allDirs) {
+      if (await archiveFs.pathExists(path.join(archiveRoot, dir, 'conversation.json'))) {
+        convDirs.push(dir);
+      }
+    }
     
     // Look for canvas data within each conversation
     for (const convDir of convDirs) {
       const canvasPath = path.join(archiveRoot, convDir, 'canvas', `${canvasId}.json`);
-      if (await fs.pathExists(canvasPath)) {
+      if (await archiveFs.pathExists(canvasPath)) {
         possiblePaths.push(canvasPath);
       }
     }
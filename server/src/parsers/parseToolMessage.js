@@ -83,14 +83,13 @@ function parseToolMessage(msg) {
     const knownFields = ['id', 'author', 'content', 'metadata', 'create_time', 'update_time'];
     const msgFields = Object.keys(msg);
     
-    for (const field of msgFields) {
-      if (!knownFields.includes(field)) {
-        parsed.has_unknown_fields = true;
-        // Only log unknown fields in development environment
-        if (process.env.NODE_ENV === 'development') {
-          console.debug(`Unknown field in tool message: ${field}`);
-        }
-        break; // Stop after finding the first unknown field
+    // Record every unknown field so the parser coverage report can name them
+    parsed.unknown_fields = msgFields.filter(field => !knownFields.includes(field));
+    if (parsed.unknown_fields.length > 0) {
+      parsed.has_unknown_fields = true;
+      // Only log unknown fields in development environment
+      if (process.env.NODE_ENV === 'development') {
+        console.debug(`Unknown fields in tool message: ${parsed.unknown_fields.join(', ')}`);
       }
     }
 
@@ -0,0 +1,251 @@
+// Analytics Service - usage over time, models, gizmos and tools, computed from the archive
+// Each conversation is summarized once into weekly buckets; dashboards are aggregated from the
+// summaries, so changing the date range doesn't re-read the archive.
+const archiveService = require('./archiveService');
+const canvasProcessor = require('../models/canvas-processor');
+
+// Conversation summaries keyed by conversation ID; rebuilt when the conversation changes
+const summaries = new Map();
+
+// Summaries are built one request at a time so concurrent dashboards don't read the archive twice
+let summaryQueue = Promise.resolve();
+
+const TOOL_CATEGORIES = ['web', 'python', 'dalle', 'canvas'];
+
+const SECONDS_PER_WEEK = 7 * 24 * 60 * 60;
+
+/**
+ * Get the Monday (UTC) that starts the week of a timestamp
+ * @param {number} unixSeconds - Timestamp in UNIX seconds
+ * @returns {string} Week start as YYYY-MM-DD
+ */
+function weekStart(unixSeconds) {
+  const date = new Date(unixSeconds * 1000);
+  date.setUTCHours(0, 0, 0, 0);
+  date.setUTCDate(date.getUTCDate() - ((date.getUTCDay() + 6) % 7));
+  return date.toISOString().slice(0, 10);
+}
+
+// Count the words of a message's text parts
+function countWords(message) {
+  const content = message.content || {};
+  const texts = [];
+  if (Array.isArray(content.parts)) {
+    texts.push(...content.parts.filter(part => typeof part === 'string'));
+  }
+  if (typeof content.text === 'string') {
+    texts.push(content.text);
+  }
+  return texts.reduce((total, text) => total + text.split(/\s+/).filter(Boolean).length, 0);
+}
+
+// Classify the tool a message belongs to: web, python, dalle, canvas, another tool name, or null
+function messageTool(message) {
+  if (canvasProcessor.extractCanvasReferences(message).length > 0) return 'canvas';
+  if (message.author?.role !== 'tool') return null;
+
+  const name = message.author.name || '';
+  if (name.startsWith('web') || name === 'browser') return 'web';
+  if (name === 'python' || message.content?.content_type === 'execution_output') return 'python';
+  if (name.startsWith('dalle')) return 'dalle';
+  if (name.startsWith('canmore')) return 'canvas';
+  return name || 'tool';
+}
+
+function emptyBucket() {
+  return { messages: 0, user_messages: 0, assistant_messages: 0, user_words: 0, assistant_words: 0, models: {}, tools: {}, gizmos: {} };
+}
+
+// Read a conversation's current thread and summarize it into weekly buckets
+async function summarizeConversation(conv, archiveRoot) {
+  const result = await archiveService.loadConversationMessages(
+    conv.folder,
+    archiveService.getConversationRoot(conv, archiveRoot)
+  );
+  const weeks = {};
+
+  for (const msg of result.messages) {
+    const message = msg.message;
+    if (!message) continue;
+
+    const week = weekStart(message.create_time || conv.create_time || 0);
+    const bucket = weeks[week] || (weeks[week] = emptyBucket());
+    const role = message.author?.role;
+
+    bucket.messages++;
+    if (role === 'user') {
+      bucket.user_messages++;
+      bucket.user_words += countWords(message);
+    } else if (role === 'assistant') {
+      bucket.assistant_messages++;
+      bucket.assistant_words += countWords(message);
+    }
+
+    const model = message.metadata?.model_slug;
+    if (model) {
+      bucket.models[model] = (bucket.models[model] || 0) + 1;
+    }
+    const gizmoId = message.metadata?.gizmo_id;
+    if (gizmoId) {
+      bucket.gizmos[gizmoId] = (bucket.gizmos[gizmoId] || 0) + 1;
+    }
+    const tool = messageTool(message);
+    if (tool) {
+      bucket.tools[tool] = (bucket.tools[tool] || 0) + 1;
+    }
+  }
+
+  return { signature: `${conv.source}|${conv.folder}|${conv.update_time}`, weeks };
+}
+
+/**
+ * Get the summaries of a set of conversations, building the missing or outdated ones
+ * @param {Array} conversations - Conversation metadata from the archive index
+ * @param {string} archiveRoot - Primary archive root
+ * @returns {Promise<Map>} Conversation ID -> summary
+ */
+function getSummaries(conversations, archiveRoot) {
+  summaryQueue = summaryQueue.then(async () => {
+    let built = 0;
+    for (const conv of conversations) {
+      const cached = summaries.get(conv.id);
+      if (cached && cached.signature === `${conv.source}|${conv.folder}|${conv.update_time}`) continue;
+
+      try {
+        summaries.set(conv.id, await summarizeConversation(conv, archiveRoot));
+        built++;
+      } catch (err) {
+        console.warn(`Analytics: skipping conversation ${conv.id}:`, err.message);
+      }
+    }
+    if (built > 0) {
+      console.log(`Analytics: summarized ${built} conversations`);
+    }
+    return summaries;
+  });
+  return summaryQueue;
+}
+
+// Add the counts of one map ({ key: count }) into another
+function addCounts(target, counts) {
+  for (const [key, count] of Object.entries(counts)) {
+    target[key] = (target[key] || 0) + count;
+  }
+}
+
+/**
+ * Build the analytics dashboard for the conversations matching the filters
+ * @param {string} archiveRoot - Primary archive root
+ * @param {Object} filters - from_date, to_date and any other filterConversations filter
+ * @returns {Promise<Object>} Totals, weekly series, models, gizmos and tools
+ */
+async function getAnalytics(archiveRoot, filters = {}) {
+  const conversations = archiveService.filterConversations(archiveService.getArchiveIndex(), filters);
+  const conversationSummaries = await getSummaries(conversations, archiveRoot);
+
+  // Messages outside the date range are left out even if their conversation started inside it
+  const fromWeek = filters.from_date ? weekStart(new Date(filters.from_date).getTime() / 1000) : null;
+  const toWeek = filters.to_date ? weekStart(new Date(filters.to_date).getTime() / 1000) : null;
+  const inRange = (week) => (!fromWeek || week >= fromWeek) && (!toWeek || week <= toWeek);
+
+  const weekly = {};
+  const totals = emptyBucket();
+  const modelUsage = {};
+  const gizmoUsage = {};
+
+  for (const conv of conversations) {
+    const startWeek = weekStart(conv.create_time || 0);
+    if (inRange(startWeek)) {
+      (weekly[startWeek] || (weekly[startWeek] = { ...emptyBucket(), conversations: 0 })).conversations++;
+    }
+
+    const summary = conversationSummaries.get(conv.id);
+    if (!summary) continue;
+
+    for (const [week, bucket] of Object.entries(summary.weeks)) {
+      if (!inRange(week)) continue;
+
+      const target = weekly[week] || (weekly[week] = { ...emptyBucket(), conversations: 0 });
+      for (const bucketTarget of [target, totals]) {
+        bucketTarget.messages += bucket.messages;
+        bucketTarget.user_messages += bucket.user_messages;
+        bucketTarget.assistant_messages += bucket.assistant_messages;
+        bucketTarget.user_words += bucket.user_words;
+        bucketTarget.assistant_words += bucket.assistant_words;
+        addCounts(bucketTarget.models, bucket.models);
+        addCounts(bucketTarget.tools, bucket.tools);
+      }
+
+      for (const [model, count] of Object.entries(bucket.models)) {
+        const usage = modelUsage[model] || (modelUsage[model] = { model, messages: 0, first_week: week, last_week: week });
+        usage.messages += count;
+        if (week < usage.first_week) usage.first_week = week;
+        if (week > usage.last_week) usage.last_week = week;
+      }
+
+      for (const [gizmoId, count] of Object.entries(bucket.gizmos)) {
+        const usage = gizmoUsage[gizmoId] || (gizmoUsage[gizmoId] = {
+          id: gizmoId,
+          name: (conv.gizmo_names && conv.gizmo_names[gizmoId]) || gizmoId,
+          messages: 0,
+          conversations: new Set()
+        });
+        usage.messages += count;
+        usage.conversations.add(conv.id);
+      }
+    }
+  }
+
+  // Fill the weeks without activity so the series has no gaps
+  const weeks = Object.keys(weekly).sort();
+  const series = [];
+  if (weeks.length > 0) {
+    const last = new Date(`${weeks[weeks.length - 1]}T00:00:00Z`).getTime() / 1000;
+    for (let time = new Date(`${weeks[0]}T00:00:00Z`).getTime() / 1000; time <= last; time += SECONDS_PER_WEEK) {
+      const week = weekStart(time);
+      series.push({ week, ...(weekly[week] || { ...emptyBucket(), conversations: 0 }) });
+    }
+  }
+
+  const conversationCount = series.reduce((total, week) => total + week.conversations, 0);
+  const otherTools = Object.entries(totals.tools)
+    .filter(([tool]) => !TOOL_CATEGORIES.includes(tool))
+    .reduce((total, [, count]) => total + count, 0);
+
+  return {
+    range: { from_date: filters.from_date || null, to_date: filters.to_date || null },
+    totals: {
+      conversations: conversationCount,
+      messages: totals.messages,
+      user_messages: totals.user_messages,
+      assistant_messages: totals.assistant_messages,
+      user_words: totals.user_words,
+      assistant_words: totals.assistant_words,
+      avg_messages_per_conversation: conversationCount ? Math.round((totals.messages / conversationCount) * 10) / 10 : 0
+    },
+    weekly: series.map(({ gizmos, ...week }) => week),
+    models: Object.values(modelUsage).sort((a, b) => b.messages - a.messages),
+    gizmos: Object.values(gizmoUsage)
+      .map(usage => ({ ...usage, conversations: usage.conversations.size }))
+      .sort((a, b) => b.messages - a.messages)
+      .slice(0, 10),
+    tools: {
+      ...Object.fromEntries(TOOL_CATEGORIES.map(tool => [tool, totals.tools[tool] || 0])),
+      other: otherTools
+    },
+    tool_names: totals.tools
+  };
+}
+
+/**
+ * Forget every cached summary (e.g. when the archive root changes)
+ */
+function clearSummaries() {
+  summaries.clear();
+}
+
+module.exports = {
+  weekStart,
+  getAnalytics,
+  clearSummaries
+};
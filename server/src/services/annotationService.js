@@ -0,0 +1,253 @@
+// Annotation Service - user tags, stars and notes kept in a sidecar file in the archive root
+const fs = require('fs-extra');
+const path = require('path');
+const { getDataRoot } = require('./sqliteArchiveService');
+
+// Sidecar file name; the archive itself is never modified
+const ANNOTATIONS_FILE = '.annotations.json';
+const ANNOTATIONS_VERSION = 1;
+
+// Annotations for the current archive root
+let annotations = null;
+let annotationsRoot = null;
+
+// Writes are chained so concurrent updates never interleave
+let writeQueue = Promise.resolve();
+
+/**
+ * Normalize a list of tags: trimmed, non-empty, de-duplicated case-insensitively
+ * @param {Array|string} tags - Tags array or comma-separated string
+ * @returns {Array<string>} Clean tag list
+ */
+function normalizeTags(tags) {
+  const list = Array.isArray(tags) ? tags : String(tags || '').split(',');
+  const seen = new Set();
+  const result = [];
+  for (const tag of list) {
+    const clean = String(tag).trim().replace(/\s+/g, ' ').substring(0, 64);
+    const key = clean.toLowerCase();
+    if (clean && !seen.has(key)) {
+      seen.add(key);
+      result.push(clean);
+    }
+  }
+  return result;
+}
+
+/**
+ * Apply a partial update ({ tags, starred, note }) to an annotation record
+ * @param {Object} record - Existing annotation record (may be empty)
+ * @param {Object} patch - Fields to update
+ * @returns {Object} Updated record
+ */
+function applyPatch(record, patch) {
+  const updated = { tags: [], starred: false, note: '', ...record };
+  if (patch.tags !== undefined) updated.tags = normalizeTags(patch.tags);
+  if (patch.starred !== undefined) updated.starred = patch.starred === true || patch.starred === 'true';
+  if (patch.note !== undefined) updated.note = String(patch.note || '');
+  updated.updated_at = new Date().toISOString();
+  return updated;
+}
+
+/**
+ * Check whether an annotation record carries any user data
+ * @param {Object} record - Annotation record
+ * @returns {boolean} True if there are tags, a star or a note
+ */
+function hasContent(record) {
+  return !!record && (record.tags.length > 0 || record.starred || !!record.note);
+}
+
+/**
+ * Load the annotations sidecar for an archive (cached per archive root)
+ * @param {string} archiveRoot - Root directory of the archive
+ * @returns {Promise<Object>} Annotations data
+ */
+async function loadAnnotations(archiveRoot) {
+  if (annotations && annotationsRoot === archiveRoot) {
+    return annotations;
+  }
+
+  const filePath = path.join(getDataRoot(archiveRoot), ANNOTATIONS_FILE);
+  let data = { version: ANNOTATIONS_VERSION, conversations: {} };
+
+  try {
+    if (await fs.pathExists(filePath)) {
+      const saved = await fs.readJson(filePath);
+      if (saved && saved.conversations) {
+        data = { version: ANNOTATIONS_VERSION, conversations: saved.conversations };
+      }
+    }
+  } catch (err) {
+    console.error(`Error loading annotations from ${filePath}:`, err);
+  }
+
+  annotations = data;
+  annotationsRoot = archiveRoot;
+  return annotations;
+}
+
+/**
+ * Persist the annotations sidecar (write to a temp file, then rename)
+ * @param {string} archiveRoot - Root directory of the archive
+ * @returns {Promise<void>}
+ */
+function saveAnnotations(archiveRoot) {
+  const snapshot = JSON.stringify(annotations, null, 2);
+  const filePath = path.join(getDataRoot(archiveRoot), ANNOTATIONS_FILE);
+
+  writeQueue = writeQueue
+    .catch(() => {})
+    .then(async () => {
+      const tempPath = `${filePath}.tmp`;
+      await fs.writeFile(tempPath, snapshot, 'utf8');
+      await fs.move(tempPath, filePath, { overwrite: true });
+    });
+
+  return writeQueue;
+}
+
+/**
+ * Get the annotations of a conversation (and its messages)
+ * @param {string} archiveRoot - Root directory of the archive
+ * @param {string} conversationId - Conversation ID
+ * @returns {Promise<Object>} { tags, starred, note, messages }
+ */
+async function getConversationAnnotations(archiveRoot, conversationId) {
+  const data = await loadAnnotations(archiveRoot);
+  const record = data.conversations[conversationId] || {};
+  return {
+    tags: record.tags || [],
+    starred: !!record.starred,
+    note: record.note || '',
+    messages: record.messages || {}
+  };
+}
+
+/**
+ * Update the tags/star/note of a conversation
+ * @param {string} archiveRoot - Root directory of the archive
+ * @param {string} conversationId - Conversation ID
+ * @param {Object} patch - { tags, starred, note } (omitted fields are unchanged)
+ * @returns {Promise<Object>} Updated annotations
+ */
+async function updateConversationAnnotations(archiveRoot, conversationId, patch) {
+  const data = await loadAnnotations(archiveRoot);
+  const { messages, ...existing } = data.conversations[conversationId] || {};
+  const updated = applyPatch(existing, patch);
+
+  if (hasContent(updated) || (messages && Object.keys(messages).length > 0)) {
+    data.conversations[conversationId] = messages ? { ...updated, messages } : updated;
+  } else {
+    delete data.conversations[conversationId];
+  }
+
+  await saveAnnotations(archiveRoot);
+  return getConversationAnnotations(archiveRoot, conversationId);
+}
+
+/**
+ * Update the tags/star/note of a single message
+ * @param {string} archiveRoot - Root directory of the archive
+ * @param {string} conversationId - Conversation ID
+ * @param {string} messageId - Message ID
+ * @param {Object} patch - { tags, starred, note } (omitted fields are unchanged)
+ * @returns {Promise<Object>} Updated message annotations
+ */
+async function updateMessageAnnotations(archiveRoot, conversationId, messageId, patch) {
+  const data = await loadAnnotations(archiveRoot);
+  const record = data.conversations[conversationId] || { tags: [], starred: false, note: '' };
+  const messages = { ...(record.messages || {}) };
+  const updated = applyPatch(messages[messageId], patch);
+
+  if (hasContent(updated)) {
+    messages[messageId] = updated;
+  } else {
+    delete messages[messageId];
+  }
+
+  if (Object.keys(messages).length > 0) {
+    data.conversations[conversationId] = { ...record, messages };
+  } else {
+    const { messages: _removed, ...rest } = record;
+    if (hasContent({ tags: [], ...rest })) {
+      data.conversations[conversationId] = rest;
+    } else {
+      delete data.conversations[conversationId];
+    }
+  }
+
+  await saveAnnotations(archiveRoot);
+  return messages[messageId] || { tags: [], starred: false, note: '' };
+}
+
+/**
+ * List every tag in use with the number of conversations carrying it
+ * @param {string} archiveRoot - Root directory of the archive
+ * @returns {Promise<Array>} [{ tag, count }] sorted by count
+ */
+async function getAllTags(archiveRoot) {
+  const data = await loadAnnotations(archiveRoot);
+  const counts = new Map();
+
+  Object.values(data.conversations).forEach(record => {
+    (record.tags || []).forEach(tag => {
+      const key = tag.toLowerCase();
+      const entry = counts.get(key) || { tag, count: 0 };
+      entry.count++;
+      counts.set(key, entry);
+    });
+  });
+
+  return Array.from(counts.values()).sort((a, b) => b.count - a.count || a.tag.localeCompare(b.tag));
+}
+
+/**
+ * Get the cached annotation summary for a conversation, for list views and filtering.
+ * Returns defaults if annotations haven't been loaded yet.
+ * @param {string} conversationId - Conversation ID
+ * @returns {Object} { tags, starred, has_note }
+ */
+function getAnnotationSummary(conversationId) {
+  const record = annotations ? annotations.conversations[conversationId] : null;
+  return {
+    tags: record?.tags || [],
+    starred: !!record?.starred,
+    has_note: !!record?.note
+  };
+}
+
+/**
+ * Filter conversations by annotation query filters
+ * @param {Array} conversations - Conversation metadata
+ * @param {Object} filters - tag (comma-separated, all required), starred, has_note
+ * @returns {Array} Matching conversations
+ */
+function filterByAnnotations(conversations, filters = {}) {
+  const isSet = (value) => value === true || value === 'true';
+  const requiredTags = filters.tag ? normalizeTags(filters.tag).map(tag => tag.toLowerCase()) : [];
+
+  if (requiredTags.length === 0 && !isSet(filters.starred) && !isSet(filters.has_note)) {
+    return conversations;
+  }
+
+  return conversations.filter(c => {
+    const summary = getAnnotationSummary(c.id);
+    if (isSet(filters.starred) && !summary.starred) return false;
+    if (isSet(filters.has_note) && !summary.has_note) return false;
+    const tags = summary.tags.map(tag => tag.toLowerCase());
+    return requiredTags.every(tag => tags.includes(tag));
+  });
+}
+
+module.exports = {
+  ANNOTATIONS_FILE,
+  normalizeTags,
+  loadAnnotations,
+  getConversationAnnotations,
+  updateConversationAnnotations,
+  updateMessageAnnotations,
+  getAllTags,
+  getAnnotationSummary,
+  filterByAnnotations
+};
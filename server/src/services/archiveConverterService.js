@@ -0,0 +1,279 @@
+// Archive Converter Service - converts an archive between the exploded folder layout and the
+// single-file SQLite format (see sqliteArchiveService), in either direction. Converting one way
+// and back gives the same files, except that stored media comes back into each media/ folder.
+const fs = require('fs-extra');
+const path = require('path');
+const crypto = require('crypto');
+const searchService = require('./searchService');
+const semanticService = require('./semanticService');
+const parserReportService = require('./parserReportService');
+const indexCacheService = require('./indexCacheService');
+const mediaStoreService = require('./mediaStoreService');
+const sqliteArchiveService = require('./sqliteArchiveService');
+const importJournal = require('../import-journal');
+
+// Files in the archive root that the app rebuilds from the conversations: not worth converting
+const REBUILT_ROOT_FILES = new Set([
+  searchService.SEARCH_INDEX_FILE,
+  semanticService.SEMANTIC_INDEX_FILE,
+  parserReportService.REPORT_FILE,
+  indexCacheService.INDEX_CACHE_FILE,
+  importJournal.JOURNAL_FILE
+]);
+
+const MESSAGE_PATH_PATTERN = /^messages\/([^/]+)\/message\.json$/;
+
+function isRebuiltRootFile(name) {
+  return REBUILT_ROOT_FILES.has(name) || name.endsWith('.tmp');
+}
+
+// Paths (relative, with forward slashes) of every file below a directory
+async function listFiles(dir, prefix = '') {
+  const files = [];
+  for (const entry of await fs.readdir(dir, { withFileTypes: true })) {
+    const relPath = prefix ? `${prefix}/${entry.name}` : entry.name;
+    if (entry.isDirectory()) {
+      files.push(...await listFiles(path.join(dir, entry.name), relPath));
+    } else if (entry.isFile()) {
+      files.push(relPath);
+    }
+  }
+  return files;
+}
+
+/**
+ * Read everything of one conversation folder that goes into the database
+ * @param {string} archiveRoot - Folder archive root
+ * @param {string} folder - Conversation folder name
+ * @param {boolean} linkMedia - Record media paths instead of copying the files
+ * @returns {Promise<Object>} { conversation, data, title, messages, files, media, missingMedia }
+ */
+async function readConversationFolder(archiveRoot, folder, linkMedia) {
+  const convPath = path.join(archiveRoot, folder);
+  const data = await fs.readFile(path.join(convPath, 'conversation.json'), 'utf8');
+  const conversation = JSON.parse(data);
+
+  const messages = [];
+  const files = [];
+  for (const relPath of await listFiles(convPath)) {
+    // Media is read through the media store below, which also finds files kept in the store
+    if (relPath === 'conversation.json' || relPath === mediaStoreService.MEDIA_MANIFEST_FILE ||
+      relPath.startsWith('media/')) continue;
+
+    const message = relPath.match(MESSAGE_PATH_PATTERN);
+    if (message) {
+      messages.push({ id: message[1], data: await fs.readFile(path.join(convPath, relPath), 'utf8') });
+    } else {
+      files.push({ path: relPath, data: await fs.readFile(path.join(convPath, relPath)) });
+    }
+  }
+
+  const media = [];
+  let missingMedia = 0;
+  for (const file of await mediaStoreService.listConversationMedia(archiveRoot, folder)) {
+    let content;
+    try {
+      content = await fs.readFile(file.path);
+    } catch (err) {
+      missingMedia++;
+      continue;
+    }
+    media.push({
+      name: file.name,
+      sha256: file.sha256 || crypto.createHash('sha256').update(content).digest('hex'),
+      size: content.length,
+      path: linkMedia ? path.resolve(file.path) : null,
+      data: linkMedia ? null : content
+    });
+  }
+
+  const title = conversation.title || '';
+  return { conversation, data, messages, files, media, title, missingMedia };
+}
+
+/**
+ * Convert a folder archive into a single-file SQLite archive
+ * @param {string} archiveRoot - Folder archive to read
+ * @param {string} dbPath - SQLite archive to create (.sqlite, .sqlite3 or .db; must not exist)
+ * @param {Object} options - { linkMedia } to record the paths of media files instead of storing
+ *   them in the database, and onProgress({ totalConversations, processedConversations })
+ * @returns {Promise<Object>} { conversations, messages, mediaFiles, mediaBlobs, otherFiles, missingMedia,
+ *   failed: [{ folder, error }] }
+ */
+async function convertFoldersToSqlite(archiveRoot, dbPath, options = {}) {
+  const { linkMedia = false, onProgress } = options;
+
+  if (!archiveRoot || !await fs.pathExists(archiveRoot) || !(await fs.stat(archiveRoot)).isDirectory()) {
+    throw new Error(`Archive root directory not found: ${archiveRoot}`);
+  }
+  if (!sqliteArchiveService.SQLITE_ARCHIVE_PATTERN.test(dbPath)) {
+    throw new Error(`SQLite archive names end in .sqlite, .sqlite3 or .db: ${dbPath}`);
+  }
+  if (await fs.pathExists(dbPath)) {
+    throw new Error(`${dbPath} already exists`);
+  }
+
+  const conversationFolders = [];
+  const otherFolders = [];
+  const rootFiles = [];
+  for (const entry of await fs.readdir(archiveRoot, { withFileTypes: true })) {
+    if (entry.isFile()) {
+      if (!isRebuiltRootFile(entry.name)) rootFiles.push(entry.name);
+    } else if (entry.isDirectory() && entry.name !== mediaStoreService.MEDIA_STORE_DIR) {
+      const isConversation = await fs.pathExists(path.join(archiveRoot, entry.name, 'conversation.json'));
+      (isConversation ? conversationFolders : otherFolders).push(entry.name);
+    }
+  }
+
+  // Written under a temporary name so an interrupted conversion never looks like an archive
+  const tempPath = `${dbPath}.tmp`;
+  await fs.remove(tempPath);
+  await fs.ensureDir(path.dirname(path.resolve(dbPath)));
+  const db = sqliteArchiveService.createArchiveDatabase(tempPath);
+
+  const summary = { conversations: 0, messages: 0, mediaFiles: 0, mediaBlobs: 0, otherFiles: 0, missingMedia: 0, failed: [] };
+  try {
+    const insertConversation = db.prepare('INSERT INTO conversations (folder, id, title, create_time, update_time, data) ' +
+      'VALUES (?, ?, ?, ?, ?, ?)');
+    const insertMessage = db.prepare('INSERT INTO messages (folder, id, data) VALUES (?, ?, ?)');
+    const insertFile = db.prepare('INSERT INTO files (folder, path, data) VALUES (?, ?, ?)');
+    const insertMedia = db.prepare('INSERT INTO media (folder, name, sha256, size, path) VALUES (?, ?, ?, ?, ?)');
+    const insertBlob = db.prepare('INSERT OR IGNORE INTO media_blobs (sha256, data) VALUES (?, ?)');
+
+    // Each conversation is written in one transaction
+    const writeConversation = db.transaction((folder, content) => {
+      const { conversation } = content;
+      const toNumber = value => (typeof value === 'number' ? value : null);
+      insertConversation.run(folder, conversation.id || conversation.conversation_id || null, content.title,
+        toNumber(conversation.create_time), toNumber(conversation.update_time), content.data);
+      content.messages.forEach(message => insertMessage.run(folder, message.id, message.data));
+      content.files.forEach(file => insertFile.run(folder, file.path, file.data));
+      for (const file of content.media) {
+        insertMedia.run(folder, file.name, file.sha256, file.size, file.path);
+        if (file.data) summary.mediaBlobs += insertBlob.run(file.sha256, file.data).changes;
+      }
+    });
+
+    for (let i = 0; i < conversationFolders.length; i++) {
+      const folder = conversationFolders[i];
+      try {
+        const content = await readConversationFolder(archiveRoot, folder, linkMedia);
+        writeConversation(folder, content);
+        summary.conversations++;
+        summary.messages += content.messages.length;
+        summary.mediaFiles += content.media.length;
+        summary.otherFiles += content.files.length;
+        summary.missingMedia += content.missingMedia;
+      } catch (err) {
+        console.error(`Error converting conversation folder ${folder}:`, err.message);
+        summary.failed.push({ folder, error: err.message });
+      }
+      if (onProgress) {
+        onProgress({ totalConversations: conversationFolders.length, processedConversations: i + 1 });
+      }
+    }
+
+    // Everything else in the archive (annotations, folders that aren't conversations) is kept as files
+    for (const name of rootFiles) {
+      insertFile.run('', name, await fs.readFile(path.join(archiveRoot, name)));
+      summary.otherFiles++;
+    }
+    for (const folder of otherFolders) {
+      for (const relPath of await listFiles(path.join(archiveRoot, folder))) {
+        insertFile.run(folder, relPath, await fs.readFile(path.join(archiveRoot, folder, relPath)));
+        summary.otherFiles++;
+      }
+    }
+  } finally {
+    db.close();
+  }
+  await fs.move(tempPath, dbPath);
+
+  console.log(`Converted ${summary.conversations} conversations to ${dbPath} (${summary.failed.length} failed)`);
+  return summary;
+}
+
+/**
+ * Convert a single-file SQLite archive back into the exploded folder layout
+ * @param {string} dbPath - SQLite archive to read
+ * @param {string} outputDir - Folder to write the archive to (must not exist or be empty)
+ * @param {Object} options - onProgress({ totalConversations, processedConversations })
+ * @returns {Promise<Object>} { conversations, messages, mediaFiles, otherFiles, missingMedia }
+ */
+async function convertSqliteToFolders(dbPath, outputDir, options = {}) {
+  const { onProgress } = options;
+
+  if (!sqliteArchiveService.isSqliteArchive(dbPath)) {
+    throw new Error(`SQLite archive not found: ${dbPath}`);
+  }
+  if (await fs.pathExists(outputDir) && (await fs.readdir(outputDir)).length > 0) {
+    throw new Error(`${outputDir} is not empty`);
+  }
+
+  const db = sqliteArchiveService.openArchive(dbPath);
+  const folders = db.prepare('SELECT folder FROM conversations ORDER BY folder').pluck().all();
+  const selectConversation = db.prepare('SELECT data FROM conversations WHERE folder = ?').pluck();
+  const selectMessages = db.prepare('SELECT id, data FROM messages WHERE folder = ?');
+  const selectFiles = db.prepare('SELECT path, data FROM files WHERE folder = ?');
+  const selectMedia = db.prepare('SELECT name, sha256, path FROM media WHERE folder = ?');
+  const selectBlob = db.prepare('SELECT data FROM media_blobs WHERE sha256 = ?').pluck();
+
+  const summary = { conversations: 0, messages: 0, mediaFiles: 0, otherFiles: 0, missingMedia: 0 };
+  await fs.ensureDir(outputDir);
+
+  for (let i = 0; i < folders.length; i++) {
+    const folder = folders[i];
+    const convPath = path.join(outputDir, folder);
+    await fs.outputFile(path.join(convPath, 'conversation.json'), selectConversation.get(folder));
+
+    for (const message of selectMessages.all(folder)) {
+      await fs.outputFile(path.join(convPath, 'messages', message.id, 'message.json'), message.data);
+      summary.messages++;
+    }
+    for (const file of selectFiles.all(folder)) {
+      await fs.outputFile(path.join(convPath, file.path), file.data);
+      summary.otherFiles++;
+    }
+    for (const media of selectMedia.all(folder)) {
+      const mediaPath = path.join(convPath, 'media', media.name);
+      if (!media.path) {
+        await fs.outputFile(mediaPath, selectBlob.get(media.sha256));
+      } else if (await fs.pathExists(media.path)) {
+        await fs.copy(media.path, mediaPath);
+      } else {
+        summary.missingMedia++;
+        continue;
+      }
+      summary.mediaFiles++;
+    }
+    summary.conversations++;
+
+    if (onProgress) {
+      onProgress({ totalConversations: folders.length, processedConversations: i + 1 });
+    }
+  }
+
+  // Files of the archive root and its other folders; conversation folders were written above
+  const otherFiles = db.prepare('SELECT folder, path, data FROM files WHERE folder NOT IN (SELECT folder FROM conversations)').all();
+  for (const file of otherFiles) {
+    await fs.outputFile(path.join(outputDir, file.folder, file.path), file.data);
+    summary.otherFiles++;
+  }
+
+  // Annotations made while browsing the SQLite archive live in its data folder: they win
+  const dataRoot = `${path.resolve(dbPath)}${sqliteArchiveService.DATA_DIR_SUFFIX}`;
+  if (await fs.pathExists(dataRoot)) {
+    for (const name of await fs.readdir(dataRoot)) {
+      if (isRebuiltRootFile(name)) continue;
+      await fs.copy(path.join(dataRoot, name), path.join(outputDir, name), { overwrite: true });
+    }
+  }
+
+  console.log(`Converted ${summary.conversations} conversations from ${dbPath} to ${outputDir}`);
+  return summary;
+}
+
+module.exports = {
+  convertFoldersToSqlite,
+  convertSqliteToFolders
+};
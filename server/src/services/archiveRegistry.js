@@ -0,0 +1,165 @@
+// Archive Registry - additional archive roots that are browsed together with the primary archive
+const fs = require('fs-extra');
+const path = require('path');
+const os = require('os');
+
+// Registered archives are shared by every primary archive, so they live next to the import config
+const REGISTRY_PATH = path.join(os.homedir(), '.carchive_archives.json');
+
+// Primary archive root (ARCHIVE_ROOT) and the additional archives registered by the user
+let primaryRoot = null;
+let additionalArchives = null;
+
+// Source name -> archive root, for resolving conversation folders synchronously
+let sourceRoots = new Map();
+
+/**
+ * Name used for an archive in the `source` field of indexed conversations
+ * @param {string} archiveRoot - Root directory of the archive
+ * @returns {string} Source name (the folder name of the archive)
+ */
+function getSourceName(archiveRoot) {
+  return path.basename(path.resolve(archiveRoot));
+}
+
+/**
+ * Load the registered additional archives
+ * @returns {Promise<Array>} [{ name, path }]
+ */
+async function loadRegistry() {
+  if (additionalArchives) return additionalArchives;
+
+  try {
+    if (await fs.pathExists(REGISTRY_PATH)) {
+      const saved = await fs.readJson(REGISTRY_PATH);
+      additionalArchives = Array.isArray(saved.archives) ? saved.archives : [];
+    } else {
+      additionalArchives = [];
+    }
+  } catch (err) {
+    console.error('Error loading archive registry:', err);
+    additionalArchives = [];
+  }
+
+  return additionalArchives;
+}
+
+/**
+ * Persist the registered additional archives
+ * @returns {Promise<void>}
+ */
+async function saveRegistry() {
+  await fs.writeJson(REGISTRY_PATH, { archives: additionalArchives }, { spaces: 2 });
+}
+
+/**
+ * Set the primary archive root
+ * @param {string} rootPath - Path to the primary archive root
+ */
+function setPrimaryRoot(rootPath) {
+  primaryRoot = rootPath;
+}
+
+/**
+ * Get the primary archive root
+ * @returns {string|null} Path to the primary archive root
+ */
+function getPrimaryRoot() {
+  return primaryRoot;
+}
+
+/**
+ * Get every archive to index: the primary archive first, then the registered ones.
+ * Registered archives that duplicate the primary's name or path are skipped.
+ * @returns {Promise<Array>} [{ name, path, primary }]
+ */
+async function getArchiveSources() {
+  const registered = await loadRegistry();
+  const sources = [];
+
+  if (primaryRoot) {
+    sources.push({ name: getSourceName(primaryRoot), path: primaryRoot, primary: true });
+  }
+
+  for (const archive of registered) {
+    const duplicate = sources.find(s =>
+      s.name === archive.name || path.resolve(s.path) === path.resolve(archive.path));
+    if (duplicate) {
+      console.warn(`Skipping archive "${archive.name}": it duplicates archive "${duplicate.name}"`);
+      continue;
+    }
+    sources.push({ name: archive.name, path: archive.path, primary: false });
+  }
+
+  sourceRoots = new Map(sources.map(s => [s.name, s.path]));
+  return sources;
+}
+
+/**
+ * Register an additional archive
+ * @param {string} name - Source name shown in the conversation list
+ * @param {string} archivePath - Root directory of the archive
+ * @returns {Promise<Array>} Updated archive sources
+ */
+async function addArchive(name, archivePath) {
+  const registered = await loadRegistry();
+  const cleanName = String(name || '').trim() || getSourceName(archivePath);
+  const resolvedPath = path.resolve(archivePath);
+
+  const sources = await getArchiveSources();
+  if (sources.some(s => s.name === cleanName)) {
+    throw new Error(`An archive named "${cleanName}" is already registered`);
+  }
+  if (sources.some(s => path.resolve(s.path) === resolvedPath)) {
+    throw new Error(`${resolvedPath} is already registered`);
+  }
+
+  registered.push({ name: cleanName, path: resolvedPath });
+  await saveRegistry();
+  return getArchiveSources();
+}
+
+/**
+ * Unregister an additional archive (the archive itself is left untouched)
+ * @param {string} name - Source name of the archive
+ * @returns {Promise<Array|null>} Updated archive sources, or null if no such archive
+ */
+async function removeArchive(name) {
+  const registered = await loadRegistry();
+  const index = registered.findIndex(a => a.name === name);
+  if (index === -1) return null;
+
+  registered.splice(index, 1);
+  await saveRegistry();
+  return getArchiveSources();
+}
+
+/**
+ * Resolve the archive root that holds a conversation
+ * @param {string} source - The conversation's `source` field
+ * @param {string} fallbackRoot - Root to use for unknown sources (the primary archive)
+ * @returns {string} Archive root
+ */
+function resolveArchiveRoot(source, fallbackRoot) {
+  return (source && sourceRoots.get(source)) || fallbackRoot || primaryRoot;
+}
+
+/**
+ * Get the roots of every indexed archive, primary first
+ * @param {string} fallbackRoot - Root to use before the index has been built
+ * @returns {Array<string>} Archive roots
+ */
+function getArchiveRoots(fallbackRoot) {
+  return sourceRoots.size > 0 ? Array.from(sourceRoots.values()) : [fallbackRoot];
+}
+
+module.exports = {
+  getSourceName,
+  setPrimaryRoot,
+  getPrimaryRoot,
+  getArchiveSources,
+  addArchive,
+  removeArchive,
+  resolveArchiveRoot,
+  getArchiveRoots
+};
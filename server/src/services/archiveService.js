@@ -1,36 +1,56 @@
 // Archive Service - Core functionality for conversation management
 const fs = require('fs-extra');
 const path = require('path');
+const { EventEmitter } = require('events');
 const canvasProcessor = require('../models/canvas-processor');
 const gizmoResolver = require('../models/gizmo-resolver');
 const mediaProcessor = require('../media-processor');
 const { parseAnyMessage } = require('../parsers/parseAnyMessage');
+const searchService = require('./searchService');
+const semanticService = require('./semanticService');
+const annotationService = require('./annotationService');
+const archiveRegistry = require('./archiveRegistry');
+const archiveWatcher = require('./archiveWatcher');
+const indexCacheService = require('./indexCacheService');
+const mediaStoreService = require('./mediaStoreService');
+const sqliteArchiveService = require('./sqliteArchiveService');
+const { archiveFs } = sqliteArchiveService;
 
 // Cached archive index
 let archiveIndex = [];
 
+// Conversation folders read at once while indexing: enough to hide disk latency,
+// few enough not to run out of file handles
+const INDEX_CONCURRENCY = 16;
+
+// Outline entries (prompts and headings) are cut to this many characters
+const OUTLINE_TEXT_LENGTH = 120;
+
+// Whether refreshIndex also watches the archives for changes (the server does, the CLI doesn't)
+let watchEnabled = false;
+
+// Emits 'change' with the conversations added, updated or removed on disk,
+// and 'reindexed' when the whole index has been rebuilt
+const archiveEvents = new EventEmitter();
+archiveEvents.setMaxListeners(0);
+
 /**
  * Extract gizmo IDs for the index page display
  * @param {Object} conversation - Conversation JSON object
+ * @param {Array} messages - The conversation's messages with `_reference` entries resolved
+ *   (default: the messages embedded in its mapping)
  * @returns {Object} Gizmo information
  */
-const extractGizmoInfo = async (conversation) => {
+const extractGizmoInfo = async (conversation, messages = null) => {
   try {
-    if (!conversation || !conversation.mapping) return { has_gizmo: false };
-    
-    // Check for gizmo IDs
-    const hasGizmo = Object.values(conversation.mapping).some(
-      m => m.message?.metadata?.gizmo_id
-    );
-    
-    if (!hasGizmo) return { has_gizmo: false };
+    if (!conversation) return { has_gizmo: false };
+    const resolved = messages || Object.values(conversation.mapping || {}).map(m => m.message);
     
-    // Extract unique gizmo IDs
-    const gizmoIds = Array.from(new Set(
-      Object.values(conversation.mapping)
-        .filter(m => m.message?.metadata?.gizmo_id)
-        .map(m => m.message.metadata.gizmo_id)
-    ));
+    // Extract unique gizmo IDs (the export also records the conversation's own Custom GPT)
+    const gizmoIds = Array.from(new Set([
+      conversation.gizmo_id,
+      ...resolved.map(message => message?.metadata?.gizmo_id)
+    ].filter(Boolean)));
     
     if (gizmoIds.length === 0) return { has_gizmo: false };
     
@@ -52,11 +72,85 @@ const extractGizmoInfo = async (conversation) => {
 };
 
 /**
- * Recursively index conversations and messages from the JSON-based structure
+ * Index a single conversation folder
  * @param {string} archiveRoot - Root directory of the archive
+ * @param {string} convDir - Conversation folder name
+ * @returns {Promise<Object|null>} Conversation metadata, or null if the folder holds no conversation.json
+ */
+async function indexConversation(archiveRoot, convDir) {
+  const convPath = path.join(archiveRoot, convDir);
+  const jsonPath = path.join(convPath, 'conversation.json');
+  if (!await archiveFs.pathExists(jsonPath)) return null;
+  
+  // Load the full conversation JSON; imported archives keep the messages themselves in
+  // messages/<id>/message.json, so their metadata is read from there
+  const { conversation, messages: entries } = await searchService.readConversationMessages(convPath);
+  const messages = entries.map(entry => entry.message);
+  
+  // Extract gizmo information
+  const gizmoInfo = await extractGizmoInfo(conversation, messages);
+  
+  // Models used, falling back to the conversation's default model when no message records one
+  const models = new Set(messages.map(message => message.metadata?.model_slug).filter(Boolean));
+  if (models.size === 0 && conversation.default_model_slug) {
+    models.add(conversation.default_model_slug);
+  }
+  
+  // Extract essential metadata
+  return {
+    id: conversation.id || conversation.conversation_id,
+    title: conversation.title || 'Untitled',
+    create_time: conversation.create_time,
+    update_time: conversation.update_time,
+    folder: convDir,
+    message_count: conversation.mapping ? Object.keys(conversation.mapping).length : 0,
+    // Include whether this conversation has gizmo/Custom GPT content
+    has_gizmo: gizmoInfo.has_gizmo,
+    // Include gizmo IDs and names if available
+    gizmo_ids: gizmoInfo.gizmo_ids || [],
+    gizmo_names: gizmoInfo.gizmo_names || {},
+    // Include whether conversation has canvas content
+    has_canvas: messages.some(message => canvasProcessor.extractCanvasReferences(message).length > 0),
+    // Include model types used
+    models: [...models],
+    // Include if conversation has web search results
+    has_web_search: messages.some(
+      message => message.author?.role === 'tool' && message.author?.name === 'web'
+    ),
+    // Include if conversation has media files (in its media/ folder or the media store)
+    has_media: (await mediaStoreService.listConversationMedia(archiveRoot, convDir)).length > 0
+  };
+}
+
+/**
+ * Run an async function over every item, with at most `limit` calls in flight
+ * @param {Array} items - Items to process
+ * @param {number} limit - Maximum concurrent calls
+ * @param {Function} fn - async (item) => result
+ * @returns {Promise<Array>} Results, in the order of the items
+ */
+async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+  const worker = async () => {
+    while (next < items.length) {
+      const i = next++;
+      results[i] = await fn(items[i]);
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+  return results;
+}
+
+/**
+ * Recursively index conversations and messages from the JSON-based structure.
+ * Folders whose signature matches the cache reuse its metadata; only the others are re-read.
+ * @param {string} archiveRoot - Root directory of the archive
+ * @param {Object} cache - Optional { folders, changed } from the index cache, updated in place:
+ *   folders maps folder name -> { signature, metadata }, changed is set when it was modified
  * @returns {Array} Array of conversation metadata
  */
-async function indexArchive(archiveRoot) {
+async function indexArchive(archiveRoot, cache = null) {
   const conversations = [];
   try {
     if (!await fs.pathExists(archiveRoot)) {
@@ -65,61 +159,57 @@ async function indexArchive(archiveRoot) {
     }
     
     // Read all conversation directories
-    const allDirs = await fs.readdir(archiveRoot);
+    const allDirs = await archiveFs.readdir(archiveRoot);
+    const cachedFolders = cache ? cache.folders : {};
+    let reused = 0;
     
-    // Only include actual conversation directories with conversation.json
-    const convDirs = allDirs.filter(dir => {
-      const jsonPath = path.join(archiveRoot, dir, 'conversation.json');
-      return fs.existsSync(jsonPath);
+    const results = await mapWithConcurrency(allDirs, INDEX_CONCURRENCY, async convDir => {
+      // Only include actual conversation directories with conversation.json
+      const signature = await indexCacheService.getFolderSignature(path.join(archiveRoot, convDir));
+      if (!signature) return null;
+      
+      const cached = cachedFolders[convDir];
+      if (cached && cached.signature === signature) {
+        reused++;
+        // Gizmo names come from the editable mappings, not the conversation: resolve them again
+        const gizmoNames = {};
+        for (const gizmoId of cached.metadata.gizmo_ids || []) {
+          gizmoNames[gizmoId] = await gizmoResolver.resolveGizmoName(gizmoId);
+        }
+        return { ...cached.metadata, gizmo_names: gizmoNames };
+      }
+      
+      try {
+        const metadata = await indexConversation(archiveRoot, convDir);
+        if (cache && metadata) {
+          cachedFolders[convDir] = { signature, metadata: { ...metadata } };
+          cache.changed = true;
+        }
+        return metadata;
+      } catch (err) {
+        console.error(`Error indexing conversation folder ${convDir}:`, err.message);
+        return null;
+      }
     });
     
-    console.log(`Found ${convDirs.length} conversation directories`);
+    for (const metadata of results) {
+      if (metadata) conversations.push(metadata);
+    }
     
-    for (const convDir of convDirs) {
-      const convPath = path.join(archiveRoot, convDir);
-      const jsonPath = path.join(convPath, 'conversation.json');
-      
-      // Load the full conversation JSON
-      const conversation = await fs.readJson(jsonPath);
-      
-      // Extract gizmo information
-      const gizmoInfo = await extractGizmoInfo(conversation);
-      
-      // Extract essential metadata
-      const metadata = {
-        id: conversation.id || conversation.conversation_id,
-        title: conversation.title || 'Untitled',
-        create_time: conversation.create_time,
-        update_time: conversation.update_time,
-        folder: convDir,
-        message_count: conversation.mapping ? Object.keys(conversation.mapping).length : 0,
-        // Include whether this conversation has gizmo/Custom GPT content
-        has_gizmo: gizmoInfo.has_gizmo,
-        // Include gizmo IDs and names if available
-        gizmo_ids: gizmoInfo.gizmo_ids || [],
-        gizmo_names: gizmoInfo.gizmo_names || {},
-        // Include whether conversation has canvas content
-        has_canvas: Object.values(conversation.mapping || {}).some(
-          m => canvasProcessor.extractCanvasReferences(m.message).length > 0
-        ),
-        // Include model types used
-        models: [...new Set(
-          Object.values(conversation.mapping || {})
-            .filter(m => m.message?.metadata?.model_slug)
-            .map(m => m.message.metadata.model_slug)
-        )],
-        // Include if conversation has web search results
-        has_web_search: Object.values(conversation.mapping || {}).some(
-          m => m.message?.author?.role === 'tool' && m.message?.author?.name === 'web'
-        ),
-        // Include if conversation has media files
-        has_media: await fs.pathExists(path.join(convPath, 'media')) && 
-                  (await fs.readdir(path.join(convPath, 'media'))).length > 0
-      };
-      
-      conversations.push(metadata);
+    // Forget folders that no longer hold a conversation
+    if (cache) {
+      const found = new Set(conversations.map(c => c.folder));
+      for (const folder of Object.keys(cachedFolders)) {
+        if (!found.has(folder)) {
+          delete cachedFolders[folder];
+          cache.changed = true;
+        }
+      }
     }
     
+    console.log(`Found ${conversations.length} conversation directories` +
+      (cache ? ` (${reused} unchanged since the last index)` : ''));
+    
     // Sort conversations by create_time in descending order (newest first)
     conversations.sort((a, b) => (b.create_time || 0) - (a.create_time || 0));
     
@@ -130,37 +220,122 @@ async function indexArchive(archiveRoot) {
   return conversations;
 }
 
+/**
+ * Get the chain of node IDs from the root of the conversation tree down to a node
+ * @param {Object} mapping - Conversation mapping (node ID -> { parent, children })
+ * @param {string} nodeId - Node to start from
+ * @returns {Array<string>} Node IDs ordered from the root to the node
+ */
+function getAncestorPath(mapping, nodeId) {
+  const chain = [];
+  const seen = new Set();
+  let id = nodeId;
+  
+  while (id && mapping[id] && !seen.has(id)) {
+    seen.add(id);
+    chain.unshift(id);
+    id = mapping[id].parent;
+  }
+  
+  return chain;
+}
+
+/**
+ * Resolve the branch of the conversation tree to display.
+ * Edited prompts and regenerated answers fork the tree, so the thread is the path
+ * from the root to the selected node, continued downward by the child that leads to
+ * `current_node` (or the newest child once the branch has left the active thread).
+ * @param {Object} mapping - Conversation mapping (node ID -> { parent, children })
+ * @param {string|null} currentNode - The conversation's current_node
+ * @param {string|null} branchNode - Node selected by the user, if any
+ * @returns {Array<string>} Node IDs ordered from the root to the end of the branch
+ */
+function resolveBranchPath(mapping, currentNode, branchNode = null) {
+  let start = [branchNode, currentNode].find(id => id && mapping[id]);
+  if (!start) {
+    // No usable current_node: start from the root of the tree
+    start = Object.keys(mapping).find(id => !mapping[id].parent || !mapping[mapping[id].parent]);
+  }
+  if (!start) return [];
+  
+  const path = getAncestorPath(mapping, start);
+  const activeIds = new Set(currentNode ? getAncestorPath(mapping, currentNode) : []);
+  const seen = new Set(path);
+  
+  let id = start;
+  while (true) {
+    const children = (mapping[id].children || []).filter(childId => mapping[childId] && !seen.has(childId));
+    if (children.length === 0) break;
+    id = children.find(childId => activeIds.has(childId)) || children[children.length - 1];
+    seen.add(id);
+    path.push(id);
+  }
+  
+  return path;
+}
+
+/**
+ * Describe where a node sits among its siblings, for branch switching
+ * @param {Object} mapping - Conversation mapping (node ID -> { parent, children })
+ * @param {string} nodeId - Node to describe
+ * @returns {Object|null} { index, count, sibling_ids } or null if the node has no siblings
+ */
+function getBranchInfo(mapping, nodeId) {
+  const parent = mapping[mapping[nodeId].parent];
+  if (!parent) return null;
+  
+  const siblingIds = (parent.children || []).filter(childId => mapping[childId]);
+  if (siblingIds.length < 2) return null;
+  
+  return {
+    index: siblingIds.indexOf(nodeId),
+    count: siblingIds.length,
+    sibling_ids: siblingIds
+  };
+}
+
 /**
  * Load message details for a conversation
+ * By default only the active branch (from `current_node`, or from `options.branch`
+ * when the user has switched to another branch) is returned, in tree order.
  * @param {string} convFolder - Conversation folder name
  * @param {string} archiveRoot - Root directory of the archive
  * @param {Array} messageIds - Optional specific message IDs to load
- * @returns {Object} Messages and canvas IDs
+ * @param {Object} options - Loading options
+ * @param {string} options.branch - Node ID of the branch to display instead of current_node
+ * @param {boolean} options.allBranches - Return every message in the mapping, sorted by create_time
+ * @returns {Object} Messages, canvas IDs and the resolved current node
  */
-async function loadConversationMessages(convFolder, archiveRoot, messageIds = null) {
+async function loadConversationMessages(convFolder, archiveRoot, messageIds = null, options = {}) {
   try {
     const convPath = path.join(archiveRoot, convFolder);
     const jsonPath = path.join(convPath, 'conversation.json');
     
     // Load full conversation JSON
-    const conversation = await fs.readJson(jsonPath);
+    const conversation = await archiveFs.readJson(jsonPath);
+    const mapping = conversation.mapping || {};
+    
+    // Follow the selected branch of the tree unless every message was asked for
+    const branchPath = messageIds || options.allBranches ? [] :
+      resolveBranchPath(mapping, conversation.current_node, options.branch);
+    const useBranchPath = branchPath.length > 0;
     
     // If specific message IDs are requested, only load those
-    const targetIds = messageIds || Object.keys(conversation.mapping || {});
+    const targetIds = messageIds || (useBranchPath ? branchPath : Object.keys(mapping));
     
     // Extract message data and organize chronologically
     const messages = [];
     // Track canvas IDs in this conversation
     const canvasIds = new Set();
     for (const id of targetIds) {
-      const messageObj = conversation.mapping[id];
+      const messageObj = mapping[id];
       if (messageObj && messageObj.message) {
         // Check if this is a message reference
         if (messageObj.message._reference && messageObj.message._reference.startsWith('messages/')) {
           // Load the referenced message
           const refPath = path.join(convPath, messageObj.message._reference);
-          if (await fs.pathExists(refPath)) {
-            const refMessage = await fs.readJson(refPath);
+          if (await archiveFs.pathExists(refPath)) {
+            const refMessage = await archiveFs.readJson(refPath);
             
             // Extract markdown content
             const markdown = mediaProcessor.extractMarkdown(refMessage);
@@ -234,19 +409,27 @@ async function loadConversationMessages(convFolder, archiveRoot, messageIds = nu
       }
     }
     
-    // Sort by create_time
-    messages.sort((a, b) => {
-      const timeA = a.message.create_time || 0;
-      const timeB = b.message.create_time || 0;
-      return timeA - timeB;
-    });
+    if (useBranchPath) {
+      // Messages are already in thread order; mark forks so the UI can switch branches
+      messages.forEach(msg => {
+        msg.branch = getBranchInfo(mapping, msg.id);
+      });
+    } else {
+      // Sort by create_time
+      messages.sort((a, b) => {
+        const timeA = a.message.create_time || 0;
+        const timeB = b.message.create_time || 0;
+        return timeA - timeB;
+      });
+    }
     
     // Create a list of all unique canvas IDs in this conversation
     const conversationCanvasIds = Array.from(canvasIds);
     
     return {
       messages,
-      canvas_ids: conversationCanvasIds
+      canvas_ids: conversationCanvasIds,
+      current_node: useBranchPath ? branchPath[branchPath.length - 1] : conversation.current_node || null
     };
   } catch (err) {
     console.error(`Error loading conversation messages for ${convFolder}:`, err);
@@ -254,16 +437,282 @@ async function loadConversationMessages(convFolder, archiveRoot, messageIds = nu
   }
 }
 
+/**
+ * Swap the message of an entry from loadConversationMessages (e.g. for a redacted copy),
+ * recomputing the markdown, canvas IDs and parsed data derived from it
+ * @param {Object} entry - Message entry from loadConversationMessages
+ * @param {Object} message - Replacement message object
+ * @returns {Object} New message entry
+ */
+function replaceEntryMessage(entry, message) {
+  return {
+    ...entry,
+    message,
+    // A missing reference only has its placeholder text
+    markdown: entry.is_missing_reference ? entry.markdown : mediaProcessor.extractMarkdown(message),
+    ...(entry.canvas_ids ? { canvas_ids: canvasProcessor.extractCanvasReferences(message) } : {}),
+    parsed: parseAnyMessage(message)
+  };
+}
+
+// Collapse a prompt or heading to one line of at most OUTLINE_TEXT_LENGTH characters
+function truncateOutlineText(text) {
+  const line = text.replace(/\s+/g, ' ').trim();
+  return line.length > OUTLINE_TEXT_LENGTH ? `${line.slice(0, OUTLINE_TEXT_LENGTH - 1)}…` : line;
+}
+
+// Markdown headings of a message, leaving out lines inside code blocks
+function extractHeadings(markdown) {
+  const headings = [];
+  let inCodeBlock = false;
+  for (const line of markdown.split('\n')) {
+    if (/^\s*(```|~~~)/.test(line)) {
+      inCodeBlock = !inCodeBlock;
+      continue;
+    }
+    const match = !inCodeBlock && line.match(/^(#{1,6})\s+(.+?)\s*#*\s*$/);
+    if (match) {
+      headings.push({ level: match[1].length, text: truncateOutlineText(match[2].replace(/[*_`]/g, '')) });
+    }
+  }
+  return headings;
+}
+
+/**
+ * Build the outline of a conversation: every user prompt and the headings of the assistant's answers
+ * @param {Array} messages - Messages from loadConversationMessages, in display order
+ * @returns {Array} [{ type: 'prompt'|'heading', id, position, text, level }]: position is the
+ *   message's index in the messages, level the heading level (headings only)
+ */
+function buildConversationOutline(messages) {
+  const entries = [];
+  messages.forEach((msg, position) => {
+    const role = msg.message?.author?.role;
+    if (msg.message?.metadata?.is_visually_hidden_from_conversation) return;
+    
+    if (role === 'user') {
+      entries.push({ type: 'prompt', id: msg.id, position, text: truncateOutlineText(msg.markdown || '') });
+    } else if (role === 'assistant' && msg.markdown) {
+      for (const heading of extractHeadings(msg.markdown)) {
+        entries.push({ type: 'heading', id: msg.id, position, ...heading });
+      }
+    }
+  });
+  return entries;
+}
+
+/**
+ * Filter conversation metadata using the /api/conversations query filters
+ * @param {Array} conversations - Conversation metadata from the archive index
+ * @param {Object} filters - source, model, gizmo, web_search, has_media, from_date, to_date, q,
+ *   plus the annotation filters tag, starred and has_note (annotations must be loaded first)
+ * @returns {Array} Matching conversations
+ */
+function filterConversations(conversations, filters = {}) {
+  const isSet = (value) => value === true || value === 'true';
+  let filteredItems = [...conversations];
+  
+  // Filter by archive source(s) if specified (comma-separated)
+  if (filters.source) {
+    const sources = String(filters.source).split(',').map(name => name.trim()).filter(Boolean);
+    filteredItems = filteredItems.filter(c => sources.includes(c.source));
+  }
+  
+  // Filter by model if specified
+  if (filters.model) {
+    filteredItems = filteredItems.filter(c => 
+      c.models.some(model => model.includes(filters.model))
+    );
+  }
+  
+  // Filter by gizmo/Custom GPT if specified
+  if (isSet(filters.gizmo)) {
+    filteredItems = filteredItems.filter(c => c.has_gizmo);
+  }
+  
+  // Filter by web search if specified
+  if (isSet(filters.web_search)) {
+    filteredItems = filteredItems.filter(c => c.has_web_search);
+  }
+  
+  // Filter by media content if specified
+  if (isSet(filters.has_media)) {
+    filteredItems = filteredItems.filter(c => c.has_media);
+  }
+  
+  // Filter by date range if specified
+  if (filters.from_date) {
+    const fromTime = new Date(filters.from_date).getTime() / 1000;
+    filteredItems = filteredItems.filter(c => c.create_time >= fromTime);
+  }
+  
+  if (filters.to_date) {
+    const toTime = new Date(filters.to_date).getTime() / 1000;
+    filteredItems = filteredItems.filter(c => c.create_time <= toTime);
+  }
+  
+  // Filter by search term if provided
+  if (filters.q) {
+    const searchTerm = filters.q.toLowerCase();
+    filteredItems = filteredItems.filter(c => 
+      c.title.toLowerCase().includes(searchTerm)
+    );
+  }
+  
+  // Filter by user tags, stars and notes
+  filteredItems = annotationService.filterByAnnotations(filteredItems, filters);
+  
+  return filteredItems;
+}
+
 /**
  * Refresh the archive index
  * @param {string} archiveRoot - Root directory of the archive
  */
 async function refreshIndex(archiveRoot) {
-  archiveIndex = await indexArchive(archiveRoot);
-  console.log(`Indexed ${archiveIndex.length} conversations`);
+  archiveRegistry.setPrimaryRoot(archiveRoot);
+  // Reopen SQLite archives, which may have been replaced since they were opened
+  sqliteArchiveService.closeArchives();
+  const sources = await archiveRegistry.getArchiveSources();
+  
+  // Metadata of unchanged conversations is reused from the index cache
+  const indexCache = await indexCacheService.loadIndexCache(archiveRoot);
+  const cachedArchives = {};
+  let cacheChanged = false;
+  
+  // Merge every archive into one index; each conversation records the archive it came from
+  const byId = new Map();
+  let duplicates = 0;
+  for (const source of sources) {
+    const cacheKey = path.resolve(source.path);
+    const cache = { folders: indexCache[cacheKey] || {}, changed: !indexCache[cacheKey] };
+    const conversations = await indexArchive(source.path, cache);
+    cachedArchives[cacheKey] = cache.folders;
+    cacheChanged = cacheChanged || cache.changed;
+    
+    for (const conv of conversations) {
+      conv.source = source.name;
+      const existing = byId.get(conv.id);
+      if (existing) {
+        duplicates++;
+        // The same conversation exported into several archives: keep the most recently updated copy
+        if ((conv.update_time || 0) <= (existing.update_time || 0)) continue;
+      }
+      byId.set(conv.id, conv);
+    }
+  }
+  
+  archiveIndex = Array.from(byId.values());
+  console.log(`Indexed ${archiveIndex.length} conversations from ${sources.length} archive(s)` +
+    (duplicates > 0 ? ` (${duplicates} duplicates merged)` : ''));
+  
+  // Archives no longer registered drop out of the cache too
+  const archivesChanged = Object.keys(indexCache).length !== Object.keys(cachedArchives).length;
+  if ((cacheChanged || archivesChanged) && await fs.pathExists(archiveRoot)) {
+    indexCacheService.saveIndexCache(archiveRoot, cachedArchives)
+      .catch(err => console.error('Error saving index cache:', err.message));
+  }
+  
+  updateDerivedIndexes(archiveRoot);
+  archiveEvents.emit('reindexed', { conversationCount: archiveIndex.length });
+  
+  if (watchEnabled) {
+    archiveWatcher.watchArchives(sources, reindexFolders)
+      .catch(err => console.error('Error watching archives:', err));
+  }
+  
   return archiveIndex;
 }
 
+/**
+ * Update the full-text search index in the background; it reuses unchanged conversations.
+ * The semantic index (if turned on) is updated after it, so the two don't compete for the disk.
+ * @param {string} archiveRoot - Primary archive root
+ */
+function updateDerivedIndexes(archiveRoot) {
+  const currentIndex = archiveIndex;
+  searchService.buildSearchIndex(archiveRoot, currentIndex)
+    .then(() => semanticService.updateSemanticIndex(archiveRoot, currentIndex))
+    .catch(err => console.error('Error updating semantic index:', err));
+}
+
+// Insert a conversation keeping the index ordered newest first
+function insertByCreateTime(index, conv) {
+  const position = index.findIndex(c => (c.create_time || 0) < (conv.create_time || 0));
+  return position === -1 ? [...index, conv] : [...index.slice(0, position), conv, ...index.slice(position)];
+}
+
+/**
+ * Re-index some conversation folders of an archive after they changed on disk, and
+ * emit a 'change' event listing the conversations that were added, updated or removed
+ * @param {Object} source - Archive source { name, path }
+ * @param {Array<string>} folders - Folder names that changed
+ * @returns {Promise<Array>} [{ type: 'added'|'updated'|'removed', id, conversation }]
+ */
+async function reindexFolders(source, folders) {
+  let index = archiveIndex;
+  const changes = [];
+  
+  for (const folder of folders) {
+    let metadata;
+    try {
+      metadata = await indexConversation(source.path, folder);
+    } catch (err) {
+      // Usually conversation.json is still being written; finishing it triggers another pass
+      console.error(`Error re-indexing conversation folder ${folder}:`, err.message);
+      continue;
+    }
+    
+    const previous = index.find(c => c.folder === folder && c.source === source.name);
+    if (previous && (!metadata || previous.id !== metadata.id)) {
+      index = index.filter(c => c !== previous);
+      changes.push({ type: 'removed', id: previous.id, conversation: previous });
+    }
+    if (!metadata) continue;
+    
+    metadata.source = source.name;
+    const existing = index.find(c => c.id === metadata.id);
+    if (existing) {
+      // Another archive holds a more recently updated copy of this conversation: keep that one
+      if (existing.source !== source.name && (metadata.update_time || 0) <= (existing.update_time || 0)) continue;
+      index = index.map(c => (c === existing ? metadata : c));
+      changes.push({ type: 'updated', id: metadata.id, conversation: metadata });
+    } else {
+      index = insertByCreateTime(index, metadata);
+      changes.push({ type: 'added', id: metadata.id, conversation: metadata });
+    }
+  }
+  
+  if (changes.length === 0) return changes;
+  
+  archiveIndex = index;
+  const count = type => changes.filter(c => c.type === type).length;
+  console.log(`Archive ${source.name} changed on disk: ${count('added')} added, ` +
+    `${count('updated')} updated, ${count('removed')} removed`);
+  
+  updateDerivedIndexes(archiveRegistry.getPrimaryRoot());
+  archiveEvents.emit('change', changes);
+  return changes;
+}
+
+/**
+ * Watch the archives for changes from the next refreshIndex on
+ */
+function enableWatching() {
+  watchEnabled = true;
+}
+
+/**
+ * Subscribe to archive changes
+ * @param {string} event - 'change' (listener gets the changes) or 'reindexed' (listener gets { conversationCount })
+ * @param {Function} listener - Event listener
+ * @returns {Function} Unsubscribe function
+ */
+function onArchiveEvent(event, listener) {
+  archiveEvents.on(event, listener);
+  return () => archiveEvents.off(event, listener);
+}
+
 /**
  * Get the current archive index
  * @returns {Array} Current archive index
@@ -281,11 +730,41 @@ function findConversationById(id) {
   return archiveIndex.find(c => c.id === id) || null;
 }
 
+/**
+ * Find a conversation by its folder name
+ * @param {string} folder - Conversation folder name
+ * @param {string} source - Optional archive source name, to disambiguate equal folder names
+ * @returns {Object|null} Conversation metadata or null if not found
+ */
+function findConversationByFolder(folder, source) {
+  return archiveIndex.find(c => c.folder === folder && (!source || c.source === source)) || null;
+}
+
+/**
+ * Get the archive root that holds a conversation
+ * @param {Object} conv - Conversation metadata from the archive index
+ * @param {string} fallbackRoot - Primary archive root, used for conversations without a source
+ * @returns {string} Archive root directory
+ */
+function getConversationRoot(conv, fallbackRoot) {
+  return archiveRegistry.resolveArchiveRoot(conv && conv.source, fallbackRoot);
+}
+
 module.exports = {
   indexArchive,
+  indexConversation,
+  reindexFolders,
+  enableWatching,
+  onArchiveEvent,
   loadConversationMessages,
+  replaceEntryMessage,
+  buildConversationOutline,
   refreshIndex,
   getArchiveIndex,
   findConversationById,
-  extractGizmoInfo
+  findConversationByFolder,
+  getConversationRoot,
+  filterConversations,
+  extractGizmoInfo,
+  resolveBranchPath
 };
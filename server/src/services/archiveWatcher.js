@@ -0,0 +1,190 @@
+// Archive Watcher - notices conversation folders being added, removed or rewritten on disk
+const fs = require('fs');
+const path = require('path');
+const { MEDIA_MANIFEST_FILE } = require('./mediaStoreService');
+const sqliteArchiveService = require('./sqliteArchiveService');
+
+// Changes are collected until the archive has been quiet for a moment, so an import
+// writing hundreds of folders is handled in a few batches rather than one at a time
+const DEBOUNCE_MS = 1000;
+const MAX_DELAY_MS = 10000;
+
+// Entries of a conversation folder whose changes affect its index entry
+const WATCHED_ENTRIES = new Set(['conversation.json', 'media', MEDIA_MANIFEST_FILE]);
+
+// Watched archives: source name -> { source, rootWatcher, folderWatchers, pending }
+let watchedArchives = new Map();
+let onFoldersChanged = null;
+let flushTimer = null;
+let firstPendingAt = 0;
+let folderLimitReached = false;
+
+// Flushes run one after another, so a slow re-index never overlaps the next batch
+let flushQueue = Promise.resolve();
+
+// Dot-files in the archive root are our own index files, not conversations
+function isConversationEntry(name) {
+  return Boolean(name) && !name.startsWith('.');
+}
+
+function scheduleFlush() {
+  const now = Date.now();
+  if (!firstPendingAt) firstPendingAt = now;
+
+  clearTimeout(flushTimer);
+  const delay = Math.max(0, Math.min(DEBOUNCE_MS, firstPendingAt + MAX_DELAY_MS - now));
+  flushTimer = setTimeout(() => {
+    flushTimer = null;
+    firstPendingAt = 0;
+    const run = () => flushPending();
+    flushQueue = flushQueue.then(run, run);
+  }, delay);
+  flushTimer.unref();
+}
+
+function markChanged(state, folder) {
+  state.pending.add(folder);
+  scheduleFlush();
+}
+
+function unwatchFolder(state, folder) {
+  const watcher = state.folderWatchers.get(folder);
+  if (watcher) {
+    watcher.close();
+    state.folderWatchers.delete(folder);
+  }
+}
+
+/**
+ * Watch one conversation folder for its conversation.json being rewritten.
+ * Watching every folder can exceed the system's limit on watches; the archive root is
+ * still watched then, so added and removed conversations keep being picked up.
+ */
+function watchFolder(state, folder) {
+  if (state.folderWatchers.has(folder) || folderLimitReached) return;
+
+  try {
+    const watcher = fs.watch(path.join(state.source.path, folder), (eventType, filename) => {
+      if (!filename || WATCHED_ENTRIES.has(filename)) markChanged(state, folder);
+    });
+    watcher.on('error', () => {
+      unwatchFolder(state, folder);
+      markChanged(state, folder);
+    });
+    watcher.unref();
+    state.folderWatchers.set(folder, watcher);
+  } catch (err) {
+    if (err.code === 'ENOSPC' || err.code === 'EMFILE') {
+      folderLimitReached = true;
+      console.warn(`Too many conversation folders to watch (${err.code}); changes inside existing ` +
+        'conversations will be picked up on the next index refresh');
+    } else if (err.code !== 'ENOENT' && err.code !== 'ENOTDIR') {
+      console.error(`Error watching conversation folder ${folder}:`, err.message);
+    }
+  }
+}
+
+async function flushPending() {
+  for (const state of watchedArchives.values()) {
+    if (state.pending.size === 0) continue;
+    const folders = Array.from(state.pending);
+    state.pending.clear();
+
+    // Keep the folder watchers in step with the folders that exist now
+    for (const folder of folders) {
+      const stats = await fs.promises.stat(path.join(state.source.path, folder)).catch(() => null);
+      if (stats && stats.isDirectory()) {
+        watchFolder(state, folder);
+      } else {
+        unwatchFolder(state, folder);
+      }
+    }
+
+    try {
+      await onFoldersChanged(state.source, folders);
+    } catch (err) {
+      console.error(`Error handling changes in archive ${state.source.name}:`, err);
+    }
+  }
+}
+
+/**
+ * Stop watching every archive
+ */
+function stopWatching() {
+  for (const state of watchedArchives.values()) {
+    if (state.rootWatcher) state.rootWatcher.close();
+    for (const watcher of state.folderWatchers.values()) watcher.close();
+  }
+  watchedArchives = new Map();
+  clearTimeout(flushTimer);
+  flushTimer = null;
+  firstPendingAt = 0;
+  folderLimitReached = false;
+}
+
+/**
+ * Watch archives for conversation folders being added, removed or modified.
+ * Replaces whatever was watched before.
+ * @param {Array} sources - [{ name, path }] from archiveRegistry.getArchiveSources()
+ * @param {Function} onChange - async (source, folders) called with the folder names that changed
+ * @returns {Promise<void>}
+ */
+async function watchArchives(sources, onChange) {
+  stopWatching();
+  onFoldersChanged = onChange;
+
+  let folderCount = 0;
+  for (const source of sources) {
+    // An SQLite archive changes only when it is converted again; refreshing the index picks that up
+    if (sqliteArchiveService.isSqliteArchive(source.path)) continue;
+
+    let entries;
+    try {
+      entries = await fs.promises.readdir(source.path, { withFileTypes: true });
+    } catch (err) {
+      console.error(`Cannot watch archive ${source.name}:`, err.message);
+      continue;
+    }
+
+    const state = { source, rootWatcher: null, folderWatchers: new Map(), pending: new Set() };
+    try {
+      state.rootWatcher = fs.watch(source.path, (eventType, filename) => {
+        if (isConversationEntry(filename)) markChanged(state, filename);
+      });
+      state.rootWatcher.on('error', err => console.error(`Error watching archive ${source.name}:`, err.message));
+      state.rootWatcher.unref();
+    } catch (err) {
+      console.error(`Cannot watch archive ${source.name}:`, err.message);
+      continue;
+    }
+    watchedArchives.set(source.name, state);
+
+    for (const entry of entries) {
+      if (entry.isDirectory() && isConversationEntry(entry.name)) watchFolder(state, entry.name);
+    }
+    folderCount += state.folderWatchers.size;
+  }
+
+  console.log(`Watching ${watchedArchives.size} archive(s) and ${folderCount} conversation folders for changes`);
+}
+
+/**
+ * Get what is being watched
+ * @returns {Object} { archives, folders, folderLimitReached }
+ */
+function getWatcherStatus() {
+  let folders = 0;
+  for (const state of watchedArchives.values()) folders += state.folderWatchers.size;
+  return {
+    archives: Array.from(watchedArchives.keys()),
+    folders,
+    folderLimitReached
+  };
+}
+
+module.exports = {
+  watchArchives,
+  stopWatching,
+  getWatcherStatus
+};
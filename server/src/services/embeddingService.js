@@ -0,0 +1,170 @@
+// Embedding Service - turns text into vectors for semantic search, entirely on this machine
+// A sentence-embedding model (SEMANTIC_MODEL, all-MiniLM-L6-v2 unless configured) runs locally
+// through @xenova/transformers, so messages worded differently still land close together. The
+// model files are read from SEMANTIC_MODEL_PATH or ~/.carchive_models; nothing is downloaded
+// unless SEMANTIC_MODEL_DOWNLOAD=true, and message text never leaves the machine. Without the
+// package or the model files, or with SEMANTIC_MODEL=lexical, a built-in embedder hashes word,
+// word-pair and character n-gram features instead. That only matches shared wording (word forms,
+// phrases, typos), so indexes built with it are "lexical".
+const os = require('os');
+const path = require('path');
+const { tokenize } = require('./searchService');
+
+// Sentence-embedding model used when SEMANTIC_MODEL isn't set
+const DEFAULT_MODEL = 'Xenova/all-MiniLM-L6-v2';
+
+// SEMANTIC_MODEL value that selects the built-in embedder
+const LEXICAL_MODEL = 'lexical';
+
+// Where models are looked for without SEMANTIC_MODEL_PATH, and downloaded to when allowed
+const MODEL_CACHE_DIR = path.join(os.homedir(), '.carchive_models');
+
+// IDs of the built-in embedder start with this, and indexes built with it are lexical
+const HASH_EMBEDDER_PREFIX = 'hash-';
+
+// Size of the built-in embedder's vectors
+const HASH_DIMENSIONS = 384;
+
+// Feature weights of the built-in embedder
+const WORD_WEIGHT = 1;
+const PAIR_WEIGHT = 0.5;
+const NGRAM_WEIGHT = 0.3;
+const NGRAM_LENGTH = 4;
+
+// Words too common to say anything about a message's topic
+const STOPWORDS = new Set([
+  'a', 'about', 'after', 'all', 'also', 'am', 'an', 'and', 'any', 'are', 'as', 'at', 'be', 'been',
+  'but', 'by', 'can', 'could', 'did', 'do', 'does', 'for', 'from', 'had', 'has', 'have', 'he', 'her',
+  'here', 'his', 'how', 'i', 'if', 'in', 'into', 'is', 'it', 'its', 'just', 'me', 'more', 'my', 'no',
+  'not', 'of', 'on', 'one', 'or', 'our', 'out', 'she', 'so', 'some', 'than', 'that', 'the', 'their',
+  'them', 'then', 'there', 'these', 'they', 'this', 'to', 'up', 'us', 'was', 'we', 'were', 'what',
+  'when', 'which', 'who', 'will', 'with', 'would', 'you', 'your'
+]);
+
+// Embedder in use, created on first use
+let embedderPromise = null;
+
+// 32-bit FNV-1a hash of a string
+function hashString(text) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+// Strip common English suffixes so word forms share a feature ("running", "runs" -> "run")
+function stem(word) {
+  if (word.length <= 4) return word;
+  const stemmed = word.replace(/(ing|ed|es|s|ly|er|est|ment|ness|ation|ations)$/, '');
+  return stemmed.length >= 3 ? stemmed.replace(/(.)\1$/, '$1') : word;
+}
+
+// Scale a vector to unit length (in place)
+function normalize(vector) {
+  let norm = 0;
+  for (let i = 0; i < vector.length; i++) norm += vector[i] * vector[i];
+  norm = Math.sqrt(norm);
+  if (norm > 0) {
+    for (let i = 0; i < vector.length; i++) vector[i] /= norm;
+  }
+  return vector;
+}
+
+/**
+ * Embed a text with the built-in feature hashing embedder
+ * @param {string} text - Text to embed
+ * @returns {Float32Array} Unit-length vector (all zeros for text without words)
+ */
+function hashEmbed(text) {
+  const features = new Map();
+  const add = (feature, weight) => features.set(feature, (features.get(feature) || 0) + weight);
+
+  const words = tokenize(text).filter(word => !STOPWORDS.has(word)).map(word => ({ word, stem: stem(word) }));
+  words.forEach(({ word, stem: wordStem }, i) => {
+    add(`w:${wordStem}`, WORD_WEIGHT);
+    if (i > 0) add(`p:${words[i - 1].stem} ${wordStem}`, PAIR_WEIGHT);
+
+    const padded = `<${word}>`;
+    for (let j = 0; j + NGRAM_LENGTH <= padded.length; j++) {
+      add(`n:${padded.slice(j, j + NGRAM_LENGTH)}`, NGRAM_WEIGHT);
+    }
+  });
+
+  // Sublinear weighting: a word repeated ten times doesn't count ten times as much
+  const vector = new Float32Array(HASH_DIMENSIONS);
+  for (const [feature, weight] of features) {
+    const hash = hashString(feature);
+    const sign = hash & 0x80000000 ? -1 : 1;
+    vector[hash % HASH_DIMENSIONS] += sign * (1 + Math.log(weight + 1));
+  }
+  return normalize(vector);
+}
+
+function createHashEmbedder() {
+  return {
+    id: `${HASH_EMBEDDER_PREFIX}ngram-v1:${HASH_DIMENSIONS}`,
+    kind: 'lexical',
+    embed: async (texts) => texts.map(hashEmbed)
+  };
+}
+
+// Run a sentence-embedding model locally, read from SEMANTIC_MODEL_PATH or MODEL_CACHE_DIR. Only with
+// SEMANTIC_MODEL_DOWNLOAD=true is a missing model fetched from the Hugging Face Hub, into that folder.
+async function createTransformerEmbedder(modelName) {
+  const { pipeline, env } = await import('@xenova/transformers');
+  env.localModelPath = process.env.SEMANTIC_MODEL_PATH || MODEL_CACHE_DIR;
+  env.cacheDir = env.localModelPath;
+  env.allowRemoteModels = process.env.SEMANTIC_MODEL_DOWNLOAD === 'true';
+
+  const extractor = await pipeline('feature-extraction', modelName);
+  return {
+    id: `transformers:${modelName}`,
+    kind: 'semantic',
+    embed: async (texts) => {
+      const output = await extractor(texts, { pooling: 'mean', normalize: true });
+      const dimensions = output.dims[output.dims.length - 1];
+      return texts.map((text, i) => Float32Array.from(output.data.subarray(i * dimensions, (i + 1) * dimensions)));
+    }
+  };
+}
+
+/**
+ * Get the embedder: the sentence-embedding model, or the built-in lexical embedder when
+ * SEMANTIC_MODEL=lexical or the model can't be loaded (@xenova/transformers isn't installed, or
+ * the model isn't on disk and downloading it isn't allowed)
+ * @returns {Promise<Object>} { id, kind: 'semantic'|'lexical', embed(texts) -> Promise<Array<Float32Array>> }
+ *   with unit-length vectors
+ */
+function getEmbedder() {
+  if (!embedderPromise) {
+    const modelName = process.env.SEMANTIC_MODEL || DEFAULT_MODEL;
+    embedderPromise = modelName === LEXICAL_MODEL ?
+      Promise.resolve(createHashEmbedder()) :
+      createTransformerEmbedder(modelName).catch(err => {
+        console.warn(`Could not load embedding model ${modelName}, falling back to lexical matching:`, err.message);
+        if (err.code !== 'ERR_MODULE_NOT_FOUND' && process.env.SEMANTIC_MODEL_DOWNLOAD !== 'true') {
+          console.warn(`Put the model in ${process.env.SEMANTIC_MODEL_PATH || MODEL_CACHE_DIR}, or set SEMANTIC_MODEL_DOWNLOAD=true to download it`);
+        }
+        return createHashEmbedder();
+      });
+  }
+  return embedderPromise;
+}
+
+/**
+ * Tell whether vectors from an embedder capture meaning or only shared wording
+ * @param {string|null} embedderId - Embedder ID, as stored with the semantic index
+ * @returns {string|null} 'semantic', 'lexical', or null if there is no embedder ID
+ */
+function getEmbedderKind(embedderId) {
+  if (!embedderId) return null;
+  return embedderId.startsWith(HASH_EMBEDDER_PREFIX) ? 'lexical' : 'semantic';
+}
+
+module.exports = {
+  hashEmbed,
+  getEmbedder,
+  getEmbedderKind
+};
@@ -0,0 +1,76 @@
+// Index Cache Service - persists conversation metadata so startup only re-reads changed conversations
+const fs = require('fs-extra');
+const path = require('path');
+const { MEDIA_MANIFEST_FILE } = require('./mediaStoreService');
+const sqliteArchiveService = require('./sqliteArchiveService');
+
+// File (inside the primary archive root) the cache is persisted to. Registered archives are
+// never written to, so the cache for every archive lives here, keyed by archive path.
+const INDEX_CACHE_FILE = '.archive_index.json';
+const INDEX_CACHE_VERSION = 2;
+
+/**
+ * Load the index cache
+ * @param {string} primaryRoot - Primary archive root
+ * @returns {Promise<Object>} Archive path -> { folder -> { signature, metadata } }
+ */
+async function loadIndexCache(primaryRoot) {
+  const cachePath = path.join(sqliteArchiveService.getDataRoot(primaryRoot), INDEX_CACHE_FILE);
+  try {
+    if (await fs.pathExists(cachePath)) {
+      const saved = await fs.readJson(cachePath);
+      if (saved.version === INDEX_CACHE_VERSION && saved.archives) {
+        return saved.archives;
+      }
+      console.log('Index cache format changed, every conversation will be re-read');
+    }
+  } catch (err) {
+    console.error('Error loading index cache, every conversation will be re-read:', err.message);
+  }
+  return {};
+}
+
+/**
+ * Write the index cache to the primary archive root
+ * @param {string} primaryRoot - Primary archive root
+ * @param {Object} archives - Archive path -> { folder -> { signature, metadata } }
+ */
+async function saveIndexCache(primaryRoot, archives) {
+  const cachePath = path.join(sqliteArchiveService.getDataRoot(primaryRoot), INDEX_CACHE_FILE);
+  const tempPath = `${cachePath}.tmp`;
+
+  // Write to a temporary file first so a crash never leaves a truncated cache
+  await fs.writeJson(tempPath, {
+    version: INDEX_CACHE_VERSION,
+    saved_at: new Date().toISOString(),
+    archives
+  });
+  await fs.move(tempPath, cachePath, { overwrite: true });
+}
+
+/**
+ * Get the key cached metadata of a conversation folder is valid for: the size and mtime
+ * of conversation.json, and the mtimes of the media folder and media store manifest
+ * (has_media depends on them). In an SQLite archive the database's mtime stands in for the file mtimes.
+ * @param {string} convPath - Conversation folder path
+ * @returns {Promise<string|null>} Signature, or null if the folder holds no conversation.json
+ */
+async function getFolderSignature(convPath) {
+  if (sqliteArchiveService.isArchivePath(convPath)) return sqliteArchiveService.getFolderSignature(convPath);
+
+  const [json, media, manifest] = await Promise.all([
+    fs.stat(path.join(convPath, 'conversation.json')).catch(() => null),
+    fs.stat(path.join(convPath, 'media')).catch(() => null),
+    fs.stat(path.join(convPath, MEDIA_MANIFEST_FILE)).catch(() => null)
+  ]);
+  if (!json || !json.isFile()) return null;
+  const mtime = stats => stats ? Math.floor(stats.mtimeMs) : '';
+  return `${json.size}|${mtime(json)}|${mtime(media)}|${mtime(manifest)}`;
+}
+
+module.exports = {
+  INDEX_CACHE_FILE,
+  loadIndexCache,
+  saveIndexCache,
+  getFolderSignature
+};
@@ -0,0 +1,364 @@
+// Integrity Service - checks an exploded archive for dangling message references, missing and
+// orphan media, unparsable JSON and duplicate conversation IDs, and can re-pull missing media
+// from the original export
+const fs = require('fs-extra');
+const path = require('path');
+const mediaProcessor = require('../media-processor');
+const zipSource = require('../zip-source');
+const mediaStoreService = require('./mediaStoreService');
+const sqliteArchiveService = require('./sqliteArchiveService');
+
+// Kinds of issue the check reports, in report order
+const ISSUE_TYPES = ['dangling_references', 'missing_media', 'orphan_files', 'unparsable_json', 'duplicate_ids'];
+
+// Status of the current (or last) verify job
+let job = {
+  status: 'idle', // idle, running, completed, failed
+  progress: 0,
+  totalConversations: 0,
+  processedConversations: 0,
+  error: null,
+  startTime: null,
+  endTime: null
+};
+
+// Report of the last completed verify job
+let lastReport = null;
+
+// Read a JSON file, recording it as unparsable when it can't be read
+async function readJsonChecked(filePath, archiveRoot, folder, issues) {
+  try {
+    return await fs.readJson(filePath);
+  } catch (err) {
+    issues.unparsable_json.push({ folder, path: path.relative(archiveRoot, filePath), error: err.message });
+    return null;
+  }
+}
+
+// Collect the media a message refers to: asset pointers anywhere in the message, and attachments
+function collectMediaReferences(value, references) {
+  if (!value || typeof value !== 'object') return references;
+
+  if (typeof value.asset_pointer === 'string') {
+    references.push(value.asset_pointer);
+  }
+  if (Array.isArray(value.metadata?.attachments)) {
+    for (const attachment of value.metadata.attachments) {
+      if (attachment && attachment.id) references.push(attachment.id);
+    }
+  }
+  for (const child of Object.values(value)) {
+    if (child && typeof child === 'object') collectMediaReferences(child, references);
+  }
+  return references;
+}
+
+/**
+ * Check whether a media file satisfies a media reference. Importers either rewrite pointers to
+ * media/<file>, keep the exported pointer (file-service://file-XYZ, sediment://file_XYZ) and store
+ * a file whose name contains the file ID, or point at the stored file name directly.
+ * @param {string} reference - Asset pointer or attachment ID
+ * @param {string} fileName - Name of a file in the conversation's media folder
+ * @returns {boolean} True if the file is the referenced media
+ */
+function referenceMatchesFile(reference, fileName) {
+  const name = reference.replace(/^[\w-]+:\/\//, '').replace(/^media\//, '');
+  if (fileName === name) return true;
+  return (reference.match(/file[-_][A-Za-z0-9]+/g) || []).some(fileId => fileName.includes(fileId));
+}
+
+// Check one conversation folder, adding its issues to the report and the media store
+// blobs its manifest refers to to storedHashes
+async function checkConversation(archiveRoot, folder, issues, conversationFolders, storedHashes) {
+  const convPath = path.join(archiveRoot, folder);
+  const storedMedia = await mediaStoreService.readManifest(convPath);
+  Object.values(storedMedia).forEach(entry => entry && entry.sha256 && storedHashes.add(entry.sha256));
+
+  const conversation = await readJsonChecked(path.join(convPath, 'conversation.json'), archiveRoot, folder, issues);
+  if (!conversation) return { messages: 0, missingMedia: [] };
+
+  const conversationId = conversation.id || conversation.conversation_id;
+  if (conversationId) {
+    if (!conversationFolders.has(conversationId)) conversationFolders.set(conversationId, []);
+    conversationFolders.get(conversationId).push(folder);
+  }
+
+  const mapping = conversation.mapping || {};
+  const references = [];
+  let messages = 0;
+
+  for (const [id, node] of Object.entries(mapping)) {
+    const message = node && node.message;
+    if (!message) continue;
+    messages++;
+
+    if (message._reference) {
+      const refPath = path.join(convPath, message._reference);
+      if (!await fs.pathExists(refPath)) {
+        issues.dangling_references.push({ folder, conversation_id: conversationId, message_id: id, reference: message._reference });
+        continue;
+      }
+      const refMessage = await readJsonChecked(refPath, archiveRoot, folder, issues);
+      if (refMessage) {
+        collectMediaReferences(refMessage, []).forEach(ref => references.push({ message_id: id, reference: ref }));
+      }
+    } else {
+      collectMediaReferences(message, []).forEach(ref => references.push({ message_id: id, reference: ref }));
+    }
+  }
+
+  // Message folders that no mapping node refers to
+  const messagesPath = path.join(convPath, 'messages');
+  if (await fs.pathExists(messagesPath)) {
+    for (const messageFolder of await fs.readdir(messagesPath)) {
+      if (!mapping[messageFolder]) {
+        issues.orphan_files.push({ folder, path: path.join(folder, 'messages', messageFolder) });
+      }
+    }
+  }
+
+  // Media referenced without a file, and files nothing refers to. A manifest entry whose
+  // blob is gone from the media store counts as missing.
+  const mediaFiles = [];
+  for (const file of await mediaStoreService.listConversationMedia(archiveRoot, folder)) {
+    if (file.sha256 && !await fs.pathExists(file.path)) continue;
+    mediaFiles.push(file.name);
+  }
+  const missingMedia = [];
+  const seen = new Set();
+  for (const ref of references) {
+    if (seen.has(ref.reference)) continue;
+    seen.add(ref.reference);
+    if (!mediaFiles.some(file => referenceMatchesFile(ref.reference, file))) {
+      const issue = { folder, conversation_id: conversationId, message_id: ref.message_id, reference: ref.reference };
+      issues.missing_media.push(issue);
+      missingMedia.push(issue);
+    }
+  }
+  for (const file of mediaFiles) {
+    if (!references.some(ref => referenceMatchesFile(ref.reference, file))) {
+      issues.orphan_files.push({ folder, path: path.join(folder, 'media', file) });
+    }
+  }
+
+  return { messages, missingMedia };
+}
+
+/**
+ * Copy missing media back from the original export
+ * @param {string} archiveRoot - Archive root directory
+ * @param {string} sourcePath - Original export folder or .zip
+ * @param {Array} missingMedia - missing_media issues
+ * @returns {Promise<Array>} The issues whose media was restored, with the restored file name
+ */
+async function repairMissingMedia(archiveRoot, sourcePath, missingMedia) {
+  // The media processor caches the export's file list, so drop any cache from an earlier import
+  mediaProcessor.resetCaches();
+
+  let source = null;
+  let sourceDir = sourcePath;
+  if (zipSource.isZipSource(sourcePath)) {
+    source = await zipSource.resolveImportSource(sourcePath, path.join(archiveRoot, '.verify_zip_staging'));
+    sourceDir = source.sourceDir;
+  } else if (!await fs.pathExists(sourcePath)) {
+    throw new Error('Source directory or zip file does not exist');
+  }
+
+  const repaired = [];
+  try {
+    for (const issue of missingMedia) {
+      // Pointers rewritten to media/<file> name the exported file; otherwise look it up by file ID
+      const candidates = issue.reference.startsWith('media/') ? [path.basename(issue.reference)] : [];
+      candidates.push(mediaProcessor.extractFileId(issue.reference));
+
+      const mediaDir = path.join(archiveRoot, issue.folder, 'media');
+      for (const candidate of candidates) {
+        if (!candidate) continue;
+        // Zip exports only unpack the files the media processor could match, wherever they sit
+        if (source) {
+          await source.stageMedia(name => mediaProcessor.isMediaEntryFor(name, candidate));
+          mediaProcessor.resetCaches();
+        }
+        try {
+          const restored = await mediaProcessor.processMediaFile(sourceDir, candidate, mediaDir);
+          if (restored && referenceMatchesFile(issue.reference, restored)) {
+            repaired.push({ ...issue, file: restored });
+            break;
+          }
+        } finally {
+          if (source) await source.releaseMedia();
+        }
+      }
+    }
+  } finally {
+    mediaProcessor.resetCaches();
+    if (source) await source.cleanup();
+  }
+  return repaired;
+}
+
+/**
+ * Check every conversation folder of an archive
+ * @param {string} archiveRoot - Archive root directory
+ * @param {Object} options - { repair, sourceDir } to re-pull missing media from the original export,
+ *   and onProgress({ totalConversations, processedConversations })
+ * @returns {Promise<Object>} Report: { issues: { <type>: [...] }, counts, ok, ... }
+ */
+async function verifyArchive(archiveRoot, options = {}) {
+  const { repair = false, sourceDir = null, onProgress } = options;
+
+  if (!archiveRoot || !await fs.pathExists(archiveRoot)) {
+    throw new Error(`Archive root directory not found: ${archiveRoot}`);
+  }
+  if (repair && !sourceDir) {
+    throw new Error('Repairing media needs the original export (sourceDir)');
+  }
+  if (sqliteArchiveService.isSqliteArchive(archiveRoot)) {
+    throw new Error('Verify works on folder archives; convert the SQLite archive to folders first');
+  }
+
+  const issues = {};
+  for (const type of ISSUE_TYPES) {
+    issues[type] = [];
+  }
+
+  // Conversation folders: those with a conversation.json, or with messages but a lost conversation.json
+  const folders = [];
+  for (const item of await fs.readdir(archiveRoot)) {
+    if (item.startsWith('.')) continue;
+    const itemPath = path.join(archiveRoot, item);
+    if (!(await fs.stat(itemPath)).isDirectory()) continue;
+
+    if (await fs.pathExists(path.join(itemPath, 'conversation.json'))) {
+      folders.push(item);
+    } else if (await fs.pathExists(path.join(itemPath, 'messages'))) {
+      issues.unparsable_json.push({ folder: item, path: path.join(item, 'conversation.json'), error: 'conversation.json is missing' });
+    }
+  }
+
+  const conversationFolders = new Map();
+  const storedHashes = new Set();
+  const missingMedia = [];
+  let totalMessages = 0;
+  let allChecked = true;
+
+  for (let i = 0; i < folders.length; i++) {
+    try {
+      const result = await checkConversation(archiveRoot, folders[i], issues, conversationFolders, storedHashes);
+      totalMessages += result.messages;
+      missingMedia.push(...result.missingMedia);
+    } catch (err) {
+      // One unreadable folder shouldn't stop the check
+      console.warn(`Verify: could not check ${folders[i]}:`, err.message);
+      allChecked = false;
+    }
+    if (onProgress) {
+      onProgress({ totalConversations: folders.length, processedConversations: i + 1 });
+    }
+  }
+
+  for (const [conversationId, convFolders] of conversationFolders) {
+    if (convFolders.length > 1) {
+      issues.duplicate_ids.push({ conversation_id: conversationId, folders: convFolders });
+    }
+  }
+
+  // Media store blobs no manifest refers to (only known once every manifest has been read)
+  if (allChecked) {
+    for (const hash of await mediaStoreService.listBlobs(archiveRoot)) {
+      if (!storedHashes.has(hash)) {
+        issues.orphan_files.push({
+          folder: null,
+          path: path.relative(archiveRoot, mediaStoreService.getBlobPath(archiveRoot, hash))
+        });
+      }
+    }
+  }
+
+  let repaired = null;
+  if (repair && missingMedia.length > 0) {
+    repaired = await repairMissingMedia(archiveRoot, sourceDir, missingMedia);
+    const restored = new Set(repaired.map(r => `${r.folder}\u0000${r.reference}`));
+    issues.missing_media = issues.missing_media.filter(issue => !restored.has(`${issue.folder}\u0000${issue.reference}`));
+    console.log(`Verify: restored ${repaired.length} of ${missingMedia.length} missing media files`);
+  }
+
+  const counts = {};
+  for (const type of ISSUE_TYPES) {
+    counts[type] = issues[type].length;
+  }
+
+  return {
+    archive_root: archiveRoot,
+    checked_at: new Date().toISOString(),
+    total_conversations: folders.length,
+    total_messages: totalMessages,
+    ok: ISSUE_TYPES.every(type => issues[type].length === 0),
+    counts,
+    issues,
+    repaired
+  };
+}
+
+/**
+ * Start checking an archive in the background
+ * @param {string} archiveRoot - Archive root directory
+ * @param {Object} options - { repair, sourceDir }
+ * @returns {boolean} False if a verify job is already running
+ */
+function startVerify(archiveRoot, options = {}) {
+  if (job.status === 'running') return false;
+
+  job = {
+    status: 'running',
+    progress: 0,
+    totalConversations: 0,
+    processedConversations: 0,
+    error: null,
+    startTime: new Date().toISOString(),
+    endTime: null
+  };
+
+  const onProgress = ({ totalConversations, processedConversations }) => {
+    job.totalConversations = totalConversations;
+    job.processedConversations = processedConversations;
+    job.progress = Math.min(Math.round((processedConversations / Math.max(totalConversations, 1)) * 100), 99);
+  };
+
+  verifyArchive(archiveRoot, { ...options, onProgress })
+    .then(report => {
+      lastReport = report;
+      job = { ...job, status: 'completed', progress: 100, endTime: new Date().toISOString() };
+      console.log(`Archive verify completed: ${report.ok ? 'no issues' : JSON.stringify(report.counts)}`);
+    })
+    .catch(err => {
+      console.error('Error verifying archive:', err);
+      job = { ...job, status: 'failed', error: err.message, endTime: new Date().toISOString() };
+    });
+
+  return true;
+}
+
+/**
+ * Get the status of the current (or last) verify job
+ * @returns {Object} Job status
+ */
+function getJobStatus() {
+  return { ...job };
+}
+
+/**
+ * Get the report of the last completed verify job
+ * @returns {Object|null} The report, or null if no check has completed yet
+ */
+function getLastReport() {
+  return lastReport;
+}
+
+module.exports = {
+  ISSUE_TYPES,
+  verifyArchive,
+  startVerify,
+  getJobStatus,
+  getLastReport
+};
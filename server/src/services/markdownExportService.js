@@ -0,0 +1,427 @@
+// Markdown Export Service - writes conversations as Markdown notes for Obsidian-style vaults
+const fs = require('fs-extra');
+const path = require('path');
+const archiveService = require('./archiveService');
+const gizmoResolver = require('../models/gizmo-resolver');
+const annotationService = require('./annotationService');
+const mediaStoreService = require('./mediaStoreService');
+const redactionService = require('./redactionService');
+
+// Maximum number of backlinks listed per shared gizmo/canvas, so popular gizmos don't bloat every note
+const MAX_RELATED_LINKS = 50;
+
+// Heading level of the "## User" / "## Assistant" headings each message is written under
+const MESSAGE_HEADING_LEVEL = 2;
+
+/**
+ * Format a UNIX timestamp as an ISO8601 string
+ * @param {number} timestamp - Seconds since the epoch
+ * @returns {string|null} ISO date string or null
+ */
+function toIsoDate(timestamp) {
+  if (!timestamp) return null;
+  const date = new Date(timestamp * 1000);
+  return isNaN(date.getTime()) ? null : date.toISOString();
+}
+
+/**
+ * Build a note file name (without extension) that is safe on disk and inside [[wikilinks]]
+ * @param {Object} conv - Conversation metadata
+ * @returns {string} Note name, e.g. "2024-05-01 Sourdough starter tips (1a2b3c4d)"
+ */
+function getNoteName(conv) {
+  const date = toIsoDate(conv.create_time);
+  const title = (conv.title || 'Untitled')
+    .replace(/[\\/:*?"<>|#^[\]]/g, ' ') // Characters not allowed in file names or wikilinks
+    .replace(/\s+/g, ' ')
+    .trim()
+    .substring(0, 80);
+  const shortId = (conv.id || '').substring(0, 8);
+  return [date ? date.substring(0, 10) : null, title || 'Untitled', shortId ? `(${shortId})` : null]
+    .filter(Boolean)
+    .join(' ');
+}
+
+/**
+ * Serialize front-matter values as YAML (strings use JSON quoting, which is valid YAML)
+ * @param {Object} fields - Front-matter fields
+ * @returns {string} YAML front-matter block
+ */
+function buildFrontMatter(fields) {
+  const lines = ['---'];
+  for (const [key, value] of Object.entries(fields)) {
+    if (value === null || value === undefined) continue;
+    if (Array.isArray(value)) {
+      if (value.length === 0) continue;
+      lines.push(`${key}:`);
+      value.forEach(item => lines.push(`  - ${JSON.stringify(String(item))}`));
+    } else if (typeof value === 'number' || typeof value === 'boolean') {
+      lines.push(`${key}: ${value}`);
+    } else {
+      lines.push(`${key}: ${JSON.stringify(String(value))}`);
+    }
+  }
+  lines.push('---');
+  return lines.join('\n');
+}
+
+/**
+ * Convert ChatGPT's \( \) and \[ \] LaTeX delimiters to the $ / $$ form Obsidian renders,
+ * leaving code blocks and inline code untouched
+ * @param {string} text - Markdown text
+ * @returns {string} Markdown with Obsidian math delimiters
+ */
+function convertLatexDelimiters(text) {
+  if (!text) return '';
+  return text
+    .split(/(```[\s\S]*?```|`[^`\n]*`)/g)
+    .map((segment, i) => {
+      if (i % 2 === 1) return segment; // Code
+      return segment
+        .replace(/\\\[([\s\S]+?)\\\]/g, (_, math) => `$$${math}$$`)
+        .replace(/\\\((.+?)\\\)/g, (_, math) => `$${math.trim()}$`);
+    })
+    .join('');
+}
+
+/**
+ * Wrap text in a code fence long enough not to clash with backticks inside it
+ * @param {string} text - Code or output
+ * @param {string} language - Fence language
+ * @returns {string} Fenced code block
+ */
+function fence(text, language = '') {
+  const longestRun = Math.max(2, ...((text || '').match(/`+/g) || []).map(run => run.length));
+  const ticks = '`'.repeat(longestRun + 1);
+  return `${ticks}${language}\n${text || ''}\n${ticks}`;
+}
+
+/**
+ * Prefix every line with "> " so the text renders inside a callout/quote
+ * @param {string} text - Text to quote
+ * @returns {string} Quoted text
+ */
+function quote(text) {
+  return (text || '').split('\n').map(line => `> ${line}`).join('\n');
+}
+
+/**
+ * Push the ATX headings of a message body below the message's own heading, so a "# Overview"
+ * in an answer doesn't end up above "## Assistant" in the note's outline. Fenced code is left alone;
+ * headings deeper than h6 stay at h6.
+ * @param {string} text - Markdown body of one message
+ * @returns {string} Markdown with every heading shifted MESSAGE_HEADING_LEVEL levels down
+ */
+function nestHeadings(text) {
+  let openFence = null;
+  return text
+    .split('\n')
+    .map(line => {
+      const fenceMatch = line.match(/^ {0,3}(`{3,}|~{3,})/);
+      if (fenceMatch) {
+        const marker = fenceMatch[1];
+        if (!openFence) {
+          openFence = marker;
+        } else if (marker[0] === openFence[0] && marker.length >= openFence.length && !line.slice(line.indexOf(marker) + marker.length).trim()) {
+          openFence = null;
+        }
+        return line;
+      }
+      if (openFence) return line;
+
+      return line.replace(/^( {0,3})(#{1,6})(?=\s|$)/, (_, indent, hashes) =>
+        indent + '#'.repeat(Math.min(6, hashes.length + MESSAGE_HEADING_LEVEL)));
+    })
+    .join('\n');
+}
+
+/**
+ * Render the content of one message as Markdown
+ * @param {Object} message - Raw message object
+ * @param {Function} mediaLink - Maps an asset pointer to a relative link (or null)
+ * @returns {string} Markdown body
+ */
+function renderMessageContent(message, mediaLink) {
+  const content = message.content || {};
+  const parts = Array.isArray(content.parts) ? content.parts : [];
+  const blocks = [];
+
+  switch (content.content_type) {
+    case 'code': {
+      const language = content.language && content.language !== 'unknown' ? content.language : '';
+      blocks.push(fence(content.text, language));
+      break;
+    }
+    case 'execution_output':
+      blocks.push(fence(content.text));
+      break;
+    case 'tether_quote':
+      blocks.push(quote(`${content.title ? `**${content.title}**\n` : ''}${content.text || ''}${content.url ? `\n${content.url}` : ''}`));
+      break;
+    case 'tether_browsing_display':
+      if (content.result) blocks.push(quote(content.result));
+      break;
+    case 'thoughts':
+      (content.thoughts || []).forEach(thought => {
+        blocks.push(`> [!abstract]- ${thought.summary || 'Thinking'}\n${quote(thought.content)}`);
+      });
+      break;
+    case 'reasoning_recap':
+      if (content.content) blocks.push(`*${content.content}*`);
+      break;
+    case 'user_editable_context':
+      // Custom instructions are repeated in every conversation; not worth exporting
+      break;
+    default:
+      parts.forEach(part => {
+        if (typeof part === 'string') {
+          if (part.trim()) blocks.push(convertLatexDelimiters(part));
+        } else if (part && typeof part === 'object') {
+          if (part.content_type === 'audio_transcription' && part.text) {
+            blocks.push(`*${part.text}*`);
+          }
+          const pointer = part.asset_pointer || (part.audio_asset_pointer && part.audio_asset_pointer.asset_pointer);
+          if (pointer) {
+            const link = mediaLink(pointer);
+            if (link) {
+              const isImage = part.content_type === 'image_asset_pointer';
+              blocks.push(isImage ? `![](${link})` : `[${path.basename(decodeURI(link))}](${link})`);
+            }
+          }
+        }
+      });
+      if (parts.length === 0 && typeof content.text === 'string' && content.text.trim()) {
+        blocks.push(convertLatexDelimiters(content.text));
+      }
+  }
+
+  return blocks.join('\n\n');
+}
+
+/**
+ * Get a heading for a message, e.g. "Assistant (gpt-4o)" or "Tool: python"
+ * @param {Object} message - Raw message object
+ * @returns {string} Heading text
+ */
+function getMessageHeading(message) {
+  const role = message.author?.role || message.role || 'unknown';
+  if (role === 'tool') {
+    return message.author?.name ? `Tool: ${message.author.name}` : 'Tool';
+  }
+  const label = role.charAt(0).toUpperCase() + role.slice(1);
+  return message.metadata?.model_slug ? `${label} (${message.metadata.model_slug})` : label;
+}
+
+/**
+ * Create a resolver that copies a conversation's media into the vault and returns relative links
+ * @param {string} archiveRoot - Root directory of the archive
+ * @param {string} folder - Conversation folder
+ * @param {string} outputDir - Vault directory
+ * @param {string} attachmentsFolder - Attachments folder inside the vault
+ * @returns {Promise<Object>} { mediaLink(pointer), copyPending() }
+ */
+async function createMediaResolver(archiveRoot, folder, outputDir, attachmentsFolder) {
+  const media = await mediaStoreService.listConversationMedia(archiveRoot, folder);
+  const mediaFiles = media.map(file => file.name);
+  const pending = new Set();
+
+  const mediaLink = (pointer) => {
+    // Imported archives rewrite pointers to media/<file>; older ones still carry file-service://file-XXX
+    const name = pointer.startsWith('media/') ? pointer.slice('media/'.length) : pointer.split('/').pop();
+    const fileName = mediaFiles.find(f => f === name) || mediaFiles.find(f => name && f.startsWith(name));
+    if (!fileName) return null;
+
+    pending.add(fileName);
+    return encodeURI(`${attachmentsFolder}/${fileName}`);
+  };
+
+  const copyPending = async () => {
+    let copied = 0;
+    for (const fileName of pending) {
+      const destPath = path.join(outputDir, attachmentsFolder, fileName);
+      if (await fs.pathExists(destPath)) continue;
+      await fs.copy(media.find(file => file.name === fileName).path, destPath);
+      copied++;
+    }
+    return copied;
+  };
+
+  return { mediaLink, copyPending };
+}
+
+/**
+ * Render a loaded conversation as a Markdown note
+ * @param {Object} conv - Conversation metadata from the archive index
+ * @param {Array} messages - Messages from archiveService.loadConversationMessages
+ * @param {Object} info - { models, gizmoNames, canvasIds, tags, starred } collected for the front-matter
+ * @param {Function} mediaLink - Maps an asset pointer to a relative link
+ * @returns {string} Markdown document
+ */
+function conversationToMarkdown(conv, messages, info, mediaLink) {
+  const frontMatter = buildFrontMatter({
+    id: conv.id,
+    title: conv.title || 'Untitled',
+    created: toIsoDate(conv.create_time),
+    updated: toIsoDate(conv.update_time),
+    models: info.models,
+    gizmos: info.gizmoNames,
+    canvases: info.canvasIds,
+    // Obsidian tags cannot contain spaces
+    tags: (info.tags || []).map(tag => tag.replace(/\s+/g, '-')),
+    starred: info.starred || null,
+    messages: messages.length
+  });
+
+  const sections = [frontMatter, `# ${conv.title || 'Untitled'}`];
+
+  for (const msg of messages) {
+    const message = msg.message;
+    if (!message || message.metadata?.is_visually_hidden_from_conversation) continue;
+
+    const body = renderMessageContent(message, mediaLink);
+    if (!body.trim()) continue;
+
+    sections.push(`${'#'.repeat(MESSAGE_HEADING_LEVEL)} ${getMessageHeading(message)}\n\n${nestHeadings(body)}`);
+  }
+
+  return sections.join('\n\n') + '\n';
+}
+
+/**
+ * Build the "Related" section linking notes that share a Custom GPT or canvas
+ * @param {Object} note - Exported note { name, gizmos: [{id, name}], canvasIds }
+ * @param {Map} byGizmo - Gizmo ID -> note names
+ * @param {Map} byCanvas - Canvas ID -> note names
+ * @returns {string} Markdown section, or '' if there is nothing to link
+ */
+function buildRelatedSection(note, byGizmo, byCanvas) {
+  const lines = [];
+  const addLinks = (label, names) => {
+    const others = names.filter(name => name !== note.name);
+    if (others.length === 0) return;
+    const links = others.slice(0, MAX_RELATED_LINKS).map(name => `[[${name}]]`).join(', ');
+    const more = others.length > MAX_RELATED_LINKS ? ` and ${others.length - MAX_RELATED_LINKS} more` : '';
+    lines.push(`- ${label}: ${links}${more}`);
+  };
+
+  note.gizmos.forEach(gizmo => addLinks(`Same Custom GPT (${gizmo.name})`, byGizmo.get(gizmo.id) || []));
+  note.canvasIds.forEach(canvasId => addLinks(`Shares canvas \`${canvasId}\``, byCanvas.get(canvasId) || []));
+
+  return lines.length > 0 ? `\n## Related\n\n${lines.join('\n')}\n` : '';
+}
+
+/**
+ * Export conversations as Markdown notes with YAML front-matter, copied media and backlinks
+ * @param {string} archiveRoot - Root directory of the archive
+ * @param {Array} conversations - Conversation metadata to export
+ * @param {Object} options - Export options
+ * @param {string} options.outputDir - Vault directory to write into
+ * @param {string} options.attachmentsFolder - Folder for copied media (default: attachments)
+ * @param {boolean} options.includeMedia - Copy media and link it (default: true)
+ * @param {Object} options.redaction - Redact the notes (see redactionService.DEFAULT_REDACTION)
+ * @returns {Promise<Object>} Summary { outputDir, exported, attachments, failed, redaction }
+ */
+async function exportConversationsToMarkdown(archiveRoot, conversations, options = {}) {
+  const { outputDir, attachmentsFolder = 'attachments', includeMedia = true } = options;
+  const redactor = await redactionService.createRedactor(options.redaction);
+
+  if (!outputDir) {
+    throw new Error('Output directory must be specified');
+  }
+  await fs.ensureDir(outputDir);
+
+  const notes = [];
+  const failed = [];
+  const byGizmo = new Map();
+  const byCanvas = new Map();
+  let attachments = 0;
+
+  await annotationService.loadAnnotations(archiveRoot);
+
+  // Pass 1: write every note and collect what they share
+  for (let conv of conversations) {
+    try {
+      const convRoot = archiveService.getConversationRoot(conv, archiveRoot);
+      let { messages, canvas_ids } = await archiveService.loadConversationMessages(conv.folder, convRoot);
+      if (redactor) {
+        // Only the messages themselves are redacted (and counted); what is derived from them is rebuilt
+        const redacted = redactor.redactConversation({
+          id: conv.id,
+          title: conv.title,
+          messages: messages.map(msg => msg.message)
+        });
+        conv = { ...conv, title: redacted.title };
+        messages = messages.map((msg, i) => archiveService.replaceEntryMessage(msg, redacted.messages[i]));
+      }
+
+      const models = new Set();
+      const gizmoIds = new Set();
+      messages.forEach(msg => {
+        const metadata = msg.message?.metadata || {};
+        if (metadata.model_slug) models.add(metadata.model_slug);
+        if (metadata.gizmo_id) gizmoIds.add(metadata.gizmo_id);
+      });
+
+      const gizmos = [];
+      for (const gizmoId of gizmoIds) {
+        gizmos.push({ id: gizmoId, name: await gizmoResolver.resolveGizmoName(gizmoId) });
+      }
+
+      const resolver = includeMedia ?
+        await createMediaResolver(convRoot, conv.folder, outputDir, attachmentsFolder) :
+        { mediaLink: () => null, copyPending: async () => 0 };
+
+      const { tags, starred } = annotationService.getAnnotationSummary(conv.id);
+      const name = getNoteName(conv);
+      const markdown = conversationToMarkdown(conv, messages, {
+        models: Array.from(models),
+        gizmoNames: gizmos.map(g => g.name),
+        canvasIds: canvas_ids || [],
+        tags,
+        starred
+      }, resolver.mediaLink);
+
+      const filePath = path.join(outputDir, `${name}.md`);
+      await fs.writeFile(filePath, markdown, 'utf8');
+      attachments += await resolver.copyPending();
+
+      const note = { name, filePath, gizmos, canvasIds: canvas_ids || [] };
+      notes.push(note);
+      gizmos.forEach(g => byGizmo.set(g.id, [...(byGizmo.get(g.id) || []), name]));
+      note.canvasIds.forEach(id => byCanvas.set(id, [...(byCanvas.get(id) || []), name]));
+    } catch (err) {
+      console.error(`Error exporting conversation ${conv.id} to Markdown:`, err);
+      failed.push({ id: conv.id, title: conv.title, error: err.message });
+    }
+  }
+
+  // Pass 2: append backlinks between notes that share a Custom GPT or canvas
+  for (const note of notes) {
+    const related = buildRelatedSection(note, byGizmo, byCanvas);
+    if (related) {
+      await fs.appendFile(note.filePath, related, 'utf8');
+    }
+  }
+
+  const redactionReport = redactor ? await redactionService.writeReport(outputDir, redactor) : null;
+
+  console.log(`Exported ${notes.length} conversations to Markdown in ${outputDir} (${attachments} attachments, ${failed.length} failed)`);
+
+  return {
+    outputDir,
+    exported: notes.length,
+    attachments,
+    failed,
+    redaction: redactionReport && {
+      conversationsRedacted: redactionReport.conversationsRedacted,
+      totals: redactionReport.totals
+    }
+  };
+}
+
+module.exports = {
+  getNoteName,
+  convertLatexDelimiters,
+  conversationToMarkdown,
+  exportConversationsToMarkdown
+};
@@ -0,0 +1,259 @@
+// Media Store Service - archive-level, content-addressed storage for conversation media
+// Files moved into the store are kept once per archive, however many conversations refer to them.
+// A conversation's media.json manifest maps the names its messages use (media/<name>) to blobs.
+const fs = require('fs-extra');
+const path = require('path');
+const crypto = require('crypto');
+const sqliteArchiveService = require('./sqliteArchiveService');
+
+// Folder in the archive root holding the blobs, as <first 2 hash chars>/<sha256>
+const MEDIA_STORE_DIR = '.media_store';
+// Manifest in each conversation folder: { version, files: { <name>: { sha256, size } } }
+const MEDIA_MANIFEST_FILE = 'media.json';
+const MEDIA_MANIFEST_VERSION = 1;
+
+/**
+ * Get the path of a blob in the store
+ * @param {string} archiveRoot - Archive root directory
+ * @param {string} hash - SHA-256 of the file content
+ * @returns {string} Absolute blob path
+ */
+function getBlobPath(archiveRoot, hash) {
+  return path.join(archiveRoot, MEDIA_STORE_DIR, hash.slice(0, 2), hash);
+}
+
+/**
+ * Check that a media file name names a file inside media/ rather than a path out of it
+ * @param {string} name - Media file name (or conversation folder name)
+ * @returns {boolean} True if the name is a plain file name
+ */
+function isSafeMediaName(name) {
+  return typeof name === 'string' && name !== '' && name === path.basename(name) && !name.includes('..');
+}
+
+// Whether filePath lies inside dir (and is not dir itself)
+function isInside(dir, filePath) {
+  const relative = path.relative(path.resolve(dir), path.resolve(filePath));
+  return relative !== '' && !relative.startsWith('..') && !path.isAbsolute(relative);
+}
+
+/**
+ * Check whether a path lies inside an archive's media store
+ * @param {string} archiveRoot - Archive root directory
+ * @param {string} filePath - Path to check
+ * @returns {boolean} True for blob paths inside the store
+ */
+function isInMediaStore(archiveRoot, filePath) {
+  return isInside(path.join(archiveRoot, MEDIA_STORE_DIR), filePath);
+}
+
+/**
+ * Hash a file's content
+ * @param {string} filePath - File to hash
+ * @returns {Promise<string>} SHA-256 hex digest
+ */
+function hashFile(filePath) {
+  return new Promise((resolve, reject) => {
+    const hash = crypto.createHash('sha256');
+    fs.createReadStream(filePath)
+      .on('error', reject)
+      .on('data', chunk => hash.update(chunk))
+      .on('end', () => resolve(hash.digest('hex')));
+  });
+}
+
+/**
+ * Read the media manifest of a conversation folder
+ * @param {string} convPath - Conversation folder path
+ * @returns {Promise<Object>} File name -> { sha256, size }; empty if the folder has no manifest
+ */
+async function readManifest(convPath) {
+  try {
+    const manifest = await fs.readJson(path.join(convPath, MEDIA_MANIFEST_FILE));
+    return manifest.files || {};
+  } catch (err) {
+    if (err.code !== 'ENOENT') {
+      console.error(`Error reading media manifest in ${convPath}:`, err.message);
+    }
+    return {};
+  }
+}
+
+async function writeManifest(convPath, files) {
+  await fs.writeJson(path.join(convPath, MEDIA_MANIFEST_FILE), {
+    version: MEDIA_MANIFEST_VERSION,
+    files
+  }, { spaces: 2 });
+}
+
+/**
+ * List a conversation's media: files in its media/ folder, and files the manifest keeps in the store
+ * @param {string} archiveRoot - Root of the archive holding the conversation
+ * @param {string} folder - Conversation folder name
+ * @returns {Promise<Array>} [{ name, path, sha256 }], sha256 set for stored files
+ */
+async function listConversationMedia(archiveRoot, folder) {
+  if (sqliteArchiveService.isSqliteArchive(archiveRoot)) {
+    return sqliteArchiveService.listConversationMedia(archiveRoot, folder);
+  }
+
+  const convPath = path.join(archiveRoot, folder);
+  const mediaDir = path.join(convPath, 'media');
+  const localFiles = await fs.pathExists(mediaDir) ? await fs.readdir(mediaDir) : [];
+  const media = localFiles.map(name => ({ name, path: path.join(mediaDir, name), sha256: null }));
+
+  // A file left in media/ (restored by verify --repair, say) takes precedence over the store
+  const local = new Set(localFiles);
+  const manifest = await readManifest(convPath);
+  for (const [name, entry] of Object.entries(manifest)) {
+    if (local.has(name) || !entry || !entry.sha256) continue;
+    media.push({ name, path: getBlobPath(archiveRoot, entry.sha256), sha256: entry.sha256 });
+  }
+  return media;
+}
+
+/**
+ * Find the file behind a conversation's media/<filename>
+ * @param {string} archiveRoot - Root of the archive holding the conversation
+ * @param {string} folder - Conversation folder name
+ * @param {string} filename - Media file name
+ * @returns {Promise<string|null>} Absolute path, or null if the conversation has no such media file
+ */
+async function resolveMediaFile(archiveRoot, folder, filename) {
+  // Names come from request URLs: never let one reach outside the conversation's media
+  if (!isSafeMediaName(folder) || !isSafeMediaName(filename)) return null;
+
+  if (sqliteArchiveService.isSqliteArchive(archiveRoot)) {
+    return sqliteArchiveService.resolveMediaFile(archiveRoot, folder, filename);
+  }
+
+  const convPath = path.join(archiveRoot, folder);
+  const mediaDir = path.join(convPath, 'media');
+  const localPath = path.join(mediaDir, filename);
+  if (isInside(mediaDir, localPath) && await fs.pathExists(localPath)) return localPath;
+
+  const manifest = await readManifest(convPath);
+  const entry = Object.prototype.hasOwnProperty.call(manifest, filename) ? manifest[filename] : null;
+  if (!entry || typeof entry.sha256 !== 'string' || !entry.sha256) return null;
+
+  // A manifest edited by hand could name any path as its hash
+  const blobPath = getBlobPath(archiveRoot, entry.sha256);
+  if (!isInMediaStore(archiveRoot, blobPath)) return null;
+  return await fs.pathExists(blobPath) ? blobPath : null;
+}
+
+/**
+ * Move the files of a conversation's media/ folder into the store and record them in its manifest.
+ * A file whose content is already in the store is just removed, so each distinct file is kept once.
+ * @param {string} archiveRoot - Archive root directory
+ * @param {string} folder - Conversation folder name
+ * @returns {Promise<Object>} { stored, deduplicated, bytesSaved }
+ */
+async function storeConversationMedia(archiveRoot, folder) {
+  const convPath = path.join(archiveRoot, folder);
+  const mediaDir = path.join(convPath, 'media');
+  const result = { stored: 0, deduplicated: 0, bytesSaved: 0 };
+  if (!await fs.pathExists(mediaDir)) return result;
+
+  const entries = await fs.readdir(mediaDir, { withFileTypes: true });
+  const files = entries.filter(entry => entry.isFile());
+  if (files.length === 0) return result;
+
+  const manifest = await readManifest(convPath);
+  for (const entry of files) {
+    const filePath = path.join(mediaDir, entry.name);
+    const [hash, { size }] = await Promise.all([hashFile(filePath), fs.stat(filePath)]);
+    const blobPath = getBlobPath(archiveRoot, hash);
+
+    // Record the file before it leaves media/: if the move is interrupted, the copy still in
+    // media/ takes precedence and the next run finishes the job
+    manifest[entry.name] = { sha256: hash, size };
+    await writeManifest(convPath, manifest);
+
+    if (await fs.pathExists(blobPath)) {
+      await fs.remove(filePath);
+      result.deduplicated++;
+      result.bytesSaved += size;
+    } else {
+      await fs.move(filePath, blobPath);
+      result.stored++;
+    }
+  }
+  return result;
+}
+
+/**
+ * Move the media of every conversation of an archive into the store
+ * @param {string} archiveRoot - Archive root directory
+ * @param {Function} onProgress - Optional callback({ totalConversations, processedConversations })
+ * @returns {Promise<Object>} { conversations, stored, deduplicated, bytesSaved, failed: [{ folder, error }] }
+ */
+async function migrateArchive(archiveRoot, onProgress) {
+  if (!archiveRoot || !await fs.pathExists(archiveRoot)) {
+    throw new Error(`Archive root directory not found: ${archiveRoot}`);
+  }
+  if (sqliteArchiveService.isSqliteArchive(archiveRoot)) {
+    throw new Error('SQLite archives already keep each media file once');
+  }
+
+  const folders = [];
+  for (const item of await fs.readdir(archiveRoot)) {
+    if (item.startsWith('.')) continue;
+    if (await fs.pathExists(path.join(archiveRoot, item, 'conversation.json'))) {
+      folders.push(item);
+    }
+  }
+
+  const summary = { conversations: 0, stored: 0, deduplicated: 0, bytesSaved: 0, failed: [] };
+  for (let i = 0; i < folders.length; i++) {
+    try {
+      const result = await storeConversationMedia(archiveRoot, folders[i]);
+      if (result.stored + result.deduplicated > 0) summary.conversations++;
+      summary.stored += result.stored;
+      summary.deduplicated += result.deduplicated;
+      summary.bytesSaved += result.bytesSaved;
+    } catch (err) {
+      console.error(`Error moving media of ${folders[i]} into the media store:`, err.message);
+      summary.failed.push({ folder: folders[i], error: err.message });
+    }
+    if (onProgress) {
+      onProgress({ totalConversations: folders.length, processedConversations: i + 1 });
+    }
+  }
+
+  console.log(`Media store: ${summary.stored} files stored, ${summary.deduplicated} duplicates removed ` +
+    `(${summary.bytesSaved} bytes saved) in ${summary.conversations} conversations`);
+  return summary;
+}
+
+/**
+ * List every blob in an archive's store
+ * @param {string} archiveRoot - Archive root directory
+ * @returns {Promise<Array<string>>} Blob hashes
+ */
+async function listBlobs(archiveRoot) {
+  const storeDir = path.join(archiveRoot, MEDIA_STORE_DIR);
+  if (!await fs.pathExists(storeDir)) return [];
+
+  const hashes = [];
+  for (const prefix of await fs.readdir(storeDir)) {
+    const prefixDir = path.join(storeDir, prefix);
+    if (!(await fs.stat(prefixDir)).isDirectory()) continue;
+    hashes.push(...await fs.readdir(prefixDir));
+  }
+  return hashes;
+}
+
+module.exports = {
+  MEDIA_STORE_DIR,
+  MEDIA_MANIFEST_FILE,
+  getBlobPath,
+  isSafeMediaName,
+  isInMediaStore,
+  readManifest,
+  listConversationMedia,
+  resolveMediaFile,
+  storeConversationMedia,
+  migrateArchive,
+  listBlobs
+};
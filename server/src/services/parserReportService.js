@@ -0,0 +1,284 @@
+// Parser Report Service - whole-archive parser coverage report, built by a background job
+// and cached in a sidecar file in the archive root
+const fs = require('fs-extra');
+const path = require('path');
+const archiveService = require('./archiveService');
+const { getDataRoot } = require('./sqliteArchiveService');
+
+// Cached in the archive root so the report moves with the archive
+const REPORT_FILE = '.parser_report.json';
+const REPORT_VERSION = 1;
+
+// Example messages kept per entry
+const MAX_EXAMPLES = 5;
+
+// Categories of the report, each mapping a key to { count, conversations, examples }
+const CATEGORIES = ['roles', 'content_types', 'author_names', 'metadata_keys', 'unknown_fields_by_name', 'unknown_content_types'];
+
+// Status of the current (or last) report job
+let job = {
+  status: 'idle', // idle, running, completed, failed
+  progress: 0,
+  totalConversations: 0,
+  processedConversations: 0,
+  error: null,
+  startTime: null,
+  endTime: null
+};
+
+// Cached report for the current archive root
+let report = null;
+let reportRoot = null;
+
+/**
+ * Get the path of the report file for an archive
+ * @param {string} archiveRoot - Archive root directory
+ * @returns {string} Path to the report file
+ */
+function getReportPath(archiveRoot) {
+  return path.join(getDataRoot(archiveRoot), REPORT_FILE);
+}
+
+/**
+ * Load the cached report of an archive
+ * @param {string} archiveRoot - Archive root directory
+ * @returns {Promise<Object|null>} The report, or null if it hasn't been generated yet
+ */
+async function loadReport(archiveRoot) {
+  if (report && reportRoot === archiveRoot) return report;
+
+  report = null;
+  reportRoot = archiveRoot;
+  try {
+    const reportPath = getReportPath(archiveRoot);
+    if (await fs.pathExists(reportPath)) {
+      const saved = await fs.readJson(reportPath);
+      report = saved.version === REPORT_VERSION ? saved : null;
+    }
+  } catch (err) {
+    console.error('Error loading parser report:', err);
+  }
+  return report;
+}
+
+// Count one occurrence of a key in a category
+function record(category, key, conv, messageId) {
+  if (!category[key]) {
+    category[key] = { count: 0, conversations: new Set(), examples: [] };
+  }
+  const entry = category[key];
+  entry.count++;
+  entry.conversations.add(conv.id);
+
+  // Examples come from different conversations where possible
+  if (entry.examples.length < MAX_EXAMPLES && !entry.examples.some(e => e.conversation_id === conv.id)) {
+    entry.examples.push({ conversation_id: conv.id, message_id: messageId, title: conv.title });
+  }
+}
+
+// Record everything the report tracks about one message
+function recordMessage(stats, conv, msg) {
+  const message = msg.message;
+  const role = message.author?.role || '(none)';
+
+  record(stats.roles, role, conv, msg.id);
+  record(stats.content_types, message.content?.content_type || '(none)', conv, msg.id);
+  if (message.author?.name) {
+    record(stats.author_names, message.author.name, conv, msg.id);
+  }
+  for (const key of Object.keys(message.metadata || {})) {
+    record(stats.metadata_keys, key, conv, msg.id);
+  }
+
+  const parsed = msg.parsed;
+  if (!parsed || !parsed.data) return;
+
+  stats.counts[parsed.type] = (stats.counts[parsed.type] || 0) + 1;
+  if (parsed.data.has_unknown_fields) {
+    stats.unknown_fields[parsed.type] = (stats.unknown_fields[parsed.type] || 0) + 1;
+    stats.unknown_fields.total++;
+  }
+  for (const field of parsed.data.unknown_fields || []) {
+    record(stats.unknown_fields_by_name, `${parsed.type}.${field}`, conv, msg.id);
+  }
+  // Tool content types without a dedicated parser keep their raw content
+  if (parsed.data.raw_content) {
+    record(stats.unknown_content_types, parsed.data.content_type || '(none)', conv, msg.id);
+  }
+  if (parsed.type === 'tool' && parsed.data.content_type) {
+    stats.tool_types[parsed.data.content_type] = (stats.tool_types[parsed.data.content_type] || 0) + 1;
+  }
+  if (message.metadata?.model_slug) {
+    stats.models[message.metadata.model_slug] = (stats.models[message.metadata.model_slug] || 0) + 1;
+  }
+  if (message.metadata?.gizmo_id) {
+    const gizmoName = msg.gizmo_name || message.metadata.gizmo_id;
+    stats.gizmos[gizmoName] = (stats.gizmos[gizmoName] || 0) + 1;
+  }
+}
+
+// Turn a category's Sets into JSON: conversations become an ID list for drill-down
+function serializeCategory(category) {
+  const result = {};
+  for (const [key, entry] of Object.entries(category)) {
+    result[key] = {
+      count: entry.count,
+      conversation_count: entry.conversations.size,
+      conversations: Array.from(entry.conversations),
+      examples: entry.examples
+    };
+  }
+  return result;
+}
+
+/**
+ * Walk every message of the archive and write the coverage report
+ * @param {string} archiveRoot - Archive root directory (where the report is cached)
+ * @returns {Promise<Object>} The report
+ */
+async function buildReport(archiveRoot) {
+  const archiveIndex = archiveService.getArchiveIndex();
+  const stats = {
+    counts: { user: 0, assistant: 0, tool: 0, system: 0 },
+    unknown_fields: { user: 0, assistant: 0, tool: 0, system: 0, total: 0 },
+    tool_types: {},
+    models: {},
+    gizmos: {}
+  };
+  for (const category of CATEGORIES) {
+    stats[category] = {};
+  }
+  let totalMessages = 0;
+
+  job.totalConversations = archiveIndex.length;
+
+  for (const conv of archiveIndex) {
+    try {
+      const result = await archiveService.loadConversationMessages(
+        conv.folder,
+        archiveService.getConversationRoot(conv, archiveRoot),
+        null,
+        { allBranches: true }
+      );
+      for (const msg of result.messages) {
+        if (!msg.message) continue;
+        totalMessages++;
+        recordMessage(stats, conv, msg);
+      }
+    } catch (err) {
+      // One unreadable conversation shouldn't stop the report
+      console.warn(`Parser report: skipping conversation ${conv.id}:`, err.message);
+    }
+
+    job.processedConversations++;
+    job.progress = Math.min(Math.round((job.processedConversations / Math.max(archiveIndex.length, 1)) * 100), 99);
+  }
+
+  const newReport = {
+    version: REPORT_VERSION,
+    generated_at: new Date().toISOString(),
+    total_conversations: archiveIndex.length,
+    total_messages: totalMessages,
+    latest_update_time: archiveIndex.reduce((latest, c) => Math.max(latest, c.update_time || 0), 0),
+    counts: stats.counts,
+    unknown_fields: stats.unknown_fields,
+    tool_types: stats.tool_types,
+    models: stats.models,
+    gizmos: stats.gizmos
+  };
+  for (const category of CATEGORIES) {
+    newReport[category] = serializeCategory(stats[category]);
+  }
+
+  await fs.writeJson(getReportPath(archiveRoot), newReport);
+  report = newReport;
+  reportRoot = archiveRoot;
+  return newReport;
+}
+
+/**
+ * Start building the report in the background
+ * @param {string} archiveRoot - Archive root directory
+ * @returns {boolean} False if a report job is already running
+ */
+function startReport(archiveRoot) {
+  if (job.status === 'running') return false;
+
+  job = {
+    status: 'running',
+    progress: 0,
+    totalConversations: 0,
+    processedConversations: 0,
+    error: null,
+    startTime: new Date().toISOString(),
+    endTime: null
+  };
+
+  buildReport(archiveRoot)
+    .then(() => {
+      job = { ...job, status: 'completed', progress: 100, endTime: new Date().toISOString() };
+      console.log(`Parser report completed: ${job.processedConversations} conversations`);
+    })
+    .catch(err => {
+      console.error('Error building parser report:', err);
+      job = { ...job, status: 'failed', error: err.message, endTime: new Date().toISOString() };
+    });
+
+  return true;
+}
+
+/**
+ * Get the status of the current (or last) report job
+ * @returns {Object} Job status
+ */
+function getJobStatus() {
+  return { ...job };
+}
+
+/**
+ * Summarize a report for the parser page: conversation ID lists are left out
+ * and the report is flagged stale when the archive changed since it was built
+ * @param {Object} fullReport - Report as cached
+ * @returns {Object} Report summary
+ */
+function summarizeReport(fullReport) {
+  const archiveIndex = archiveService.getArchiveIndex();
+  const summary = { ...fullReport };
+
+  for (const category of CATEGORIES) {
+    summary[category] = {};
+    for (const [key, entry] of Object.entries(fullReport[category] || {})) {
+      const { conversations, ...rest } = entry;
+      summary[category][key] = rest;
+    }
+  }
+
+  summary.stale = archiveIndex.length !== fullReport.total_conversations ||
+    archiveIndex.some(c => (c.update_time || 0) > fullReport.latest_update_time);
+  return summary;
+}
+
+/**
+ * List the conversations that contain a report entry
+ * @param {Object} fullReport - Report as cached
+ * @param {string} category - Report category, e.g. 'metadata_keys'
+ * @param {string} key - Entry key, e.g. 'model_slug'
+ * @returns {Array|null} Index entries of the conversations, or null if there is no such entry
+ */
+function getEntryConversations(fullReport, category, key) {
+  const entry = CATEGORIES.includes(category) && fullReport[category] ? fullReport[category][key] : null;
+  if (!entry || !Array.isArray(entry.conversations)) return null;
+
+  return entry.conversations
+    .map(id => archiveService.findConversationById(id))
+    .filter(Boolean);
+}
+
+module.exports = {
+  REPORT_FILE,
+  loadReport,
+  startReport,
+  getJobStatus,
+  summarizeReport,
+  getEntryConversations
+};
@@ -0,0 +1,379 @@
+// Query Service - the conversation list's query language, e.g.
+//   model:gpt-4o gizmo:"Code Copilot" has:canvas role:user "exact phrase" -excluded after:2024-01-01 messages:>50
+// Terms are ANDed; OR, NOT / -term and parentheses combine them. Words and phrases are looked up
+// in the full-text index; role: limits them to messages by that author.
+const searchService = require('./searchService');
+const annotationService = require('./annotationService');
+
+const HAS_VALUES = ['canvas', 'media', 'gizmo', 'web', 'note', 'tags'];
+const IS_VALUES = ['starred'];
+const ROLES = ['user', 'assistant', 'tool', 'system'];
+
+// Fields compared with >, >=, <, <=, = or a..b ranges
+const NUMBER_FIELDS = ['messages'];
+const DATE_FIELDS = ['created', 'updated', 'after', 'before'];
+
+// Fields matched against a case-insensitive substring (id: against a prefix)
+const TEXT_FIELDS = ['model', 'gizmo', 'title', 'tag', 'source', 'id'];
+
+const FIELDS = [...TEXT_FIELDS, ...NUMBER_FIELDS, ...DATE_FIELDS, 'has', 'is', 'role'];
+
+/**
+ * Create an error for an invalid query, with the character position it was found at
+ * @param {string} message - What is wrong
+ * @param {number} position - Offset in the query
+ * @returns {Error} Error named QueryError
+ */
+function queryError(message, position) {
+  const err = new Error(message);
+  err.name = 'QueryError';
+  err.position = position;
+  return err;
+}
+
+// Read a quoted string starting at query[start] === '"'; returns [value, end]
+function readQuoted(query, start) {
+  const end = query.indexOf('"', start + 1);
+  if (end === -1) {
+    throw queryError('Unterminated quote', start);
+  }
+  return [query.slice(start + 1, end), end + 1];
+}
+
+/**
+ * Split a query into tokens: ( ) OR AND NOT -, phrases and words (field:value, value may be quoted)
+ * @param {string} query - Query text
+ * @returns {Array<Object>} [{ type, value, field, position }]
+ */
+function tokenizeQuery(query) {
+  const tokens = [];
+  let i = 0;
+
+  while (i < query.length) {
+    const char = query[i];
+    if (/\s/.test(char)) {
+      i++;
+    } else if (char === '(' || char === ')') {
+      tokens.push({ type: char, position: i });
+      i++;
+    } else if (char === '-' && i + 1 < query.length && !/\s/.test(query[i + 1]) &&
+      (tokens.length === 0 || /[\s(]/.test(query[i - 1]))) {
+      tokens.push({ type: 'NOT', position: i });
+      i++;
+    } else if (char === '"') {
+      const [value, end] = readQuoted(query, i);
+      tokens.push({ type: 'phrase', value, position: i });
+      i = end;
+    } else {
+      const start = i;
+      while (i < query.length && !/[\s()"]/.test(query[i])) i++;
+      const word = query.slice(start, i);
+
+      const colon = word.indexOf(':');
+      if (colon > 0 && FIELDS.includes(word.slice(0, colon).toLowerCase())) {
+        let value = word.slice(colon + 1);
+        if (value === '' && query[i] === '"') {
+          [value, i] = readQuoted(query, i);
+        }
+        tokens.push({ type: 'field', field: word.slice(0, colon).toLowerCase(), value, position: start });
+      } else if (word === 'OR' || word === '|' || word === 'AND' || word === 'NOT') {
+        tokens.push({ type: word === '|' ? 'OR' : word, position: start });
+      } else {
+        // Unknown "fields" (URLs, times like 10:30) are plain words
+        tokens.push({ type: 'word', value: word, position: start });
+      }
+    }
+  }
+  return tokens;
+}
+
+/**
+ * Parse the start of a date value: YYYY, YYYY-MM or YYYY-MM-DD (UTC)
+ * @returns {Object|null} { start, end } in UNIX seconds, end exclusive
+ */
+function parseDateValue(value) {
+  const match = /^(\d{4})(?:-(\d{1,2})(?:-(\d{1,2}))?)?$/.exec(value);
+  if (!match) return null;
+
+  const year = Number(match[1]);
+  const month = match[2] ? Number(match[2]) - 1 : 0;
+  const day = match[3] ? Number(match[3]) : 1;
+  const start = Date.UTC(year, month, day);
+  const startDate = new Date(start);
+  if (startDate.getUTCMonth() !== month || startDate.getUTCDate() !== day) return null;
+
+  const end = match[3] ? Date.UTC(year, month, day + 1) : match[2] ? Date.UTC(year, month + 1, 1) : Date.UTC(year + 1, 0, 1);
+  return { start: start / 1000, end: end / 1000 };
+}
+
+/**
+ * Parse a comparison: >50, >=50, <50, <=50, =50, 50 or 10..20
+ * @param {string} value - Comparison text
+ * @param {Function} parseValue - Parses one bound; returns { start, end } or null
+ * @returns {Object|null} { min, max } with inclusive min and exclusive max (either may be null)
+ */
+function parseComparison(value, parseValue) {
+  const range = value.split('..');
+  if (range.length === 2) {
+    const from = range[0] ? parseValue(range[0]) : null;
+    const to = range[1] ? parseValue(range[1]) : null;
+    if ((range[0] && !from) || (range[1] && !to)) return null;
+    return { min: from ? from.start : null, max: to ? to.end : null };
+  }
+
+  const match = /^(>=|<=|>|<|=)?(.+)$/.exec(value);
+  if (!match) return null;
+  const bound = parseValue(match[2]);
+  if (!bound) return null;
+
+  switch (match[1]) {
+    case '>': return { min: bound.end, max: null };
+    case '>=': return { min: bound.start, max: null };
+    case '<': return { min: null, max: bound.start };
+    case '<=': return { min: null, max: bound.end };
+    default: return { min: bound.start, max: bound.end };
+  }
+}
+
+// Build the tree node for a field:value token, validating the value
+function fieldNode(token) {
+  const { field, position } = token;
+  const value = token.value.trim();
+  if (!value) {
+    throw queryError(`Missing value for ${field}:`, position);
+  }
+
+  if (field === 'has' || field === 'is') {
+    const allowed = field === 'has' ? HAS_VALUES : IS_VALUES;
+    const normalized = value.toLowerCase() === 'web_search' ? 'web' : value.toLowerCase();
+    if (!allowed.includes(normalized)) {
+      throw queryError(`Unknown ${field}: value "${value}" (use ${allowed.join(', ')})`, position);
+    }
+    return { type: 'field', field, value: normalized };
+  }
+
+  if (field === 'role') {
+    const role = value.toLowerCase();
+    if (!ROLES.includes(role)) {
+      throw queryError(`Unknown role "${value}" (use ${ROLES.join(', ')})`, position);
+    }
+    return { type: 'field', field, value: role };
+  }
+
+  if (NUMBER_FIELDS.includes(field)) {
+    const parseNumber = text => (/^\d+$/.test(text) ? { start: Number(text), end: Number(text) + 1 } : null);
+    const range = parseComparison(value, parseNumber);
+    if (!range) {
+      throw queryError(`Invalid number comparison "${value}" for ${field}: (e.g. >50, <=10, 10..20)`, position);
+    }
+    return { type: 'field', field, value, range };
+  }
+
+  if (DATE_FIELDS.includes(field)) {
+    let range;
+    if (field === 'after' || field === 'before') {
+      const date = parseDateValue(value);
+      // after: is inclusive of the given day, before: is exclusive
+      range = date && (field === 'after' ? { min: date.start, max: null } : { min: null, max: date.start });
+    } else {
+      range = parseComparison(value, parseDateValue);
+    }
+    if (!range) {
+      throw queryError(`Invalid date "${value}" for ${field}: (use YYYY, YYYY-MM or YYYY-MM-DD)`, position);
+    }
+    return { type: 'field', field: field === 'updated' ? 'updated' : 'created', value, range };
+  }
+
+  return { type: 'field', field, value: value.toLowerCase() };
+}
+
+/**
+ * Parse a query into a tree of and/or/not/field/word/phrase nodes
+ * @param {string} query - Query text
+ * @returns {Object|null} Root node, or null for an empty query (matches everything)
+ * @throws {Error} QueryError with the position of the problem
+ */
+function parseQuery(query) {
+  const tokens = tokenizeQuery(query || '');
+  let index = 0;
+
+  const peek = () => tokens[index];
+
+  function parseOr() {
+    const children = [parseAnd()];
+    while (peek() && peek().type === 'OR') {
+      index++;
+      if (!peek() || peek().type === ')') {
+        throw queryError('Expected a term after OR', tokens[index - 1].position);
+      }
+      children.push(parseAnd());
+    }
+    return children.length === 1 ? children[0] : { type: 'or', children };
+  }
+
+  function parseAnd() {
+    const children = [parseUnary()];
+    while (peek() && peek().type !== 'OR' && peek().type !== ')') {
+      if (peek().type === 'AND') {
+        index++;
+        if (!peek() || peek().type === ')' || peek().type === 'OR') {
+          throw queryError('Expected a term after AND', tokens[index - 1].position);
+        }
+      }
+      children.push(parseUnary());
+    }
+    return children.length === 1 ? children[0] : { type: 'and', children };
+  }
+
+  function parseUnary() {
+    const token = peek();
+    if (!token) {
+      throw queryError('Unexpected end of query', query.length);
+    }
+    if (token.type === 'NOT') {
+      index++;
+      return { type: 'not', child: parseUnary() };
+    }
+    return parsePrimary();
+  }
+
+  function parsePrimary() {
+    const token = tokens[index++];
+    switch (token.type) {
+      case '(': {
+        if (peek() && peek().type === ')') {
+          throw queryError('Empty parentheses', token.position);
+        }
+        const node = parseOr();
+        if (!peek() || peek().type !== ')') {
+          throw queryError('Missing closing parenthesis', token.position);
+        }
+        index++;
+        return node;
+      }
+      case 'field':
+        return fieldNode(token);
+      case 'phrase':
+        return { type: 'phrase', value: token.value };
+      case 'word':
+        return { type: 'word', value: token.value };
+      default:
+        throw queryError(`Unexpected ${token.type}`, token.position);
+    }
+  }
+
+  if (tokens.length === 0) return null;
+  const root = parseOr();
+  if (index < tokens.length) {
+    throw queryError(`Unexpected ${tokens[index].type}`, tokens[index].position);
+  }
+  return root;
+}
+
+// Collect the nodes of a tree matching a predicate
+function collectNodes(node, predicate, found = [], negated = false) {
+  if (!node) return found;
+  if (predicate(node, negated)) found.push(node);
+  if (node.children) node.children.forEach(child => collectNodes(child, predicate, found, negated));
+  if (node.child) collectNodes(node.child, predicate, found, !negated);
+  return found;
+}
+
+// Look up every word and phrase of the tree in the full-text index
+async function resolveTextNodes(root) {
+  // role: terms (outside a NOT) limit words and phrases to messages by those authors
+  const roleNodes = collectNodes(root, (node, negated) => node.type === 'field' && node.field === 'role' && !negated);
+  const roles = roleNodes.length > 0 ? Array.from(new Set(roleNodes.map(node => node.value))) : null;
+
+  const matches = new Map();
+  for (const node of collectNodes(root, node => node.type === 'word' || node.type === 'phrase' || (node.type === 'field' && node.field === 'role'))) {
+    if (node.type === 'field') {
+      matches.set(node, searchService.findConversationsWithRole(node.value));
+      continue;
+    }
+
+    const terms = searchService.tokenize(node.value.replace(/\*$/, ''));
+    if (node.type === 'word' && terms.length === 1) {
+      const term = node.value.endsWith('*') ? `${terms[0]}*` : terms[0];
+      matches.set(node, searchService.findConversationsWithTerm(term, { roles }));
+    } else {
+      // Phrases, and words the index splits into several terms (e.g. "gpt-4o")
+      matches.set(node, await searchService.findConversationsWithPhrase(node.value, { roles }));
+    }
+  }
+  return matches;
+}
+
+// Check a conversation against a field node
+function matchField(node, conv, textMatches) {
+  const contains = text => String(text).toLowerCase().includes(node.value);
+  const inRange = value => value != null && (node.range.min === null || value >= node.range.min) &&
+    (node.range.max === null || value < node.range.max);
+
+  switch (node.field) {
+    case 'model':
+      return (conv.models || []).some(contains);
+    case 'gizmo':
+      return (conv.gizmo_ids || []).some(contains) || Object.values(conv.gizmo_names || {}).some(name => name && contains(name));
+    case 'title':
+      return contains(conv.title || '');
+    case 'source':
+      return contains(conv.source || '');
+    case 'id':
+      return String(conv.id).toLowerCase().startsWith(node.value);
+    case 'tag':
+      return annotationService.getAnnotationSummary(conv.id).tags.some(contains);
+    case 'messages':
+      return inRange(conv.message_count);
+    case 'created':
+      return inRange(conv.create_time);
+    case 'updated':
+      return inRange(conv.update_time);
+    case 'role':
+      return textMatches.get(node).has(conv.id);
+    case 'is':
+      return annotationService.getAnnotationSummary(conv.id).starred;
+    case 'has':
+      switch (node.value) {
+        case 'canvas': return !!conv.has_canvas;
+        case 'media': return !!conv.has_media;
+        case 'gizmo': return !!conv.has_gizmo;
+        case 'web': return !!conv.has_web_search;
+        case 'note': return annotationService.getAnnotationSummary(conv.id).has_note;
+        default: return annotationService.getAnnotationSummary(conv.id).tags.length > 0;
+      }
+    default:
+      return false;
+  }
+}
+
+function matchNode(node, conv, textMatches) {
+  switch (node.type) {
+    case 'and': return node.children.every(child => matchNode(child, conv, textMatches));
+    case 'or': return node.children.some(child => matchNode(child, conv, textMatches));
+    case 'not': return !matchNode(node.child, conv, textMatches);
+    case 'field': return matchField(node, conv, textMatches);
+    default: return textMatches.get(node).has(conv.id);
+  }
+}
+
+/**
+ * Filter conversations with a query. The full-text index must be loaded (searchService.loadSearchIndex)
+ * for words and phrases, and annotations (annotationService.loadAnnotations) for tag:, is: and has:note.
+ * @param {Array} conversations - Conversation metadata from the archive index
+ * @param {string} query - Query text
+ * @returns {Promise<Array>} Matching conversations
+ * @throws {Error} QueryError if the query can't be parsed
+ */
+async function filterByQuery(conversations, query) {
+  const root = parseQuery(query);
+  if (!root) return conversations;
+
+  const textMatches = await resolveTextNodes(root);
+  return conversations.filter(conv => matchNode(root, conv, textMatches));
+}
+
+module.exports = {
+  parseQuery,
+  filterByQuery
+};
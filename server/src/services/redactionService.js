@@ -0,0 +1,346 @@
+// Redaction Service - replaces personal information in conversations with placeholders, so an
+// archive can be shared. Runs during import (config.redaction) or as part of an export.
+// Matches are found by pattern rules plus a user-editable dictionary (names, companies, ...).
+const fs = require('fs-extra');
+const path = require('path');
+const os = require('os');
+const crypto = require('crypto');
+
+// The dictionary works with any archive, so it lives next to the archive registry. The file also
+// holds the secret placeholders are derived from, which makes them stable across imports and
+// exports without ever writing down which value a placeholder stands for.
+const REDACTION_SETTINGS_PATH = path.join(os.homedir(), '.carchive_redaction.json');
+
+// Written next to the redacted conversations. It names placeholders, never the values they replace.
+const REDACTION_REPORT_FILE = 'redaction_report.json';
+
+// Import config defaults; exports take the same options
+const DEFAULT_REDACTION = {
+  enabled: false,
+  rules: ['email', 'phone', 'api_key', 'file_path'], // Pattern rules to apply (see RULES)
+  dictionary: true // Also replace the terms of the user's dictionary
+};
+
+// Placeholder label of dictionary terms saved without one
+const DEFAULT_DICTIONARY_LABEL = 'NAME';
+
+// Pattern rules, applied in this order so a key or path is replaced before its digits could be
+// mistaken for a phone number. A pattern's `group` replaces just that capture group;
+// `validate` can reject a match.
+const RULES = [
+  {
+    name: 'api_key',
+    label: 'KEY',
+    description: 'API keys, access tokens and passwords (OpenAI, Anthropic, AWS, GitHub, Slack, Google, bearer tokens, key=value)',
+    patterns: [
+      { regex: /\bsk-(?:proj-|ant-[a-z0-9]+-)?[A-Za-z0-9_-]{20,}/g },
+      { regex: /\bAKIA[0-9A-Z]{16}\b/g },
+      { regex: /\bgh[pousr]_[A-Za-z0-9]{36,}\b/g },
+      { regex: /\bgithub_pat_[A-Za-z0-9_]{22,}/g },
+      { regex: /\bxox[abprs]-[A-Za-z0-9-]{10,}/g },
+      { regex: /\bAIza[0-9A-Za-z_-]{35}/g },
+      { regex: /\bBearer\s+([A-Za-z0-9._~+/-]{20,}=*)(?<!\.)/g, group: 1 },
+      { regex: /\b(?:api[_-]?key|secret|token|password|passwd)["']?\s*[:=]\s*["']?([^\s"',;]{8,})/gi, group: 1 }
+    ]
+  },
+  {
+    name: 'email',
+    label: 'EMAIL',
+    description: 'Email addresses',
+    patterns: [
+      { regex: /[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}/g }
+    ]
+  },
+  {
+    name: 'file_path',
+    label: 'PATH',
+    description: 'Paths inside home folders (/home/..., /Users/..., ~/..., C:\\Users\\...), which usually contain a user name',
+    patterns: [
+      { regex: /(?:\/(?:home|Users)\/[^\s/'"`<>()[\]]+|~(?=\/))(?:\/[^\s/'"`<>()[\]]*)*(?<![.,;:!?])/g },
+      { regex: /\b[A-Za-z]:\\(?:Users|Documents and Settings)\\[^\s\\'"`<>|]+(?:\\[^\s\\'"`<>|]*)*(?<![.,;:!?])/g }
+    ]
+  },
+  {
+    name: 'phone',
+    label: 'PHONE',
+    description: 'Phone numbers with 9 to 15 digits, written with a country code, brackets or separators',
+    patterns: [
+      {
+        regex: /(?<![\w+])(?:\+\d{1,3}[ .-]?)?(?:\(\d{1,4}\)[ .-]?)?\d{2,4}(?:[ .-]?\d{2,4}){1,4}(?![\w:])/g,
+        validate: match => {
+          const digits = match.replace(/\D/g, '').length;
+          // Plain runs of digits are timestamps and IDs far more often than phone numbers
+          const formatted = /[+(]/.test(match) || /\d[ .-]\d/.test(match);
+          const ipAddress = /^\d{1,3}(\.\d{1,3}){3}$/.test(match);
+          return digits >= 9 && digits <= 15 && formatted && !ipAddress;
+        }
+      }
+    ]
+  }
+];
+
+// Placeholders look like [EMAIL_3f9a1c]; text already redacted is left alone
+const PLACEHOLDER_PATTERN = /(\[[A-Z][A-Z0-9_]*_[0-9a-f]{6}\])/;
+
+// Fields holding IDs, references, timestamps, enums or binary data rather than text someone
+// wrote. Redacting them would break the archive (media links, message tree) without hiding anything.
+const SKIPPED_KEYS = new Set([
+  'id', 'uuid', 'parent', 'children', 'current_node', 'asset_pointer', 'content_type', 'role',
+  'sender', 'type', 'media_type', 'mime_type', 'data', 'sourcePath', 'model_slug',
+  'default_model_slug', 'recipient', 'status', 'language', 'source_format', '_reference'
+]);
+const SKIPPED_KEY_PATTERN = /(_id|_ids|_uuid|_time|_at)$/;
+
+// Loaded settings: { secret, dictionary: [{ term, label }] }
+let settings = null;
+
+function validationError(message) {
+  const err = new Error(message);
+  err.name = 'ValidationError';
+  return err;
+}
+
+async function loadSettings() {
+  if (settings) return settings;
+
+  let saved = {};
+  try {
+    if (await fs.pathExists(REDACTION_SETTINGS_PATH)) {
+      saved = await fs.readJson(REDACTION_SETTINGS_PATH);
+    }
+  } catch (err) {
+    console.error('Error loading redaction settings:', err);
+  }
+  settings = {
+    secret: saved.secret,
+    dictionary: Array.isArray(saved.dictionary) ? saved.dictionary : []
+  };
+  if (!settings.secret) {
+    settings.secret = crypto.randomBytes(32).toString('hex');
+    await saveSettings();
+  }
+  return settings;
+}
+
+async function saveSettings() {
+  await fs.writeJson(REDACTION_SETTINGS_PATH, settings, { spaces: 2 });
+}
+
+/**
+ * List the pattern rules
+ * @returns {Array} [{ name, label, description }]
+ */
+function listRules() {
+  return RULES.map(({ name, label, description }) => ({ name, label, description }));
+}
+
+/**
+ * Get the user's redaction dictionary
+ * @returns {Promise<Array>} [{ term, label }]
+ */
+async function getDictionary() {
+  return [...(await loadSettings()).dictionary];
+}
+
+/**
+ * Replace the user's redaction dictionary
+ * @param {Array} entries - Terms as strings or { term, label }; label defaults to NAME
+ * @returns {Promise<Array>} The saved dictionary
+ * @throws {Error} ValidationError for a malformed entry
+ */
+async function saveDictionary(entries) {
+  if (!Array.isArray(entries)) {
+    throw validationError('The dictionary must be a list of terms');
+  }
+
+  const dictionary = [];
+  const seen = new Set();
+  for (const entry of entries) {
+    const term = String(typeof entry === 'string' ? entry : entry?.term || '').trim();
+    const label = String((typeof entry === 'object' && entry?.label) || DEFAULT_DICTIONARY_LABEL).trim().toUpperCase();
+    if (!term) continue;
+    if (term.length < 2) {
+      throw validationError(`Dictionary terms need at least 2 characters: ${term}`);
+    }
+    if (!/^[A-Z][A-Z0-9_]*$/.test(label)) {
+      throw validationError(`Invalid placeholder label for ${term}: ${label} (use letters, digits and _)`);
+    }
+    if (seen.has(term.toLowerCase())) continue;
+    seen.add(term.toLowerCase());
+    dictionary.push({ term, label });
+  }
+
+  await loadSettings();
+  settings.dictionary = dictionary;
+  await saveSettings();
+  return [...dictionary];
+}
+
+// One case-insensitive, whole-word pattern for the dictionary, longest terms first so
+// "Alice Smith" wins over "Alice"
+function buildDictionaryPattern(dictionary) {
+  if (dictionary.length === 0) return null;
+  const terms = [...dictionary]
+    .sort((a, b) => b.term.length - a.term.length)
+    .map(entry => entry.term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&').replace(/\s+/g, '\\s+'));
+  return new RegExp(`(?<![\\p{L}\\p{N}_])(?:${terms.join('|')})(?![\\p{L}\\p{N}_])`, 'giu');
+}
+
+/**
+ * Create a redactor for one import or export
+ * @param {Object} options - { enabled, rules, dictionary } (see DEFAULT_REDACTION)
+ * @returns {Promise<Object|null>} Redactor, or null if redaction is not enabled
+ * @throws {Error} ValidationError for an unknown rule
+ */
+async function createRedactor(options) {
+  if (!options || !options.enabled) return null;
+
+  const ruleNames = Array.isArray(options.rules) ? options.rules : DEFAULT_REDACTION.rules;
+  for (const name of ruleNames) {
+    if (!RULES.some(rule => rule.name === name)) {
+      throw validationError(`Unknown redaction rule: ${name} (use ${RULES.map(rule => rule.name).join(', ')})`);
+    }
+  }
+  const rules = RULES.filter(rule => ruleNames.includes(rule.name));
+
+  const { secret, dictionary } = await loadSettings();
+  const useDictionary = options.dictionary !== false;
+  const dictionaryPattern = useDictionary ? buildDictionaryPattern(dictionary) : null;
+  const dictionaryLabels = new Map(dictionary.map(entry => [entry.term.toLowerCase().replace(/\s+/g, ' '), entry.label]));
+
+  const report = {
+    rules: rules.map(rule => rule.name),
+    dictionaryTerms: dictionaryPattern ? dictionary.length : 0,
+    conversationsChecked: 0,
+    totals: {},
+    conversations: []
+  };
+
+  // The same value always gets the same placeholder, in every conversation and every run
+  const placeholderFor = (label, value) => {
+    const hash = crypto.createHmac('sha256', secret)
+      .update(`${label}:${value.toLowerCase()}`)
+      .digest('hex');
+    return `[${label}_${hash.slice(0, 6)}]`;
+  };
+
+  // Replace one pattern's matches in the parts of text that are not placeholders yet
+  const replacePattern = (text, regex, getLabel, changes, pattern = {}) => text
+    .split(PLACEHOLDER_PATTERN)
+    .map((segment, i) => {
+      if (i % 2 === 1) return segment; // Placeholder
+      return segment.replace(regex, (match, ...groups) => {
+        if (pattern.validate && !pattern.validate(match)) return match;
+        const value = pattern.group ? groups[pattern.group - 1] : match;
+        if (!value) return match;
+        const label = getLabel(value);
+        const placeholder = placeholderFor(label, value);
+        const change = changes.get(placeholder) || { placeholder, type: label, count: 0 };
+        change.count++;
+        changes.set(placeholder, change);
+        return pattern.group ? match.replace(value, placeholder) : placeholder;
+      });
+    })
+    .join('');
+
+  const redactString = (text, changes) => {
+    let result = text;
+    for (const rule of rules) {
+      for (const pattern of rule.patterns) {
+        result = replacePattern(result, pattern.regex, () => rule.label, changes, pattern);
+      }
+    }
+    if (dictionaryPattern) {
+      result = replacePattern(result, dictionaryPattern, value =>
+        dictionaryLabels.get(value.toLowerCase().replace(/\s+/g, ' ')) || DEFAULT_DICTIONARY_LABEL, changes);
+    }
+    return result;
+  };
+
+  const redactValue = (value, changes) => {
+    if (typeof value === 'string') return redactString(value, changes);
+    if (Array.isArray(value)) return value.map(item => redactValue(item, changes));
+    if (value && typeof value === 'object') {
+      const copy = {};
+      for (const [key, item] of Object.entries(value)) {
+        copy[key] = SKIPPED_KEYS.has(key) || SKIPPED_KEY_PATTERN.test(key) ? item : redactValue(item, changes);
+      }
+      return copy;
+    }
+    return value;
+  };
+
+  return {
+    /**
+     * Redact a string
+     * @param {string} text - Text to redact
+     * @returns {string} Text with placeholders
+     */
+    redactText(text) {
+      return typeof text === 'string' ? redactString(text, new Map()) : text;
+    },
+
+    /**
+     * Redact every text field of a conversation (title, message parts, metadata, ...) and
+     * add it to the report. IDs, references and timestamps are kept.
+     * @param {Object} conversation - Conversation in any importer's or export's shape
+     * @returns {Object} Redacted copy
+     */
+    redactConversation(conversation) {
+      const changes = new Map();
+      const redacted = redactValue(conversation, changes);
+      report.conversationsChecked++;
+
+      if (changes.size > 0) {
+        const entries = [...changes.values()].sort((a, b) => b.count - a.count);
+        entries.forEach(change => {
+          report.totals[change.type] = (report.totals[change.type] || 0) + change.count;
+        });
+        report.conversations.push({
+          id: conversation.id || conversation.uuid || conversation.conversation_id || null,
+          title: redacted.title || redacted.name || 'Untitled',
+          replacements: entries.reduce((sum, change) => sum + change.count, 0),
+          changes: entries
+        });
+      }
+      return redacted;
+    },
+
+    /**
+     * Get the report of everything redacted so far
+     * @returns {Object} { rules, dictionaryTerms, conversationsChecked, conversationsRedacted, totals,
+     *   conversations: [{ id, title, replacements, changes: [{ placeholder, type, count }] }] }
+     */
+    getReport() {
+      return {
+        generated_at: new Date().toISOString(),
+        ...report,
+        conversationsRedacted: report.conversations.length
+      };
+    }
+  };
+}
+
+/**
+ * Write a redactor's report into a folder
+ * @param {string} outputDir - Archive or export folder
+ * @param {Object} redactor - Redactor from createRedactor
+ * @returns {Promise<Object>} The report
+ */
+async function writeReport(outputDir, redactor) {
+  const report = redactor.getReport();
+  await fs.writeJson(path.join(outputDir, REDACTION_REPORT_FILE), report, { spaces: 2 });
+  console.log(`Redaction: ${report.conversationsRedacted} of ${report.conversationsChecked} conversations changed, ` +
+    `see ${REDACTION_REPORT_FILE}`);
+  return report;
+}
+
+module.exports = {
+  REDACTION_REPORT_FILE,
+  DEFAULT_REDACTION,
+  listRules,
+  getDictionary,
+  saveDictionary,
+  createRedactor,
+  writeReport
+};
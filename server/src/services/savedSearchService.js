@@ -0,0 +1,122 @@
+// Saved Search Service - named conversation list queries, optionally pinned above the list
+const fs = require('fs-extra');
+const path = require('path');
+const os = require('os');
+const crypto = require('crypto');
+const queryService = require('./queryService');
+
+// Saved searches work with any archive, so they live next to the archive registry
+const SAVED_SEARCHES_PATH = path.join(os.homedir(), '.carchive_saved_searches.json');
+
+// Loaded saved searches, in display order
+let savedSearches = null;
+
+async function loadSavedSearches() {
+  if (savedSearches) return savedSearches;
+
+  try {
+    if (await fs.pathExists(SAVED_SEARCHES_PATH)) {
+      const saved = await fs.readJson(SAVED_SEARCHES_PATH);
+      savedSearches = Array.isArray(saved.searches) ? saved.searches : [];
+    } else {
+      savedSearches = [];
+    }
+  } catch (err) {
+    console.error('Error loading saved searches:', err);
+    savedSearches = [];
+  }
+  return savedSearches;
+}
+
+async function saveSavedSearches() {
+  await fs.writeJson(SAVED_SEARCHES_PATH, { searches: savedSearches }, { spaces: 2 });
+}
+
+function validationError(message) {
+  const err = new Error(message);
+  err.name = 'ValidationError';
+  return err;
+}
+
+// Validate the editable fields of a saved search; an invalid query throws its QueryError
+function validateFields(fields) {
+  if (fields.name !== undefined && (typeof fields.name !== 'string' || !fields.name.trim())) {
+    throw validationError('A saved search needs a name');
+  }
+  if (fields.query !== undefined) {
+    if (typeof fields.query !== 'string' || !fields.query.trim()) {
+      throw validationError('A saved search needs a query');
+    }
+    queryService.parseQuery(fields.query);
+  }
+}
+
+/**
+ * List the saved searches
+ * @returns {Promise<Array>} [{ id, name, query, pinned, created_at }]
+ */
+async function listSavedSearches() {
+  return [...await loadSavedSearches()];
+}
+
+/**
+ * Save a new search
+ * @param {Object} fields - { name, query, pinned }
+ * @returns {Promise<Object>} The saved search
+ * @throws {Error} ValidationError if the name or query is missing, QueryError if the query doesn't parse
+ */
+async function createSavedSearch(fields) {
+  validateFields({ name: fields.name || '', query: fields.query || '' });
+  await loadSavedSearches();
+
+  const search = {
+    id: crypto.randomUUID(),
+    name: fields.name.trim(),
+    query: fields.query.trim(),
+    pinned: Boolean(fields.pinned),
+    created_at: new Date().toISOString()
+  };
+  savedSearches.push(search);
+  await saveSavedSearches();
+  return search;
+}
+
+/**
+ * Rename, change the query of, or pin/unpin a saved search
+ * @param {string} id - Saved search ID
+ * @param {Object} patch - Any of { name, query, pinned }
+ * @returns {Promise<Object|null>} The updated search, or null if it doesn't exist
+ */
+async function updateSavedSearch(id, patch) {
+  validateFields(patch);
+  const search = (await loadSavedSearches()).find(s => s.id === id);
+  if (!search) return null;
+
+  if (patch.name !== undefined) search.name = patch.name.trim();
+  if (patch.query !== undefined) search.query = patch.query.trim();
+  if (patch.pinned !== undefined) search.pinned = Boolean(patch.pinned);
+  await saveSavedSearches();
+  return search;
+}
+
+/**
+ * Delete a saved search
+ * @param {string} id - Saved search ID
+ * @returns {Promise<boolean>} False if it doesn't exist
+ */
+async function deleteSavedSearch(id) {
+  const searches = await loadSavedSearches();
+  const index = searches.findIndex(s => s.id === id);
+  if (index === -1) return false;
+
+  searches.splice(index, 1);
+  await saveSavedSearches();
+  return true;
+}
+
+module.exports = {
+  listSavedSearches,
+  createSavedSearch,
+  updateSavedSearch,
+  deleteSavedSearch
+};
@@ -0,0 +1,726 @@
+// Search Service - Persistent full-text index over every message in the archive
+const fs = require('fs-extra');
+const path = require('path');
+const archiveRegistry = require('./archiveRegistry');
+const { archiveFs, getDataRoot } = require('./sqliteArchiveService');
+
+// File (inside the archive root) the forward index is persisted to
+const SEARCH_INDEX_FILE = '.search_index.json';
+const SEARCH_INDEX_VERSION = 1;
+
+// BM25 tuning constants
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+
+// Characters of context shown on each side of the first match in a snippet
+const SNIPPET_RADIUS = 80;
+
+// Tokens outside this length range are ignored (single letters, base64 blobs, hashes...)
+const MIN_TOKEN_LENGTH = 2;
+const MAX_TOKEN_LENGTH = 40;
+
+/**
+ * In-memory state. `conversations` is the persisted forward index keyed by
+ * conversation ID; `postings` and `messages` are the derived inverted index.
+ */
+let state = {
+  archiveRoot: null,
+  conversations: {},
+  builtAt: null,
+  postings: new Map(),   // term -> [messageIndex, tf, messageIndex, tf, ...]
+  titles: new Map(),     // term -> Set of conversation IDs
+  messages: [],          // messageIndex -> { conversationId, id, role, create_time, source, length }
+  averageLength: 0
+};
+
+// Current build status, exposed through getSearchIndexStatus
+let buildStatus = {
+  status: 'idle', // idle, building, ready, failed
+  processedConversations: 0,
+  totalConversations: 0,
+  error: null
+};
+
+// Serialises builds so overlapping refreshes don't race each other
+let buildQueue = Promise.resolve();
+
+/**
+ * Split text into lowercase index terms
+ * @param {string} text - Text to tokenize
+ * @returns {Array<string>} Terms in document order
+ */
+function tokenize(text) {
+  if (!text || typeof text !== 'string') return [];
+
+  const tokens = text.toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+  return tokens.filter(token => token.length >= MIN_TOKEN_LENGTH && token.length <= MAX_TOKEN_LENGTH);
+}
+
+/**
+ * Extract every piece of searchable text from a message, not just string parts
+ * @param {Object} message - Message JSON object
+ * @returns {string} Plain text content
+ */
+function extractSearchableText(message) {
+  if (!message || !message.content) return '';
+
+  const content = message.content;
+  const pieces = [];
+
+  if (Array.isArray(content.parts)) {
+    for (const part of content.parts) {
+      if (typeof part === 'string') {
+        pieces.push(part);
+      } else if (part && typeof part === 'object' && typeof part.text === 'string') {
+        // Audio transcriptions and similar structured parts
+        pieces.push(part.text);
+      }
+    }
+  }
+
+  // Code, execution output, tether quotes and other single-text content types
+  if (typeof content.text === 'string') {
+    pieces.push(content.text);
+  }
+  if (typeof content.result === 'string') {
+    pieces.push(content.result);
+  }
+  if (typeof content.title === 'string') {
+    pieces.push(content.title);
+  }
+
+  return pieces.join('\n\n');
+}
+
+/**
+ * Encode term frequencies as a compact "term term:3 term" string
+ * @param {Array<string>} tokens - Tokens of one document
+ * @returns {string} Encoded term list
+ */
+function encodeTerms(tokens) {
+  const counts = new Map();
+  for (const token of tokens) {
+    counts.set(token, (counts.get(token) || 0) + 1);
+  }
+
+  return Array.from(counts.entries())
+    .map(([term, tf]) => (tf > 1 ? `${term}:${tf}` : term))
+    .join(' ');
+}
+
+/**
+ * Decode a string produced by encodeTerms
+ * @param {string} encoded - Encoded term list
+ * @returns {Array<Array>} Array of [term, tf] pairs
+ */
+function decodeTerms(encoded) {
+  if (!encoded) return [];
+
+  return encoded.split(' ').map(entry => {
+    const separator = entry.lastIndexOf(':');
+    if (separator === -1) return [entry, 1];
+    return [entry.slice(0, separator), parseInt(entry.slice(separator + 1), 10) || 1];
+  });
+}
+
+/**
+ * Build a cheap signature that changes whenever a conversation is rewritten
+ * @param {string} convPath - Conversation folder path
+ * @param {Object} conv - Conversation metadata from the archive index
+ * @returns {Promise<string|null>} Signature or null if the folder is unreadable
+ */
+async function getConversationSignature(convPath, conv) {
+  try {
+    const stats = await archiveFs.stat(path.join(convPath, 'conversation.json'));
+    return `${conv.source || ''}|${conv.folder}|${stats.size}|${Math.floor(stats.mtimeMs)}|${conv.update_time || ''}`;
+  } catch (err) {
+    return null;
+  }
+}
+
+/**
+ * Read every message of a conversation, following `_reference` entries
+ * @param {string} convPath - Conversation folder path
+ * @returns {Promise<Object>} Conversation JSON and an array of { id, message, source }
+ */
+async function readConversationMessages(convPath) {
+  const conversation = await archiveFs.readJson(path.join(convPath, 'conversation.json'));
+  const messages = [];
+
+  for (const [id, node] of Object.entries(conversation.mapping || {})) {
+    if (!node || !node.message) continue;
+
+    if (node.message._reference && node.message._reference.startsWith('messages/')) {
+      const refPath = path.join(convPath, node.message._reference);
+      try {
+        const refMessage = await archiveFs.readJson(refPath);
+        messages.push({ id, message: refMessage, source: node.message._reference });
+      } catch (err) {
+        // Missing or unreadable references are skipped; they have no text to index anyway
+        continue;
+      }
+    } else {
+      messages.push({ id, message: node.message, source: 'conversation.json' });
+    }
+  }
+
+  return { conversation, messages };
+}
+
+/**
+ * Create the forward index entry for a single conversation
+ * @param {string} convPath - Conversation folder path
+ * @param {Object} conv - Conversation metadata from the archive index
+ * @param {string} signature - Signature of the conversation on disk
+ * @returns {Promise<Object>} Forward index entry
+ */
+async function indexConversation(convPath, conv, signature) {
+  const { messages } = await readConversationMessages(convPath);
+
+  const indexedMessages = [];
+  for (const { id, message, source } of messages) {
+    const tokens = tokenize(extractSearchableText(message));
+    if (tokens.length === 0) continue;
+
+    indexedMessages.push({
+      id,
+      role: message.author?.role || 'unknown',
+      create_time: message.create_time || null,
+      source,
+      length: tokens.length,
+      terms: encodeTerms(tokens)
+    });
+  }
+
+  return {
+    folder: conv.folder,
+    archive: conv.source || null,
+    title: conv.title || '',
+    signature,
+    messages: indexedMessages
+  };
+}
+
+/**
+ * Rebuild the in-memory inverted index from the forward index
+ */
+function rebuildPostings() {
+  const postings = new Map();
+  const titles = new Map();
+  const messages = [];
+  let totalLength = 0;
+
+  for (const [conversationId, entry] of Object.entries(state.conversations)) {
+    for (const term of new Set(tokenize(entry.title))) {
+      if (!titles.has(term)) titles.set(term, new Set());
+      titles.get(term).add(conversationId);
+    }
+
+    for (const msg of entry.messages) {
+      const messageIndex = messages.length;
+      messages.push({
+        conversationId,
+        id: msg.id,
+        role: msg.role,
+        create_time: msg.create_time,
+        source: msg.source,
+        length: msg.length
+      });
+      totalLength += msg.length;
+
+      for (const [term, tf] of decodeTerms(msg.terms)) {
+        let list = postings.get(term);
+        if (!list) {
+          list = [];
+          postings.set(term, list);
+        }
+        list.push(messageIndex, tf);
+      }
+    }
+  }
+
+  state.postings = postings;
+  state.titles = titles;
+  state.messages = messages;
+  state.averageLength = messages.length > 0 ? totalLength / messages.length : 0;
+}
+
+/**
+ * Load the persisted index for an archive root into memory (if not already loaded)
+ * @param {string} archiveRoot - Root directory of the archive
+ */
+async function loadSearchIndex(archiveRoot) {
+  if (state.archiveRoot === archiveRoot) return;
+
+  state = {
+    archiveRoot,
+    conversations: {},
+    builtAt: null,
+    postings: new Map(),
+    titles: new Map(),
+    messages: [],
+    averageLength: 0
+  };
+
+  const indexPath = path.join(getDataRoot(archiveRoot), SEARCH_INDEX_FILE);
+  try {
+    if (await fs.pathExists(indexPath)) {
+      const saved = await fs.readJson(indexPath);
+      if (saved.version === SEARCH_INDEX_VERSION && saved.conversations) {
+        state.conversations = saved.conversations;
+        state.builtAt = saved.built_at || null;
+        rebuildPostings();
+        console.log(`Loaded search index with ${state.messages.length} messages from ${indexPath}`);
+      } else {
+        console.log('Search index format changed, it will be rebuilt');
+      }
+    }
+  } catch (err) {
+    console.error('Error loading search index, it will be rebuilt:', err);
+  }
+}
+
+/**
+ * Write the forward index to the archive root
+ * @param {string} archiveRoot - Root directory of the archive
+ */
+async function saveSearchIndex(archiveRoot) {
+  const indexPath = path.join(getDataRoot(archiveRoot), SEARCH_INDEX_FILE);
+  const tempPath = `${indexPath}.tmp`;
+
+  // Write to a temporary file first so a crash never leaves a truncated index
+  await fs.writeJson(tempPath, {
+    version: SEARCH_INDEX_VERSION,
+    built_at: state.builtAt,
+    conversations: state.conversations
+  });
+  await fs.move(tempPath, indexPath, { overwrite: true });
+}
+
+/**
+ * Bring the search index up to date with the archive index.
+ * Unchanged conversations are reused; only new or modified ones are re-read.
+ * @param {string} archiveRoot - Root directory of the archive
+ * @param {Array} archiveIndex - Conversation metadata from archiveService.indexArchive
+ */
+async function runBuild(archiveRoot, archiveIndex) {
+  buildStatus = {
+    status: 'building',
+    processedConversations: 0,
+    totalConversations: archiveIndex.length,
+    error: null
+  };
+
+  try {
+    await loadSearchIndex(archiveRoot);
+
+    const updated = {};
+    let reindexed = 0;
+
+    for (const conv of archiveIndex) {
+      if (!conv.id) continue;
+
+      const convPath = path.join(archiveRegistry.resolveArchiveRoot(conv.source, archiveRoot), conv.folder);
+      const signature = await getConversationSignature(convPath, conv);
+      const existing = state.conversations[conv.id];
+
+      if (existing && signature && existing.signature === signature) {
+        updated[conv.id] = existing;
+      } else if (signature) {
+        try {
+          updated[conv.id] = await indexConversation(convPath, conv, signature);
+          reindexed++;
+        } catch (err) {
+          console.error(`Error indexing conversation ${conv.id} for search:`, err.message);
+        }
+      }
+
+      buildStatus.processedConversations++;
+    }
+
+    const removed = Object.keys(state.conversations).filter(id => !updated[id]).length;
+    state.conversations = updated;
+
+    if (reindexed > 0 || removed > 0 || !state.builtAt) {
+      state.builtAt = new Date().toISOString();
+      rebuildPostings();
+      await saveSearchIndex(archiveRoot);
+    }
+
+    console.log(`Search index ready: ${state.messages.length} messages (${reindexed} conversations reindexed, ${removed} removed)`);
+    buildStatus.status = 'ready';
+  } catch (err) {
+    console.error('Error building search index:', err);
+    buildStatus = { ...buildStatus, status: 'failed', error: err.message };
+  }
+}
+
+/**
+ * Queue an incremental rebuild of the search index
+ * @param {string} archiveRoot - Root directory of the archive
+ * @param {Array} archiveIndex - Conversation metadata from archiveService.indexArchive
+ * @returns {Promise<void>} Resolves when this build has finished
+ */
+function buildSearchIndex(archiveRoot, archiveIndex) {
+  buildQueue = buildQueue.then(() => runBuild(archiveRoot, archiveIndex));
+  return buildQueue;
+}
+
+/**
+ * Wait for the queued search index builds to finish
+ * @returns {Promise<void>} Resolves when the last queued build has finished
+ */
+function waitForSearchIndex() {
+  return buildQueue;
+}
+
+/**
+ * Compute the BM25 contribution of a term for one message
+ * @param {number} tf - Term frequency in the message
+ * @param {number} length - Message length in tokens
+ * @param {number} idf - Inverse document frequency of the term
+ * @returns {number} Score contribution
+ */
+function bm25(tf, length, idf) {
+  const norm = 1 - BM25_B + BM25_B * (length / (state.averageLength || 1));
+  return idf * ((tf * (BM25_K1 + 1)) / (tf + BM25_K1 * norm));
+}
+
+/**
+ * Build a snippet around the first query term and report highlight ranges
+ * @param {string} text - Full message text
+ * @param {Set<string>} terms - Query terms
+ * @returns {Object} { snippet, highlights: [[start, end], ...] }
+ */
+function buildSnippet(text, terms) {
+  const matches = [];
+  const wordPattern = /[\p{L}\p{N}]+/gu;
+  let match;
+
+  while ((match = wordPattern.exec(text)) !== null) {
+    if (terms.has(match[0].toLowerCase())) {
+      matches.push([match.index, match.index + match[0].length]);
+    }
+  }
+
+  if (matches.length === 0) {
+    const snippet = text.slice(0, SNIPPET_RADIUS * 2).replace(/\s+/g, ' ');
+    return { snippet, highlights: [] };
+  }
+
+  let start = Math.max(0, matches[0][0] - SNIPPET_RADIUS);
+  let end = Math.min(text.length, matches[0][1] + SNIPPET_RADIUS);
+
+  // Avoid cutting words in half at the edges
+  if (start > 0) {
+    const space = text.indexOf(' ', start);
+    if (space !== -1 && space < matches[0][0]) start = space + 1;
+  }
+  if (end < text.length) {
+    const space = text.lastIndexOf(' ', end);
+    if (space > matches[0][1]) end = space;
+  }
+
+  const prefix = start > 0 ? '…' : '';
+  const suffix = end < text.length ? '…' : '';
+  const body = text.slice(start, end);
+
+  // Collapse whitespace while keeping highlight offsets aligned
+  let snippet = prefix;
+  const offsetMap = [];
+  for (let i = 0; i < body.length; i++) {
+    const isSpace = /\s/.test(body[i]);
+    if (isSpace && snippet.endsWith(' ')) {
+      offsetMap.push(snippet.length - 1);
+      continue;
+    }
+    offsetMap.push(snippet.length);
+    snippet += isSpace ? ' ' : body[i];
+  }
+  offsetMap.push(snippet.length);
+  snippet += suffix;
+
+  const highlights = matches
+    .filter(([s, e]) => s >= start && e <= end)
+    .map(([s, e]) => [offsetMap[s - start], offsetMap[e - start]]);
+
+  return { snippet, highlights };
+}
+
+/**
+ * Load the searchable text of one message from disk
+ * @param {string} convPath - Conversation folder path
+ * @param {string} messageId - Message (mapping node) ID
+ * @param {string} source - Where the message is stored: 'conversation.json' or its messages/ file
+ * @param {Map} cache - Per-request cache of loaded conversation.json files
+ * @returns {Promise<string>} Message text, or '' if it can't be read
+ */
+async function readMessageText(convPath, messageId, source, cache) {
+  try {
+    if (source === 'conversation.json') {
+      if (!cache.has(convPath)) {
+        cache.set(convPath, await archiveFs.readJson(path.join(convPath, 'conversation.json')));
+      }
+      const node = cache.get(convPath).mapping?.[messageId];
+      return extractSearchableText(node?.message);
+    }
+
+    return extractSearchableText(await archiveFs.readJson(path.join(convPath, source)));
+  } catch (err) {
+    return '';
+  }
+}
+
+/**
+ * Load a message's text again to build its snippet
+ * @param {Object} hit - Message entry from the inverted index
+ * @param {Object} entry - Forward index entry for the conversation
+ * @param {Map} cache - Per-request cache of loaded conversation.json files
+ * @returns {Promise<string>} Message text
+ */
+function loadHitText(hit, entry, cache) {
+  const convPath = path.join(archiveRegistry.resolveArchiveRoot(entry.archive, state.archiveRoot), entry.folder);
+  return readMessageText(convPath, hit.id, hit.source, cache);
+}
+
+/**
+ * Run a ranked full-text query against the index
+ * @param {string} query - Free-text query; every term must appear in the conversation
+ * @param {Object} options - { page, perPage, maxHits, findConversation }
+ * @returns {Promise<Object>} { items, total, page, per_page, index_status }
+ */
+async function search(query, options = {}) {
+  const {
+    page = 1,
+    perPage = 10,
+    maxHits = 3,
+    findConversation = () => null
+  } = options;
+
+  const queryTerms = Array.from(new Set(tokenize(query)));
+  const rawQuery = (query || '').trim().toLowerCase();
+  const response = { items: [], total: 0, page, per_page: perPage, index_status: getSearchIndexStatus() };
+
+  if (queryTerms.length === 0 && !rawQuery) {
+    return response;
+  }
+
+  const totalMessages = state.messages.length;
+
+  // Score every message containing at least one query term
+  const messageScores = new Map();
+  const termsByConversation = new Map();
+
+  for (const term of queryTerms) {
+    const list = state.postings.get(term) || [];
+    const df = list.length / 2;
+    const idf = Math.log(1 + (totalMessages - df + 0.5) / (df + 0.5));
+
+    for (let i = 0; i < list.length; i += 2) {
+      const messageIndex = list[i];
+      const msg = state.messages[messageIndex];
+      messageScores.set(messageIndex, (messageScores.get(messageIndex) || 0) + bm25(list[i + 1], msg.length, idf));
+
+      if (!termsByConversation.has(msg.conversationId)) termsByConversation.set(msg.conversationId, new Set());
+      termsByConversation.get(msg.conversationId).add(term);
+    }
+
+    for (const conversationId of state.titles.get(term) || []) {
+      if (!termsByConversation.has(conversationId)) termsByConversation.set(conversationId, new Set());
+      termsByConversation.get(conversationId).add(term);
+    }
+  }
+
+  // Group message hits by conversation
+  const results = new Map();
+  const getResult = (conversationId) => {
+    if (!results.has(conversationId)) {
+      results.set(conversationId, { conversationId, score: 0, hits: [] });
+    }
+    return results.get(conversationId);
+  };
+
+  for (const [messageIndex, score] of messageScores) {
+    const msg = state.messages[messageIndex];
+    // Every query term must occur somewhere in the conversation (title or messages)
+    if (termsByConversation.get(msg.conversationId).size < queryTerms.length) continue;
+    getResult(msg.conversationId).hits.push({ ...msg, score });
+  }
+
+  for (const [conversationId, entry] of Object.entries(state.conversations)) {
+    const titleTerms = new Set(tokenize(entry.title));
+    const allInTitle = queryTerms.length > 0 && queryTerms.every(term => titleTerms.has(term));
+    const substringMatch = rawQuery && entry.title.toLowerCase().includes(rawQuery);
+
+    if (allInTitle || substringMatch || results.has(conversationId)) {
+      const result = getResult(conversationId);
+      result.titleMatch = allInTitle || substringMatch;
+    }
+  }
+
+  // Rank conversations: best messages count most, title matches get a strong boost
+  const ranked = Array.from(results.values()).map(result => {
+    result.hits.sort((a, b) => b.score - a.score);
+    const top = result.hits.slice(0, 3).reduce((sum, hit, i) => sum + hit.score / (i + 1), 0);
+    result.score = top + (result.titleMatch ? 10 : 0);
+    return result;
+  }).sort((a, b) => b.score - a.score);
+
+  const start = (page - 1) * perPage;
+  const pageResults = ranked.slice(start, start + perPage);
+  const termSet = new Set(queryTerms);
+  const fileCache = new Map();
+
+  for (const result of pageResults) {
+    const entry = state.conversations[result.conversationId];
+    const meta = findConversation(result.conversationId) || {
+      id: result.conversationId,
+      title: entry.title,
+      folder: entry.folder
+    };
+
+    const hits = [];
+    for (const hit of result.hits.slice(0, maxHits)) {
+      const text = await loadHitText(hit, entry, fileCache);
+      hits.push({
+        message_id: hit.id,
+        role: hit.role,
+        create_time: hit.create_time,
+        score: Math.round(hit.score * 1000) / 1000,
+        ...buildSnippet(text, termSet)
+      });
+    }
+
+    response.items.push({
+      ...meta,
+      score: Math.round(result.score * 1000) / 1000,
+      title_match: !!result.titleMatch,
+      hit_count: result.hits.length,
+      hits
+    });
+  }
+
+  response.total = ranked.length;
+  return response;
+}
+
+/**
+ * Find the conversations in which an index term occurs
+ * @param {string} term - Index term; a trailing * matches every term starting with it
+ * @param {Object} options - { roles: only count messages by these authors (titles are then ignored) }
+ * @returns {Set<string>} Conversation IDs
+ */
+function findConversationsWithTerm(term, options = {}) {
+  const { roles = null } = options;
+  const prefix = term.endsWith('*') ? term.slice(0, -1) : null;
+  const terms = prefix !== null ?
+    Array.from(state.postings.keys()).filter(t => t.startsWith(prefix)) :
+    [term];
+
+  const matches = new Set();
+  for (const t of terms) {
+    const list = state.postings.get(t) || [];
+    for (let i = 0; i < list.length; i += 2) {
+      const msg = state.messages[list[i]];
+      if (!roles || roles.includes(msg.role)) matches.add(msg.conversationId);
+    }
+  }
+
+  if (!roles) {
+    for (const [title, conversationIds] of state.titles) {
+      if (prefix !== null ? title.startsWith(prefix) : title === term) {
+        conversationIds.forEach(id => matches.add(id));
+      }
+    }
+  }
+  return matches;
+}
+
+/**
+ * Find the conversations containing an exact phrase (case and whitespace insensitive).
+ * Candidates come from the index; only messages containing every word are read from disk.
+ * @param {string} phrase - Phrase to find
+ * @param {Object} options - { roles: only search messages by these authors (titles are then ignored) }
+ * @returns {Promise<Set<string>>} Conversation IDs
+ */
+async function findConversationsWithPhrase(phrase, options = {}) {
+  const { roles = null } = options;
+  const normalize = text => text.toLowerCase().replace(/\s+/g, ' ');
+  const needle = normalize(phrase.trim());
+  const matches = new Set();
+  if (!needle) return matches;
+
+  if (!roles) {
+    for (const [conversationId, entry] of Object.entries(state.conversations)) {
+      if (normalize(entry.title).includes(needle)) matches.add(conversationId);
+    }
+  }
+
+  const terms = Array.from(new Set(tokenize(phrase)));
+  if (terms.length === 0) return matches;
+
+  let candidates = null;
+  for (const term of terms) {
+    const list = state.postings.get(term) || [];
+    const next = new Set();
+    for (let i = 0; i < list.length; i += 2) {
+      if (!candidates || candidates.has(list[i])) next.add(list[i]);
+    }
+    candidates = next;
+  }
+
+  const fileCache = new Map();
+  for (const messageIndex of candidates) {
+    const msg = state.messages[messageIndex];
+    if (matches.has(msg.conversationId) || (roles && !roles.includes(msg.role))) continue;
+
+    // Keep at most a few conversation.json files in memory
+    if (fileCache.size > 20) fileCache.clear();
+    const text = await loadHitText(msg, state.conversations[msg.conversationId], fileCache);
+    if (normalize(text).includes(needle)) matches.add(msg.conversationId);
+  }
+  return matches;
+}
+
+/**
+ * Find the conversations with at least one indexed message by an author role
+ * @param {string} role - user, assistant, tool or system
+ * @returns {Set<string>} Conversation IDs
+ */
+function findConversationsWithRole(role) {
+  const matches = new Set();
+  for (const msg of state.messages) {
+    if (msg.role === role) matches.add(msg.conversationId);
+  }
+  return matches;
+}
+
+/**
+ * Get the current state of the search index
+ * @returns {Object} Build status and index size
+ */
+function getSearchIndexStatus() {
+  return {
+    ...buildStatus,
+    indexedConversations: Object.keys(state.conversations).length,
+    indexedMessages: state.messages.length,
+    builtAt: state.builtAt
+  };
+}
+
+module.exports = {
+  SEARCH_INDEX_FILE,
+  tokenize,
+  extractSearchableText,
+  readConversationMessages,
+  readMessageText,
+  getConversationSignature,
+  buildSearchIndex,
+  waitForSearchIndex,
+  loadSearchIndex,
+  search,
+  findConversationsWithTerm,
+  findConversationsWithPhrase,
+  findConversationsWithRole,
+  getSearchIndexStatus
+};
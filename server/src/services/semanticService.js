@@ -0,0 +1,497 @@
+// Semantic Service - optional vector index of message chunks for meaning-based search and
+// "similar conversations". Vectors come from embeddingService (computed locally) and are
+// stored in the archive root next to the full-text index.
+const fs = require('fs-extra');
+const path = require('path');
+const archiveRegistry = require('./archiveRegistry');
+const searchService = require('./searchService');
+const embeddingService = require('./embeddingService');
+const { getDataRoot } = require('./sqliteArchiveService');
+
+// File (inside the archive root) the vectors are persisted to
+const SEMANTIC_INDEX_FILE = '.semantic_index.json';
+const SEMANTIC_INDEX_VERSION = 1;
+
+// Messages are split into chunks of about this many characters, on paragraph boundaries
+const CHUNK_SIZE = 1000;
+// Very long messages (pasted logs, generated code) only have their beginning embedded
+const MAX_CHUNKS_PER_MESSAGE = 12;
+// Chunks shorter than this carry too little meaning to embed ("ok", "thanks!")
+const MIN_CHUNK_LENGTH = 12;
+
+// Vectors are stored as signed bytes: value * QUANTIZE_SCALE
+const QUANTIZE_SCALE = 127;
+
+// Conversations indexed between saves, so an interrupted build keeps its progress
+const SAVE_EVERY = 250;
+
+// Characters of a matching chunk returned as the snippet
+const SNIPPET_LENGTH = 300;
+
+/**
+ * In-memory state. `conversations` is the persisted index keyed by conversation ID;
+ * `chunks`, `vectors` and `centroids` are derived from it for querying.
+ */
+let state = {
+  archiveRoot: null,
+  model: null,
+  builtAt: null,
+  conversations: {},
+  chunks: [],          // chunkIndex -> { conversationId, message_id, role, create_time, source, start, end }
+  vectors: null,       // Int8Array of chunks.length * dimensions
+  dimensions: 0,
+  centroids: new Map() // conversation ID -> unit-length Float32Array
+};
+
+// Current build status, exposed through getSemanticIndexStatus
+let buildStatus = {
+  status: 'idle', // idle, building, ready, failed
+  processedConversations: 0,
+  totalConversations: 0,
+  error: null
+};
+
+// Serialises builds so overlapping refreshes don't race each other
+let buildQueue = Promise.resolve();
+
+/**
+ * Split a message's text into chunks of about CHUNK_SIZE characters
+ * @param {string} text - Message text
+ * @returns {Array<Array<number>>} [start, end] character ranges
+ */
+function chunkText(text) {
+  const ranges = [];
+  const paragraphPattern = /\S[\s\S]*?(?=\n\s*\n|$)/g;
+  let start = -1;
+  let end = -1;
+  let match;
+
+  const flush = () => {
+    if (start !== -1 && end - start >= MIN_CHUNK_LENGTH) ranges.push([start, end]);
+    start = -1;
+  };
+
+  while ((match = paragraphPattern.exec(text)) !== null && ranges.length < MAX_CHUNKS_PER_MESSAGE) {
+    const paragraphEnd = match.index + match[0].length;
+
+    if (match[0].length > CHUNK_SIZE) {
+      // A paragraph longer than a chunk is cut at whitespace
+      flush();
+      let position = match.index;
+      while (position < paragraphEnd && ranges.length < MAX_CHUNKS_PER_MESSAGE) {
+        let cut = Math.min(paragraphEnd, position + CHUNK_SIZE);
+        if (cut < paragraphEnd) {
+          const space = text.lastIndexOf(' ', cut);
+          if (space > position + CHUNK_SIZE / 2) cut = space;
+        }
+        start = position;
+        end = cut;
+        flush();
+        position = cut;
+      }
+      continue;
+    }
+
+    if (start !== -1 && paragraphEnd - start > CHUNK_SIZE) flush();
+    if (start === -1) start = match.index;
+    end = paragraphEnd;
+  }
+  if (ranges.length < MAX_CHUNKS_PER_MESSAGE) flush();
+
+  return ranges;
+}
+
+// Quantize unit-length vectors into one base64 string of signed bytes
+function encodeVectors(vectors) {
+  const dimensions = vectors.length > 0 ? vectors[0].length : 0;
+  const bytes = new Int8Array(vectors.length * dimensions);
+  vectors.forEach((vector, i) => {
+    for (let d = 0; d < dimensions; d++) {
+      bytes[i * dimensions + d] = Math.max(-QUANTIZE_SCALE, Math.min(QUANTIZE_SCALE, Math.round(vector[d] * QUANTIZE_SCALE)));
+    }
+  });
+  return Buffer.from(bytes.buffer).toString('base64');
+}
+
+function decodeVectors(encoded) {
+  const buffer = Buffer.from(encoded || '', 'base64');
+  return new Int8Array(buffer.buffer, buffer.byteOffset, buffer.length);
+}
+
+/**
+ * Create the index entry for a single conversation: its message chunks and their vectors
+ * @param {string} convPath - Conversation folder path
+ * @param {Object} conv - Conversation metadata from the archive index
+ * @param {string} signature - Signature of the conversation on disk
+ * @param {Object} embedder - Embedder from embeddingService.getEmbedder
+ * @returns {Promise<Object>} Index entry
+ */
+async function indexConversation(convPath, conv, signature, embedder) {
+  const { messages } = await searchService.readConversationMessages(convPath);
+
+  const chunks = [];
+  const texts = [];
+  for (const { id, message, source } of messages) {
+    const role = message.author?.role || 'unknown';
+    if (role === 'system') continue;
+
+    const text = searchService.extractSearchableText(message);
+    for (const [start, end] of chunkText(text)) {
+      chunks.push({ message_id: id, role, create_time: message.create_time || null, source, start, end });
+      texts.push(text.slice(start, end));
+    }
+  }
+
+  const vectors = texts.length > 0 ? await embedder.embed(texts) : [];
+  return {
+    folder: conv.folder,
+    archive: conv.source || null,
+    title: conv.title || '',
+    signature,
+    chunks,
+    vectors: encodeVectors(vectors)
+  };
+}
+
+/**
+ * Rebuild the flat vector table and conversation centroids from the persisted entries
+ */
+function rebuildVectors() {
+  const chunks = [];
+  const parts = [];
+  const centroids = new Map();
+  let dimensions = 0;
+
+  for (const [conversationId, entry] of Object.entries(state.conversations)) {
+    if (entry.chunks.length === 0) continue;
+    const vectors = decodeVectors(entry.vectors);
+    dimensions = vectors.length / entry.chunks.length;
+
+    // A conversation's centroid is the normalized mean of its chunk vectors
+    const centroid = new Float32Array(dimensions);
+    for (let i = 0; i < vectors.length; i++) {
+      centroid[i % dimensions] += vectors[i];
+    }
+    let norm = 0;
+    for (let d = 0; d < dimensions; d++) norm += centroid[d] * centroid[d];
+    norm = Math.sqrt(norm) || 1;
+    for (let d = 0; d < dimensions; d++) centroid[d] /= norm;
+    centroids.set(conversationId, centroid);
+
+    for (const chunk of entry.chunks) {
+      chunks.push({ conversationId, ...chunk });
+    }
+    parts.push(vectors);
+  }
+
+  const table = new Int8Array(chunks.length * dimensions);
+  let offset = 0;
+  for (const part of parts) {
+    table.set(part, offset);
+    offset += part.length;
+  }
+
+  state.chunks = chunks;
+  state.vectors = table;
+  state.dimensions = dimensions;
+  state.centroids = centroids;
+}
+
+/**
+ * Load the persisted semantic index for an archive root into memory (if not already loaded)
+ * @param {string} archiveRoot - Root directory of the archive
+ */
+async function loadSemanticIndex(archiveRoot) {
+  if (state.archiveRoot === archiveRoot) return;
+
+  state = {
+    archiveRoot,
+    model: null,
+    builtAt: null,
+    conversations: {},
+    chunks: [],
+    vectors: null,
+    dimensions: 0,
+    centroids: new Map()
+  };
+
+  const indexPath = path.join(getDataRoot(archiveRoot), SEMANTIC_INDEX_FILE);
+  try {
+    if (await fs.pathExists(indexPath)) {
+      const saved = await fs.readJson(indexPath);
+      if (saved.version === SEMANTIC_INDEX_VERSION && saved.conversations) {
+        state.model = saved.model;
+        state.builtAt = saved.built_at || null;
+        state.conversations = saved.conversations;
+        rebuildVectors();
+        console.log(`Loaded semantic index with ${state.chunks.length} chunks from ${indexPath}`);
+      } else {
+        console.log('Semantic index format changed, it will be rebuilt');
+      }
+    }
+  } catch (err) {
+    console.error('Error loading semantic index, it will be rebuilt:', err);
+  }
+}
+
+/**
+ * Write the semantic index to the archive root
+ * @param {string} archiveRoot - Root directory of the archive
+ */
+async function saveSemanticIndex(archiveRoot) {
+  const indexPath = path.join(getDataRoot(archiveRoot), SEMANTIC_INDEX_FILE);
+  const tempPath = `${indexPath}.tmp`;
+
+  // Write to a temporary file first so a crash never leaves a truncated index
+  await fs.writeJson(tempPath, {
+    version: SEMANTIC_INDEX_VERSION,
+    model: state.model,
+    built_at: state.builtAt,
+    conversations: state.conversations
+  });
+  await fs.move(tempPath, indexPath, { overwrite: true });
+}
+
+/**
+ * Check whether the semantic index is turned on for an archive: it has been built before
+ * (it is then kept up to date), or SEMANTIC_SEARCH=true builds it for every archive
+ * @param {string} archiveRoot - Root directory of the archive
+ * @returns {Promise<boolean>} True if the index should be maintained
+ */
+async function isSemanticIndexEnabled(archiveRoot) {
+  return process.env.SEMANTIC_SEARCH === 'true' || await fs.pathExists(path.join(getDataRoot(archiveRoot), SEMANTIC_INDEX_FILE));
+}
+
+/**
+ * Bring the semantic index up to date with the archive index. Unchanged conversations are
+ * reused; everything is re-embedded when the embedding model changes.
+ * @param {string} archiveRoot - Root directory of the archive
+ * @param {Array} archiveIndex - Conversation metadata from archiveService.indexArchive
+ */
+async function runBuild(archiveRoot, archiveIndex) {
+  buildStatus = {
+    status: 'building',
+    processedConversations: 0,
+    totalConversations: archiveIndex.length,
+    error: null
+  };
+
+  try {
+    await loadSemanticIndex(archiveRoot);
+    const embedder = await embeddingService.getEmbedder();
+    if (state.model !== embedder.id) {
+      if (state.model) console.log(`Embedding model changed to ${embedder.id}, re-embedding every conversation`);
+      state.model = embedder.id;
+      state.conversations = {};
+    }
+
+    const updated = {};
+    let reindexed = 0;
+
+    for (const conv of archiveIndex) {
+      if (!conv.id) continue;
+
+      const convPath = path.join(archiveRegistry.resolveArchiveRoot(conv.source, archiveRoot), conv.folder);
+      const signature = await searchService.getConversationSignature(convPath, conv);
+      const existing = state.conversations[conv.id];
+
+      if (existing && signature && existing.signature === signature) {
+        updated[conv.id] = existing;
+      } else if (signature) {
+        try {
+          updated[conv.id] = await indexConversation(convPath, conv, signature, embedder);
+          reindexed++;
+
+          if (reindexed % SAVE_EVERY === 0) {
+            state.conversations = { ...state.conversations, ...updated };
+            await saveSemanticIndex(archiveRoot);
+          }
+        } catch (err) {
+          console.error(`Error embedding conversation ${conv.id}:`, err.message);
+        }
+      }
+
+      buildStatus.processedConversations++;
+    }
+
+    const removed = Object.keys(state.conversations).filter(id => !updated[id]).length;
+    state.conversations = updated;
+
+    if (reindexed > 0 || removed > 0 || !state.builtAt) {
+      state.builtAt = new Date().toISOString();
+      await saveSemanticIndex(archiveRoot);
+    }
+    rebuildVectors();
+
+    console.log(`Semantic index ready: ${state.chunks.length} chunks (${reindexed} conversations embedded, ${removed} removed)`);
+    buildStatus.status = 'ready';
+  } catch (err) {
+    console.error('Error building semantic index:', err);
+    buildStatus = { ...buildStatus, status: 'failed', error: err.message };
+  }
+}
+
+/**
+ * Queue an incremental build of the semantic index
+ * @param {string} archiveRoot - Root directory of the archive
+ * @param {Array} archiveIndex - Conversation metadata from archiveService.indexArchive
+ * @returns {Promise<void>} Resolves when this build has finished
+ */
+function buildSemanticIndex(archiveRoot, archiveIndex) {
+  buildQueue = buildQueue.then(() => runBuild(archiveRoot, archiveIndex));
+  return buildQueue;
+}
+
+/**
+ * Queue a build only if the semantic index is turned on for the archive (see isSemanticIndexEnabled)
+ * @param {string} archiveRoot - Root directory of the archive
+ * @param {Array} archiveIndex - Conversation metadata from archiveService.indexArchive
+ * @returns {Promise<void>} Resolves when the build (if any) has finished
+ */
+async function updateSemanticIndex(archiveRoot, archiveIndex) {
+  if (await isSemanticIndexEnabled(archiveRoot)) {
+    await buildSemanticIndex(archiveRoot, archiveIndex);
+  }
+}
+
+// Dot product of a query vector with one stored chunk vector
+function chunkScore(query, chunkIndex) {
+  const offset = chunkIndex * state.dimensions;
+  let score = 0;
+  for (let d = 0; d < state.dimensions; d++) {
+    score += query[d] * state.vectors[offset + d];
+  }
+  return score / QUANTIZE_SCALE;
+}
+
+// Conversation metadata for a result, from the archive index when available
+function resultMeta(conversationId, findConversation) {
+  const entry = state.conversations[conversationId];
+  const conv = findConversation(conversationId);
+  return {
+    id: conversationId,
+    title: conv?.title ?? entry.title,
+    folder: conv?.folder ?? entry.folder,
+    source: conv?.source ?? entry.archive,
+    create_time: conv?.create_time ?? null,
+    update_time: conv?.update_time ?? null
+  };
+}
+
+/**
+ * Find the messages closest in meaning to a query
+ * @param {string} query - Free-text query
+ * @param {Object} options - { limit, minScore, findConversation }
+ * @returns {Promise<Object>} { items: [{ conversation, message_id, role, create_time, score, snippet }], total, model, kind,
+ *   index_status } where kind is 'lexical' when the index only matches shared wording
+ */
+async function semanticSearch(query, options = {}) {
+  const { limit = 20, minScore = 0.15, findConversation = () => null } = options;
+  const response = {
+    items: [],
+    total: 0,
+    model: state.model,
+    kind: embeddingService.getEmbedderKind(state.model),
+    index_status: getSemanticIndexStatus()
+  };
+  if (!query || !query.trim() || state.chunks.length === 0) return response;
+
+  const embedder = await embeddingService.getEmbedder();
+  if (embedder.id !== state.model) {
+    // The index is being rebuilt for another model; its vectors aren't comparable yet
+    return response;
+  }
+  const [queryVector] = await embedder.embed([query]);
+
+  // Best chunk per message
+  const best = new Map();
+  for (let i = 0; i < state.chunks.length; i++) {
+    const score = chunkScore(queryVector, i);
+    if (score < minScore) continue;
+    const chunk = state.chunks[i];
+    const key = `${chunk.conversationId}\u0000${chunk.message_id}`;
+    if (!best.has(key) || best.get(key).score < score) {
+      best.set(key, { chunkIndex: i, score });
+    }
+  }
+
+  const ranked = Array.from(best.values()).sort((a, b) => b.score - a.score);
+  const fileCache = new Map();
+
+  for (const { chunkIndex, score } of ranked.slice(0, limit)) {
+    const chunk = state.chunks[chunkIndex];
+    const entry = state.conversations[chunk.conversationId];
+    const convPath = path.join(archiveRegistry.resolveArchiveRoot(entry.archive, state.archiveRoot), entry.folder);
+    const text = await searchService.readMessageText(convPath, chunk.message_id, chunk.source, fileCache);
+    const chunkText = text.slice(chunk.start, chunk.end).replace(/\s+/g, ' ').trim();
+
+    response.items.push({
+      conversation: resultMeta(chunk.conversationId, findConversation),
+      message_id: chunk.message_id,
+      role: chunk.role,
+      create_time: chunk.create_time,
+      score: Math.round(score * 1000) / 1000,
+      snippet: chunkText.length > SNIPPET_LENGTH ? `${chunkText.slice(0, SNIPPET_LENGTH)}…` : chunkText
+    });
+  }
+
+  response.total = ranked.length;
+  return response;
+}
+
+/**
+ * Find the conversations whose overall content is closest to a conversation's
+ * @param {string} conversationId - Conversation ID
+ * @param {Object} options - { limit, findConversation }
+ * @returns {Array|null} [{ ...conversation metadata, score }], or null if the conversation isn't indexed
+ */
+function findSimilarConversations(conversationId, options = {}) {
+  const { limit = 10, findConversation = () => null } = options;
+  const target = state.centroids.get(conversationId);
+  if (!target) return null;
+
+  const scored = [];
+  for (const [otherId, centroid] of state.centroids) {
+    if (otherId === conversationId) continue;
+    let score = 0;
+    for (let d = 0; d < target.length; d++) score += target[d] * centroid[d];
+    if (score > 0) scored.push({ conversationId: otherId, score });
+  }
+
+  return scored
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit)
+    .map(({ conversationId: otherId, score }) => ({
+      ...resultMeta(otherId, findConversation),
+      score: Math.round(score * 1000) / 1000
+    }));
+}
+
+/**
+ * Get the current state of the semantic index
+ * @returns {Object} Build status and index size; kind is 'semantic', or 'lexical' for an index built
+ *   with the built-in embedder
+ */
+function getSemanticIndexStatus() {
+  return {
+    ...buildStatus,
+    built: Boolean(state.builtAt),
+    model: state.model,
+    kind: embeddingService.getEmbedderKind(state.model),
+    indexedConversations: Object.keys(state.conversations).length,
+    indexedChunks: state.chunks.length,
+    builtAt: state.builtAt
+  };
+}
+
+module.exports = {
+  SEMANTIC_INDEX_FILE,
+  chunkText,
+  loadSemanticIndex,
+  isSemanticIndexEnabled,
+  buildSemanticIndex,
+  updateSemanticIndex,
+  semanticSearch,
+  findSimilarConversations,
+  getSemanticIndexStatus
+};
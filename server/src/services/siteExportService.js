@@ -0,0 +1,229 @@
+// Static Site Export Service - renders an archive into a self-contained folder browsable from file://
+const fs = require('fs-extra');
+const path = require('path');
+const archiveService = require('./archiveService');
+const pdfService = require('./pdfService');
+const searchService = require('./searchService');
+const mediaStoreService = require('./mediaStoreService');
+const redactionService = require('./redactionService');
+
+/**
+ * Format a UNIX timestamp as "YYYY-MM-DD HH:MM" (UTC)
+ * @param {number} timestamp - Seconds since the epoch
+ * @returns {string} Formatted date, or '' if missing
+ */
+function formatTimestamp(timestamp) {
+  if (!timestamp) return '';
+  const date = new Date(timestamp * 1000);
+  return isNaN(date.getTime()) ? '' : date.toISOString().replace('T', ' ').substring(0, 16);
+}
+
+/**
+ * Get the name a conversation's page and media folder get in the site
+ * Folder names repeat across archives, so they are keyed by conversation ID instead.
+ * @param {Object} conv - Conversation metadata
+ * @returns {string} File-system safe name
+ */
+function getPageName(conv) {
+  return String(conv.id || conv.folder).replace(/[^\w.-]/g, '_');
+}
+
+/**
+ * Resolve media references against the files actually present in the conversation's media folder
+ * Imported pointers are usually the exact file name; older ones are a file ID prefix.
+ * @param {Array} mediaRefs - Media references from pdfService.processMessageContent
+ * @param {Array<string>} mediaFiles - File names in the conversation's media folder
+ * @param {string} mediaBaseUrl - Relative URL of the copied media folder
+ * @returns {Array} Media references with working relative URLs
+ */
+function resolveMediaRefs(mediaRefs, mediaFiles, mediaBaseUrl) {
+  return (mediaRefs || [])
+    .map(media => {
+      const fileName = mediaFiles.find(f => f === media.filename) ||
+        mediaFiles.find(f => media.filename && f.startsWith(media.filename));
+      return fileName ? { ...media, url: `${mediaBaseUrl}/${encodeURIComponent(fileName)}` } : null;
+    })
+    .filter(Boolean);
+}
+
+// Where the site keeps its copy of MathJax, relative to the site folder
+const MATHJAX_ASSET = 'assets/mathjax/tex-svg.js';
+
+/**
+ * Copy MathJax into the site so conversation pages render math without network access.
+ * MathJax is a dependency of the web client, so it is taken from the client's node_modules.
+ * @param {string} outputDir - Site folder
+ * @returns {Promise<boolean>} false if MathJax isn't installed (pages then fall back to the CDN)
+ */
+async function copyMathJax(outputDir) {
+  let scriptPath;
+  try {
+    scriptPath = require.resolve('mathjax/es5/tex-svg.js', {
+      paths: [path.join(__dirname, '..', '..', '..', 'client'), __dirname]
+    });
+  } catch (err) {
+    console.warn('MathJax is not installed (run npm install in client/); the site will load it from the CDN');
+    return false;
+  }
+
+  await fs.copy(scriptPath, path.join(outputDir, MATHJAX_ASSET));
+  return true;
+}
+
+/**
+ * Render one conversation page with the same template and content pipeline as PDF export
+ * @param {Object} conv - Conversation metadata
+ * @param {Array} messages - Messages from archiveService.loadConversationMessages
+ * @param {Array<string>} mediaFiles - File names in the conversation's media folder
+ * @param {Object} options - { localMathJax: true } loads MathJax from the site's assets instead of the CDN
+ * @returns {Promise<Object>} { html, messageCount }
+ */
+async function renderConversationPage(conv, messages, mediaFiles, options = {}) {
+  const mediaBaseUrl = `../media/${encodeURIComponent(getPageName(conv))}`;
+
+  const visibleMessages = pdfService
+    .filterMessages(messages, { includeToolMessages: true, includeSystemMessages: false })
+    .filter(msg => !msg.message?.metadata?.is_visually_hidden_from_conversation);
+
+  const processedMessages = visibleMessages
+    .map(msg => {
+      const content = pdfService.processMessageContent(msg.message, mediaBaseUrl);
+      content.mediaRefs = resolveMediaRefs(content.mediaRefs, mediaFiles, mediaBaseUrl);
+      return {
+        ...msg,
+        content,
+        role: msg.message?.author?.role || 'unknown',
+        timestamp: formatTimestamp(msg.message?.create_time),
+        model: msg.message?.metadata?.model_slug || null
+      };
+    })
+    .filter(msg => msg.content.text || msg.content.mediaRefs.length > 0);
+
+  const template = await pdfService.loadTemplate('conversation');
+  const html = template({
+    title: conv.title || 'Untitled',
+    messages: processedMessages,
+    style: { fontFamily: 'Georgia, serif', fontSize: '16px' },
+    generated: formatTimestamp(conv.create_time),
+    totalMessages: processedMessages.length,
+    indexHref: '../index.html',
+    mathjaxSrc: options.localMathJax ? `../${MATHJAX_ASSET}` : null
+  });
+
+  return { html, messageCount: processedMessages.length };
+}
+
+/**
+ * Export conversations as a static HTML site: index page, one page per conversation,
+ * copied media and a client-side search index
+ * @param {string} archiveRoot - Root directory of the archive
+ * @param {Array} conversations - Conversation metadata to export
+ * @param {Object} options - Export options
+ * @param {string} options.outputDir - Folder to write the site into
+ * @param {string} options.title - Site title (default: Conversation Archive)
+ * @param {boolean} options.includeMedia - Copy media files (default: true)
+ * @param {Object} options.redaction - Redact the pages and search index (see redactionService.DEFAULT_REDACTION)
+ * @returns {Promise<Object>} Summary { outputDir, exported, failed, redaction }
+ */
+async function exportStaticSite(archiveRoot, conversations, options = {}) {
+  const { outputDir, title = 'Conversation Archive', includeMedia = true } = options;
+  const redactor = await redactionService.createRedactor(options.redaction);
+
+  if (!outputDir) {
+    throw new Error('Output directory must be specified');
+  }
+  await fs.ensureDir(path.join(outputDir, 'conversations'));
+  const localMathJax = await copyMathJax(outputDir);
+
+  const entries = [];
+  const failed = [];
+  const terms = new Map(); // term -> Set of entry indexes
+
+  for (let conv of conversations) {
+    try {
+      const convRoot = archiveService.getConversationRoot(conv, archiveRoot);
+      let { messages } = await archiveService.loadConversationMessages(conv.folder, convRoot);
+      if (redactor) {
+        // Only the messages themselves are redacted (and counted); what is derived from them is rebuilt
+        const redacted = redactor.redactConversation({
+          id: conv.id,
+          title: conv.title,
+          messages: messages.map(msg => msg.message)
+        });
+        conv = { ...conv, title: redacted.title };
+        messages = messages.map((msg, i) => archiveService.replaceEntryMessage(msg, redacted.messages[i]));
+      }
+
+      const media = await mediaStoreService.listConversationMedia(convRoot, conv.folder);
+      const mediaFiles = media.map(file => file.name);
+
+      const { html, messageCount } = await renderConversationPage(
+        conv,
+        messages,
+        includeMedia ? mediaFiles : [],
+        { localMathJax }
+      );
+      const pageName = getPageName(conv);
+      await fs.writeFile(path.join(outputDir, 'conversations', `${pageName}.html`), html, 'utf8');
+
+      if (includeMedia) {
+        for (const file of media) {
+          await fs.copy(file.path, path.join(outputDir, 'media', pageName, file.name));
+        }
+      }
+
+      // Collect the distinct terms of this conversation for the client-side search index
+      const entryIndex = entries.length;
+      const text = [conv.title || '', ...messages.map(msg => searchService.extractSearchableText(msg.message))].join('\n');
+      new Set(searchService.tokenize(text)).forEach(term => {
+        if (!terms.has(term)) terms.set(term, []);
+        terms.get(term).push(entryIndex);
+      });
+
+      entries.push({
+        title: conv.title || 'Untitled',
+        date: formatTimestamp(conv.create_time),
+        href: `conversations/${encodeURIComponent(pageName)}.html`,
+        messageCount
+      });
+    } catch (err) {
+      console.error(`Error exporting conversation ${conv.id} to static site:`, err);
+      failed.push({ id: conv.id, title: conv.title, error: err.message });
+    }
+  }
+
+  // The index is loaded with a <script> tag, since browsers block fetch() on file:// pages
+  const searchIndex = { version: 1, terms: Object.fromEntries(terms) };
+  await fs.writeFile(
+    path.join(outputDir, 'search-index.js'),
+    `window.ARCHIVE_SEARCH_INDEX = ${JSON.stringify(searchIndex)};\n`,
+    'utf8'
+  );
+
+  const indexTemplate = await pdfService.loadTemplate('site-index');
+  await fs.writeFile(path.join(outputDir, 'index.html'), indexTemplate({
+    title,
+    conversations: entries,
+    totalConversations: entries.length,
+    generated: formatTimestamp(Date.now() / 1000)
+  }), 'utf8');
+
+  const redactionReport = redactor ? await redactionService.writeReport(outputDir, redactor) : null;
+
+  console.log(`Exported static site with ${entries.length} conversations to ${outputDir} (${failed.length} failed)`);
+
+  return {
+    outputDir,
+    exported: entries.length,
+    failed,
+    redaction: redactionReport && {
+      conversationsRedacted: redactionReport.conversationsRedacted,
+      totals: redactionReport.totals
+    }
+  };
+}
+
+module.exports = {
+  renderConversationPage,
+  exportStaticSite
+};
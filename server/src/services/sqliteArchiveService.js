@@ -0,0 +1,352 @@
+// SQLite Archive Service - single-file archives: one SQLite database holding what an exploded
+// archive keeps in its folder tree (conversations, messages, other files, media and a full-text table).
+// Paths inside an SQLite archive (<archive.sqlite>/<folder>/conversation.json) are read through
+// archiveFs, which falls back to the filesystem for every other path, so the services reading
+// conversations work on both layouts. SQLite archives are opened read-only.
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const Database = require('better-sqlite3');
+
+// Archive roots with one of these extensions are SQLite archives (when they are files)
+const SQLITE_ARCHIVE_PATTERN = /\.(sqlite|sqlite3|db)$/i;
+const SQLITE_FORMAT = 'carchive-sqlite';
+const SQLITE_FORMAT_VERSION = 1;
+
+// Media stored as blobs is written out here the first time it is served, as <first 2 hash chars>/<sha256>
+const MEDIA_CACHE_DIR = path.join(os.tmpdir(), 'carchive-sqlite-media');
+
+// An SQLite archive isn't written to: the files the app keeps next to an archive (search index,
+// annotations, ...) go to a folder beside it
+const DATA_DIR_SUFFIX = '-data';
+
+const MESSAGE_PATH_PATTERN = /^messages\/([^/]+)\/message\.json$/;
+const MEDIA_PATH_PATTERN = /^media\/([^/]+)$/;
+
+// Files of the archive root (folder '') and of its other folders are kept in the files table,
+// next to the conversations' files that aren't messages or media
+const SCHEMA = `
+  CREATE TABLE meta (key TEXT PRIMARY KEY, value TEXT);
+  CREATE TABLE conversations (
+    folder TEXT PRIMARY KEY,
+    id TEXT,
+    title TEXT,
+    create_time REAL,
+    update_time REAL,
+    data TEXT NOT NULL
+  );
+  CREATE INDEX conversations_id ON conversations (id);
+  CREATE TABLE messages (folder TEXT NOT NULL, id TEXT NOT NULL, data TEXT NOT NULL, PRIMARY KEY (folder, id));
+  CREATE TABLE files (folder TEXT NOT NULL, path TEXT NOT NULL, data BLOB NOT NULL, PRIMARY KEY (folder, path));
+  CREATE TABLE media (
+    folder TEXT NOT NULL,
+    name TEXT NOT NULL,
+    sha256 TEXT NOT NULL,
+    size INTEGER NOT NULL,
+    path TEXT,
+    PRIMARY KEY (folder, name)
+  );
+  CREATE TABLE media_blobs (sha256 TEXT PRIMARY KEY, data BLOB NOT NULL);
+`;
+
+// Open read-only connections, by database path
+const databases = new Map();
+
+function notFound(filePath) {
+  const err = new Error(`ENOENT: no such file or directory, '${filePath}'`);
+  err.code = 'ENOENT';
+  return err;
+}
+
+/**
+ * Check whether an archive root is an SQLite archive rather than a folder
+ * @param {string} archivePath - Archive root
+ * @returns {boolean}
+ */
+function isSqliteArchive(archivePath) {
+  if (!archivePath || !SQLITE_ARCHIVE_PATTERN.test(archivePath)) return false;
+  if (databases.has(path.resolve(archivePath))) return true;
+  try {
+    return fs.statSync(archivePath).isFile();
+  } catch (err) {
+    return false;
+  }
+}
+
+/**
+ * Open an SQLite archive for reading (connections are kept open and shared)
+ * @param {string} dbPath - SQLite archive path
+ * @returns {Database}
+ * @throws {Error} If the file is not an SQLite archive written by the converter
+ */
+function openArchive(dbPath) {
+  const resolved = path.resolve(dbPath);
+  let db = databases.get(resolved);
+  if (db) return db;
+
+  db = new Database(resolved, { readonly: true, fileMustExist: true });
+  let format = null;
+  try {
+    format = db.prepare('SELECT value FROM meta WHERE key = ?').pluck().get('format');
+  } catch (err) {
+    // Not a database, or one without a meta table
+  }
+  if (format !== SQLITE_FORMAT) {
+    db.close();
+    throw new Error(`Not an SQLite archive: ${resolved}`);
+  }
+  databases.set(resolved, db);
+  return db;
+}
+
+/**
+ * Close every open SQLite archive, so they are opened again (a converter may have replaced them)
+ */
+function closeArchives() {
+  for (const db of databases.values()) db.close();
+  databases.clear();
+}
+
+/**
+ * Create an empty SQLite archive to write a conversion into
+ * @param {string} dbPath - Path of the new database (must not exist)
+ * @returns {Database} Writable connection; the caller closes it
+ */
+function createArchiveDatabase(dbPath) {
+  const db = new Database(dbPath);
+  db.exec(SCHEMA);
+  const setMeta = db.prepare('INSERT INTO meta (key, value) VALUES (?, ?)');
+  setMeta.run('format', SQLITE_FORMAT);
+  setMeta.run('version', String(SQLITE_FORMAT_VERSION));
+  setMeta.run('created_at', new Date().toISOString());
+  return db;
+}
+
+/**
+ * Split a path that points into an SQLite archive
+ * @param {string} filePath - Any path
+ * @returns {Object|null} { dbPath, folder, rel } (folder '' for the archive root, rel '' for the
+ *   folder itself), or null for a path on the filesystem
+ */
+function locate(filePath) {
+  const parts = path.resolve(filePath).split(path.sep);
+  for (let i = parts.length; i > 1; i--) {
+    if (!SQLITE_ARCHIVE_PATTERN.test(parts[i - 1])) continue;
+    const dbPath = parts.slice(0, i).join(path.sep);
+    if (!isSqliteArchive(dbPath)) continue;
+    return { dbPath, folder: parts[i] || '', rel: parts.slice(i + 1).join('/') };
+  }
+  return null;
+}
+
+// Read a media file: from its blob, or from the file the archive links to
+function readMediaRow(db, row) {
+  if (row.path) return fs.readFileSync(row.path);
+  return db.prepare('SELECT data FROM media_blobs WHERE sha256 = ?').pluck().get(row.sha256);
+}
+
+// Content of a file in an SQLite archive (string for JSON, Buffer otherwise), or null if there is none
+function readEntry(db, folder, rel) {
+  if (!folder) return null;
+  // <archive.sqlite>/<name> is a conversation folder or one of the root files
+  if (!rel) {
+    return db.prepare('SELECT data FROM files WHERE folder = \'\' AND path = ?').pluck().get(folder) ?? null;
+  }
+  if (rel === 'conversation.json') {
+    return db.prepare('SELECT data FROM conversations WHERE folder = ?').pluck().get(folder) ?? null;
+  }
+  const message = rel.match(MESSAGE_PATH_PATTERN);
+  if (message) {
+    const data = db.prepare('SELECT data FROM messages WHERE folder = ? AND id = ?').pluck().get(folder, message[1]);
+    if (data !== undefined) return data;
+  }
+  const media = rel.match(MEDIA_PATH_PATTERN);
+  if (media) {
+    const row = db.prepare('SELECT sha256, path FROM media WHERE folder = ? AND name = ?').get(folder, media[1]);
+    if (row) return readMediaRow(db, row);
+  }
+  return db.prepare('SELECT data FROM files WHERE folder = ? AND path = ?').pluck().get(folder, rel) ?? null;
+}
+
+// Every file path of a folder of the archive, relative to it
+function listFolderPaths(db, folder) {
+  if (!db.prepare('SELECT 1 FROM conversations WHERE folder = ?').get(folder)) {
+    return db.prepare('SELECT path FROM files WHERE folder = ?').pluck().all(folder);
+  }
+  return [
+    'conversation.json',
+    ...db.prepare('SELECT id FROM messages WHERE folder = ?').pluck().all(folder).map(id => `messages/${id}/message.json`),
+    ...db.prepare('SELECT name FROM media WHERE folder = ?').pluck().all(folder).map(name => `media/${name}`),
+    ...db.prepare('SELECT path FROM files WHERE folder = ?').pluck().all(folder)
+  ];
+}
+
+// Entries of a directory inside an SQLite archive, or null if there is no such directory
+function listDirectory(db, folder, rel) {
+  if (!folder) {
+    return [
+      ...db.prepare('SELECT folder FROM conversations ORDER BY folder').pluck().all(),
+      ...db.prepare('SELECT DISTINCT folder FROM files WHERE folder != \'\' ' +
+        'AND folder NOT IN (SELECT folder FROM conversations) ORDER BY folder').pluck().all(),
+      ...db.prepare('SELECT path FROM files WHERE folder = \'\' ORDER BY path').pluck().all()
+    ];
+  }
+  const prefix = rel ? `${rel}/` : '';
+  const entries = new Set();
+  for (const filePath of listFolderPaths(db, folder)) {
+    if (filePath.startsWith(prefix)) entries.add(filePath.slice(prefix.length).split('/')[0]);
+  }
+  return entries.size > 0 ? Array.from(entries) : null;
+}
+
+function makeStats(dbPath, isFile, size) {
+  const { mtimeMs, mtime } = fs.statSync(dbPath);
+  return { size, mtimeMs, mtime, isFile: () => isFile, isDirectory: () => !isFile };
+}
+
+// fs-extra's reading functions, for paths on the filesystem and inside SQLite archives alike
+const archiveFs = {
+  async pathExists(filePath) {
+    const location = locate(filePath);
+    if (!location) return fs.pathExists(filePath);
+    const db = openArchive(location.dbPath);
+    return readEntry(db, location.folder, location.rel) !== null ||
+      listDirectory(db, location.folder, location.rel) !== null;
+  },
+
+  async readFile(filePath, encoding) {
+    const location = locate(filePath);
+    if (!location) return fs.readFile(filePath, encoding);
+    const data = readEntry(openArchive(location.dbPath), location.folder, location.rel);
+    if (data === null) throw notFound(filePath);
+    if (encoding) return Buffer.isBuffer(data) ? data.toString(encoding) : data;
+    return Buffer.isBuffer(data) ? data : Buffer.from(data);
+  },
+
+  async readJson(filePath) {
+    if (!locate(filePath)) return fs.readJson(filePath);
+    return JSON.parse(await archiveFs.readFile(filePath, 'utf8'));
+  },
+
+  async readdir(dirPath) {
+    const location = locate(dirPath);
+    if (!location) return fs.readdir(dirPath);
+    const entries = listDirectory(openArchive(location.dbPath), location.folder, location.rel);
+    if (!entries) throw notFound(dirPath);
+    return entries;
+  },
+
+  async stat(filePath) {
+    const location = locate(filePath);
+    if (!location) return fs.stat(filePath);
+    const db = openArchive(location.dbPath);
+    const data = readEntry(db, location.folder, location.rel);
+    if (data !== null) {
+      return makeStats(location.dbPath, true, Buffer.isBuffer(data) ? data.length : Buffer.byteLength(data));
+    }
+    if (listDirectory(db, location.folder, location.rel) !== null) return makeStats(location.dbPath, false, 0);
+    throw notFound(filePath);
+  }
+};
+
+/**
+ * Check whether a path points into an SQLite archive
+ * @param {string} filePath - Any path
+ * @returns {boolean}
+ */
+function isArchivePath(filePath) {
+  return locate(filePath) !== null;
+}
+
+/**
+ * Get the key cached metadata of a conversation in an SQLite archive is valid for
+ * (see indexCacheService.getFolderSignature)
+ * @param {string} convPath - <archive.sqlite>/<folder>
+ * @returns {string|null} Signature, or null if the archive holds no such conversation
+ */
+function getFolderSignature(convPath) {
+  const location = locate(convPath);
+  if (!location || !location.folder) return null;
+  const db = openArchive(location.dbPath);
+  const size = db.prepare('SELECT length(data) FROM conversations WHERE folder = ?').pluck().get(location.folder);
+  if (size === undefined) return null;
+  const media = db.prepare('SELECT count(*) FROM media WHERE folder = ?').pluck().get(location.folder);
+  return `${size}|${Math.floor(fs.statSync(location.dbPath).mtimeMs)}|${media}`;
+}
+
+// Path media can be served from: the linked file, or the blob written out to the media cache
+function getMediaPath(db, row) {
+  if (row.path) return row.path;
+  const cachedPath = path.join(MEDIA_CACHE_DIR, row.sha256.slice(0, 2), row.sha256);
+  if (!fs.existsSync(cachedPath)) {
+    const tempPath = `${cachedPath}.${process.pid}.tmp`;
+    fs.outputFileSync(tempPath, readMediaRow(db, row));
+    fs.moveSync(tempPath, cachedPath, { overwrite: true });
+  }
+  return cachedPath;
+}
+
+/**
+ * List a conversation's media (see mediaStoreService.listConversationMedia)
+ * @param {string} dbPath - SQLite archive path
+ * @param {string} folder - Conversation folder name
+ * @returns {Promise<Array>} [{ name, path, sha256 }]
+ */
+async function listConversationMedia(dbPath, folder) {
+  const db = openArchive(dbPath);
+  return db.prepare('SELECT name, sha256, path FROM media WHERE folder = ? ORDER BY name').all(folder)
+    .map(row => ({ name: row.name, path: getMediaPath(db, row), sha256: row.sha256 }));
+}
+
+/**
+ * Find the file behind a conversation's media/<filename> (see mediaStoreService.resolveMediaFile)
+ * @param {string} dbPath - SQLite archive path
+ * @param {string} folder - Conversation folder name
+ * @param {string} filename - Media file name
+ * @returns {Promise<string|null>} Path of the file, or null if there is no such media file
+ */
+async function resolveMediaFile(dbPath, folder, filename) {
+  const db = openArchive(dbPath);
+  const row = db.prepare('SELECT sha256, path FROM media WHERE folder = ? AND name = ?').get(folder, filename);
+  if (!row) return null;
+  if (row.path && !await fs.pathExists(row.path)) return null;
+  return getMediaPath(db, row);
+}
+
+/**
+ * Get the folder the app writes an archive's own files to (search index, annotations, ...):
+ * the archive root itself, or for an SQLite archive a <name>-data folder beside it, created
+ * on first use with the root files stored in the database
+ * @param {string} archiveRoot - Archive root
+ * @returns {string} Folder path
+ */
+function getDataRoot(archiveRoot) {
+  if (!isSqliteArchive(archiveRoot)) return archiveRoot;
+
+  const dataRoot = `${path.resolve(archiveRoot)}${DATA_DIR_SUFFIX}`;
+  if (!fs.existsSync(dataRoot)) {
+    fs.ensureDirSync(dataRoot);
+    const db = openArchive(archiveRoot);
+    for (const row of db.prepare('SELECT path, data FROM files WHERE folder = \'\'').all()) {
+      fs.outputFileSync(path.join(dataRoot, row.path), row.data);
+    }
+  }
+  return dataRoot;
+}
+
+module.exports = {
+  SQLITE_ARCHIVE_PATTERN,
+  SQLITE_FORMAT,
+  SQLITE_FORMAT_VERSION,
+  DATA_DIR_SUFFIX,
+  isSqliteArchive,
+  isArchivePath,
+  openArchive,
+  closeArchives,
+  createArchiveDatabase,
+  archiveFs,
+  getFolderSignature,
+  listConversationMedia,
+  resolveMediaFile,
+  getDataRoot
+};
@@ -0,0 +1,296 @@
+// Zip Source - read OpenAI/Claude/Gemini exports straight from the downloaded .zip file
+// Entries are streamed one at a time with yauzl, so zips larger than memory are fine,
+// and media is only unpacked for the conversation being imported
+const fs = require('fs-extra');
+const path = require('path');
+const yauzl = require('yauzl');
+
+// Check whether an import source points at a zip file rather than an unzipped folder
+function isZipSource(sourcePath) {
+  return typeof sourcePath === 'string' && /\.zip$/i.test(sourcePath);
+}
+
+// Open a zip file for lazy, entry-by-entry reading
+function openZip(zipPath) {
+  return new Promise((resolve, reject) => {
+    yauzl.open(zipPath, { lazyEntries: true, autoClose: false }, (err, zipfile) => {
+      if (err) return reject(err);
+      resolve(zipfile);
+    });
+  });
+}
+
+// Walk the central directory, calling onEntry(entry, zipfile) for each entry.
+// onEntry may return a promise; the next entry is read once it settles.
+async function walkZipEntries(zipPath, onEntry) {
+  const zipfile = await openZip(zipPath);
+
+  return new Promise((resolve, reject) => {
+    const fail = (err) => {
+      zipfile.close();
+      reject(err);
+    };
+
+    zipfile.on('entry', (entry) => {
+      Promise.resolve(onEntry(entry, zipfile))
+        .then(() => zipfile.readEntry())
+        .catch(fail);
+    });
+    zipfile.on('end', () => {
+      zipfile.close();
+      resolve();
+    });
+    zipfile.on('error', fail);
+
+    zipfile.readEntry();
+  });
+}
+
+// List the file entries of a zip without reading their contents
+async function listZipEntries(zipPath) {
+  const entries = [];
+  await walkZipEntries(zipPath, (entry) => {
+    if (!entry.fileName.endsWith('/')) {
+      entries.push({ fileName: entry.fileName, uncompressedSize: entry.uncompressedSize });
+    }
+  });
+  return entries;
+}
+
+// Find conversations.json (or another export file) in a zip - exports sometimes wrap everything in a top-level folder
+function findConversationsEntry(entries, fileName = 'conversations.json') {
+  const candidates = entries
+    .map(entry => entry.fileName)
+    .filter(name => name === fileName || name.endsWith(`/${fileName}`))
+    .sort((a, b) => a.split('/').length - b.split('/').length);
+  return candidates[0] || null;
+}
+
+// Open a read stream for a single zip entry; the zip is closed when the stream ends
+async function openZipEntryStream(zipPath, entryName) {
+  const zipfile = await openZip(zipPath);
+
+  return new Promise((resolve, reject) => {
+    let found = false;
+
+    zipfile.on('entry', (entry) => {
+      if (entry.fileName !== entryName) {
+        zipfile.readEntry();
+        return;
+      }
+
+      found = true;
+      zipfile.openReadStream(entry, (err, stream) => {
+        if (err) {
+          zipfile.close();
+          return reject(err);
+        }
+        stream.on('end', () => zipfile.close());
+        stream.on('close', () => zipfile.close());
+        resolve(stream);
+      });
+    });
+    zipfile.on('end', () => {
+      if (!found) {
+        zipfile.close();
+        reject(new Error(`${entryName} not found in zip file`));
+      }
+    });
+    zipfile.on('error', (err) => {
+      zipfile.close();
+      reject(err);
+    });
+
+    zipfile.readEntry();
+  });
+}
+
+// Stream a single zip entry to destPath
+function writeZipEntry(zipfile, entry, destPath) {
+  return new Promise((resolve, reject) => {
+    zipfile.openReadStream(entry, async (err, stream) => {
+      if (err) return reject(err);
+      try {
+        await fs.ensureDir(path.dirname(destPath));
+        const out = fs.createWriteStream(destPath);
+        stream.on('error', reject);
+        out.on('error', reject);
+        out.on('finish', resolve);
+        stream.pipe(out);
+      } catch (writeErr) {
+        reject(writeErr);
+      }
+    });
+  });
+}
+
+// Where an entry under rootPrefix lands in destDir, or null if it would be written outside it (zip slip)
+function entryDestination(destDir, rootPrefix, name) {
+  const destPath = path.resolve(destDir, name.slice(rootPrefix.length));
+  if (!destPath.startsWith(path.resolve(destDir) + path.sep)) {
+    console.warn(`Skipping zip entry outside the export folder: ${name}`);
+    return null;
+  }
+  return destPath;
+}
+
+// Stream the entries under rootPrefix out of the zip into destDir, skipping names in `exclude`
+async function extractZipEntries(zipPath, destDir, rootPrefix = '', exclude = []) {
+  let extracted = 0;
+  await fs.ensureDir(destDir);
+
+  await walkZipEntries(zipPath, async (entry, zipfile) => {
+    const name = entry.fileName;
+    if (name.endsWith('/') || !name.startsWith(rootPrefix)) return;
+    if (exclude.includes(name.slice(rootPrefix.length))) return;
+
+    const destPath = entryDestination(destDir, rootPrefix, name);
+    if (!destPath) return;
+
+    await writeZipEntry(zipfile, entry, destPath);
+    extracted++;
+  });
+
+  return extracted;
+}
+
+// Read the central directory of a zip and keep it open, so single entries can be streamed out later on demand
+async function indexZipEntries(zipPath) {
+  const zipfile = await openZip(zipPath);
+  const entries = [];
+
+  await new Promise((resolve, reject) => {
+    zipfile.on('entry', (entry) => {
+      if (!entry.fileName.endsWith('/')) entries.push(entry);
+      zipfile.readEntry();
+    });
+    zipfile.on('end', resolve);
+    zipfile.on('error', (err) => {
+      zipfile.close();
+      reject(err);
+    });
+    zipfile.readEntry();
+  });
+
+  return { zipfile, entries };
+}
+
+/**
+ * Resolve an import source into something the importers can read.
+ * Accepts either an unzipped export folder or the export .zip itself. For zips,
+ * conversations.json is streamed straight out of the archive. Media entries are
+ * not unpacked up front: importers call stageMedia() with the entries one
+ * conversation needs, which streams just those into stagingDir so the media
+ * processors can look them up on disk, and releaseMedia() once they have been
+ * copied into the archive. Folder sources need neither, so both are no-ops there.
+ * @param {string} sourcePath - Export folder or .zip file
+ * @param {string} stagingDir - Where media entries from a zip are staged
+ * @param {Object} options - { extractMedia: false } doesn't keep the zip open for media (used for previews);
+ *   { conversationsFile } names the export file to read, or lists candidate paths relative to the export root
+ * @returns {Promise<Object>} { sourceDir, isZip, conversationsFile, conversationsSize (bytes),
+ *   createConversationsStream(), stageMedia(filter), releaseMedia(), cleanup() }
+ */
+async function resolveImportSource(sourcePath, stagingDir, options = {}) {
+  const { extractMedia = true, conversationsFile = 'conversations.json' } = options;
+  const candidates = Array.isArray(conversationsFile) ? conversationsFile : [conversationsFile];
+  const displayName = path.basename(candidates[0]);
+
+  if (!sourcePath || !await fs.pathExists(sourcePath)) {
+    throw new Error('Source directory or zip file does not exist');
+  }
+
+  if (!isZipSource(sourcePath)) {
+    let found = null;
+    for (const candidate of candidates) {
+      if (await fs.pathExists(path.join(sourcePath, candidate))) {
+        found = candidate;
+        break;
+      }
+    }
+    if (!found) {
+      throw new Error(`${displayName} not found in source directory`);
+    }
+
+    const conversationsPath = path.join(sourcePath, found);
+    return {
+      sourceDir: sourcePath,
+      isZip: false,
+      conversationsFile: found,
+      conversationsSize: (await fs.stat(conversationsPath)).size,
+      createConversationsStream: async () => fs.createReadStream(conversationsPath, { encoding: 'utf8' }),
+      stageMedia: async () => 0,
+      releaseMedia: async () => {},
+      cleanup: async () => {}
+    };
+  }
+
+  // Keep the zip open while importing so media entries can be streamed out as they are needed
+  const index = extractMedia ? await indexZipEntries(sourcePath) : null;
+  const entries = index ?
+    index.entries.map(entry => ({ fileName: entry.fileName, uncompressedSize: entry.uncompressedSize })) :
+    await listZipEntries(sourcePath);
+
+  let conversationsEntry = null;
+  let found = null;
+  for (const candidate of candidates) {
+    conversationsEntry = findConversationsEntry(entries, candidate);
+    if (conversationsEntry) {
+      found = candidate;
+      break;
+    }
+  }
+  if (!conversationsEntry) {
+    if (index) index.zipfile.close();
+    throw new Error(`${displayName} not found in zip file`);
+  }
+
+  // Everything is resolved relative to the folder that holds the export file
+  const rootPrefix = conversationsEntry.slice(0, conversationsEntry.length - found.length);
+  const mediaEntries = index ?
+    index.entries.filter(entry => entry.fileName.startsWith(rootPrefix) && entry.fileName !== conversationsEntry) :
+    [];
+
+  // Staging left behind by an interrupted import describes other conversations
+  if (index) await fs.emptyDir(stagingDir);
+
+  return {
+    sourceDir: stagingDir,
+    isZip: true,
+    conversationsFile: found,
+    conversationsSize: entries.find(entry => entry.fileName === conversationsEntry).uncompressedSize,
+    createConversationsStream: () => openZipEntryStream(sourcePath, conversationsEntry),
+    // Stream the media entries whose path relative to the export root passes filter(name) into stagingDir
+    stageMedia: async (filter) => {
+      let staged = 0;
+      for (const entry of mediaEntries) {
+        const name = entry.fileName.slice(rootPrefix.length);
+        if (!filter(name)) continue;
+
+        const destPath = entryDestination(stagingDir, rootPrefix, entry.fileName);
+        if (!destPath) continue;
+
+        await writeZipEntry(index.zipfile, entry, destPath);
+        staged++;
+      }
+      return staged;
+    },
+    releaseMedia: async () => {
+      if (index) await fs.emptyDir(stagingDir);
+    },
+    cleanup: async () => {
+      if (index) {
+        index.zipfile.close();
+        await fs.remove(stagingDir);
+      }
+    }
+  };
+}
+
+module.exports = {
+  isZipSource,
+  listZipEntries,
+  findConversationsEntry,
+  openZipEntryStream,
+  extractZipEntries,
+  resolveImportSource
+};
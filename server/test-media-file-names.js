@@ -0,0 +1,55 @@
+// Test script: media requests only resolve files inside a conversation's media/ folder or the media store
+// File names come from request URLs, where ..%2F..%2F.env decodes to a path out of the archive.
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+
+console.log('=== Testing media file name checks ===\n');
+
+async function run() {
+  const archiveRoot = await fs.mkdtemp(path.join(os.tmpdir(), 'carchive-media-names-test-'));
+  let failures = 0;
+  const check = (label, passed, detail = '') => {
+    console.log(`${passed ? '✅' : '❌'} ${label}${passed || !detail ? '' : ` (${detail})`}`);
+    if (!passed) failures++;
+  };
+
+  try {
+    const mediaStoreService = require('./src/services/mediaStoreService');
+    const folder = 'conv_2024-01-01_Photos';
+    await fs.outputFile(path.join(archiveRoot, '.env'), 'SECRET=1');
+    await fs.outputFile(path.join(archiveRoot, folder, 'conversation.json'), '{}');
+    await fs.outputFile(path.join(archiveRoot, folder, 'media', 'photo.png'), 'png');
+    await fs.outputFile(path.join(archiveRoot, folder, 'media', 'stored.png'), 'stored');
+    await mediaStoreService.storeConversationMedia(archiveRoot, folder);
+    await fs.outputFile(path.join(archiveRoot, folder, 'media', 'photo.png'), 'png');
+
+    const resolve = (name, conv = folder) => mediaStoreService.resolveMediaFile(archiveRoot, conv, name);
+
+    check('A file in media/ resolves', await resolve('photo.png') === path.join(archiveRoot, folder, 'media', 'photo.png'));
+    const blobPath = await resolve('stored.png');
+    check('A file in the media store resolves to its blob', Boolean(blobPath) && mediaStoreService.isInMediaStore(archiveRoot, blobPath));
+    check('A media/ file is not reported as a store blob',
+      !mediaStoreService.isInMediaStore(archiveRoot, path.join(archiveRoot, folder, 'media', 'photo.png')));
+    check('../../.env does not resolve', await resolve('../../.env') === null);
+    check('A name containing .. does not resolve', await resolve('..') === null);
+    check('A folder name with a path does not resolve', await resolve('photo.png', `../${folder}`) === null);
+
+    // A hand-edited manifest must not point outside the store either
+    const manifestPath = path.join(archiveRoot, folder, mediaStoreService.MEDIA_MANIFEST_FILE);
+    const manifest = await fs.readJson(manifestPath);
+    manifest.files['escape.png'] = { sha256: '../../.env', size: 8 };
+    await fs.writeJson(manifestPath, manifest);
+    check('A manifest hash naming a path outside the store does not resolve', await resolve('escape.png') === null);
+  } finally {
+    await fs.remove(archiveRoot);
+  }
+
+  console.log(failures === 0 ? '\n✅ All media file name tests passed' : `\n❌ ${failures} media file name test(s) failed`);
+  process.exitCode = failures === 0 ? 0 : 1;
+}
+
+run().catch(err => {
+  console.error('❌ Test failed with an error:', err);
+  process.exitCode = 1;
+});
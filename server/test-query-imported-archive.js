@@ -0,0 +1,111 @@
+// Test script: model:, gizmo: and has:web queries against an archive written by the OpenAI importer
+// Imported archives keep their messages in messages/<id>/message.json, so the conversation index
+// has to read the metadata from there rather than from conversation.json's _reference stubs.
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+
+console.log('=== Testing queries against an imported archive ===\n');
+
+// A conversation as it appears in an OpenAI export's conversations.json
+function exportedConversation(id, title, { model, gizmo, webSearch = false, defaultModel = null }) {
+  const message = (messageId, role, text, metadata = {}, name = null) => ({
+    id: messageId,
+    author: { role, name },
+    create_time: 1717000000,
+    content: { content_type: 'text', parts: [text] },
+    metadata
+  });
+  const nodes = [
+    message(`${id}-user`, 'user', `Question about ${title}`),
+    ...(webSearch ? [message(`${id}-web`, 'tool', 'Search results', {}, 'web')] : []),
+    message(`${id}-assistant`, 'assistant', `Answer about ${title}`, {
+      ...(model ? { model_slug: model } : {}),
+      ...(gizmo ? { gizmo_id: gizmo } : {})
+    })
+  ];
+
+  const mapping = { [`${id}-root`]: { id: `${id}-root`, message: null, parent: null, children: [nodes[0].id] } };
+  nodes.forEach((node, i) => {
+    mapping[node.id] = {
+      id: node.id,
+      message: node,
+      parent: i === 0 ? `${id}-root` : nodes[i - 1].id,
+      children: i < nodes.length - 1 ? [nodes[i + 1].id] : []
+    };
+  });
+
+  return {
+    id,
+    title,
+    create_time: 1717000000,
+    update_time: 1717000000,
+    current_node: nodes[nodes.length - 1].id,
+    default_model_slug: defaultModel,
+    mapping
+  };
+}
+
+async function run() {
+  const workDir = await fs.mkdtemp(path.join(os.tmpdir(), 'carchive-query-test-'));
+  let failures = 0;
+  const check = (label, passed) => {
+    console.log(`${passed ? '✅' : '❌'} ${label}`);
+    if (!passed) failures++;
+  };
+
+  try {
+    const exportDir = path.join(workDir, 'export');
+    await fs.outputJson(path.join(exportDir, 'conversations.json'), [
+      exportedConversation('10000000-0000-0000-0000-000000000001', 'Tide tables', { model: 'gpt-4o', webSearch: true }),
+      exportedConversation('10000000-0000-0000-0000-000000000002', 'Sourdough', { model: 'o1', gizmo: 'g-baker' }),
+      exportedConversation('10000000-0000-0000-0000-000000000003', 'Old chat', { defaultModel: 'text-davinci-002-render-sha' })
+    ]);
+
+    // Import with the importer's defaults (message references on)
+    const importController = require('./src/import-controller');
+    const importRegistry = require('./src/import-registry');
+    const summary = await importRegistry.getImporter('openai').importArchive({
+      ...importController.DEFAULT_CONFIG,
+      sourceDir: exportDir,
+      outputDir: workDir,
+      archiveName: 'archive'
+    });
+    check('Imported 3 conversations', summary.addedConversations === 3);
+
+    const archiveRoot = path.join(workDir, 'archive');
+    const folder = (await fs.readdir(archiveRoot)).find(name => name.startsWith('10000000-0000-0000-0000-000000000001'));
+    const conversationJson = await fs.readJson(path.join(archiveRoot, folder, 'conversation.json'));
+    check(
+      'conversation.json holds _reference stubs, not the messages',
+      Object.values(conversationJson.mapping).some(node => node.message && node.message._reference)
+    );
+
+    const archiveService = require('./src/services/archiveService');
+    const queryService = require('./src/services/queryService');
+    const conversations = await archiveService.indexArchive(archiveRoot);
+    const titles = async (query) => (await queryService.filterByQuery(conversations, query))
+      .map(conv => conv.title)
+      .sort()
+      .join(', ');
+
+    check('model:gpt-4o finds the conversation answered by gpt-4o', await titles('model:gpt-4o') === 'Tide tables');
+    check('gizmo:g-baker finds the Custom GPT conversation', await titles('gizmo:g-baker') === 'Sourdough');
+    check('has:web finds the conversation with web search results', await titles('has:web') === 'Tide tables');
+    check(
+      'model: falls back to default_model_slug when no message records a model',
+      await titles('model:text-davinci-002-render-sha') === 'Old chat'
+    );
+    check('-has:web leaves out the web search conversation', await titles('-has:web') === 'Old chat, Sourdough');
+  } finally {
+    await fs.remove(workDir);
+  }
+
+  console.log(failures === 0 ? '\n✅ All query tests passed' : `\n❌ ${failures} query test(s) failed`);
+  process.exitCode = failures === 0 ? 0 : 1;
+}
+
+run().catch(err => {
+  console.error('❌ Test failed with an error:', err);
+  process.exitCode = 1;
+});
@@ -0,0 +1,101 @@
+// Test script: the redaction report of a Markdown or static site export counts every hit once
+// Exports redact loaded messages, which also carry copies derived from the message (markdown,
+// parsed data); only the message itself may be counted.
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+
+console.log('=== Testing redaction report counts for exports ===\n');
+
+async function run() {
+  const workDir = await fs.mkdtemp(path.join(os.tmpdir(), 'carchive-redaction-test-'));
+  // Redaction settings live in the home directory; keep the test's out of the real one
+  process.env.HOME = workDir;
+
+  let failures = 0;
+  const check = (label, passed, detail = '') => {
+    console.log(`${passed ? '✅' : '❌'} ${label}${passed || !detail ? '' : ` (${detail})`}`);
+    if (!passed) failures++;
+  };
+
+  try {
+    // One conversation with a single email address and a single phone number
+    const message = (id, role, text, parent, children) => ({
+      id,
+      parent,
+      children,
+      message: {
+        id,
+        author: { role },
+        create_time: 1717000000,
+        content: { content_type: 'text', parts: [text] },
+        metadata: role === 'assistant' ? { model_slug: 'gpt-4o' } : {}
+      }
+    });
+    const exportDir = path.join(workDir, 'export');
+    await fs.outputJson(path.join(exportDir, 'conversations.json'), [{
+      id: '20000000-0000-0000-0000-000000000001',
+      title: 'Contact details',
+      create_time: 1717000000,
+      update_time: 1717000000,
+      current_node: 'm2',
+      mapping: {
+        root: { id: 'root', message: null, parent: null, children: ['m1'] },
+        m1: message('m1', 'user', 'Please write to jane.doe@example.com about the invoice.', 'root', ['m2']),
+        m2: message('m2', 'assistant', 'Sure. You could also call her on +1 (555) 123-4567.', 'm1', [])
+      }
+    }]);
+
+    const importController = require('./src/import-controller');
+    const importRegistry = require('./src/import-registry');
+    await importRegistry.getImporter('openai').importArchive({
+      ...importController.DEFAULT_CONFIG,
+      sourceDir: exportDir,
+      outputDir: workDir,
+      archiveName: 'archive'
+    });
+
+    const archiveService = require('./src/services/archiveService');
+    const markdownExportService = require('./src/services/markdownExportService');
+    const siteExportService = require('./src/services/siteExportService');
+    const archiveRoot = path.join(workDir, 'archive');
+    const conversations = await archiveService.indexArchive(archiveRoot);
+    const redaction = { enabled: true, rules: ['email', 'phone'] };
+
+    const exports = [
+      ['Markdown export', 'markdown', dir => markdownExportService.exportConversationsToMarkdown(archiveRoot, conversations, { outputDir: dir, redaction })],
+      ['Static site export', 'site', dir => siteExportService.exportStaticSite(archiveRoot, conversations, { outputDir: dir, redaction })]
+    ];
+
+    for (const [label, folder, runExport] of exports) {
+      const outputDir = path.join(workDir, folder);
+      const summary = await runExport(outputDir);
+      const report = await fs.readJson(path.join(outputDir, 'redaction_report.json'));
+      const totals = JSON.stringify(report.totals);
+
+      check(`${label}: one conversation redacted`, summary.redaction.conversationsRedacted === 1);
+      check(`${label}: the email address is counted once`, report.totals.EMAIL === 1, totals);
+      check(`${label}: the phone number is counted once`, report.totals.PHONE === 1, totals);
+      check(
+        `${label}: the conversation entry lists 2 replacements`,
+        report.conversations[0] && report.conversations[0].replacements === 2,
+        JSON.stringify(report.conversations[0])
+      );
+    }
+
+    const note = (await fs.readdir(path.join(workDir, 'markdown'))).find(name => name.endsWith('.md'));
+    const markdown = await fs.readFile(path.join(workDir, 'markdown', note), 'utf8');
+    check('The Markdown note no longer contains the email address', !markdown.includes('jane.doe@example.com'));
+    check('The Markdown note shows the placeholder instead', /\[EMAIL_[0-9a-f]{6}\]/.test(markdown));
+  } finally {
+    await fs.remove(workDir);
+  }
+
+  console.log(failures === 0 ? '\n✅ All redaction count tests passed' : `\n❌ ${failures} redaction count test(s) failed`);
+  process.exitCode = failures === 0 ? 0 : 1;
+}
+
+run().catch(err => {
+  console.error('❌ Test failed with an error:', err);
+  process.exitCode = 1;
+});
@@ -0,0 +1,137 @@
+// Test script: importing an OpenAI export from a .zip keeps the same media as importing the unpacked folder
+// Zip imports only unpack the media each conversation references, so the files in dalle-generations/,
+// user-*/, <conversation>/audio/ and files/ have to be staged where the media processor looks for them.
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const AdmZip = require('adm-zip');
+
+console.log('=== Testing media from zip and folder imports ===\n');
+
+const CONVERSATION_ID = '30000000-0000-0000-0000-000000000001';
+const AUDIO_UUID = '40000000-0000-0000-0000-000000000001';
+
+// The export's media, one file per place the media processor searches
+const MEDIA = {
+  'dalle-generations/file-AbC123-1234.webp': 'dalle image',
+  'user-Xy9/file_00aa11-50000000-0000-0000-0000-000000000001.png': 'user generation',
+  [`${CONVERSATION_ID}/audio/file_00bb22-${AUDIO_UUID}.wav`]: 'voice message',
+  'files/file-Upl0ad.txt': 'uploaded notes',
+  'file-Top999-photo.png': 'top-level upload',
+  // Media no conversation references stays out of the archive
+  'dalle-generations/file-Unused1-9999.webp': 'unused image'
+};
+
+function exportedConversation() {
+  const message = (id, role, parts, metadata = {}) => ({
+    id,
+    author: { role },
+    create_time: 1717000000,
+    content: { content_type: 'multimodal_text', parts },
+    metadata
+  });
+  const nodes = [
+    message('m1', 'user', [
+      { content_type: 'image_asset_pointer', asset_pointer: 'file-service://file-Top999' },
+      { content_type: 'audio_asset_pointer', asset_pointer: 'sediment://file_00bb22' },
+      'Here are my notes and a photo'
+    ], { attachments: [{ id: 'file-Upl0ad', name: 'notes.txt' }] }),
+    message('m2', 'assistant', [
+      { content_type: 'image_asset_pointer', asset_pointer: 'file-service://file-AbC123' },
+      { content_type: 'image_asset_pointer', asset_pointer: 'sediment://file_00aa11' }
+    ], { model_slug: 'gpt-4o' })
+  ];
+
+  return {
+    id: CONVERSATION_ID,
+    title: 'Media everywhere',
+    create_time: 1717000000,
+    update_time: 1717000000,
+    current_node: 'm2',
+    mapping: {
+      root: { id: 'root', message: null, parent: null, children: ['m1'] },
+      m1: { id: 'm1', message: nodes[0], parent: 'root', children: ['m2'] },
+      m2: { id: 'm2', message: nodes[1], parent: 'm1', children: [] }
+    }
+  };
+}
+
+// Media file names (and contents) of every conversation in an archive
+async function archivedMedia(archiveRoot) {
+  const media = {};
+  for (const folder of await fs.readdir(archiveRoot)) {
+    const mediaDir = path.join(archiveRoot, folder, 'media');
+    if (!await fs.pathExists(mediaDir)) continue;
+    for (const file of (await fs.readdir(mediaDir)).sort()) {
+      media[`${folder}/${file}`] = await fs.readFile(path.join(mediaDir, file), 'utf8');
+    }
+  }
+  return media;
+}
+
+async function run() {
+  const workDir = await fs.mkdtemp(path.join(os.tmpdir(), 'carchive-zip-media-test-'));
+  let failures = 0;
+  const check = (label, passed, detail = '') => {
+    console.log(`${passed ? '✅' : '❌'} ${label}${passed || !detail ? '' : ` (${detail})`}`);
+    if (!passed) failures++;
+  };
+
+  try {
+    const exportDir = path.join(workDir, 'export');
+    await fs.outputJson(path.join(exportDir, 'conversations.json'), [exportedConversation()]);
+    for (const [name, content] of Object.entries(MEDIA)) {
+      await fs.outputFile(path.join(exportDir, name), content);
+    }
+
+    const zipPath = path.join(workDir, 'export.zip');
+    const zip = new AdmZip();
+    zip.addLocalFolder(exportDir);
+    zip.writeZip(zipPath);
+
+    const importController = require('./src/import-controller');
+    const importRegistry = require('./src/import-registry');
+    const importFrom = (sourceDir, archiveName) => importRegistry.getImporter('openai').importArchive({
+      ...importController.DEFAULT_CONFIG,
+      sourceDir,
+      outputDir: workDir,
+      archiveName
+    });
+
+    await importFrom(exportDir, 'from-folder');
+    await importFrom(zipPath, 'from-zip');
+
+    const folderMedia = await archivedMedia(path.join(workDir, 'from-folder'));
+    const zipMedia = await archivedMedia(path.join(workDir, 'from-zip'));
+    const contents = media => Object.values(media).sort();
+
+    check(
+      'The folder import copies the 5 referenced media files',
+      contents(folderMedia).join('|') === contents(MEDIA).filter(content => content !== 'unused image').sort().join('|'),
+      JSON.stringify(folderMedia)
+    );
+    check(
+      'The zip import archives the same media files as the folder import',
+      JSON.stringify(zipMedia) === JSON.stringify(folderMedia),
+      `folder: ${Object.keys(folderMedia).join(', ')}; zip: ${Object.keys(zipMedia).join(', ')}`
+    );
+    check(
+      'The DALL-E image from dalle-generations/ is archived from the zip',
+      Object.keys(zipMedia).some(name => name.includes('file-AbC123'))
+    );
+    check(
+      'The zip import leaves no staged media behind',
+      !await fs.pathExists(path.join(workDir, '.from-zip_zip_staging'))
+    );
+  } finally {
+    await fs.remove(workDir);
+  }
+
+  console.log(failures === 0 ? '\n✅ All zip media tests passed' : `\n❌ ${failures} zip media test(s) failed`);
+  process.exitCode = failures === 0 ? 0 : 1;
+}
+
+run().catch(err => {
+  console.error('❌ Test failed with an error:', err);
+  process.exitCode = 1;
+});